@@ -1,10 +1,16 @@
 // 📊 Projects Database - Complete Project Catalog
+import { SearchIndex } from "./server/search-index.js";
+import { analyzePrices } from "./server/price-analytics.js";
+
+// 💷 All catalog prices are stored as { amount, currency } in the catalog base currency
+export const CATALOG_CURRENCY = "GBP";
+
 export const PROJECTS_CATALOG = {
   // 🛒 E-commerce Projects
   ecommerce: {
     activeEcommerce: {
       name: "منصة تجارة إلكترونية نشطة مع تطبيق Flutter",
-      price: "£32,000.00",
+      price: { amount: 32000, currency: "GBP" },
       duration: "12",
       readiness: "متاح لم يجرب",
       features: [
@@ -24,7 +30,7 @@ export const PROJECTS_CATALOG = {
     },
     sixValley: {
       name: "منصة تجارة إلكترونية حديثة متعددة البائعين (6Valley)",
-      price: "£35,000.00",
+      price: { amount: 35000, currency: "GBP" },
       duration: "14",
       readiness: "متاح لم يجرب",
       features: [
@@ -44,7 +50,7 @@ export const PROJECTS_CATALOG = {
     },
     amazCart: {
       name: "متجر إلكتروني شامل (Full E-commerce Store)",
-      price: "£22,000.00",
+      price: { amount: 22000, currency: "GBP" },
       duration: "8",
       readiness: "متاح لم يجرب",
       features: [
@@ -64,7 +70,7 @@ export const PROJECTS_CATALOG = {
     },
     martfury: {
       name: "نظام تجارة إلكترونية متكامل (Martfury Style)",
-      price: "£25,000.00",
+      price: { amount: 25000, currency: "GBP" },
       duration: "10",
       readiness: "متاح لم يجرب",
       features: [
@@ -84,7 +90,7 @@ export const PROJECTS_CATALOG = {
     },
     safeCart: {
       name: "نظام تجارة إلكترونية متعددة البائعين (Multi-vendor Marketplace)",
-      price: "£28,000.00",
+      price: { amount: 28000, currency: "GBP" },
       duration: "10",
       readiness: "متاح لم يجرب",
       features: [
@@ -104,7 +110,7 @@ export const PROJECTS_CATALOG = {
     },
     chawkBazar: {
       name: "متجر إلكتروني عصري (ChawkBazar Style)",
-      price: "£25,000.00",
+      price: { amount: 25000, currency: "GBP" },
       duration: "9",
       readiness: "متاح لم يجرب",
       features: [
@@ -123,7 +129,7 @@ export const PROJECTS_CATALOG = {
     },
     pixer: {
       name: "متجر إلكتروني للمنتجات الرقمية (Digital Products)",
-      price: "£18,000.00",
+      price: { amount: 18000, currency: "GBP" },
       duration: "7",
       readiness: "متاح لم يجرب",
       features: [
@@ -146,7 +152,7 @@ export const PROJECTS_CATALOG = {
   education: {
     ramomSchool: {
       name: "نظام إدارة مدارس متعدد الفروع",
-      price: "£32,000.00",
+      price: { amount: 32000, currency: "GBP" },
       duration: "15",
       readiness: "متاح لم يجرب",
       features: [
@@ -167,7 +173,7 @@ export const PROJECTS_CATALOG = {
     },
     infixEdu: {
       name: "نظام إدارة مدارس وكليات متكامل (InfixEdu)",
-      price: "£40,000.00",
+      price: { amount: 40000, currency: "GBP" },
       duration: "18",
       readiness: "متاح لم يجرب",
       features: [
@@ -189,7 +195,7 @@ export const PROJECTS_CATALOG = {
     },
     smartSchool: {
       name: "نظام أتمتة وإدارة المدارس الذكي",
-      price: "£32,000.00",
+      price: { amount: 32000, currency: "GBP" },
       duration: "14",
       readiness: "متاح لم يجرب",
       features: [
@@ -211,7 +217,7 @@ export const PROJECTS_CATALOG = {
     },
     eClassLMS: {
       name: "منصة تعليمية وبيع كورسات (LMS)",
-      price: "£35,000.00",
+      price: { amount: 35000, currency: "GBP" },
       duration: "12",
       readiness: "متاح لم يجرب",
       features: [
@@ -231,7 +237,7 @@ export const PROJECTS_CATALOG = {
     },
     instiKitSchool: {
       name: "نظام إدارة تعليمي احترافي (InstiKit School)",
-      price: "£30,000.00",
+      price: { amount: 30000, currency: "GBP" },
       duration: "14",
       readiness: "متاح لم يجرب",
       features: [
@@ -250,7 +256,7 @@ export const PROJECTS_CATALOG = {
     },
     eSchool: {
       name: "نظام إدارة مدرسة (eSchool v3.3.6)",
-      price: "£28,000.00",
+      price: { amount: 28000, currency: "GBP" },
       duration: "12",
       readiness: "متاح لم يجرب",
       features: [
@@ -273,7 +279,7 @@ export const PROJECTS_CATALOG = {
   services: {
     uberClone: {
       name: "سكربت تطبيق لطلب سيارات الأجرة (Uber Clone)",
-      price: "£48,000.00",
+      price: { amount: 48000, currency: "GBP" },
       duration: "18",
       readiness: "متاح لم يجرب",
       features: [
@@ -293,7 +299,7 @@ export const PROJECTS_CATALOG = {
     },
     stackFood: {
       name: "نظام توصيل طعام للمطاعم (StackFood)",
-      price: "£55,000.00",
+      price: { amount: 55000, currency: "GBP" },
       duration: "16",
       readiness: "متاح لم يجرب",
       features: [
@@ -314,7 +320,7 @@ export const PROJECTS_CATALOG = {
     },
     fuodz: {
       name: "تطبيق شامل للتوصيل (مطاعم، بقالة، طرود)",
-      price: "£55,000.00",
+      price: { amount: 55000, currency: "GBP" },
       duration: "20",
       readiness: "متاح لم يجرب",
       features: [
@@ -335,7 +341,7 @@ export const PROJECTS_CATALOG = {
     },
     sixamMart: {
       name: "نظام متعدد الخدمات والبائعين (6amMart)",
-      price: "£55,000.00",
+      price: { amount: 55000, currency: "GBP" },
       duration: "18",
       readiness: "متاح لم يجرب",
       features: [
@@ -361,7 +367,7 @@ export const PROJECTS_CATALOG = {
   erp: {
     worksuite: {
       name: "أداة تعاون وإدارة مهام الفريق (Worksuite)",
-      price: "£28,000.00",
+      price: { amount: 28000, currency: "GBP" },
       duration: "12",
       readiness: "متاح لم يجرب",
       features: [
@@ -383,7 +389,7 @@ export const PROJECTS_CATALOG = {
     },
     taskHub: {
       name: "نظام إدارة مشاريع وحسابات (Task Hub)",
-      price: "£25,000.00",
+      price: { amount: 25000, currency: "GBP" },
       duration: "12",
       readiness: "متاح لم يجرب",
       features: [
@@ -403,7 +409,7 @@ export const PROJECTS_CATALOG = {
     },
     rise: {
       name: "نظام إدارة مشاريع وعلاقات عملاء (RISE)",
-      price: "£28,000.00",
+      price: { amount: 28000, currency: "GBP" },
       duration: "15",
       readiness: "متاح لم يجرب",
       features: [
@@ -425,7 +431,7 @@ export const PROJECTS_CATALOG = {
     },
     erpGoSaaS: {
       name: "نظام إدارة موارد الشركات (ERPGo SaaS)",
-      price: "£25,000.00",
+      price: { amount: 25000, currency: "GBP" },
       duration: "20",
       readiness: "متاح لم يجرب",
       features: [
@@ -451,7 +457,7 @@ export const PROJECTS_CATALOG = {
   financial: {
     viserBank: {
       name: "نظام بنك رقمي ومحافظ إلكترونية (ViserBank)",
-      price: "£50,000.00",
+      price: { amount: 50000, currency: "GBP" },
       duration: "25",
       readiness: "متاح مع تخصيص بسيط",
       features: [
@@ -473,7 +479,7 @@ export const PROJECTS_CATALOG = {
     },
     viserPay: {
       name: "نظام خدمات مالية موبايل (ViserPay MFS)",
-      price: "£45,000.00",
+      price: { amount: 45000, currency: "GBP" },
       duration: "22",
       readiness: "متاح مع تخصيص بسيط",
       features: [
@@ -494,7 +500,7 @@ export const PROJECTS_CATALOG = {
     },
     btcRR: {
       name: "منصة استثمار في البيتكوين والعملات الرقمية (btcRR)",
-      price: "£55,000.00",
+      price: { amount: 55000, currency: "GBP" },
       duration: "30",
       readiness: "يحتاج مراجعة",
       features: [
@@ -514,7 +520,7 @@ export const PROJECTS_CATALOG = {
     },
     infyVcards: {
       name: "نظام كروت العمل الرقمية (InfyVcards-SaaS)",
-      price: "£8,000.00",
+      price: { amount: 8000, currency: "GBP" },
       duration: "8",
       readiness: "متاح لم يجرب",
       features: [
@@ -540,7 +546,7 @@ export const PROJECTS_CATALOG = {
   tools: {
     taskIt: {
       name: "تطبيق بسيط لإدارة المهام والتذكيرات (Task-it)",
-      price: "£12,000.00",
+      price: { amount: 12000, currency: "GBP" },
       duration: "5",
       readiness: "متاح مع تخصيص بسيط",
       features: [
@@ -557,7 +563,7 @@ export const PROJECTS_CATALOG = {
     },
     aToZSeoTools: {
       name: "مجموعة أدوات تحسين محركات البحث SEO (A to Z SEO Tools)",
-      price: "£18,000.00",
+      price: { amount: 18000, currency: "GBP" },
       duration: "10",
       readiness: "متاح لم يجرب",
       features: [
@@ -578,7 +584,7 @@ export const PROJECTS_CATALOG = {
     },
     toolkit66: {
       name: "مجموعة أدوات ويب للمطورين (66toolkit - 1400+ أداة)",
-      price: "£12,000.00",
+      price: { amount: 12000, currency: "GBP" },
       duration: "12",
       readiness: "متاح لم يجرب",
       features: [
@@ -600,7 +606,7 @@ export const PROJECTS_CATALOG = {
     },
     deskzai: {
       name: "نظام دعم فني وتذاكر (Deskzai)",
-      price: "£18,000.00",
+      price: { amount: 18000, currency: "GBP" },
       duration: "10",
       readiness: "متاح لم يجرب",
       features: [
@@ -626,7 +632,7 @@ export const PROJECTS_CATALOG = {
   health: {
     doctro: {
       name: "نظام حجز مواعيد أطباء (Doctro SaaS)",
-      price: "£35,000.00",
+      price: { amount: 35000, currency: "GBP" },
       duration: "18",
       readiness: "متاح لم يجرب",
       features: [
@@ -652,7 +658,7 @@ export const PROJECTS_CATALOG = {
   communication: {
     mailWizz: {
       name: "نظام تسويق عبر البريد الإلكتروني (MailWizz)",
-      price: "£12,000.00",
+      price: { amount: 12000, currency: "GBP" },
       duration: "12",
       readiness: "متاح لم يجرب",
       features: [
@@ -669,7 +675,7 @@ export const PROJECTS_CATALOG = {
     },
     premiumUrlShortener: {
       name: "نظام اختصار روابط احترافي (Premium URL Shortener)",
-      price: "£12,000.00",
+      price: { amount: 12000, currency: "GBP" },
       duration: "7",
       readiness: "متاح لم يجرب",
       features: [
@@ -705,54 +711,31 @@ export const PROJECT_CATEGORIES = {
   communication: "تسويق وتواصل"
 };
 
-// 🎯 Quick Search Function
-export const searchProjects = (query, category = null) => {
-  const results = [];
-  
-  const searchInCategory = (category, projects) => {
-    Object.values(projects).forEach(project => {
-      if (project.name && project.name.toLowerCase().includes(query.toLowerCase())) {
-        results.push({
-          ...project,
-          category: category,
-          type: 'project'
-        });
-      }
-    });
-  };
+// 📋 Flat Project List (keyed by catalog id)
+// Every helper takes an optional catalog so the managed store can reuse them
+export const getAllProjects = (catalog = PROJECTS_CATALOG) => {
+  const projects = [];
 
-  if (category && PROJECTS_CATALOG[category]) {
-    searchInCategory(category, PROJECTS_CATALOG[category]);
-  } else {
-    Object.entries(PROJECTS_CATALOG).forEach(([cat, projects]) => {
-      searchInCategory(cat, projects);
+  Object.entries(catalog).forEach(([category, entries]) => {
+    Object.entries(entries).forEach(([key, project]) => {
+      projects.push({ ...project, key, category });
     });
-  }
+  });
 
-  return results;
+  return projects;
 };
 
-// 💰 Price Range Analysis
-export const getPriceAnalysis = () => {
-  const allProjects = [];
-  Object.values(PROJECTS_CATALOG).forEach(category => {
-    Object.values(category).forEach(project => {
-      if (project.price) {
-        const price = parseFloat(project.price.replace(/[£,]/g, ''));
-        allProjects.push(price);
-      }
-    });
-  });
+// 🔑 Lookup a single project by its catalog key
+export const getProjectByKey = (key, catalog = PROJECTS_CATALOG) =>
+  getAllProjects(catalog).find(project => project.key === key) || null;
 
-  const prices = allProjects.sort((a, b) => a - b);
-  const min = prices[0] || 0;
-  const max = prices[prices.length - 1] || 0;
-  const avg = prices.reduce((sum, price) => sum + price, 0) / prices.length;
+// 🎯 Quick Search Function (bilingual, fuzzy, ranked - see server/search-index.js)
+export const searchProjects = (query, category = null, catalog = PROJECTS_CATALOG, categories = PROJECT_CATEGORIES) =>
+  new SearchIndex(catalog, categories).search(query, { category });
 
-  return {
-    min: `£${min.toFixed(2)}`,
-    max: `£${max.toFixed(2)}`,
-    average: `£${avg.toFixed(2)}`,
-    total: prices.length
-  };
-};
+// 💰 Price Analysis - quartiles, per-category/tech breakdowns, unit prices, outliers and a histogram
+// (amounts in CATALOG_CURRENCY; see server/price-analytics.js)
+export const getPriceAnalysis = (catalog = PROJECTS_CATALOG, categories = PROJECT_CATEGORIES, options = {}) => ({
+  ...analyzePrices(getAllProjects(catalog), categories, options),
+  currency: CATALOG_CURRENCY
+});
@@ -0,0 +1,23 @@
+// 🌱 Seed the managed catalog from the bundled PROJECTS_CATALOG
+// Usage: npm run catalog:seed            -> Supabase (catalog_categories / catalog_projects)
+//        npm run catalog:seed -- --file  -> local JSON fallback (CATALOG_FILE, default data/catalog.json)
+
+import { createClient } from '@supabase/supabase-js';
+import dotenv from 'dotenv';
+import { CatalogStore } from '../server/catalog-store.js';
+
+dotenv.config();
+
+const target = process.argv.includes('--file') ? 'file' : 'supabase';
+
+const supabase = target === 'supabase'
+  ? createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY)
+  : null;
+
+try {
+  const counts = await new CatalogStore({ supabase }).seed({ target });
+  console.log(`✅ Seeded ${counts.projects} projects in ${counts.categories} categories (${target})`);
+} catch (error) {
+  console.error('❌ Catalog seed failed:', error.message);
+  process.exit(1);
+}
@@ -3,11 +3,36 @@
 
 import express from 'express';
 import cors from 'cors';
+import multer from 'multer';
 import { createClient } from '@supabase/supabase-js';
-import NodeCache from 'node-cache';
-import { RateLimiterMemory } from 'rate-limiter-flexible';
-import axios from 'axios';
 import dotenv from 'dotenv';
+import {
+  findRelevantProjects,
+  buildCatalogContext,
+  extractCitations,
+  extractConstraints
+} from './server/catalog-context.js';
+import { ConversationStore, trimHistory, sanitizeMessages, estimateTokens } from './server/conversation-store.js';
+import { openEventStream, sendEvent } from './server/sse.js';
+import { ProviderRegistry, ProviderSettingsError } from './server/providers/index.js';
+import { QuoteStore, QuoteError, buildQuote, clientQuote, assertClientPricing } from './server/quotes.js';
+import { renderProjectSheet, renderQuoteDocument, renderPdf, renderCsv, closePdfBrowser, ExportError } from './server/exporter.js';
+import { getPriceAnalysis, getAllProjects } from './projects-data.js';
+import { parseFilters, filterProjects, buildFacets } from './server/catalog-filters.js';
+import { DEFAULT_BINS, MAX_BINS, MONEY_FIELDS } from './server/price-analytics.js';
+import { CatalogStore, CatalogError, publicProject } from './server/catalog-store.js';
+import { compareProjects, buildComparisonPrompt, parseKeys, ComparisonError } from './server/comparison.js';
+import { parseRequirements, recommendProjects, buildRecommendationPrompt, RecommendationError } from './server/recommender.js';
+import { getRates, updateRates, withPrice, convert, formatMoney, normalizeCurrency, CurrencyError } from './server/currency.js';
+import { authenticate, requireUser, requirePermission, can, canSeeQuote, permissionsOf } from './server/auth.js';
+import { costOf, getPrices, updatePrices, UsageError } from './server/usage.js';
+import { parseAnalyticsRange, queryAnalytics, analyticsReport, AnalyticsError } from './server/analytics.js';
+import { BudgetGuard, BudgetError, clientIdOf } from './server/budgets.js';
+import { RateLimits, RateLimitError, setRateLimitHeaders, retryInfo } from './server/rate-limits.js';
+import { ResponseCache, CacheError, CACHE_SCOPES } from './server/response-cache.js';
+import { SettingsAudit } from './server/settings-audit.js';
+import { OUTPUTS, MAX_REPAIRS, parseStructured, fallbackStructured, structuredInstructions, repairInstructions } from './server/structured-output.js';
+import { inspectUploads, describeProject, ProjectInputError, MAX_UPLOAD_BYTES, MAX_UPLOAD_FILES } from './server/project-inspector.js';
 
 dotenv.config();
 
@@ -20,173 +45,304 @@ const supabase = createClient(
   process.env.SUPABASE_ANON_KEY
 );
 
-// 🚀 Smart Cache System
-const cache = new NodeCache({ 
-  stdTTL: 300, // 5 minutes
-  checkperiod: 60,
-  useClones: false
-});
-
-// 🛡️ Rate Limiting
-const rateLimiter = new RateLimiterMemory({
-  keyGenerator: (req) => req.ip,
-  points: 10, // Number of requests
-  duration: 60, // Per 60 seconds
-});
-
-// 🤖 AI API Keys Management
-const API_KEYS = {
-  gemini: {
-    keys: [
-      process.env.GEMINI_API_KEY_1,
-      process.env.GEMINI_API_KEY_2,
-      process.env.GEMINI_API_KEY_3
-    ].filter(Boolean),
-    currentIndex: 0,
-    lastUsed: 0
-  },
-  gpt: {
-    keys: [
-      process.env.GPT_API_KEY_1,
-      process.env.GPT_API_KEY_2,
-      process.env.GPT_API_KEY_3
-    ].filter(Boolean),
-    currentIndex: 0,
-    lastUsed: 0
-  }
-};
+// 💬 Conversation Memory
+const conversations = new ConversationStore({ supabase });
+const HISTORY_TOKEN_BUDGET = parseInt(process.env.HISTORY_TOKEN_BUDGET, 10) || 1500;
 
-// 🎯 Smart Key Rotation
-function getNextKey(provider) {
-  const providerKeys = API_KEYS[provider];
-  if (!providerKeys || providerKeys.keys.length === 0) {
-    throw new Error(`No API keys configured for ${provider}`);
-  }
+// 🗂️ Managed Catalog
+const catalogStore = new CatalogStore({ supabase });
 
-  const now = Date.now();
-  const keyCooldown = 1000; // 1 second between key switches
+// 🧾 Quotes
+const quotes = new QuoteStore({ supabase, catalogStore });
 
-  // Switch keys if cooldown passed or current key failed
-  if (now - providerKeys.lastUsed > keyCooldown) {
-    providerKeys.currentIndex = (providerKeys.currentIndex + 1) % providerKeys.keys.length;
-  }
+// 🛡️ Rate Limiting per route and user tier (config/rate-limits.json, shared through Redis when RATE_LIMIT_REDIS_URL is set)
+const rateLimits = new RateLimits();
 
-  providerKeys.lastUsed = now;
-  return providerKeys.keys[providerKeys.currentIndex];
-}
+// 🤖 AI Providers (env defaults, optionally overridden by config/ai-providers.json)
+const providers = new ProviderRegistry();
+
+// 🧠 Response Cache (normalized + semantic matching, per-endpoint TTLs, see config/response-cache.json)
+const cache = new ResponseCache({ supabase, providers, vocabulary: () => catalogStore.getVocabulary() });
+
+// 📜 Audit log of runtime settings changes
+const settingsAudit = new SettingsAudit({ supabase });
+
+// 🚦 Spending Budgets (config/budgets.json, editable at runtime via /api/admin/budgets)
+const budgets = new BudgetGuard({ supabase });
+const UNLIMITED = { mode: 'normal', excludeProviders: [], warnings: [] };
 
 // 🧠 Smart Query Processor
 class QueryProcessor {
-  static async processQuery(query) {
-    // Check cache first
-    const cacheKey = `query:${Buffer.from(query).toString('base64')}`;
-    const cached = cache.get(cacheKey);
-    if (cached) {
-      return { ...cached, fromCache: true };
-    }
+  // output: an OUTPUTS entry from server/structured-output.js for a schema-validated JSON answer
+  static async processQuery(query, { history = [], budget = UNLIMITED, cacheScope = 'ai-query', output = null } = {}) {
+    const { cacheable, complexity, context } = await this.prepareQuery(query, history);
+    context.output = output;
 
-    // Analyze query complexity
-    const complexity = this.analyzeComplexity(query);
+    // Follow-ups depend on earlier turns, so only stand-alone queries are cached
+    if (cacheable) {
+      const cached = await cache.get(cacheScope, query);
+      // Answers cached before an output schema applied carry no structured data
+      if (cached && (!output || cached.response.structured)) {
+        return this.fromCache(cached);
+      }
+    }
     
     // Route to appropriate AI
+    const mode = this.pickMode(complexity, budget);
     let response;
-    if (complexity.simple && complexity.quick) {
-      response = await this.quickResponse(query);
+    if (mode === 'quick') {
+      response = await this.quickResponse(query, context, budget);
     } else {
-      response = await this.deepAnalysis(query);
+      response = await this.deepAnalysis(query, context, budget);
+    }
+    if (output) {
+      response = await this.structureResponse(response, { query, mode, context, budget });
+    }
+
+    return this.finalizeResponse(response, { query, cacheScope, cacheable, context, budget });
+  }
+
+  // 🧱 Validate a JSON answer against its schema, ask the model to repair it, and as a last resort parse the text.
+  // Repair calls are folded into the response's usage and cost.
+  static async structureResponse(response, { query, mode, context, budget }) {
+    const { output } = context;
+    let attempt = response;
+    let result = parseStructured(attempt.response, output);
+    let history = [...context.history, { role: 'user', content: this.buildPrompt(query, mode, attempt.provider, context) }];
+    let repairs = 0;
+
+    while (!result.valid && repairs < MAX_REPAIRS) {
+      repairs += 1;
+      const repairQuery = repairInstructions(result.errors);
+      const repairContext = { ...context, catalogProjects: [], history: [...history, { role: 'assistant', content: attempt.response }] };
+      try {
+        attempt = await this.routeQuery(repairQuery, mode, repairContext, budget);
+      } catch (error) {
+        console.warn('Structured output repair failed:', error.message);
+        break;
+      }
+      history = [...repairContext.history, { role: 'user', content: this.buildPrompt(repairQuery, mode, attempt.provider, repairContext) }];
+      response = this.combineUsage(response, attempt);
+      result = parseStructured(attempt.response, output);
+    }
+
+    const validation = {
+      schema: output.name,
+      valid: result.valid,
+      source: result.valid ? (repairs > 0 ? 'repaired' : 'model') : 'fallback',
+      repairs,
+      errors: result.errors
+    };
+    if (!result.valid) console.warn(`Structured ${output.name} output failed validation, using the text fallback:`, result.errors.slice(0, 3));
+
+    // The fallback reads the first reply, which is the one most likely to be a complete prose answer
+    const text = result.valid ? attempt.response : response.response;
+    return {
+      ...response,
+      response: text,
+      structured: result.valid ? result.data : fallbackStructured(text, output),
+      validation
+    };
+  }
+
+  static combineUsage(first, second) {
+    const usage = {
+      inputTokens: first.usage.inputTokens + second.usage.inputTokens,
+      outputTokens: first.usage.outputTokens + second.usage.outputTokens,
+      estimated: first.usage.estimated || second.usage.estimated
+    };
+    const costUsd = first.costUsd === null || second.costUsd === null ? null : Math.round((first.costUsd + second.costUsd) * 1e6) / 1e6;
+    return { ...first, usage, costUsd };
+  }
+
+  // 📡 Same pipeline as processQuery, relaying tokens through onToken as they arrive
+  static async streamQuery(query, { history = [], onToken, signal, budget = UNLIMITED, cacheScope = 'ai-query' } = {}) {
+    const { cacheable, complexity, context } = await this.prepareQuery(query, history);
+
+    if (cacheable) {
+      const cached = await cache.get(cacheScope, query);
+      if (cached) {
+        onToken(cached.response.response);
+        return this.fromCache(cached);
+      }
     }
 
-    // Cache the response
-    cache.set(cacheKey, response);
+    const mode = this.pickMode(complexity, budget);
+    const route = this.routeFor(mode, budget);
+
+    let response;
+    for (const provider of route) {
+      let emitted = false;
+      try {
+        response = await this.streamProvider(provider, query, mode, context, (text) => {
+          emitted = true;
+          onToken(text);
+        }, signal);
+        break;
+      } catch (error) {
+        // Once tokens reached the client we cannot restart on another provider
+        if (emitted || signal?.aborted || provider === route[route.length - 1]) throw error;
+        console.warn(`${provider.name} stream failed, trying next provider:`, error.message);
+      }
+    }
+
+    return this.finalizeResponse(response, { query, cacheScope, cacheable, context, budget });
+  }
+
+  // A semantic hit also says which earlier question it answered
+  static fromCache({ response, match, similarity, cachedQuery }) {
+    return {
+      ...response,
+      fromCache: true,
+      cacheMatch: match === 'exact' ? { match } : { match, similarity, cachedQuery }
+    };
+  }
+
+  // 🚦 Over-budget callers are held to the cheap path, or to cached answers only
+  static pickMode(complexity, budget) {
+    if (budget.mode === 'cache-only') {
+      throw new BudgetError('Monthly AI budget reached - only cached answers are available', 402);
+    }
+    if (budget.mode === 'quick') return 'quick';
+    return complexity.simple && complexity.quick ? 'quick' : 'detailed';
+  }
+
+  static routeFor(mode, budget) {
+    const route = providers.route(mode).filter(provider => !budget.excludeProviders.includes(provider.name));
+    if (route.length === 0) {
+      throw new BudgetError('Every AI provider has reached its monthly budget - only cached answers are available', 402);
+    }
+    return route;
+  }
+
+  static async prepareQuery(query, history) {
+    // Recent user turns help resolve follow-ups like "and the Flutter version?"
+    const recentTurns = history
+      .filter(message => message.role === 'user')
+      .slice(-2)
+      .map(message => message.content);
+    const retrievalText = [...recentTurns, query].join('\n');
+
+    // Analyze query complexity
+    const complexity = this.analyzeComplexity(query);
+
+    // Ground catalog questions in real PROJECTS_CATALOG entries
+    const needsData = complexity.needsData || this.analyzeComplexity(retrievalText).needsData;
+    const catalog = await catalogStore.getCatalog();
+    const categories = await catalogStore.getCategoryLabels();
+    const catalogProjects = needsData ? findRelevantProjects(retrievalText, { catalog, categories }) : [];
+
+    return {
+      cacheable: history.length === 0,
+      complexity,
+      context: { catalogProjects, categories, history }
+    };
+  }
+
+  static finalizeResponse(response, { query, cacheScope, cacheable, context, budget }) {
+    const { catalogProjects } = context;
+    if (catalogProjects.length > 0) {
+      response.sources = catalogProjects.map(project => project.key);
+      response.citations = extractCitations(response.response, catalogProjects);
+    }
+
+    // Cache the response (embedding and persistence happen off the request path)
+    if (cacheable) {
+      cache.set(cacheScope, query, response).catch(error => console.warn('Failed to cache response:', error.message));
+    }
     
+    // Budget notes are per request, so they are attached after caching
+    if (budget.mode !== 'normal' || budget.warnings.length > 0) {
+      return { ...response, budget: { mode: budget.mode, warnings: budget.warnings } };
+    }
     return response;
   }
 
   static analyzeComplexity(query) {
     const text = query.toLowerCase();
+    const constraints = extractConstraints(query);
     return {
       simple: text.length < 100,
       quick: text.includes('what') || text.includes('how') || text.includes('list'),
       complex: text.length > 200 || text.includes('analyze') || text.includes('compare'),
-      needsData: text.includes('project') || text.includes('data') || text.includes('statistics')
+      needsData: text.includes('project') || text.includes('data') || text.includes('statistics') ||
+        text.includes('price') || text.includes('budget') || text.includes('catalog') ||
+        text.includes('مشروع') || text.includes('سعر') ||
+        Boolean(constraints.budget || constraints.maxWeeks)
     };
   }
 
-  static async quickResponse(query) {
-    // Try Gemini first for quick responses
-    try {
-      return await this.callGemini(query, 'quick');
-    } catch (error) {
-      console.warn('Gemini failed, trying GPT:', error.message);
-      return await this.callGPT(query, 'quick');
-    }
+  static async quickResponse(query, context = {}, budget = UNLIMITED) {
+    return this.routeQuery(query, 'quick', context, budget);
   }
 
-  static async deepAnalysis(query) {
-    // Try GPT for complex analysis
-    try {
-      return await this.callGPT(query, 'detailed');
-    } catch (error) {
-      console.warn('GPT failed, trying Gemini:', error.message);
-      return await this.callGemini(query, 'detailed');
-    }
+  static async deepAnalysis(query, context = {}, budget = UNLIMITED) {
+    return this.routeQuery(query, 'detailed', context, budget);
   }
 
-  static async callGemini(query, mode = 'quick') {
-    const key = getNextKey('gemini');
-    const prompt = this.buildPrompt(query, mode, 'gemini');
-    
-    const response = await axios.post(
-      `https://generativelanguage.googleapis.com/v1beta/models/gemini-pro:generateContent?key=${key}`,
-      {
-        contents: [{ parts: [{ text: prompt }] }]
-      },
-      {
-        headers: { 'Content-Type': 'application/json' },
-        timeout: 10000
+  // 🧭 Try each provider configured for the mode until one answers
+  static async routeQuery(query, mode, context, budget) {
+    const route = this.routeFor(mode, budget);
+    for (const provider of route) {
+      try {
+        return await this.callProvider(provider, query, mode, context);
+      } catch (error) {
+        if (provider === route[route.length - 1]) throw error;
+        console.warn(`${provider.name} failed, trying next provider:`, error.message);
       }
-    );
+    }
+  }
 
-    return {
-      provider: 'gemini',
-      response: response.data.candidates[0].content.parts[0].text,
-      mode,
-      timestamp: new Date().toISOString()
-    };
+  static buildMessages(query, mode, provider, context) {
+    const { history = [] } = context;
+    return [...history, { role: 'user', content: this.buildPrompt(query, mode, provider.name, context) }];
   }
 
-  static async callGPT(query, mode = 'quick') {
-    const key = getNextKey('gpt');
-    const prompt = this.buildPrompt(query, mode, 'gpt');
-    
-    const response = await axios.post(
-      'https://api.openai.com/v1/chat/completions',
-      {
-        model: 'gpt-4o',
-        messages: [{ role: 'user', content: prompt }],
-        max_tokens: mode === 'quick' ? 150 : 500,
-        temperature: 0.7
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${key}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: 15000
-      }
-    );
+  static async callProvider(provider, query, mode = 'quick', context = {}) {
+    const messages = this.buildMessages(query, mode, provider, context);
+    const { text, usage } = await provider.complete({ messages, mode, json: context.output || null });
+    return this.buildResponse(provider, mode, messages, text, usage);
+  }
+
+  static async streamProvider(provider, query, mode, context, onToken, signal) {
+    const messages = this.buildMessages(query, mode, provider, context);
+    const { text, usage } = await provider.stream({ messages, mode, signal, onToken });
+    return this.buildResponse(provider, mode, messages, text, usage);
+  }
+
+  // 💸 Providers that report no usage (some local servers) get a character-based estimate
+  static buildResponse(provider, mode, messages, text, reported) {
+    const usage = reported?.inputTokens !== undefined && reported?.outputTokens !== undefined
+      ? { ...reported, estimated: false }
+      : {
+        inputTokens: reported?.inputTokens ?? messages.reduce((sum, message) => sum + estimateTokens(message.content), 0),
+        outputTokens: reported?.outputTokens ?? estimateTokens(text),
+        estimated: true
+      };
 
     return {
-      provider: 'gpt',
-      response: response.data.choices[0].message.content,
+      provider: provider.name,
+      model: provider.model,
+      response: text,
+      usage,
+      costUsd: costOf(provider.model, usage),
       mode,
       timestamp: new Date().toISOString()
     };
   }
 
-  static buildPrompt(query, mode, provider) {
-    const basePrompt = `You are an AI Project Manager assistant. Help users manage their software projects efficiently.`;
+  static buildPrompt(query, mode, provider, { catalogProjects = [], categories, output = null } = {}) {
+    let basePrompt = `You are an AI Project Manager assistant. Help users manage their software projects efficiently.`;
+
+    if (catalogProjects.length > 0) {
+      basePrompt += `\n\nAnswer using ONLY the catalog entries below. Never invent projects, prices or durations. ` +
+        `Cite every project you mention by its key in square brackets, e.g. [${catalogProjects[0].key}]. ` +
+        `If no entry fits the request, say so.\n\nCatalog entries:\n${buildCatalogContext(catalogProjects, categories)}`;
+    }
     
+    if (output) {
+      return `${basePrompt}\n\nUser query: ${query}\n\n${structuredInstructions(output)}`;
+    }
     if (mode === 'quick') {
       return `${basePrompt}\n\nUser query: ${query}\n\nProvide a quick, helpful response (max 100 words).`;
     } else {
@@ -195,64 +351,173 @@ class QueryProcessor {
   }
 }
 
+// 📜 Apply a settings change and record who changed what
+async function auditedUpdate(req, section, current, update) {
+  const before = structuredClone(current());
+  const after = await update();
+  await settingsAudit.record({ section, user: req.user, before, after });
+  return after;
+}
+
 // 🛠️ Middleware
-app.use(cors());
+app.use(cors({ exposedHeaders: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After'] }));
 app.use(express.json({ limit: '10mb' }));
+app.use(authenticate);
 
-// 📊 Health Check
+// 📊 Health Check (per-key status is for admins only)
 app.get('/api/health', (req, res) => {
   res.json({
     status: 'healthy',
     timestamp: new Date().toISOString(),
-    cache_stats: cache.getStats(),
-    api_keys_status: {
-      gemini: API_KEYS.gemini.keys.length,
-      gpt: API_KEYS.gpt.keys.length
-    }
+    cache_stats: cache.stats(),
+    ...(can(req.user, 'settings:manage') && { api_keys_status: providers.status() })
   });
 });
 
+// 🪪 The signed-in user's role and what it may do (drives which tabs the UI shows)
+app.get('/api/me', requireUser, (req, res) => {
+  const { id, email, role } = req.user;
+  res.json({ success: true, data: { id, email, role, permissions: permissionsOf(req.user) } });
+});
+
+// 🙈 Staff see internal notes; clients and anonymous visitors get the public fields
+const projectView = (req, project) => (can(req.user, 'notes:read') ? project : publicProject(project));
+const quoteView = (req, quote) => (can(req.user, 'notes:read') ? quote : clientQuote(quote));
+
+// 💬 Load the user's session history (or client-supplied context for stateless callers)
+async function loadSession(conversationId, context, userId) {
+  // Someone else's conversation id (or one whose owner cannot be checked) starts a fresh session
+  const owned = conversationId && !(await conversations.isOwnedByAnother(conversationId, userId).catch(error => {
+    console.warn(error.message);
+    return true;
+  }));
+  const id = owned ? conversationId : conversations.start(userId);
+  const stored = owned ? await conversations.getHistory(conversationId, userId) : [];
+  const seed = stored.length > 0 ? [] : sanitizeMessages(context);
+
+  return {
+    id,
+    seed,
+    history: trimHistory(stored.length > 0 ? stored : seed, HISTORY_TOKEN_BUDGET)
+  };
+}
+
+// 📝 Persist the exchange to the session and log it to Supabase for analytics
+async function recordExchange(req, session, query, response, startedAt) {
+  await conversations.append(session.id, [
+    ...session.seed,
+    { role: 'user', content: query },
+    { role: 'assistant', content: response.response }
+  ], req.user.id);
+
+  await recordQuery(req, query, response, startedAt);
+}
+
+// 📝 Log every AI call with its tokens, cost and latency; cache hits cost nothing
+async function recordQuery(req, query, response, startedAt) {
+  const billed = !response.fromCache;
+  if (billed) budgets.record(clientIdOf(req), response.provider, response.costUsd);
+
+  await logQuery(req, startedAt, {
+    query,
+    response: response.response,
+    provider: response.provider,
+    model: response.model,
+    input_tokens: billed ? response.usage?.inputTokens || 0 : 0,
+    output_tokens: billed ? response.usage?.outputTokens || 0 : 0,
+    tokens_estimated: billed ? Boolean(response.usage?.estimated) : false,
+    cost_usd: billed ? response.costUsd ?? null : 0,
+    from_cache: response.fromCache || false,
+    sources: response.sources || null
+  });
+}
+
+// ⚠️ Failed calls are logged too so analytics can report an error rate; budget refusals are not failures
+async function recordFailure(req, query, error, startedAt) {
+  if (error instanceof BudgetError) return;
+  await logQuery(req, startedAt, { query, status: 'error', error: String(error.message).slice(0, 500) });
+}
+
+async function logQuery(req, startedAt, fields) {
+  try {
+    const { error } = await supabase.from('ai_queries').insert({
+      ...fields,
+      endpoint: req.route?.path || req.path,
+      latency_ms: Date.now() - startedAt,
+      client_id: clientIdOf(req),
+      user_id: req.user?.id || null,
+      user_agent: req.headers['user-agent']
+    });
+    if (error) throw error;
+  } catch (logError) {
+    console.warn('Failed to log to Supabase:', logError.message);
+  }
+}
+
+// 🚦 Budget-checked, logged AI call for endpoints that build their own prompt
+async function runQuery(req, prompt, options = {}) {
+  const startedAt = Date.now();
+  try {
+    const budget = await budgets.check(clientIdOf(req));
+    const response = await QueryProcessor.processQuery(prompt, { ...options, budget });
+    await recordQuery(req, prompt, response, startedAt);
+    return response;
+  } catch (error) {
+    await recordFailure(req, prompt, error, startedAt);
+    throw error;
+  }
+}
+
+// 🤖 Optional AI summary of deterministic results; failures are reported alongside them, never thrown
+async function aiSummary(req, res, prompt, label) {
+  if (!req.user) {
+    return { summary: null, summaryError: 'Sign in to get an AI summary' };
+  }
+
+  const limit = await rateLimits.consume(req, 'ai-summary');
+  if (limit) setRateLimitHeaders(res, limit);
+  if (limit?.limited) {
+    const { retryAfter, retryAt } = retryInfo(limit);
+    return { summary: null, summaryError: `Too many AI summaries, try again in ${retryAfter}s`, retryAt };
+  }
+
+  try {
+    return { summary: (await runQuery(req, prompt, { cacheScope: 'ai-summary' })).response, summaryError: null };
+  } catch (error) {
+    console.warn(`${label} summary failed:`, error.message);
+    return { summary: null, summaryError: error instanceof BudgetError ? error.message : 'AI summary is unavailable right now' };
+  }
+}
+
 // 🤖 AI Query Endpoint
-app.post('/api/ai/query', async (req, res) => {
+app.post('/api/ai/query', requireUser, rateLimits.middleware('ai-query'), async (req, res) => {
+  const startedAt = Date.now();
   try {
-    // Rate limiting
-    await rateLimiter.consume(req.ip);
-    
-    const { query, context } = req.body;
+    const { query, context, conversationId } = req.body;
     
     if (!query || typeof query !== 'string') {
       return res.status(400).json({ error: 'Invalid query' });
     }
 
+    const session = await loadSession(conversationId, context, req.user.id);
+    const budget = await budgets.check(clientIdOf(req));
+
     // Process the query
-    const response = await QueryProcessor.processQuery(query);
-    
-    // Log to Supabase for analytics
-    try {
-      await supabase.from('ai_queries').insert({
-        query,
-        response: response.response,
-        provider: response.provider,
-        from_cache: response.fromCache || false,
-        ip_address: req.ip,
-        user_agent: req.headers['user-agent']
-      });
-    } catch (logError) {
-      console.warn('Failed to log to Supabase:', logError.message);
-    }
+    const response = await QueryProcessor.processQuery(query, { history: session.history, budget });
+
+    await recordExchange(req, session, query, response, startedAt);
 
     res.json({
       success: true,
-      data: response
+      data: { ...response, conversationId: session.id }
     });
 
   } catch (error) {
-    console.error('AI Query Error:', error);
-    
-    if (error.message.includes('Rate limit')) {
-      return res.status(429).json({ error: 'Too many requests' });
+    await recordFailure(req, req.body.query, error, startedAt);
+    if (error instanceof BudgetError || error instanceof RateLimitError) {
+      return res.status(error.status).json({ error: error.message });
     }
-    
+    console.error('AI Query Error:', error);
     res.status(500).json({ 
       error: 'Internal server error',
       message: error.message 
@@ -260,57 +525,145 @@ app.post('/api/ai/query', async (req, res) => {
   }
 });
 
-// 📈 Project Analysis Endpoint
-app.post('/api/ai/analyze-project', async (req, res) => {
+// 📡 Streaming AI Query Endpoint (Server-Sent Events)
+app.post('/api/ai/query/stream', requireUser, rateLimits.middleware('ai-query'), async (req, res) => {
+  const { query, context, conversationId } = req.body;
+
+  if (!query || typeof query !== 'string') {
+    return res.status(400).json({ error: 'Invalid query' });
+  }
+
+  // Stop the upstream provider call when the client cancels
+  const controller = new AbortController();
+  res.on('close', () => controller.abort());
+  const startedAt = Date.now();
+
   try {
-    const { projectPath, projectType } = req.body;
-    
-    // Check cache first
-    const cacheKey = `analyze:${projectPath}:${projectType}`;
-    const cached = cache.get(cacheKey);
-    if (cached) {
-      return res.json({ success: true, data: cached, fromCache: true });
+    const session = await loadSession(conversationId, context, req.user.id);
+    const budget = await budgets.check(clientIdOf(req));
+
+    openEventStream(res);
+    sendEvent(res, 'meta', { conversationId: session.id, budget });
+
+    const response = await QueryProcessor.streamQuery(query, {
+      history: session.history,
+      budget,
+      signal: controller.signal,
+      onToken: (text) => sendEvent(res, 'token', { text })
+    });
+
+    await recordExchange(req, session, query, response, startedAt);
+
+    sendEvent(res, 'done', { ...response, conversationId: session.id });
+  } catch (error) {
+    if (controller.signal.aborted) return;
+    await recordFailure(req, query, error, startedAt);
+    const expected = error instanceof BudgetError || error instanceof RateLimitError;
+    if (!expected) console.error('AI Stream Error:', error);
+
+    // Before the stream opens, answer with the same status /api/ai/query would
+    if (!res.headersSent) {
+      return expected
+        ? res.status(error.status).json({ error: error.message })
+        : res.status(500).json({ error: 'Internal server error', message: error.message });
     }
+    sendEvent(res, 'error', { message: error.message });
+  } finally {
+    res.end();
+  }
+});
 
-    // Build analysis prompt
-    const prompt = `Analyze this ${projectType} project at ${projectPath}. Provide:
+// 💬 Conversation History (scoped to the signed-in user)
+app.get('/api/conversations', requireUser, async (req, res) => {
+  try {
+    const sessions = await conversations.list(req.user.id);
+    res.json({ success: true, data: sessions });
+  } catch (error) {
+    console.error('Conversations Error:', error);
+    res.status(500).json({ error: 'Failed to fetch conversations' });
+  }
+});
+
+app.get('/api/conversations/:id', requireUser, async (req, res) => {
+  try {
+    const messages = await conversations.getHistory(req.params.id, req.user.id);
+    res.json({ success: true, data: { conversationId: req.params.id, messages } });
+  } catch (error) {
+    console.error('Conversation Error:', error);
+    res.status(500).json({ error: 'Failed to fetch conversation' });
+  }
+});
+
+app.delete('/api/conversations/:id', requireUser, async (req, res) => {
+  try {
+    await conversations.clear(req.params.id, req.user.id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Conversation Error:', error);
+    res.status(500).json({ error: 'Failed to delete conversation' });
+  }
+});
+
+// 📈 Project Analysis Endpoint - multipart "files": package.json, composer.json, pubspec.yaml and/or a .zip of the source
+const projectUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: MAX_UPLOAD_FILES }
+}).array('files', MAX_UPLOAD_FILES);
+
+const receiveProjectFiles = (req, res, next) => projectUpload(req, res, (error) => {
+  if (error instanceof multer.MulterError) {
+    const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+    return res.status(status).json({ error: error.code === 'LIMIT_FILE_SIZE' ? `Files are limited to ${MAX_UPLOAD_BYTES / 1024 / 1024}MB` : error.message });
+  }
+  next(error);
+});
+
+app.post('/api/ai/analyze-project', requireUser, rateLimits.middleware('ai-analyze'), receiveProjectFiles, async (req, res) => {
+  try {
+    // Facts are extracted locally, so the model analyses the real dependencies and layout
+    const project = inspectUploads(req.files);
+    const projectType = req.body.projectType || project.frameworks.slice(0, 3).join(' + ') || 'software';
+
+    const prompt = `Analyze this ${projectType} project. The facts below were extracted from its actual files; ` +
+      `refer to specific dependencies, versions and files, and do not assume technologies that are not listed.
+
+Project facts:
+${describeProject(project)}
+
+Cover, in this order:
 1. Technical stack analysis
 2. Architecture recommendations
 3. Performance optimizations
-4. Security considerations
+4. Security considerations (risky or outdated dependencies, exposed secrets)
 5. Deployment strategy`;
 
-    const response = await QueryProcessor.processQuery(prompt);
-    
-    // Cache the analysis
-    cache.set(cacheKey, response, 3600); // Cache for 1 hour
-    
+    // Answered as schema-checked JSON sections; cached for the ai-analyze TTL (1 hour by default)
+    const response = await runQuery(req, prompt, { cacheScope: 'ai-analyze', output: OUTPUTS['project-analysis'] });
+
     res.json({ 
       success: true, 
       data: response,
-      fromCache: false 
+      project,
+      fromCache: Boolean(response.fromCache)
     });
 
   } catch (error) {
+    if (error instanceof BudgetError || error instanceof ProjectInputError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Project Analysis Error:', error);
     res.status(500).json({ error: 'Analysis failed' });
   }
 });
 
 // 🎯 Smart Suggestions Endpoint
-app.get('/api/ai/suggestions/:type', async (req, res) => {
+app.get('/api/ai/suggestions/:type', requireUser, rateLimits.middleware('ai-suggestions'), async (req, res) => {
   try {
     const { type } = req.params;
-    const cacheKey = `suggestions:${type}`;
-    
-    let suggestions = cache.get(cacheKey);
-    if (!suggestions) {
-      // Generate suggestions based on type
-      const prompt = `Provide 5 smart suggestions for ${type} project management. Focus on efficiency and best practices.`;
-      
-      suggestions = await QueryProcessor.processQuery(prompt);
-      cache.set(cacheKey, suggestions, 1800); // Cache for 30 minutes
-    }
+
+    // Five typed suggestion cards (schema-checked JSON), cached for the ai-suggestions TTL (30 minutes by default)
+    const prompt = `Provide 5 smart suggestions for ${type} project management. Focus on efficiency and best practices.`;
+    const suggestions = await runQuery(req, prompt, { cacheScope: 'ai-suggestions', output: OUTPUTS.suggestions });
 
     res.json({ 
       success: true, 
@@ -318,48 +671,624 @@ app.get('/api/ai/suggestions/:type', async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof BudgetError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Suggestions Error:', error);
     res.status(500).json({ error: 'Failed to get suggestions' });
   }
 });
 
-// 📊 Analytics endpoint
-app.get('/api/analytics', async (req, res) => {
+// 🗂️ Catalog Endpoints (?currency=EGP re-prices every result)
+app.get('/api/projects/search', async (req, res) => {
   try {
-    const { data, error } = await supabase
-      .from('ai_queries')
-      .select('*')
-      .order('created_at', { ascending: false })
-      .limit(100);
+    const { q = '', locale } = req.query;
+    const filters = parseFilters(req.query);
+    const query = String(q).trim();
+
+    // Text query narrows and ranks first; facets and filters apply on top
+    const candidates = query
+      ? (await catalogStore.getSearchIndex()).search(query, { limit: Infinity })
+      : getAllProjects(await catalogStore.getCatalog());
+    const categories = await catalogStore.getCategoryLabels();
+    const results = filterProjects(candidates, filters, { hasQuery: Boolean(query) });
 
-    if (error) {
-      console.error('Analytics error:', error);
-      return res.status(500).json({ 
-        error: 'Failed to fetch analytics',
-        details: error.message 
-      });
+    res.json({
+      success: true,
+      data: {
+        total: results.length,
+        results: results.map(project => withPrice(projectView(req, project), filters.currency, locale)),
+        facets: buildFacets(candidates, filters, categories)
+      }
+    });
+  } catch (error) {
+    if (error instanceof CurrencyError) {
+      return res.status(error.status).json({ error: error.message });
     }
+    console.error('Project Search Error:', error);
+    res.status(500).json({ error: 'Search failed' });
+  }
+});
 
-    const stats = {
-      totalQueries: data?.length || 0,
-      cacheHitRate: cache.getStats().hitRate || 0,
-      apiUsage: {
-        gpt: apiStats?.gpt || 0,
-        gemini: apiStats?.gemini || 0
-      },
-      recentQueries: data?.slice(0, 10) || []
+// 💰 Catalog price distribution (?bins= sets the histogram resolution, ?currency= re-prices every amount)
+app.get('/api/projects/price-analysis', async (req, res) => {
+  try {
+    const code = normalizeCurrency(req.query.currency);
+    const bins = Math.min(Math.max(parseInt(req.query.bins, 10) || DEFAULT_BINS, 1), MAX_BINS);
+    const analysis = getPriceAnalysis(await catalogStore.getCatalog(), await catalogStore.getCategoryLabels(), { bins });
+    const priced = (amount) => {
+      if (amount === null) return null;
+      const value = convert(amount, analysis.currency, code);
+      return { amount: value, formatted: formatMoney(value, code, req.query.locale) };
     };
+    const pricedStats = (stats) => ({
+      ...stats,
+      ...Object.fromEntries(MONEY_FIELDS.map(field => [field, priced(stats[field])]))
+    });
+
+    res.json({
+      success: true,
+      data: {
+        ...pricedStats(analysis),
+        currency: code,
+        total: analysis.total,
+        unpriced: analysis.unpriced,
+        per_week: pricedStats(analysis.per_week),
+        per_feature: pricedStats(analysis.per_feature),
+        by_category: analysis.by_category.map(pricedStats),
+        by_tech: analysis.by_tech.map(pricedStats),
+        outliers: analysis.outliers.map(outlier => ({ ...outlier, price: priced(outlier.price), fence: priced(outlier.fence) })),
+        histogram: analysis.histogram.map(bin => ({ ...bin, from: priced(bin.from), to: priced(bin.to) }))
+      }
+    });
+  } catch (error) {
+    if (error instanceof CurrencyError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Price Analysis Error:', error);
+    res.status(500).json({ error: 'Price analysis failed' });
+  }
+});
+
+// ⚖️ Side-by-side comparison (?keys=sixValley,safeCart&summary=true adds an AI trade-off summary)
+app.get('/api/projects/compare', async (req, res) => {
+  try {
+    const keys = parseKeys(req.query.keys);
+    const projects = await Promise.all(keys.map(key => catalogStore.getProject(key)));
+    const missing = keys.filter((key, index) => !projects[index] || projects[index].archived);
+    if (missing.length > 0) {
+      return res.status(404).json({ error: `Unknown catalog projects: ${missing.join(', ')}` });
+    }
+
+    const categories = await catalogStore.getCategoryLabels();
+    const comparison = compareProjects(projects, categories, {
+      currency: req.query.currency,
+      locale: req.query.locale
+    });
+
+    // The matrix never depends on the AI
+    const summary = req.query.summary === 'true'
+      ? await aiSummary(req, res, buildComparisonPrompt(comparison), 'Comparison')
+      : { summary: null, summaryError: null };
 
-    res.json(stats);
+    res.json({ success: true, data: { ...comparison, ...summary } });
   } catch (error) {
-    console.error('Analytics endpoint error:', error);
+    if (error instanceof ComparisonError || error instanceof CurrencyError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Comparison Error:', error);
+    res.status(500).json({ error: 'Comparison failed' });
+  }
+});
+
+// 🧭 Requirements-based shortlist ({ budget, currency, maxWeeks, platform, features, explain: true })
+app.post('/api/projects/recommend', async (req, res) => {
+  try {
+    const requirements = parseRequirements(req.body);
+    const results = recommendProjects(requirements, {
+      catalog: await catalogStore.getCatalog(),
+      categories: await catalogStore.getCategoryLabels(),
+      index: await catalogStore.getSearchIndex()
+    });
+
+    // Scores and explanations are deterministic; the AI only rephrases them when asked
+    const summary = req.body.explain === true && results.length > 0
+      ? await aiSummary(req, res, buildRecommendationPrompt(results), 'Recommendation')
+      : { summary: null, summaryError: null };
+
+    res.json({
+      success: true,
+      data: {
+        requirements: { ...requirements, budget: req.body.budget ?? null },
+        results: results.map(project => withPrice(projectView(req, project), requirements.currency, req.body.locale)),
+        ...summary
+      }
+    });
+  } catch (error) {
+    if (error instanceof RecommendationError || error instanceof CurrencyError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Recommendation Error:', error);
+    res.status(500).json({ error: 'Recommendation failed' });
+  }
+});
+
+// 🛠️ Catalog Management (reads are public, writes need the admin key)
+const handleCatalogError = (res, error) => {
+  if (error instanceof CatalogError || error instanceof CurrencyError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error('Catalog Error:', error);
+  res.status(500).json({ error: 'Catalog operation failed' });
+};
+
+// Every cache scope is grounded in catalog entries (see prepareQuery), so an edit drops all cached answers
+const invalidateCatalogAnswers = async () => {
+  try {
+    await cache.invalidate();
+  } catch (error) {
+    console.warn('Failed to clear cached answers after a catalog edit:', error.message);
+  }
+};
+
+app.get('/api/categories', async (req, res) => {
+  try {
+    res.json({ success: true, data: await catalogStore.listCategories() });
+  } catch (error) {
+    handleCatalogError(res, error);
+  }
+});
+
+app.post('/api/categories', requirePermission('catalog:manage'), async (req, res) => {
+  try {
+    const category = await catalogStore.createCategory(req.body);
+    await invalidateCatalogAnswers();
+    res.status(201).json({ success: true, data: category });
+  } catch (error) {
+    handleCatalogError(res, error);
+  }
+});
+
+app.put('/api/categories/:key', requirePermission('catalog:manage'), async (req, res) => {
+  try {
+    const category = await catalogStore.updateCategory(req.params.key, req.body);
+    await invalidateCatalogAnswers();
+    res.json({ success: true, data: category });
+  } catch (error) {
+    handleCatalogError(res, error);
+  }
+});
+
+app.get('/api/projects', async (req, res) => {
+  try {
+    const projects = await catalogStore.listProjects({ category: req.query.category || null });
+    res.json({ success: true, data: projects.map(project => projectView(req, project)) });
+  } catch (error) {
+    handleCatalogError(res, error);
+  }
+});
+
+app.get('/api/projects/:key', async (req, res) => {
+  try {
+    const project = await catalogStore.getProject(req.params.key);
+    if (!project || project.archived) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    res.json({ success: true, data: projectView(req, project) });
+  } catch (error) {
+    handleCatalogError(res, error);
+  }
+});
+
+app.get('/api/admin/projects', requirePermission('catalog:manage'), async (req, res) => {
+  try {
+    const projects = await catalogStore.listProjects({ category: req.query.category || null, includeArchived: true });
+    res.json({ success: true, data: projects });
+  } catch (error) {
+    handleCatalogError(res, error);
+  }
+});
+
+app.post('/api/projects', requirePermission('catalog:manage'), async (req, res) => {
+  try {
+    const project = await catalogStore.createProject(req.body);
+    await invalidateCatalogAnswers();
+    res.status(201).json({ success: true, data: project });
+  } catch (error) {
+    handleCatalogError(res, error);
+  }
+});
+
+app.put('/api/projects/:key', requirePermission('catalog:manage'), async (req, res) => {
+  try {
+    const project = await catalogStore.updateProject(req.params.key, req.body);
+    await invalidateCatalogAnswers();
+    res.json({ success: true, data: project });
+  } catch (error) {
+    handleCatalogError(res, error);
+  }
+});
+
+app.post('/api/projects/:key/archive', requirePermission('catalog:manage'), async (req, res) => {
+  try {
+    const project = await catalogStore.archiveProject(req.params.key);
+    await invalidateCatalogAnswers();
+    res.json({ success: true, data: project });
+  } catch (error) {
+    handleCatalogError(res, error);
+  }
+});
+
+app.post('/api/projects/:key/restore', requirePermission('catalog:manage'), async (req, res) => {
+  try {
+    const project = await catalogStore.archiveProject(req.params.key, false);
+    await invalidateCatalogAnswers();
+    res.json({ success: true, data: project });
+  } catch (error) {
+    handleCatalogError(res, error);
+  }
+});
+
+// 💱 Exchange Rates
+app.get('/api/exchange-rates', (req, res) => {
+  res.json({ success: true, data: getRates() });
+});
+
+app.put('/api/admin/exchange-rates', requirePermission('settings:manage'), async (req, res) => {
+  try {
+    const rates = await auditedUpdate(req, 'exchange-rates', getRates, () => updateRates(req.body));
+    res.json({ success: true, data: rates });
+  } catch (error) {
+    if (error instanceof CurrencyError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Exchange Rates Error:', error);
+    res.status(500).json({ error: 'Failed to update exchange rates' });
+  }
+});
+
+// 🧾 Quotation Endpoints
+const handleQuoteError = (res, error) => {
+  if (error instanceof QuoteError || error instanceof CurrencyError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error('Quote Error:', error);
+  res.status(500).json({ error: 'Quote operation failed' });
+};
+
+app.post('/api/quotes/preview', async (req, res) => {
+  try {
+    res.json({ success: true, data: buildQuote(req.body, await catalogStore.getCatalog()) });
+  } catch (error) {
+    handleQuoteError(res, error);
+  }
+});
+
+// Clients request quotes for themselves at catalog prices; sales can build one for any client (ownerId)
+app.post('/api/quotes', requireUser, async (req, res) => {
+  try {
+    const { ownerId, ...input } = req.body;
+    if (!can(req.user, 'quotes:manage')) assertClientPricing(input);
+    const quote = can(req.user, 'quotes:manage')
+      ? await quotes.create(input, { ownerId: ownerId || req.user.id, createdBy: req.user.id })
+      : await quotes.create({ ...input, internalNotes: '' }, { ownerId: req.user.id, createdBy: req.user.id });
+    res.status(201).json({ success: true, data: quoteView(req, quote) });
+  } catch (error) {
+    handleQuoteError(res, error);
+  }
+});
+
+app.get('/api/quotes', requireUser, async (req, res) => {
+  try {
+    const list = can(req.user, 'quotes:manage')
+      ? await quotes.list({ ownerId: req.query.ownerId })
+      : await quotes.list({ ownerId: req.user.id });
+    res.json({ success: true, data: list.map(quote => quoteView(req, quote)) });
+  } catch (error) {
+    handleQuoteError(res, error);
+  }
+});
+
+// Someone else's quote is reported as missing rather than forbidden
+app.get('/api/quotes/:id', requireUser, async (req, res) => {
+  try {
+    const version = req.query.version ? parseInt(req.query.version, 10) : null;
+    const quote = await quotes.get(req.params.id, version);
+    if (!quote || !canSeeQuote(req.user, quote)) {
+      return res.status(404).json({ error: 'Quote not found' });
+    }
+    res.json({ success: true, data: quoteView(req, quote) });
+  } catch (error) {
+    handleQuoteError(res, error);
+  }
+});
+
+app.get('/api/quotes/:id/versions', requireUser, async (req, res) => {
+  try {
+    const versions = await quotes.versions(req.params.id);
+    if (versions.length === 0 || !canSeeQuote(req.user, versions[versions.length - 1])) {
+      return res.status(404).json({ error: 'Quote not found' });
+    }
+    res.json({ success: true, data: versions.map(quote => quoteView(req, quote)) });
+  } catch (error) {
+    handleQuoteError(res, error);
+  }
+});
+
+app.put('/api/quotes/:id', requirePermission('quotes:manage'), async (req, res) => {
+  try {
+    const { ownerId, ...changes } = req.body;
+    const quote = await quotes.revise(req.params.id, changes, { ownerId, createdBy: req.user.id });
+    res.json({ success: true, data: quote });
+  } catch (error) {
+    handleQuoteError(res, error);
+  }
+});
+
+// 🖨️ Export Endpoints (?format=html|pdf)
+const sendDocument = async (req, res, html, filename) => {
+  if (req.query.format === 'pdf') {
+    const pdf = await renderPdf(html);
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${filename}.pdf"`
+    });
+    return res.send(pdf);
+  }
+
+  res.type('html').send(html);
+};
+
+const handleExportError = (res, error) => {
+  if (error instanceof ExportError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error('Export Error:', error);
+  res.status(500).json({ error: 'Export failed' });
+};
+
+app.get('/api/export/projects/:key', requireUser, rateLimits.middleware('export'), async (req, res) => {
+  try {
+    const project = await catalogStore.getProject(req.params.key);
+    if (!project || project.archived) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    const categories = await catalogStore.getCategoryLabels();
+    await sendDocument(req, res, renderProjectSheet(project, categories), `project-${project.key}`);
+  } catch (error) {
+    handleExportError(res, error);
+  }
+});
+
+app.get('/api/export/quotes/:id', requireUser, rateLimits.middleware('export'), async (req, res) => {
+  try {
+    const version = req.query.version ? parseInt(req.query.version, 10) : null;
+    const quote = await quotes.get(req.params.id, version);
+    if (!quote || !canSeeQuote(req.user, quote)) {
+      return res.status(404).json({ error: 'Quote not found' });
+    }
+    await sendDocument(req, res, renderQuoteDocument(quote), `quote-${quote.id.slice(0, 8)}-v${quote.version}`);
+  } catch (error) {
+    handleExportError(res, error);
+  }
+});
+
+// 📊 Analytics, aggregated in SQL over the whole history; top projects are labelled with their catalog names
+async function loadAnalytics(range) {
+  const analytics = await queryAnalytics(supabase, range);
+  const names = await Promise.all(analytics.top_projects.map(row => catalogStore.getProject(row.key)));
+  analytics.top_projects = analytics.top_projects.map((row, index) => ({ ...row, label: names[index]?.name || row.key }));
+  return analytics;
+}
+
+// ?from=&to= or ?days=, ?bucket=hour|day|week
+app.get('/api/analytics', requirePermission('analytics:read'), async (req, res) => {
+  try {
+    const range = parseAnalyticsRange(req.query);
+    const [analytics, recent] = await Promise.all([
+      loadAnalytics(range),
+      supabase
+        .from('ai_queries')
+        .select('id, query, provider, model, endpoint, from_cache, status, error, latency_ms, cost_usd, user_id, created_at')
+        .gte('created_at', range.from)
+        .lt('created_at', range.to)
+        .order('created_at', { ascending: false })
+        .limit(10)
+    ]);
+    if (recent.error) throw recent.error;
+
+    res.json({ ...analytics, recent_queries: recent.data || [] });
+  } catch (error) {
+    if (error instanceof AnalyticsError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Analytics error:', error);
     res.status(500).json({ 
-      error: 'Internal server error',
-      message: error.message 
+      error: 'Failed to fetch analytics',
+      details: error.message 
     });
   }
 });
 
+// 📤 One analytics report as CSV (?report=series|providers|endpoints|models|top-queries|top-projects, same range params)
+app.get('/api/export/analytics', requirePermission('analytics:read'), async (req, res) => {
+  try {
+    const range = parseAnalyticsRange(req.query);
+    const name = req.query.report || 'series';
+    const report = analyticsReport(name);
+    const rows = report.rows(await loadAnalytics(range));
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="analytics-${name}-${range.from.slice(0, 10)}-${range.to.slice(0, 10)}.csv"`
+    });
+    res.send(renderCsv(report.columns, rows));
+  } catch (error) {
+    if (error instanceof AnalyticsError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    handleExportError(res, error);
+  }
+});
+
+// 💸 Model price table used for cost accounting (per 1M tokens)
+app.get('/api/admin/model-prices', requirePermission('settings:manage'), (req, res) => {
+  res.json({ success: true, data: getPrices() });
+});
+
+app.put('/api/admin/model-prices', requirePermission('settings:manage'), async (req, res) => {
+  try {
+    res.json({ success: true, data: await auditedUpdate(req, 'model-prices', getPrices, () => updatePrices(req.body)) });
+  } catch (error) {
+    if (error instanceof UsageError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Model Prices Error:', error);
+    res.status(500).json({ error: 'Failed to update model prices' });
+  }
+});
+
+// 🚦 Spending budgets: caps plus month-to-date spend
+app.get('/api/admin/budgets', requirePermission('settings:manage'), async (req, res) => {
+  try {
+    res.json({ success: true, data: { budgets: budgets.getBudgets(), spend: await budgets.status() } });
+  } catch (error) {
+    console.error('Budgets Error:', error);
+    res.status(500).json({ error: 'Failed to load budgets' });
+  }
+});
+
+app.put('/api/admin/budgets', requirePermission('settings:manage'), async (req, res) => {
+  try {
+    const updated = await auditedUpdate(req, 'budgets', () => budgets.getBudgets(), () => budgets.updateBudgets(req.body));
+    res.json({ success: true, data: updated });
+  } catch (error) {
+    if (error instanceof BudgetError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Budgets Error:', error);
+    res.status(500).json({ error: 'Failed to update budgets' });
+  }
+});
+
+// 🛡️ Rate limits per route and tier (a tier set to null is unlimited)
+app.get('/api/admin/rate-limits', requirePermission('settings:manage'), (req, res) => {
+  res.json({ success: true, data: rateLimits.getRateLimits() });
+});
+
+app.put('/api/admin/rate-limits', requirePermission('settings:manage'), async (req, res) => {
+  try {
+    const updated = await auditedUpdate(req, 'rate-limits', () => rateLimits.getRateLimits(), () => rateLimits.updateRateLimits(req.body));
+    res.json({ success: true, data: updated });
+  } catch (error) {
+    if (error instanceof RateLimitError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Rate Limits Error:', error);
+    res.status(500).json({ error: 'Failed to update rate limits' });
+  }
+});
+
+// ⚙️ Runtime settings, applied without a restart and persisted to their config files
+const SETTINGS_SECTIONS = {
+  providers: {
+    get: () => providers.settings(),
+    update: (changes) => providers.updateSettings(changes),
+    ErrorType: ProviderSettingsError
+  },
+  'rate-limits': {
+    get: () => rateLimits.getRateLimits(),
+    update: (changes) => rateLimits.updateRateLimits(changes),
+    ErrorType: RateLimitError
+  },
+  cache: {
+    get: () => cache.getConfig(),
+    update: (changes) => cache.updateConfig(changes),
+    ErrorType: CacheError
+  }
+};
+
+app.get('/api/admin/settings', requirePermission('settings:manage'), (req, res) => {
+  const settings = Object.fromEntries(Object.entries(SETTINGS_SECTIONS).map(([name, section]) => [name, section.get()]));
+  res.json({ success: true, data: { ...settings, cacheStats: cache.stats() } });
+});
+
+app.get('/api/admin/settings/audit', requirePermission('settings:manage'), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+    res.json({ success: true, data: await settingsAudit.list({ section: req.query.section, limit }) });
+  } catch (error) {
+    console.error('Settings Audit Error:', error);
+    res.status(500).json({ error: 'Failed to load the settings audit log' });
+  }
+});
+
+app.put('/api/admin/settings/:section', requirePermission('settings:manage'), async (req, res) => {
+  if (!Object.hasOwn(SETTINGS_SECTIONS, req.params.section)) {
+    return res.status(404).json({ error: `Unknown settings section ${req.params.section}` });
+  }
+  const section = SETTINGS_SECTIONS[req.params.section];
+
+  try {
+    const updated = await auditedUpdate(req, req.params.section, section.get, () => section.update(req.body));
+    res.json({ success: true, data: updated });
+  } catch (error) {
+    if (error instanceof section.ErrorType) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Settings Error:', error);
+    res.status(500).json({ error: 'Failed to update settings' });
+  }
+});
+
+// 🧠 Response cache: inspect, invalidate (?id=, ?scope=, ?q=) and warm with known questions
+const MAX_WARM_QUERIES = 50;
+
+app.get('/api/admin/cache', requirePermission('settings:manage'), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+    const entries = await cache.list({ scope: req.query.scope, query: req.query.q, limit });
+    res.json({ success: true, data: { stats: cache.stats(), entries } });
+  } catch (error) {
+    console.error('Cache Error:', error);
+    res.status(500).json({ error: 'Failed to list cached responses' });
+  }
+});
+
+app.delete('/api/admin/cache', requirePermission('settings:manage'), async (req, res) => {
+  try {
+    const removed = await cache.invalidate({ id: req.query.id, scope: req.query.scope, query: req.query.q });
+    res.json({ success: true, data: { removed } });
+  } catch (error) {
+    console.error('Cache Error:', error);
+    res.status(500).json({ error: 'Failed to invalidate cached responses' });
+  }
+});
+
+app.post('/api/admin/cache/warm', requirePermission('settings:manage'), async (req, res) => {
+  const { queries, scope = 'ai-query' } = req.body;
+  if (!Array.isArray(queries) || queries.length === 0 || queries.some(query => typeof query !== 'string' || !query.trim())) {
+    return res.status(400).json({ error: 'queries must be a non-empty list of questions' });
+  }
+  if (queries.length > MAX_WARM_QUERIES) {
+    return res.status(400).json({ error: `Warm at most ${MAX_WARM_QUERIES} queries at a time` });
+  }
+  if (!CACHE_SCOPES.includes(scope)) {
+    return res.status(400).json({ error: `scope must be one of ${CACHE_SCOPES.join(', ')}` });
+  }
+
+  // One at a time, so warming never bursts past provider rate limits
+  const results = [];
+  for (const query of queries) {
+    try {
+      const response = await runQuery(req, query, { cacheScope: scope });
+      results.push({ query, status: response.fromCache ? 'cached' : 'warmed', provider: response.provider });
+    } catch (error) {
+      results.push({ query, status: 'failed', error: error.message });
+    }
+  }
+  res.json({ success: true, data: { results, stats: cache.stats() } });
+});
+
 // 🚀 Start Server
 app.listen(PORT, () => {
   console.log(`🚀 AI Project Manager Server running on port ${PORT}`);
@@ -370,8 +1299,7 @@ app.listen(PORT, () => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('🔄 Shutting down gracefully...');
-  cache.close();
-  process.exit(0);
+  Promise.all([cache.flush(), rateLimits.close(), closePdfBrowser()]).finally(() => process.exit(0));
 });
 
 export default app;
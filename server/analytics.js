@@ -0,0 +1,177 @@
+// 📊 Analytics - AI usage aggregated in Postgres over any date range
+
+import { summarizeCosts } from './usage.js';
+import { fetchAllRows } from './supabase-rows.js';
+
+export const ANALYTICS_BUCKETS = ['hour', 'day', 'week'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BUCKET_MS = { hour: 60 * 60 * 1000, day: DAY_MS, week: 7 * DAY_MS };
+const MAX_BUCKETS = 2000;
+const MAX_RANGE_DAYS = 731;
+
+export class AnalyticsError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'AnalyticsError';
+    this.status = status;
+  }
+}
+
+const parseDate = (value, name) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw new AnalyticsError(`${name} must be an ISO date, e.g. 2026-01-31`);
+  return date;
+};
+
+// 📅 ?from=&to= (ISO dates, to is exclusive) or ?days= (default 90); ?bucket= defaults to fit the range
+export function parseAnalyticsRange({ from, to, days, bucket } = {}, now = new Date()) {
+  const end = to ? parseDate(to, 'to') : now;
+  const start = from
+    ? parseDate(from, 'from')
+    : new Date(end.getTime() - Math.min(Math.max(parseInt(days, 10) || 90, 1), MAX_RANGE_DAYS) * DAY_MS);
+
+  if (start >= end) throw new AnalyticsError('from must be before to');
+  const span = end - start;
+  if (span > MAX_RANGE_DAYS * DAY_MS) throw new AnalyticsError(`Analytics ranges are limited to ${MAX_RANGE_DAYS} days`);
+
+  const size = bucket || (span <= 2 * DAY_MS ? 'hour' : span <= 120 * DAY_MS ? 'day' : 'week');
+  if (!ANALYTICS_BUCKETS.includes(size)) {
+    throw new AnalyticsError(`bucket must be one of ${ANALYTICS_BUCKETS.join(', ')}`);
+  }
+  if (span / BUCKET_MS[size] > MAX_BUCKETS) {
+    throw new AnalyticsError(`Too many ${size} buckets for this range; pick a larger bucket or a shorter range`);
+  }
+
+  return { from: start.toISOString(), to: end.toISOString(), bucket: size };
+}
+
+const round = (value, digits = 1) => (value === null || value === undefined ? null : Math.round(Number(value) * 10 ** digits) / 10 ** digits);
+const percent = (part, whole) => (whole > 0 ? round((part / whole) * 100) : 0);
+
+// One aggregate row from ai_query_analytics, with derived rates
+const statsOf = (row = {}) => {
+  const queries = Number(row.queries) || 0;
+  const cacheHits = Number(row.cache_hits) || 0;
+  const errors = Number(row.errors) || 0;
+  return {
+    queries,
+    cache_hits: cacheHits,
+    cache_misses: queries - cacheHits - errors,
+    cache_hit_rate: percent(cacheHits, queries),
+    errors,
+    error_rate: percent(errors, queries),
+    input_tokens: Number(row.input_tokens) || 0,
+    output_tokens: Number(row.output_tokens) || 0,
+    cost_usd: round(row.cost_usd, 6) || 0,
+    latency_ms: {
+      avg: round(row.latency_avg_ms, 0),
+      p50: round(row.latency_p50_ms, 0),
+      p90: round(row.latency_p90_ms, 0),
+      p99: round(row.latency_p99_ms, 0)
+    }
+  };
+};
+
+// Start of the bucket holding a date, matching Postgres date_trunc in UTC (weeks start on Monday)
+const bucketStart = (date, bucket) => {
+  const start = new Date(date);
+  start.setUTCMinutes(0, 0, 0);
+  if (bucket === 'hour') return start;
+  start.setUTCHours(0);
+  if (bucket === 'week') start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  return start;
+};
+
+// Empty buckets are filled with zeros so charts keep an even time axis
+const fillSeries = (rows, { from, to, bucket }) => {
+  const byBucket = new Map(rows.map(row => [row.key, row]));
+  const series = [];
+  for (let time = bucketStart(from, bucket).getTime(); time < new Date(to).getTime(); time += BUCKET_MS[bucket]) {
+    const key = new Date(time).toISOString().replace('.000Z', 'Z');
+    series.push({ bucket: key, ...statsOf(byBucket.get(key)) });
+  }
+  return series;
+};
+
+const breakdown = (rows, field) => rows
+  .map(row => ({ [field]: row.key, ...statsOf(row) }))
+  .sort((a, b) => b.queries - a.queries);
+
+const topOf = (rows, kind) => rows
+  .filter(row => row.kind === kind)
+  .map(row => ({
+    key: row.key,
+    label: row.label,
+    queries: Number(row.queries) || 0,
+    users: Number(row.users) || 0,
+    cache_hits: Number(row.cache_hits) || 0,
+    last_at: row.last_at
+  }));
+
+// 📈 Totals, time series, breakdowns and top lists for a range, computed by the ai_query_* SQL functions.
+// Aggregate and cost rows grow with the range, so they are read in ordered pages rather than one capped response.
+export async function queryAnalytics(supabase, range, { topLimit = 10 } = {}) {
+  const [rows, costs, top] = await Promise.all([
+    fetchAllRows((from, to) => supabase
+      .rpc('ai_query_analytics', { p_from: range.from, p_to: range.to, p_bucket: range.bucket })
+      .order('dimension')
+      .order('key')
+      .range(from, to)),
+    fetchAllRows((from, to) => supabase
+      .rpc('ai_query_costs', { p_from: range.from, p_to: range.to })
+      .order('day')
+      .order('provider')
+      .order('model')
+      .order('endpoint')
+      .range(from, to)),
+    supabase.rpc('ai_query_top', { p_from: range.from, p_to: range.to, p_limit: topLimit })
+  ]);
+  if (top.error) throw top.error;
+
+  const of = (dimension) => rows.filter(row => row.dimension === dimension);
+  const totals = statsOf(of('total')[0]);
+  const byProvider = breakdown(of('provider'), 'provider');
+
+  return {
+    range,
+    totals,
+    series: fillSeries(of('series'), range),
+    by_provider: byProvider,
+    by_endpoint: breakdown(of('endpoint'), 'endpoint'),
+    by_model: breakdown(of('model'), 'model'),
+    top_queries: topOf(top.data || [], 'query'),
+    top_projects: topOf(top.data || [], 'project'),
+    costs: summarizeCosts(costs.map(row => ({ ...row, created_at: row.day }))),
+    // Summary fields the dashboard cards read; provider counts are answered, uncached calls
+    total_queries: totals.queries,
+    cache_hit_rate: totals.cache_hit_rate,
+    providers: Object.fromEntries(byProvider
+      .map(row => [row.provider, row.cache_misses])
+      .filter(([, calls]) => calls > 0))
+  };
+}
+
+// 📤 CSV reports: which slice of the analytics each one exports, and its columns
+const STATS_COLUMNS = [
+  'queries', 'cache_hits', 'cache_misses', 'cache_hit_rate', 'errors', 'error_rate', 'input_tokens', 'output_tokens', 'cost_usd',
+  ['latency_avg_ms', row => row.latency_ms.avg], ['latency_p50_ms', row => row.latency_ms.p50],
+  ['latency_p90_ms', row => row.latency_ms.p90], ['latency_p99_ms', row => row.latency_ms.p99]
+];
+const TOP_COLUMNS = ['key', 'label', 'queries', 'users', 'cache_hits', 'last_at'];
+
+export const ANALYTICS_REPORTS = {
+  series: { rows: analytics => analytics.series, columns: ['bucket', ...STATS_COLUMNS] },
+  providers: { rows: analytics => analytics.by_provider, columns: ['provider', ...STATS_COLUMNS] },
+  endpoints: { rows: analytics => analytics.by_endpoint, columns: ['endpoint', ...STATS_COLUMNS] },
+  models: { rows: analytics => analytics.by_model, columns: ['model', ...STATS_COLUMNS] },
+  'top-queries': { rows: analytics => analytics.top_queries, columns: TOP_COLUMNS },
+  'top-projects': { rows: analytics => analytics.top_projects, columns: ['key', 'label', 'queries', 'users', 'last_at'] }
+};
+
+export const analyticsReport = (name) => {
+  if (!Object.hasOwn(ANALYTICS_REPORTS, name)) {
+    throw new AnalyticsError(`report must be one of ${Object.keys(ANALYTICS_REPORTS).join(', ')}`);
+  }
+  return ANALYTICS_REPORTS[name];
+};
@@ -0,0 +1,107 @@
+// 🔐 Auth - Supabase JWT verification, roles and guards for user and administrative endpoints
+
+import { jwtVerify, createRemoteJWKSet } from 'jose';
+
+// Supabase signs access tokens with the project JWT secret (HS256) or, on newer
+// projects, with asymmetric keys published as a JWKS; either can be configured
+let jwtConfig = null;
+
+const getJwtConfig = () => {
+  if (jwtConfig) return jwtConfig;
+
+  const secret = process.env.SUPABASE_JWT_SECRET;
+  const issuer = process.env.SUPABASE_JWT_ISSUER ||
+    (process.env.SUPABASE_URL ? `${process.env.SUPABASE_URL.replace(/\/$/, '')}/auth/v1` : undefined);
+  const jwksUrl = process.env.SUPABASE_JWKS_URL || (issuer && `${issuer}/.well-known/jwks.json`);
+
+  jwtConfig = {
+    issuer,
+    audience: process.env.SUPABASE_JWT_AUDIENCE || 'authenticated',
+    key: secret ? new TextEncoder().encode(secret) : jwksUrl && createRemoteJWKSet(new URL(jwksUrl))
+  };
+  return jwtConfig;
+};
+
+// 👥 Roles live in app_metadata.role (only the service role can set it); everyone else is a client
+export const ROLES = ['admin', 'sales', 'client'];
+
+const PERMISSIONS = {
+  'catalog:manage': ['admin'],
+  'settings:manage': ['admin'], // AI providers, keys, prices, budgets, exchange rates
+  'analytics:read': ['admin'],
+  'quotes:manage': ['admin', 'sales'], // read and revise every quote, assign quotes to clients
+  'notes:read': ['admin', 'sales'] // internal notes on quotes and catalog projects
+};
+
+export const roleOf = (appMetadata = {}) => (ROLES.includes(appMetadata.role) ? appMetadata.role : 'client');
+
+export const can = (user, permission) => Boolean(user && PERMISSIONS[permission]?.includes(user.role));
+
+export const permissionsOf = (user) => Object.keys(PERMISSIONS).filter(permission => can(user, permission));
+
+// 🧾 Staff see every quote; a client sees only the quotes assigned to them
+export const canSeeQuote = (user, quote) => can(user, 'quotes:manage') || Boolean(user && quote.ownerId && quote.ownerId === user.id);
+
+// 🪪 Verify a Supabase access token and return the user it belongs to
+export const verifyAccessToken = async (token) => {
+  const { key, issuer, audience } = getJwtConfig();
+  if (!key) {
+    throw new Error('Auth is not configured (set SUPABASE_JWT_SECRET or SUPABASE_JWKS_URL)');
+  }
+
+  const { payload } = await jwtVerify(token, key, { issuer, audience });
+  if (!payload.sub) throw new Error('Token has no subject');
+
+  return {
+    id: payload.sub,
+    email: payload.email || null,
+    role: roleOf(payload.app_metadata),
+    appMetadata: payload.app_metadata || {}
+  };
+};
+
+// 🔑 Attach req.user when a valid Bearer token is sent; a bad token is rejected outright.
+// A valid x-admin-key acts as an admin service account for scripts and ops tooling.
+export const authenticate = async (req, res, next) => {
+  const adminKey = req.get('x-admin-key');
+  if (adminKey) {
+    if (!process.env.ADMIN_API_KEY) {
+      return res.status(503).json({ error: 'Admin API is disabled (ADMIN_API_KEY not set)' });
+    }
+    if (adminKey !== process.env.ADMIN_API_KEY) {
+      return res.status(401).json({ error: 'Invalid admin key' });
+    }
+    req.user = { id: null, email: null, role: 'admin', appMetadata: {}, service: true };
+    return next();
+  }
+
+  const header = req.get('authorization') || '';
+  const [scheme, token] = header.split(' ');
+  if (scheme !== 'Bearer' || !token) return next();
+
+  try {
+    req.user = await verifyAccessToken(token);
+    next();
+  } catch (error) {
+    res.status(401).json({ error: 'Invalid or expired session', message: error.message });
+  }
+};
+
+// 🚪 Endpoints that act on behalf of a signed-in user
+export const requireUser = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Sign in required' });
+  }
+  next();
+};
+
+// 🛡️ Endpoints restricted to roles holding a permission
+export const requirePermission = (permission) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Sign in required' });
+  }
+  if (!can(req.user, permission)) {
+    return res.status(403).json({ error: `The ${req.user.role} role cannot access this resource` });
+  }
+  next();
+};
@@ -0,0 +1,230 @@
+// 🚦 Budgets - monthly AI spend caps per provider and per API client
+
+import { promises as fs, readFileSync } from 'fs';
+import { fetchAllRows } from './supabase-rows.js';
+
+const BUDGETS_FILE = process.env.BUDGETS_FILE || 'config/budgets.json';
+const RELOAD_INTERVAL = 60 * 1000; // pick up spend billed by other instances
+
+// What each cap does once it is reached
+export const BUDGET_ACTIONS = ['warn', 'quick', 'cache-only'];
+
+export class BudgetError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'BudgetError';
+    this.status = status;
+  }
+}
+
+const validateCap = (cap, name) => {
+  if (cap === null || cap === undefined) return null;
+  const soft = cap.soft === undefined || cap.soft === null ? null : Number(cap.soft);
+  const hard = cap.hard === undefined || cap.hard === null ? null : Number(cap.hard);
+  if ((soft !== null && !(soft >= 0)) || (hard !== null && !(hard >= 0))) {
+    throw new BudgetError(`Budget for ${name} needs non-negative soft/hard amounts`);
+  }
+  if (soft !== null && hard !== null && soft > hard) {
+    throw new BudgetError(`Soft budget for ${name} cannot exceed its hard budget`);
+  }
+  return { soft, hard };
+};
+
+// 📥 Budget table: { currency, warnAt, onSoftLimit, onHardLimit, providers: { name: cap }, clients: { id: cap } }
+export function validateBudgets(table) {
+  if (!table || typeof table !== 'object') {
+    throw new BudgetError('Budgets must look like { providers: { name: { soft, hard } }, clients: { id: { soft, hard } } }');
+  }
+
+  const warnAt = (table.warnAt || [0.8, 0.9]).map(Number);
+  if (warnAt.some(fraction => !(fraction > 0 && fraction <= 1))) {
+    throw new BudgetError('warnAt must list fractions between 0 and 1');
+  }
+  const onSoftLimit = table.onSoftLimit || 'quick';
+  const onHardLimit = table.onHardLimit || 'cache-only';
+  if (!BUDGET_ACTIONS.includes(onSoftLimit) || !BUDGET_ACTIONS.includes(onHardLimit)) {
+    throw new BudgetError(`Limit actions must be one of ${BUDGET_ACTIONS.join(', ')}`);
+  }
+
+  const caps = (entries = {}) => Object.fromEntries(Object.entries(entries)
+    .map(([name, cap]) => [name, validateCap(cap, name)])
+    .filter(([, cap]) => cap));
+
+  return {
+    currency: table.currency || 'USD',
+    warnAt: [...new Set(warnAt)].sort(),
+    onSoftLimit,
+    onHardLimit,
+    providers: caps(table.providers),
+    clients: caps(table.clients),
+    updatedAt: table.updatedAt || new Date().toISOString()
+  };
+}
+
+function loadBudgetsFile() {
+  try {
+    return validateBudgets(JSON.parse(readFileSync(BUDGETS_FILE, 'utf8')));
+  } catch (error) {
+    console.warn(`Failed to load budgets from ${BUDGETS_FILE}:`, error.message);
+    return validateBudgets({});
+  }
+}
+
+// 🪪 Which account a request is billed to: the signed-in user, else the API client
+export const clientIdOf = (req) => req.user?.id || req.get('x-client-id') || req.ip;
+
+const currentMonth = () => new Date().toISOString().slice(0, 7);
+
+export class BudgetGuard {
+  constructor({ supabase } = {}) {
+    this.supabase = supabase;
+    this.budgets = loadBudgetsFile();
+    this.month = null;
+    this.loadedAt = 0;
+    this.loading = null;
+    this.spend = { providers: new Map(), clients: new Map() };
+    this.warned = new Set();
+  }
+
+  getBudgets() {
+    return this.budgets;
+  }
+
+  // 🛠️ Replace the budgets at runtime and persist them back to the JSON file
+  async updateBudgets(table) {
+    this.budgets = validateBudgets({ ...table, updatedAt: new Date().toISOString() });
+    this.warned.clear();
+
+    try {
+      await fs.writeFile(BUDGETS_FILE, `${JSON.stringify(this.budgets, null, 2)}\n`);
+    } catch (error) {
+      console.warn('Failed to persist budgets:', error.message);
+    }
+    return this.budgets;
+  }
+
+  // 📥 Month-to-date spend from the ai_queries log, reloaded every minute and when the month rolls over
+  async ensureLoaded() {
+    const month = currentMonth();
+    if (this.month === month && Date.now() - this.loadedAt < RELOAD_INTERVAL) return;
+    this.loading = this.loading || this.loadMonth(month).finally(() => {
+      this.loading = null;
+    });
+    await this.loading;
+  }
+
+  // Totals come from ai_query_spend (one row per provider and per client); when they cannot be
+  // read, the month keeps counting in memory (from zero after a rollover)
+  async loadMonth(month) {
+    const rolledOver = this.month !== month;
+    try {
+      const rows = await fetchAllRows((from, to) => this.supabase
+        .rpc('ai_query_spend', { p_from: `${month}-01T00:00:00Z` })
+        .order('dimension')
+        .order('key')
+        .range(from, to));
+
+      const providers = new Map();
+      const clients = new Map();
+      rows.forEach(row => {
+        if (!row.key) return;
+        (row.dimension === 'provider' ? providers : clients).set(row.key, Number(row.cost_usd) || 0);
+      });
+      this.spend = { providers, clients };
+    } catch (error) {
+      console.warn(`Failed to load month-to-date spend, ${rolledOver ? 'counting from zero' : 'keeping the running totals'}:`, error.message);
+      if (rolledOver) this.spend = { providers: new Map(), clients: new Map() };
+    }
+
+    if (rolledOver) this.warned.clear();
+    this.month = month;
+    this.loadedAt = Date.now();
+  }
+
+  record(clientId, provider, cost) {
+    if (!(cost > 0)) return;
+    const add = (map, key) => map.set(key, (map.get(key) || 0) + cost);
+    add(this.spend.providers, provider);
+    if (clientId) add(this.spend.clients, clientId);
+  }
+
+  // 🧮 Where a spend stands against its cap: 'ok', 'soft' or 'hard'
+  static level(spent, cap) {
+    if (!cap) return 'ok';
+    if (cap.hard !== null && spent >= cap.hard) return 'hard';
+    if (cap.soft !== null && spent >= cap.soft) return 'soft';
+    return 'ok';
+  }
+
+  warningsFor(scope, name, spent, cap) {
+    const limit = cap?.hard ?? cap?.soft;
+    if (!limit) return [];
+
+    const reached = this.budgets.warnAt.filter(fraction => spent >= limit * fraction);
+    if (reached.length === 0) return [];
+
+    const fraction = reached[reached.length - 1];
+    const id = `${scope}:${name}:${fraction}`;
+    if (!this.warned.has(id)) {
+      this.warned.add(id);
+      console.warn(`AI budget warning: ${scope} ${name} has spent ${spent.toFixed(2)} of ${limit} ${this.budgets.currency} this month`);
+    }
+    return [{ scope, name, spent: Math.round(spent * 100) / 100, limit, percent: Math.round((spent / limit) * 100) }];
+  }
+
+  // 🚦 Decide how a query may run: normal, forced quick, or cache-only, minus providers over their cap
+  async check(clientId) {
+    await this.ensureLoaded();
+    const { providers, clients, onSoftLimit, onHardLimit } = this.budgets;
+    const rank = (action) => BUDGET_ACTIONS.indexOf(action);
+
+    let action = 'warn';
+    const escalate = (next) => {
+      if (rank(next) > rank(action)) action = next;
+    };
+    const warnings = [];
+
+    // Client caps change how the query runs
+    const clientCap = clients[clientId] || clients.default;
+    const clientSpend = this.spend.clients.get(clientId) || 0;
+    const clientLevel = BudgetGuard.level(clientSpend, clientCap);
+    if (clientLevel === 'soft') escalate(onSoftLimit);
+    if (clientLevel === 'hard') escalate(onHardLimit);
+    warnings.push(...this.warningsFor('client', clientId, clientSpend, clientCap));
+
+    // Provider caps take that provider out of rotation (or slow it down at the soft cap)
+    const excludeProviders = [];
+    Object.entries(providers).forEach(([name, cap]) => {
+      const spent = this.spend.providers.get(name) || 0;
+      const level = BudgetGuard.level(spent, cap);
+      if (level === 'hard') excludeProviders.push(name);
+      if (level === 'soft') escalate(onSoftLimit);
+      warnings.push(...this.warningsFor('provider', name, spent, cap));
+    });
+
+    return {
+      mode: action === 'warn' ? 'normal' : action,
+      excludeProviders,
+      warnings
+    };
+  }
+
+  // 📊 Month-to-date spend against every configured cap
+  async status() {
+    await this.ensureLoaded();
+    const describe = (spendMap, caps) => Object.fromEntries(
+      [...new Set([...Object.keys(caps), ...spendMap.keys()])].map(name => {
+        const spent = spendMap.get(name) || 0;
+        const cap = caps[name] || null;
+        return [name, { spent: Math.round(spent * 10000) / 10000, ...cap, level: BudgetGuard.level(spent, cap) }];
+      })
+    );
+
+    return {
+      month: this.month,
+      currency: this.budgets.currency,
+      providers: describe(this.spend.providers, this.budgets.providers),
+      clients: describe(this.spend.clients, this.budgets.clients)
+    };
+  }
+}
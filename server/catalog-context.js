@@ -0,0 +1,160 @@
+// 📚 Catalog Context - grounds AI answers in PROJECTS_CATALOG entries
+
+import { getAllProjects, PROJECTS_CATALOG, PROJECT_CATEGORIES, CATALOG_CURRENCY } from '../projects-data.js';
+import { convert, formatMoney } from './currency.js';
+
+const MAX_CONTEXT_PROJECTS = 5;
+
+// Words that carry no signal when matching a query against catalog text
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'app', 'are', 'can', 'do', 'does', 'fit', 'fits', 'for', 'i',
+  'in', 'is', 'it', 'me', 'my', 'of', 'on', 'or', 'project', 'projects', 'the',
+  'to', 'we', 'what', 'which', 'with', 'you', 'في', 'من', 'على', 'مع', 'هل', 'ما'
+]);
+
+// 🏷️ English hints for the Arabic category labels in PROJECT_CATEGORIES
+const CATEGORY_KEYWORDS = {
+  ecommerce: ['ecommerce', 'e-commerce', 'store', 'shop', 'marketplace', 'vendor'],
+  education: ['education', 'school', 'lms', 'course', 'learning'],
+  services: ['delivery', 'food', 'ride', 'taxi', 'logistics', 'courier'],
+  erp: ['erp', 'crm', 'hr', 'task', 'management'],
+  financial: ['bank', 'banking', 'wallet', 'payment', 'finance', 'crypto'],
+  tools: ['saas', 'seo', 'support', 'helpdesk', 'tool'],
+  health: ['health', 'doctor', 'clinic', 'real estate', 'property'],
+  communication: ['email', 'marketing', 'sms', 'newsletter', 'url', 'chat']
+};
+
+// 💷 Parse "£20k", "20,000", "£20000" into a number
+const parseAmount = (raw, suffix) => {
+  const value = parseFloat(raw.replace(/,/g, ''));
+  if (Number.isNaN(value)) return null;
+  return /k/i.test(suffix || '') ? value * 1000 : value;
+};
+
+// 💱 Currency named next to a budget ("$20k", "20,000 EGP", "٢٠ ألف جنيه")
+const CURRENCY_HINTS = [
+  ['GBP', /£|\bgbp\b|pounds? sterling|جنيه إسترليني/],
+  ['USD', /\$|\busd\b|dollars?|دولار/],
+  ['EUR', /€|\beur\b|euros?|يورو/],
+  ['SAR', /\bsar\b|riyals?|ريال|ر\.س/],
+  ['EGP', /\begp\b|egyptian pounds?|جنيه|ج\.م/]
+];
+
+const detectCurrency = (text) => {
+  const hint = CURRENCY_HINTS.find(([, pattern]) => pattern.test(text));
+  return hint ? hint[0] : CATALOG_CURRENCY;
+};
+
+// 🎯 Extract budget and deadline constraints from free text
+export const extractConstraints = (query) => {
+  const text = query.toLowerCase();
+  const constraints = { budget: null, maxWeeks: null };
+
+  const budgetMatch = text.match(/[£$€]\s*(\d[\d,]*(?:\.\d+)?)\s*(k)?/) ||
+    text.match(/(\d[\d,]*(?:\.\d+)?)\s*(k)\b/) ||
+    text.match(/(\d[\d,]*(?:\.\d+)?)\s*(?:gbp|usd|eur|sar|egp)\b/) ||
+    text.match(/(?:budget|ميزانية)\D{0,15}(\d[\d,]*(?:\.\d+)?)\s*(k)?/);
+  if (budgetMatch) {
+    // Budgets are compared against catalog prices in the catalog currency
+    const amount = parseAmount(budgetMatch[1], budgetMatch[2]);
+    constraints.budget = amount === null ? null : convert(amount, detectCurrency(text), CATALOG_CURRENCY);
+  }
+
+  const weeksMatch = text.match(/(\d+)\s*(?:weeks?|wks?|أسابيع|اسابيع|أسبوع|اسبوع)/);
+  if (weeksMatch) {
+    constraints.maxWeeks = parseInt(weeksMatch[1], 10);
+  }
+
+  return constraints;
+};
+
+const tokenize = (text) => String(text)
+  .toLowerCase()
+  .split(/[^\p{L}\p{N}]+/u)
+  .filter(token => token.length > 1 && !STOP_WORDS.has(token));
+
+// Hints and catalog text match on whole tokens, so "hr" never matches inside "through"
+const containsPhrase = (tokens, phrase) => {
+  const words = tokenize(phrase);
+  return words.length > 0 && tokens.some((_, start) => words.every((word, i) => tokens[start + i] === word));
+};
+
+const projectText = (project, categories) => [
+  project.key,
+  project.name,
+  project.tech,
+  project.deployment,
+  categories[project.category],
+  ...(project.features || [])
+].join(' ');
+
+// 🔎 Score every catalog entry against the query and its constraints
+export const findRelevantProjects = (query, {
+  catalog = PROJECTS_CATALOG,
+  categories = PROJECT_CATEGORIES,
+  limit = MAX_CONTEXT_PROJECTS
+} = {}) => {
+  const tokens = tokenize(query);
+  const lowerQuery = query.toLowerCase();
+  const { budget, maxWeeks } = extractConstraints(query);
+
+  const scored = getAllProjects(catalog).map(project => {
+    const words = new Set(tokenize(projectText(project, categories)));
+    let relevance = 0;
+
+    if (lowerQuery.includes(project.key.toLowerCase())) relevance += 10;
+    const categoryHints = [project.category, ...(CATEGORY_KEYWORDS[project.category] || [])];
+    if (categoryHints.some(hint => containsPhrase(tokens, hint))) relevance += 4;
+    tokens.forEach(token => {
+      if (words.has(token)) relevance += 1;
+    });
+
+    let fit = 0;
+    const price = project.price.amount;
+    const weeks = parseInt(project.duration, 10);
+    if (budget) fit += price <= budget ? 2 : -1;
+    if (maxWeeks) fit += weeks <= maxWeeks ? 2 : -1;
+
+    return { project, relevance, score: relevance + fit };
+  });
+
+  // Budget/deadline only rank matches; they select on their own when nothing else matched
+  const anyRelevant = scored.some(({ relevance }) => relevance > 0);
+
+  return scored
+    .filter(({ relevance, score }) => (anyRelevant ? relevance > 0 : score > 0))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ project }) => project);
+};
+
+// 📝 Render catalog entries as a prompt context block
+export const buildCatalogContext = (projects, categories = PROJECT_CATEGORIES) => projects.map(project => [
+  `[${project.key}] ${project.name}`,
+  `  Category: ${categories[project.category] || project.category}`,
+  `  Price: ${formatMoney(project.price.amount, project.price.currency)} | Duration: ${project.duration} weeks | Readiness: ${project.readiness}`,
+  `  Tech: ${project.tech}`,
+  `  Features: ${(project.features || []).join(', ')}`,
+  `  Deployment: ${project.deployment}`
+].join('\n')).join('\n\n');
+
+// 🔗 Pull the catalog keys the model cited as [key]
+export const extractCitations = (text, projects) => {
+  const byKey = new Map(projects.map(project => [project.key, project]));
+  const cited = new Set();
+
+  for (const match of String(text).matchAll(/\[([A-Za-z0-9]+)\]/g)) {
+    if (byKey.has(match[1])) cited.add(match[1]);
+  }
+
+  return [...cited].map(key => {
+    const project = byKey.get(key);
+    return {
+      key,
+      category: project.category,
+      name: project.name,
+      price: project.price,
+      duration: project.duration
+    };
+  });
+};
@@ -0,0 +1,142 @@
+// 🎛️ Catalog Filters - faceted filtering and sorting over catalog projects
+
+import { CATALOG_CURRENCY } from '../projects-data.js';
+import { convert, formatMoney, normalizeCurrency } from './currency.js';
+import { normalizeText } from './search-index.js';
+
+// Price buckets in the catalog currency, re-expressed in the display currency; like the duration
+// buckets they include their lower bound and exclude their upper bound
+const PRICE_BUCKETS = [
+  [0, 10000], [10000, 20000], [20000, 30000], [30000, 40000], [40000, 50000], [50000, Infinity]
+];
+
+// Buckets include their lower bound and exclude their upper bound
+const DURATION_BUCKETS = [
+  [1, 9], [9, 13], [13, 17], [17, 21], [21, Infinity]
+];
+
+const SORTS = {
+  relevance: (a, b) => (b.score || 0) - (a.score || 0),
+  price: (a, b) => a.price.amount - b.price.amount,
+  '-price': (a, b) => b.price.amount - a.price.amount,
+  duration: (a, b) => weeksOf(a) - weeksOf(b),
+  '-duration': (a, b) => weeksOf(b) - weeksOf(a),
+  name: (a, b) => a.name.localeCompare(b.name, 'ar')
+};
+
+const MAX_FEATURE_FACETS = 15;
+
+const weeksOf = (project) => parseInt(project.duration, 10) || 0;
+
+// Accept ?tech=Flutter&tech=SaaS as well as ?tech=Flutter,SaaS
+const toList = (value) => [value].flat()
+  .filter(Boolean)
+  .flatMap(item => String(item).split(','))
+  .map(item => item.trim())
+  .filter(Boolean);
+
+const toNumber = (value) => {
+  if (value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+// 📥 Read filters from query params; prices are inclusive bounds in the display currency
+export const parseFilters = (params = {}) => {
+  const currency = normalizeCurrency(params.currency);
+
+  return {
+    currency,
+    category: params.category || null,
+    minPrice: toNumber(params.minPrice),
+    maxPrice: toNumber(params.maxPrice),
+    minWeeks: toNumber(params.minWeeks),
+    maxWeeks: toNumber(params.maxWeeks),
+    tech: toList(params.tech),
+    readiness: toList(params.readiness),
+    features: toList(params.features),
+    sort: SORTS[params.sort] ? params.sort : null
+  };
+};
+
+// Substring match on normalized text, so Arabic spelling variants still match
+export const hasFeature = (project, wanted) => {
+  const needle = normalizeText(wanted);
+  return project.features.some(feature => normalizeText(feature).includes(needle));
+};
+
+// Prices are compared as the client sees them (converted and rounded to the minor unit), so a
+// bound on a bucket edge never lands a project on the wrong side through conversion rounding
+const shownPrice = (project, currency) => convert(project.price.amount, project.price.currency, currency);
+
+// Each predicate is keyed by the facet it belongs to so facet counts can skip their own filter
+const predicates = (filters) => ({
+  category: project => !filters.category || project.category === filters.category,
+  price: project =>
+    (filters.minPrice === null || shownPrice(project, filters.currency) >= filters.minPrice) &&
+    (filters.maxPrice === null || shownPrice(project, filters.currency) <= filters.maxPrice),
+  duration: project =>
+    (filters.minWeeks === null || weeksOf(project) >= filters.minWeeks) &&
+    (filters.maxWeeks === null || weeksOf(project) <= filters.maxWeeks),
+  tech: project => filters.tech.length === 0 || filters.tech.includes(project.tech),
+  readiness: project => filters.readiness.length === 0 || filters.readiness.includes(project.readiness),
+  features: project => filters.features.every(feature => hasFeature(project, feature))
+});
+
+const matchesAll = (project, checks, except = null) => Object.entries(checks)
+  .every(([facet, check]) => facet === except || check(project));
+
+const countBy = (items, valueOf) => {
+  const counts = new Map();
+  items.forEach(item => {
+    const value = valueOf(item);
+    if (value) counts.set(value, (counts.get(value) || 0) + 1);
+  });
+  return [...counts.entries()]
+    .map(([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)));
+};
+
+const bucketFacet = (projects, buckets, valueOf, describe) => buckets.map(([min, max]) => ({
+  ...describe(min, max),
+  count: projects.filter(project => valueOf(project) >= min && valueOf(project) < max).length
+}));
+
+// 📊 Facet counts: each facet is counted with every filter applied except its own
+export const buildFacets = (projects, filters, categories = {}) => {
+  const checks = predicates(filters);
+  const pool = (facet) => projects.filter(project => matchesAll(project, checks, facet));
+  const display = (amount) => (Number.isFinite(amount) ? convert(amount, CATALOG_CURRENCY, filters.currency) : null);
+
+  return {
+    category: countBy(pool('category'), project => project.category)
+      .map(entry => ({ ...entry, label: categories[entry.value] || entry.value })),
+    tech: countBy(pool('tech'), project => project.tech),
+    readiness: countBy(pool('readiness'), project => project.readiness),
+    price: bucketFacet(pool('price'), PRICE_BUCKETS.map(([min, max]) => [display(min), display(max) ?? Infinity]),
+      project => shownPrice(project, filters.currency), (min, max) => ({
+        min,
+        max: Number.isFinite(max) ? max : null,
+        label: Number.isFinite(max)
+          ? `${formatMoney(min, filters.currency)} – ${formatMoney(max, filters.currency)}`
+          : `${formatMoney(min, filters.currency)}+`
+      })),
+    duration: bucketFacet(pool('duration'), DURATION_BUCKETS, weeksOf, (min, max) => ({
+      min,
+      max: Number.isFinite(max) ? max : null,
+      label: Number.isFinite(max) ? `${min}–${max - 1}` : `${min}+`
+    })),
+    features: countBy(pool('features').flatMap(project => project.features), feature => feature)
+      .filter(entry => entry.count > 1)
+      .slice(0, MAX_FEATURE_FACETS)
+  };
+};
+
+// 🎯 Apply filters and sorting; relevance is the default when a text query was given
+export const filterProjects = (projects, filters, { hasQuery = false } = {}) => {
+  const checks = predicates(filters);
+  const sort = filters.sort || (hasQuery ? 'relevance' : 'price');
+  return projects
+    .filter(project => matchesAll(project, checks))
+    .sort(SORTS[sort]);
+};
@@ -0,0 +1,371 @@
+// 🗂️ Catalog Store - managed project catalog (Supabase with a local JSON fallback)
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { PROJECTS_CATALOG, PROJECT_CATEGORIES, CATALOG_CURRENCY } from '../projects-data.js';
+import { convert, normalizeCurrency } from './currency.js';
+import { SearchIndex, tokenize } from './search-index.js';
+
+const REFRESH_INTERVAL = 60 * 1000; // pick up edits made by other instances
+const KEY_PATTERN = /^[a-zA-Z][a-zA-Z0-9]*$/;
+const COMMON_NAME_SHARE = 0.25; // name words in more projects than this ("platform", "system") are not distinctive
+
+export class CatalogError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'CatalogError';
+    this.status = status;
+  }
+}
+
+// 🔄 Supabase rows <-> catalog entries
+const projectFromRow = (row) => ({
+  key: row.key,
+  category: row.category,
+  name: row.name,
+  price: { amount: Number(row.price_amount), currency: row.price_currency },
+  duration: String(row.duration),
+  readiness: row.readiness,
+  features: row.features || [],
+  tech: row.tech,
+  deployment: row.deployment,
+  internalNotes: row.internal_notes || '',
+  archived: Boolean(row.archived)
+});
+
+const projectToRow = (project) => ({
+  key: project.key,
+  category: project.category,
+  name: project.name,
+  price_amount: project.price.amount,
+  price_currency: project.price.currency,
+  duration: parseInt(project.duration, 10),
+  readiness: project.readiness,
+  features: project.features,
+  tech: project.tech,
+  deployment: project.deployment,
+  internal_notes: project.internalNotes || '',
+  archived: project.archived,
+  updated_at: new Date().toISOString()
+});
+
+// ✅ Validate and normalize a project payload (partial when patching)
+const normalizeProject = (input, existing = null) => {
+  const project = { ...existing, ...input };
+
+  if (!KEY_PATTERN.test(project.key || '')) {
+    throw new CatalogError('Project key must be alphanumeric and start with a letter, e.g. "sixValley"');
+  }
+  if (!project.name || typeof project.name !== 'string') {
+    throw new CatalogError('Project name is required');
+  }
+  if (!project.category) {
+    throw new CatalogError('Project category is required');
+  }
+
+  const amount = Number(project.price?.amount);
+  if (!(amount >= 0)) {
+    throw new CatalogError('price must look like { amount, currency }');
+  }
+  // Catalog prices are kept in the base currency so analytics never mix currencies
+  const currency = normalizeCurrency(project.price.currency);
+  const price = { amount: convert(amount, currency, CATALOG_CURRENCY), currency: CATALOG_CURRENCY };
+
+  const duration = parseInt(project.duration, 10);
+  if (!(duration > 0)) {
+    throw new CatalogError('duration must be a positive number of weeks');
+  }
+  if (!Array.isArray(project.features) || project.features.some(feature => typeof feature !== 'string')) {
+    throw new CatalogError('features must be a list of strings');
+  }
+
+  return {
+    key: project.key,
+    category: project.category,
+    name: project.name.trim(),
+    price,
+    duration: String(duration),
+    readiness: project.readiness || '',
+    features: project.features,
+    tech: project.tech || '',
+    deployment: project.deployment || '',
+    internalNotes: project.internalNotes || '',
+    archived: Boolean(project.archived)
+  };
+};
+
+// 🙈 Catalog entry as clients see it: internal notes are for sales and admins only
+export const publicProject = ({ internalNotes, ...project }) => project;
+
+// 🌱 Flatten the static PROJECTS_CATALOG into store records
+export const seedRecords = () => ({
+  categories: Object.entries(PROJECT_CATEGORIES).map(([key, label]) => ({ key, label, archived: false })),
+  projects: Object.entries(PROJECTS_CATALOG).flatMap(([category, entries]) =>
+    Object.entries(entries).map(([key, project]) => ({ ...project, key, category, archived: false })))
+});
+
+const BACKENDS = ['supabase', 'file'];
+
+export class CatalogStore {
+  // backend 'file' (CATALOG_BACKEND=file) keeps the catalog in the local JSON file, e.g. for offline development
+  constructor({
+    supabase,
+    filePath = process.env.CATALOG_FILE || 'data/catalog.json',
+    backend = process.env.CATALOG_BACKEND || (supabase ? 'supabase' : 'file')
+  } = {}) {
+    if (!BACKENDS.includes(backend)) {
+      throw new CatalogError(`CATALOG_BACKEND must be one of ${BACKENDS.join(', ')}`);
+    }
+    this.supabase = supabase;
+    this.filePath = filePath;
+    // Writes always go where the catalog lives; a failed load never redirects them to the local file
+    this.backend = backend;
+    this.loadError = null;
+    this.categories = [];
+    this.projects = [];
+    this.loadedAt = 0;
+    this.searchIndex = null;
+    this.vocabulary = null;
+  }
+
+  // 📥 Load from Supabase, else the local file, else the bundled PROJECTS_CATALOG
+  async load() {
+    this.loadError = null;
+    try {
+      if (this.backend === 'file') throw new Error('Supabase is not the catalog backend');
+      const [categories, projects] = await Promise.all([
+        this.supabase.from('catalog_categories').select('*'),
+        this.supabase.from('catalog_projects').select('*')
+      ]);
+      if (categories.error) throw categories.error;
+      if (projects.error) throw projects.error;
+      if (projects.data.length === 0) throw new Error('catalog tables are empty (run npm run catalog:seed)');
+
+      this.categories = categories.data.map(({ key, label, archived }) => ({ key, label, archived: Boolean(archived) }));
+      this.projects = projects.data.map(projectFromRow);
+    } catch (error) {
+      if (this.backend === 'supabase') {
+        console.warn('Catalog not available from Supabase, using local file:', error.message);
+        this.loadError = error;
+      }
+      const local = await this.readFile();
+      ({ categories: this.categories, projects: this.projects } = local || seedRecords());
+    }
+
+    this.loadedAt = Date.now();
+    this.touch();
+  }
+
+  // Any change to projects or categories invalidates the search index
+  touch() {
+    this.searchIndex = null;
+    this.vocabulary = null;
+  }
+
+  // 🔍 Search index over the active catalog, rebuilt only after changes
+  async getSearchIndex() {
+    await this.ensureFresh();
+    if (!this.searchIndex) {
+      this.searchIndex = new SearchIndex(await this.getCatalog(), await this.getCategoryLabels());
+    }
+    return this.searchIndex;
+  }
+
+  // 🏷️ Words that tie a question to specific catalog entries: project keys, distinctive name words,
+  // tech stacks and categories (used to keep cached answers from crossing between them)
+  async getVocabulary() {
+    await this.ensureFresh();
+    if (!this.vocabulary) {
+      const projects = this.projects.filter(project => !project.archived);
+      const nameCounts = new Map();
+      projects.forEach(project => new Set(tokenize(project.name)).forEach(token => {
+        nameCounts.set(token, (nameCounts.get(token) || 0) + 1);
+      }));
+
+      this.vocabulary = new Set([
+        ...projects.flatMap(project => [...tokenize(project.key), ...tokenize(project.tech)]),
+        ...[...nameCounts].filter(([, count]) => count <= Math.max(1, projects.length * COMMON_NAME_SHARE)).map(([token]) => token),
+        ...this.categories.flatMap(category => [...tokenize(category.key), ...tokenize(category.label)])
+      ]);
+    }
+    return this.vocabulary;
+  }
+
+  async ensureFresh() {
+    if (Date.now() - this.loadedAt > REFRESH_INTERVAL) {
+      await this.load();
+    }
+  }
+
+  // ✍️ While Supabase is unreachable the fallback copy is read-only, so edits fail instead of
+  // landing in a local file no other instance (or the next successful load) will ever see
+  async ensureWritable() {
+    if (this.loadError) await this.load();
+    else await this.ensureFresh();
+    if (this.loadError) {
+      throw new CatalogError(`Catalog is read-only while Supabase is unavailable: ${this.loadError.message}`, 503);
+    }
+  }
+
+  // 📚 Active catalog in the nested PROJECTS_CATALOG shape used by the helpers
+  async getCatalog() {
+    await this.ensureFresh();
+    const catalog = {};
+    this.projects
+      .filter(project => !project.archived)
+      .forEach(({ key, category, archived, ...project }) => {
+        catalog[category] = catalog[category] || {};
+        catalog[category][key] = project;
+      });
+    return catalog;
+  }
+
+  // 🏷️ Active category labels in the PROJECT_CATEGORIES shape
+  async getCategoryLabels() {
+    await this.ensureFresh();
+    return Object.fromEntries(this.categories
+      .filter(category => !category.archived)
+      .map(({ key, label }) => [key, label]));
+  }
+
+  async listProjects({ category = null, includeArchived = false } = {}) {
+    await this.ensureFresh();
+    return this.projects.filter(project =>
+      (includeArchived || !project.archived) && (!category || project.category === category));
+  }
+
+  async getProject(key) {
+    await this.ensureFresh();
+    return this.projects.find(project => project.key === key) || null;
+  }
+
+  async listCategories({ includeArchived = false } = {}) {
+    await this.ensureFresh();
+    return this.categories.filter(category => includeArchived || !category.archived);
+  }
+
+  async createProject(input) {
+    await this.ensureWritable();
+    if (this.projects.some(project => project.key === input?.key)) {
+      throw new CatalogError(`Project ${input.key} already exists`, 409);
+    }
+    const project = normalizeProject(input);
+    this.assertCategory(project.category);
+
+    await this.persistProject(project);
+    this.projects.push(project);
+    this.touch();
+    return project;
+  }
+
+  async updateProject(key, patch) {
+    await this.ensureWritable();
+    const existing = await this.getProject(key);
+    if (!existing) throw new CatalogError(`Project ${key} not found`, 404);
+
+    const project = normalizeProject({ ...patch, key }, existing);
+    this.assertCategory(project.category);
+
+    await this.persistProject(project);
+    this.projects = this.projects.map(entry => (entry.key === key ? project : entry));
+    this.touch();
+    return project;
+  }
+
+  // 🗄️ Archiving hides a project from search and quotes without deleting its history
+  async archiveProject(key, archived = true) {
+    return this.updateProject(key, { archived });
+  }
+
+  async createCategory({ key, label } = {}) {
+    await this.ensureWritable();
+    if (!KEY_PATTERN.test(key || '') || !label) {
+      throw new CatalogError('Categories need an alphanumeric key and a label');
+    }
+    if (this.categories.some(category => category.key === key)) {
+      throw new CatalogError(`Category ${key} already exists`, 409);
+    }
+
+    const category = { key, label, archived: false };
+    await this.persistCategory(category);
+    this.categories.push(category);
+    this.touch();
+    return category;
+  }
+
+  async updateCategory(key, { label, archived } = {}) {
+    await this.ensureWritable();
+    const existing = this.categories.find(category => category.key === key);
+    if (!existing) throw new CatalogError(`Category ${key} not found`, 404);
+
+    const category = {
+      ...existing,
+      ...(label !== undefined && { label }),
+      ...(archived !== undefined && { archived: Boolean(archived) })
+    };
+    await this.persistCategory(category);
+    this.categories = this.categories.map(entry => (entry.key === key ? category : entry));
+    this.touch();
+    return category;
+  }
+
+  assertCategory(key) {
+    if (!this.categories.some(category => category.key === key && !category.archived)) {
+      throw new CatalogError(`Unknown category: ${key}`);
+    }
+  }
+
+  async persistProject(project) {
+    if (this.backend === 'supabase') {
+      const { error } = await this.supabase.from('catalog_projects').upsert(projectToRow(project));
+      if (error) throw new CatalogError(`Failed to save project: ${error.message}`, 502);
+      return;
+    }
+    await this.writeFile({
+      categories: this.categories,
+      projects: [...this.projects.filter(entry => entry.key !== project.key), project]
+    });
+  }
+
+  async persistCategory(category) {
+    if (this.backend === 'supabase') {
+      const { error } = await this.supabase.from('catalog_categories').upsert(category);
+      if (error) throw new CatalogError(`Failed to save category: ${error.message}`, 502);
+      return;
+    }
+    await this.writeFile({
+      categories: [...this.categories.filter(entry => entry.key !== category.key), category],
+      projects: this.projects
+    });
+  }
+
+  // 🌱 Import the bundled PROJECTS_CATALOG into Supabase or the local file
+  async seed({ target = 'supabase' } = {}) {
+    const records = seedRecords();
+
+    if (target === 'file') {
+      await this.writeFile(records);
+    } else {
+      const categories = await this.supabase.from('catalog_categories').upsert(records.categories);
+      if (categories.error) throw categories.error;
+      const projects = await this.supabase.from('catalog_projects').upsert(records.projects.map(projectToRow));
+      if (projects.error) throw projects.error;
+    }
+
+    return { categories: records.categories.length, projects: records.projects.length };
+  }
+
+  async readFile() {
+    try {
+      return JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async writeFile(records) {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.writeFile(this.filePath, JSON.stringify(records, null, 2));
+  }
+}
@@ -0,0 +1,104 @@
+// ⚖️ Project Comparison - deterministic side-by-side matrix of catalog projects
+
+import { priceIn } from './currency.js';
+import { normalizeText } from './search-index.js';
+
+export const MIN_COMPARE = 2;
+export const MAX_COMPARE = 4;
+
+export class ComparisonError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ComparisonError';
+    this.status = status;
+  }
+}
+
+// Accept ?keys=sixValley,safeCart as well as ?keys=sixValley&keys=safeCart
+export const parseKeys = (value) => {
+  const keys = [...new Set([value].flat()
+    .filter(Boolean)
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean))];
+
+  if (keys.length < MIN_COMPARE || keys.length > MAX_COMPARE) {
+    throw new ComparisonError(`Compare between ${MIN_COMPARE} and ${MAX_COMPARE} distinct projects`);
+  }
+  return keys;
+};
+
+const weeksOf = (project) => parseInt(project.duration, 10) || 0;
+
+// Keys of the projects holding the best value in a row (ties share the highlight)
+const bestOf = (projects, valueOf) => {
+  const best = Math.min(...projects.map(valueOf));
+  return projects.filter(project => valueOf(project) === best).map(project => project.key);
+};
+
+// 🧩 Merge features across projects; spelling variants collapse onto the first wording seen
+const buildFeatureMatrix = (projects) => {
+  const features = new Map(); // normalized name -> { name, keys }
+
+  projects.forEach(project => {
+    project.features.forEach(feature => {
+      const id = normalizeText(feature).trim();
+      if (!features.has(id)) features.set(id, { name: feature, keys: new Set() });
+      features.get(id).keys.add(project.key);
+    });
+  });
+
+  // Shared features first, then the ones that set a project apart, in catalog order
+  return [...features.values()]
+    .map(({ name, keys }) => ({
+      name,
+      shared: keys.size === projects.length,
+      values: projects.map(project => keys.has(project.key))
+    }))
+    .sort((a, b) => b.values.filter(Boolean).length - a.values.filter(Boolean).length);
+};
+
+// 📋 Aligned rows for 2-4 projects; values are in the same order as `projects`
+export const compareProjects = (projects, categories = {}, { currency, locale } = {}) => {
+  const prices = projects.map(project => priceIn(project.price, currency, locale));
+
+  return {
+    currency: prices[0].currency,
+    projects: projects.map(({ key, name, category }) => ({
+      key,
+      name,
+      category,
+      categoryLabel: categories[category] || category
+    })),
+    rows: [
+      { field: 'price', label: 'Price', values: prices, best: bestOf(projects, project => project.price.amount) },
+      { field: 'duration', label: 'Duration (weeks)', values: projects.map(weeksOf), best: bestOf(projects, weeksOf) },
+      { field: 'tech', label: 'Tech', values: projects.map(project => project.tech) },
+      { field: 'readiness', label: 'Readiness', values: projects.map(project => project.readiness) },
+      { field: 'deployment', label: 'Deployment', values: projects.map(project => project.deployment) },
+      {
+        field: 'featureCount',
+        label: 'Features',
+        values: projects.map(project => project.features.length),
+        best: bestOf(projects, project => -project.features.length)
+      }
+    ],
+    features: buildFeatureMatrix(projects)
+  };
+};
+
+// 🤖 Prompt asking the AI to explain the trade-offs of an already computed matrix
+export const buildComparisonPrompt = (comparison) => {
+  const lines = comparison.projects.map(({ key, name }, index) => {
+    const value = (field) => comparison.rows.find(row => row.field === field).values[index];
+    const unique = comparison.features
+      .filter(feature => !feature.shared && feature.values[index])
+      .map(feature => feature.name);
+    return `- [${key}] ${name}: ${value('price').formatted}, ${value('duration')} weeks, ${value('tech')}, ` +
+      `${value('readiness')}; deployment: ${value('deployment')}; only this one: ${unique.join(', ') || 'none'}`;
+  });
+
+  return `Compare these catalog projects for a client and summarize the trade-offs ` +
+    `(price, delivery time, tech stack, hosting requirements, distinctive features). ` +
+    `End with which project suits which kind of client.\n${lines.join('\n')}`;
+};
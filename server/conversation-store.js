@@ -0,0 +1,189 @@
+// 💬 Conversation Store - multi-turn chat history with Supabase + in-memory fallback
+
+import { randomUUID } from 'crypto';
+
+const DEFAULT_TOKEN_BUDGET = 1500;
+const MAX_STORED_MESSAGES = 50;
+const MEMORY_TTL = 24 * 60 * 60 * 1000; // 24 hours
+
+// Rough token estimate (~4 characters per token) - good enough for budgeting
+export const estimateTokens = (text) => Math.ceil(String(text || '').length / 4);
+
+// ✂️ Keep the most recent messages that fit in the token budget
+export const trimHistory = (messages, tokenBudget = DEFAULT_TOKEN_BUDGET) => {
+  const trimmed = [];
+  let used = 0;
+
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const tokens = estimateTokens(messages[i].content);
+    if (used + tokens > tokenBudget) break;
+    trimmed.unshift(messages[i]);
+    used += tokens;
+  }
+
+  // Never start the window on an assistant reply without its question
+  while (trimmed.length > 0 && trimmed[0].role !== 'user') {
+    trimmed.shift();
+  }
+
+  return trimmed;
+};
+
+// 🧹 Accept only {role, content} pairs with known roles
+export const sanitizeMessages = (messages) => {
+  if (!Array.isArray(messages)) return [];
+  return messages
+    .filter(message => message && typeof message.content === 'string' &&
+      (message.role === 'user' || message.role === 'assistant'))
+    .map(({ role, content }) => ({ role, content }));
+};
+
+const summarize = (id, messages, updatedAt) => ({
+  id,
+  title: messages.find(message => message.role === 'user')?.content.slice(0, 80) || '',
+  messageCount: messages.length,
+  updatedAt
+});
+
+export class ConversationStore {
+  constructor({ supabase, table = 'ai_conversations' } = {}) {
+    this.supabase = supabase;
+    this.table = table;
+    this.memory = new Map();
+  }
+
+  static newId() {
+    return randomUUID();
+  }
+
+  // 🔒 Sessions belong to the user who started them; other users see an empty history
+  async getHistory(conversationId, userId) {
+    if (!conversationId) return [];
+
+    const local = this.memory.get(conversationId);
+    if (local) return local.userId === userId ? local.messages : [];
+
+    try {
+      const { data, error } = await this.supabase
+        .from(this.table)
+        .select('messages, user_id')
+        .eq('id', conversationId)
+        .maybeSingle();
+      if (error) throw error;
+      if (!data) return [];
+      if (data.user_id !== userId) return [];
+
+      const messages = sanitizeMessages(data.messages);
+      this.remember(conversationId, userId, messages);
+      return messages;
+    } catch (error) {
+      console.warn('Conversation lookup failed, using memory:', error.message);
+      return [];
+    }
+  }
+
+  // 📋 A user's sessions, most recent first, with the opening question as a title
+  async list(userId, { limit = 20 } = {}) {
+    try {
+      const { data, error } = await this.supabase
+        .from(this.table)
+        .select('id, messages, updated_at')
+        .eq('user_id', userId)
+        .order('updated_at', { ascending: false })
+        .limit(limit);
+      if (error) throw error;
+      return data.map(row => summarize(row.id, sanitizeMessages(row.messages), row.updated_at));
+    } catch (error) {
+      console.warn('Conversation list failed, using memory:', error.message);
+      return [...this.memory.entries()]
+        .filter(([, entry]) => entry.userId === userId)
+        .sort(([, a], [, b]) => b.touchedAt - a.touchedAt)
+        .slice(0, limit)
+        .map(([id, entry]) => summarize(id, entry.messages, new Date(entry.touchedAt).toISOString()));
+    }
+  }
+
+  async append(conversationId, newMessages, userId) {
+    // Ids are client-supplied, so never append to a session another user owns
+    if (await this.isOwnedByAnother(conversationId, userId)) {
+      throw new Error('Conversation belongs to another user');
+    }
+
+    const history = await this.getHistory(conversationId, userId);
+    const messages = [...history, ...sanitizeMessages(newMessages)].slice(-MAX_STORED_MESSAGES);
+    this.remember(conversationId, userId, messages);
+
+    try {
+      await this.persist(conversationId, userId, messages);
+    } catch (error) {
+      console.warn('Failed to persist conversation:', error.message);
+    }
+
+    return messages;
+  }
+
+  // An ownership check that cannot reach Supabase fails closed: the caller must not join the session
+  async isOwnedByAnother(conversationId, userId) {
+    const local = this.memory.get(conversationId);
+    if (local) return local.userId !== userId;
+
+    const { data, error } = await this.supabase
+      .from(this.table)
+      .select('user_id')
+      .eq('id', conversationId)
+      .maybeSingle();
+    if (error) throw new Error(`Conversation ownership check failed: ${error.message}`);
+    return Boolean(data) && data.user_id !== userId;
+  }
+
+  // 🆕 A server-minted session id belongs to the user it was created for
+  start(userId) {
+    const id = ConversationStore.newId();
+    this.remember(id, userId, []);
+    return id;
+  }
+
+  // Only the owner's row is updated; a new row is inserted otherwise, so user_id never changes hands
+  async persist(conversationId, userId, messages) {
+    const updatedAt = new Date().toISOString();
+    const { data, error } = await this.supabase
+      .from(this.table)
+      .update({ messages, updated_at: updatedAt })
+      .eq('id', conversationId)
+      .eq('user_id', userId)
+      .select('id');
+    if (error) throw error;
+    if (data.length > 0) return;
+
+    const { error: insertError } = await this.supabase
+      .from(this.table)
+      .insert({ id: conversationId, user_id: userId, messages, updated_at: updatedAt });
+    if (insertError) throw insertError;
+  }
+
+  async clear(conversationId, userId) {
+    const local = this.memory.get(conversationId);
+    if (local && local.userId === userId) this.memory.delete(conversationId);
+
+    try {
+      const { error } = await this.supabase
+        .from(this.table)
+        .delete()
+        .eq('id', conversationId)
+        .eq('user_id', userId);
+      if (error) throw error;
+    } catch (error) {
+      console.warn('Failed to delete conversation:', error.message);
+    }
+  }
+
+  remember(conversationId, userId, messages) {
+    this.memory.set(conversationId, { userId, messages, touchedAt: Date.now() });
+
+    // Drop idle sessions so the fallback store does not grow forever
+    const cutoff = Date.now() - MEMORY_TTL;
+    for (const [id, entry] of this.memory) {
+      if (entry.touchedAt < cutoff) this.memory.delete(id);
+    }
+  }
+}
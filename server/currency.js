@@ -0,0 +1,127 @@
+// 💱 Currency - exchange rates, conversion and locale-aware formatting
+
+import { promises as fs, readFileSync } from 'fs';
+import { CATALOG_CURRENCY } from '../projects-data.js';
+
+const RATES_FILE = process.env.EXCHANGE_RATES_FILE || 'config/exchange-rates.json';
+
+// Default display locale per currency (Arabic numerals for EGP/SAR clients)
+const CURRENCY_LOCALES = {
+  GBP: 'en-GB',
+  USD: 'en-US',
+  EUR: 'de-DE',
+  EGP: 'ar-EG',
+  SAR: 'ar-SA'
+};
+
+export class CurrencyError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'CurrencyError';
+    this.status = status;
+  }
+}
+
+// 📥 Rates table: { base, updatedAt, rates: { CODE: units per 1 base } }
+let ratesTable = loadRatesFile();
+
+function loadRatesFile() {
+  try {
+    return validateRates(JSON.parse(readFileSync(RATES_FILE, 'utf8')));
+  } catch (error) {
+    console.warn(`Failed to load exchange rates from ${RATES_FILE}:`, error.message);
+    return { base: CATALOG_CURRENCY, updatedAt: null, rates: { [CATALOG_CURRENCY]: 1 } };
+  }
+}
+
+export function validateRates(table) {
+  if (!table || typeof table.base !== 'string' || typeof table.rates !== 'object') {
+    throw new CurrencyError('Rates must look like { base, rates: { CODE: number } }');
+  }
+
+  const rates = {};
+  for (const [code, rate] of Object.entries(table.rates)) {
+    if (!/^[A-Z]{3}$/.test(code) || !(Number(rate) > 0)) {
+      throw new CurrencyError(`Invalid rate for ${code}`);
+    }
+    rates[code] = Number(rate);
+  }
+  if (rates[table.base] !== 1) {
+    throw new CurrencyError(`The base currency ${table.base} must have a rate of 1`);
+  }
+  // Every catalog price is converted from this currency
+  if (!rates[CATALOG_CURRENCY]) {
+    throw new CurrencyError(`Rates must include the catalog currency ${CATALOG_CURRENCY}`);
+  }
+
+  return { base: table.base, updatedAt: table.updatedAt || new Date().toISOString(), rates };
+}
+
+export const getRates = () => ratesTable;
+
+// 🛠️ Replace the rates table at runtime and persist it back to the JSON file
+export const updateRates = async (table) => {
+  const validated = validateRates({ ...table, updatedAt: new Date().toISOString() });
+  ratesTable = validated;
+
+  try {
+    await fs.writeFile(RATES_FILE, `${JSON.stringify(validated, null, 2)}\n`);
+  } catch (error) {
+    console.warn('Failed to persist exchange rates:', error.message);
+  }
+
+  return validated;
+};
+
+export const normalizeCurrency = (currency) => {
+  const code = String(currency || CATALOG_CURRENCY).toUpperCase();
+  if (!ratesTable.rates[code]) {
+    throw new CurrencyError(`Unsupported currency: ${code}`);
+  }
+  return code;
+};
+
+export const getRate = (from, to) => {
+  const { rates } = ratesTable;
+  return rates[normalizeCurrency(to)] / rates[normalizeCurrency(from)];
+};
+
+// Rounded to the currency's minor unit (2 decimals for all supported currencies)
+export const convert = (amount, from, to) => Math.round(amount * getRate(from, to) * 100) / 100;
+
+// Client-supplied locales must be BCP 47 tags this runtime supports ("en-US", not "en_US")
+export const normalizeLocale = (locale) => {
+  if (locale === undefined || locale === null || locale === '') return null;
+  let supported = [];
+  try {
+    supported = Intl.NumberFormat.supportedLocalesOf(String(locale));
+  } catch (error) {
+    // RangeError: not a well-formed language tag
+  }
+  if (supported.length === 0) {
+    throw new CurrencyError(`Unsupported locale: ${locale} (use a language tag such as en-GB or ar-EG)`);
+  }
+  return supported[0];
+};
+
+export const formatMoney = (amount, currency, locale) => {
+  const code = normalizeCurrency(currency);
+  return new Intl.NumberFormat(normalizeLocale(locale) || CURRENCY_LOCALES[code] || 'en-GB', {
+    style: 'currency',
+    currency: code,
+    maximumFractionDigits: 2
+  }).format(amount);
+};
+
+// 🏷️ Catalog { amount, currency } price re-expressed in the requested currency
+export const priceIn = (price, currency, locale) => {
+  const code = normalizeCurrency(currency);
+  const amount = convert(price.amount, price.currency, code);
+  return { amount, currency: code, formatted: formatMoney(amount, code, locale) };
+};
+
+// 📋 Catalog project with its price re-expressed in the requested currency
+export const withPrice = (project, currency, locale) => ({
+  ...project,
+  price: priceIn(project.price, currency, locale)
+});
@@ -0,0 +1,258 @@
+// 🖨️ Document Export - branded RTL printable HTML and PDF for projects and quotes, CSV for reports
+
+import { PROJECT_CATEGORIES } from '../projects-data.js';
+import { formatMoney } from './currency.js';
+
+const BRAND_NAME = process.env.EXPORT_BRAND_NAME || 'AI Project Manager';
+
+export class ExportError extends Error {
+  constructor(message, status = 500) {
+    super(message);
+    this.name = 'ExportError';
+    this.status = status;
+  }
+}
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// <bdi> isolates each mixed Arabic/English string so Latin runs like
+// "Flutter" or "(6Valley)" do not reorder the surrounding RTL text
+const text = (value) => `<bdi>${escapeHtml(value)}</bdi>`;
+
+// Numbers, prices and dates always read left-to-right
+const ltr = (value) => `<bdi dir="ltr">${escapeHtml(value)}</bdi>`;
+
+const money = (amount, currency) => ltr(formatMoney(amount, currency));
+
+const STYLES = `
+  @page { size: A4; margin: 18mm 16mm; }
+  * { box-sizing: border-box; }
+  body {
+    font-family: 'Noto Naskh Arabic', 'Cairo', 'Segoe UI', Tahoma, Arial, sans-serif;
+    color: #1e293b;
+    margin: 0;
+    line-height: 1.7;
+  }
+  header {
+    display: flex;
+    justify-content: space-between;
+    align-items: center;
+    padding: 18px 24px;
+    color: #fff;
+    background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+    border-radius: 10px;
+  }
+  header h1 { margin: 0; font-size: 20px; }
+  header .meta { font-size: 12px; opacity: 0.9; text-align: left; }
+  main { padding: 8px 4px; }
+  h2 { font-size: 22px; margin: 24px 0 8px; }
+  h3 { font-size: 15px; margin: 20px 0 8px; color: #475569; border-bottom: 1px solid #e2e8f0; padding-bottom: 4px; }
+  table { width: 100%; border-collapse: collapse; font-size: 13px; }
+  th, td { padding: 8px 10px; border-bottom: 1px solid #e2e8f0; text-align: start; vertical-align: top; }
+  th { background: #f1f5f9; color: #334155; font-weight: 600; }
+  td.amount, th.amount { text-align: end; white-space: nowrap; }
+  ul { margin: 0; padding-inline-start: 20px; }
+  .facts { display: grid; grid-template-columns: repeat(4, 1fr); gap: 12px; }
+  .fact { background: #f8fafc; border: 1px solid #e2e8f0; border-radius: 8px; padding: 10px; }
+  .fact span { display: block; font-size: 11px; color: #64748b; }
+  .fact strong { font-size: 15px; }
+  .total td { font-weight: 700; font-size: 15px; background: #f8fafc; }
+  footer { margin-top: 32px; font-size: 11px; color: #94a3b8; text-align: center; }
+  .print-button { position: fixed; top: 16px; left: 16px; }
+  @media print { .print-button { display: none; } }
+`;
+
+const layout = ({ title, subtitle, body }) => `<!doctype html>
+<html lang="ar" dir="rtl">
+<head>
+  <meta charset="UTF-8" />
+  <title>${escapeHtml(title)}</title>
+  <style>${STYLES}</style>
+</head>
+<body>
+  <button class="print-button" onclick="window.print()">🖨️ طباعة</button>
+  <header>
+    <h1>${text(BRAND_NAME)}</h1>
+    <div class="meta">${text(subtitle)}<br />${ltr(new Date().toISOString().slice(0, 10))}</div>
+  </header>
+  <main>
+${body}
+  </main>
+  <footer>${text(BRAND_NAME)} — ${text('وثيقة مولدة تلقائياً')}</footer>
+</body>
+</html>`;
+
+const fact = (label, value) => `<div class="fact"><span>${text(label)}</span><strong>${value}</strong></div>`;
+
+// 📄 Project sheet for a single catalog entry
+export const renderProjectSheet = (project, categories = PROJECT_CATEGORIES) => layout({
+  title: project.name,
+  subtitle: 'ملف المشروع',
+  body: `
+    <h2>${text(project.name)}</h2>
+    <p>${text(categories[project.category] || project.category)} · ${ltr(project.key)}</p>
+    <div class="facts">
+      ${fact('السعر', money(project.price.amount, project.price.currency))}
+      ${fact('المدة', `${ltr(project.duration)} ${text('أسبوع')}`)}
+      ${fact('التقنية', text(project.tech))}
+      ${fact('الجاهزية', text(project.readiness))}
+    </div>
+    <h3>${text('المميزات')}</h3>
+    <ul>${project.features.map(feature => `<li>${text(feature)}</li>`).join('')}</ul>
+    <h3>${text('متطلبات النشر')}</h3>
+    <ul>${project.deployment.split('+').map(step => `<li>${text(step.trim())}</li>`).join('')}</ul>`
+});
+
+// 🧾 Full quote document
+export const renderQuoteDocument = (quote) => {
+  const { currency } = quote;
+
+  const itemRows = quote.items.map(item => `
+      <tr>
+        <td>${text(item.name)}<br /><small>${ltr(item.projectKey)} · ${text(item.tech)}</small></td>
+        <td>${ltr(item.weeks)} ${text('أسبوع')}</td>
+        <td class="amount">${money(item.basePrice, currency)}</td>
+        <td class="amount">${money(item.lineTotal, currency)}</td>
+      </tr>
+      ${item.addedFeatures.map(feature => `
+      <tr><td colspan="3">+ ${text(feature.name)}</td><td class="amount">${money(feature.price, currency)}</td></tr>`).join('')}
+      ${item.removedFeatures.map(feature => `
+      <tr><td colspan="3">− ${text(feature.name)}</td><td class="amount">${money(-feature.credit, currency)}</td></tr>`).join('')}`).join('');
+
+  const summaryRows = [
+    `<tr><td colspan="3">${text('المجموع الفرعي')}</td><td class="amount">${money(quote.subtotal, currency)}</td></tr>`,
+    quote.discount.amount > 0
+      ? `<tr><td colspan="3">${text('الخصم')} ${ltr(quote.discount.type === 'percent' ? `${quote.discount.value}%` : '')}</td><td class="amount">${money(-quote.discount.amount, currency)}</td></tr>`
+      : '',
+    ...quote.taxes.map(tax => `<tr><td colspan="3">${text(tax.name)} ${ltr(`${tax.rate}%`)}</td><td class="amount">${money(tax.amount, currency)}</td></tr>`),
+    `<tr class="total"><td colspan="3">${text('الإجمالي')}</td><td class="amount">${money(quote.total, currency)}</td></tr>`
+  ].join('');
+
+  const milestoneRows = quote.milestones.map(milestone => `
+      <tr>
+        <td>${text(milestone.name)}</td>
+        <td>${ltr(`${milestone.percent}%`)}</td>
+        <td>${text('الأسبوع')} ${ltr(milestone.dueWeek)}</td>
+        <td class="amount">${money(milestone.amount, currency)}</td>
+      </tr>`).join('');
+
+  return layout({
+    title: `Quote ${quote.id}`,
+    subtitle: `عرض سعر · v${quote.version}`,
+    body: `
+    <h2>${text('عرض سعر')}</h2>
+    <div class="facts">
+      ${fact('العميل', text(quote.client?.name || '—'))}
+      ${fact('رقم العرض', ltr(`${quote.id.slice(0, 8)} · v${quote.version}`))}
+      ${fact('المدة الإجمالية', `${ltr(quote.timeline.weeks)} ${text('أسبوع')}`)}
+      ${fact('صالح حتى', ltr(quote.validUntil))}
+    </div>
+    <h3>${text('المشاريع')}</h3>
+    <table>
+      <thead><tr><th>${text('المشروع')}</th><th>${text('المدة')}</th><th class="amount">${text('السعر الأساسي')}</th><th class="amount">${text('الإجمالي')}</th></tr></thead>
+      <tbody>${itemRows}${summaryRows}</tbody>
+    </table>
+    <h3>${text('دفعات السداد')}</h3>
+    <table>
+      <thead><tr><th>${text('الدفعة')}</th><th>${text('النسبة')}</th><th>${text('الاستحقاق')}</th><th class="amount">${text('المبلغ')}</th></tr></thead>
+      <tbody>${milestoneRows}</tbody>
+    </table>
+    ${quote.timeline.startDate ? `<p>${text('البدء')}: ${ltr(quote.timeline.startDate)} — ${text('التسليم')}: ${ltr(quote.timeline.endDate)}</p>` : ''}
+    ${quote.notes ? `<h3>${text('ملاحظات')}</h3><p>${text(quote.notes)}</p>` : ''}`
+  });
+};
+
+// 🖨️ One shared Chromium prints every PDF; at most MAX_RENDERS pages are open, a few more requests wait
+const MAX_RENDERS = parseInt(process.env.PDF_MAX_RENDERS, 10) || 2;
+const MAX_WAITING = 10;
+let browserLaunch = null;
+let rendering = 0;
+const waiting = [];
+
+// Relaunched on the next export if Chromium crashes or fails to start
+const getBrowser = (executablePath) => {
+  if (!browserLaunch) {
+    browserLaunch = import('puppeteer-core')
+      .then(({ default: puppeteer }) => puppeteer.launch({
+        executablePath,
+        args: ['--no-sandbox', '--disable-dev-shm-usage']
+      }))
+      .then(browser => {
+        browser.on('disconnected', () => {
+          browserLaunch = null;
+        });
+        return browser;
+      })
+      .catch(error => {
+        browserLaunch = null;
+        throw error;
+      });
+  }
+  return browserLaunch;
+};
+
+const acquireRender = async () => {
+  if (rendering < MAX_RENDERS) {
+    rendering += 1;
+    return;
+  }
+  if (waiting.length >= MAX_WAITING) {
+    throw new ExportError('Too many PDF exports in progress, try again shortly', 503);
+  }
+  // A finished render hands its slot straight to the next waiting request
+  await new Promise(resolve => waiting.push(resolve));
+};
+
+const releaseRender = () => {
+  const next = waiting.shift();
+  if (next) next();
+  else rendering -= 1;
+};
+
+// 📑 Print HTML to PDF with headless Chrome (handles Arabic shaping and bidi natively)
+export const renderPdf = async (html) => {
+  const executablePath = process.env.PDF_CHROME_PATH || process.env.CHROME_PATH;
+  if (!executablePath) {
+    throw new ExportError('PDF export needs PDF_CHROME_PATH pointing at a Chrome/Chromium binary', 501);
+  }
+
+  await acquireRender();
+  let page = null;
+  try {
+    page = await (await getBrowser(executablePath)).newPage();
+    await page.setContent(html, { waitUntil: 'networkidle0' });
+    return await page.pdf({ format: 'A4', printBackground: true, preferCSSPageSize: true });
+  } finally {
+    await page?.close().catch(() => {});
+    releaseRender();
+  }
+};
+
+export const closePdfBrowser = async () => {
+  const launch = browserLaunch;
+  browserLaunch = null;
+  await launch?.then(browser => browser.close()).catch(() => {});
+};
+
+// 📄 CSV with a BOM so Excel opens Arabic text correctly; columns are field names or [header, getter] pairs
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let cell = String(value);
+  // Text starting with = + - @ would run as a spreadsheet formula
+  if (typeof value === 'string' && /^[=+\-@]/.test(cell)) cell = `'${cell}`;
+  return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+};
+
+export const renderCsv = (columns, rows) => {
+  const fields = columns.map(column => (Array.isArray(column) ? column : [column, row => row[column]]));
+  const lines = [
+    fields.map(([header]) => csvCell(header)).join(','),
+    ...rows.map(row => fields.map(([, get]) => csvCell(get(row))).join(','))
+  ];
+  return `\uFEFF${lines.join('\r\n')}\r\n`;
+};
@@ -0,0 +1,114 @@
+// 💰 Price Analytics - distribution, breakdowns, unit prices and outliers across catalog prices
+
+export const DEFAULT_BINS = 8;
+export const MAX_BINS = 50;
+
+// Linear interpolation between closest ranks (the spreadsheet PERCENTILE.INC definition)
+export const quantile = (sorted, q) => {
+  if (sorted.length === 0) return null;
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+const round = (value) => (value === null ? null : Math.round(value * 100) / 100);
+
+// 📐 Summary statistics; an empty list has count 0 and null figures rather than NaN
+export const priceStats = (values) => {
+  const sorted = values.filter(Number.isFinite).sort((a, b) => a - b);
+  const count = sorted.length;
+  const q1 = quantile(sorted, 0.25);
+  const q3 = quantile(sorted, 0.75);
+  return {
+    count,
+    min: count > 0 ? sorted[0] : null,
+    q1: round(q1),
+    median: round(quantile(sorted, 0.5)),
+    q3: round(q3),
+    max: count > 0 ? sorted[count - 1] : null,
+    average: count > 0 ? round(sorted.reduce((sum, value) => sum + value, 0) / count) : null,
+    iqr: count > 0 ? round(q3 - q1) : null
+  };
+};
+
+// Which stats fields are amounts of money (count is not)
+export const MONEY_FIELDS = ['min', 'q1', 'median', 'q3', 'max', 'average', 'iqr'];
+
+const weeksOf = (project) => parseInt(project.duration, 10) || 0;
+const featureCount = (project) => (Array.isArray(project.features) ? project.features.length : 0);
+
+const groupStats = (projects, keyOf) => {
+  const groups = new Map();
+  projects.forEach(project => {
+    const key = keyOf(project);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(project.price.amount);
+  });
+  return groups;
+};
+
+// 📊 Equal-width bins from the lowest to the highest price; the last bin includes the maximum
+export const histogram = (prices, bins = DEFAULT_BINS) => {
+  if (prices.length === 0) return [];
+  const min = Math.min(...prices);
+  const max = Math.max(...prices);
+  if (min === max) return [{ from: min, to: max, count: prices.length }];
+
+  const width = (max - min) / bins;
+  const counts = new Array(bins).fill(0);
+  prices.forEach(price => {
+    counts[Math.min(Math.floor((price - min) / width), bins - 1)] += 1;
+  });
+  return counts.map((count, index) => ({
+    from: round(min + index * width),
+    to: round(index === bins - 1 ? max : min + (index + 1) * width),
+    count
+  }));
+};
+
+// 🚩 Tukey fences: prices beyond 1.5 × IQR from the quartiles (needs at least four prices)
+export const findOutliers = (projects, stats) => {
+  if (stats.count < 4) return [];
+  const low = stats.q1 - 1.5 * stats.iqr;
+  const high = stats.q3 + 1.5 * stats.iqr;
+  return projects
+    .filter(project => project.price.amount < low || project.price.amount > high)
+    .map(project => ({
+      key: project.key,
+      name: project.name,
+      category: project.category,
+      price: project.price.amount,
+      direction: project.price.amount > high ? 'high' : 'low',
+      fence: project.price.amount > high ? round(high) : round(low)
+    }))
+    .sort((a, b) => b.price - a.price);
+};
+
+// 🧮 Full analysis of catalog projects ({ key, category, price, duration, features, tech }); categories
+// with no priced projects are still listed, with empty stats
+export const analyzePrices = (projects, categories = {}, { bins = DEFAULT_BINS } = {}) => {
+  const priced = projects.filter(project => Number.isFinite(project.price?.amount) && project.price.amount > 0);
+  const prices = priced.map(project => project.price.amount);
+  const overall = priceStats(prices);
+
+  const byCategory = groupStats(priced, project => project.category);
+  const byTech = groupStats(priced, project => project.tech || 'unknown');
+  const categoryKeys = [...new Set([...Object.keys(categories), ...byCategory.keys()])];
+
+  return {
+    ...overall,
+    total: overall.count,
+    per_week: priceStats(priced.filter(weeksOf).map(project => project.price.amount / weeksOf(project))),
+    per_feature: priceStats(priced.filter(featureCount).map(project => project.price.amount / featureCount(project))),
+    by_category: categoryKeys
+      .map(key => ({ category: key, label: categories[key] || key, ...priceStats(byCategory.get(key) || []) }))
+      .sort((a, b) => b.count - a.count),
+    by_tech: [...byTech.entries()]
+      .map(([tech, values]) => ({ tech, ...priceStats(values) }))
+      .sort((a, b) => b.count - a.count),
+    outliers: findOutliers(priced, overall),
+    histogram: histogram(prices, bins),
+    unpriced: projects.length - priced.length
+  };
+};
@@ -0,0 +1,274 @@
+// 🔎 Project Inspector - turns uploaded manifests or a zipped source tree into a structured project summary
+
+import path from 'path';
+import { unzipSync } from 'fflate';
+import YAML from 'yaml';
+
+export const MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+export const MAX_UPLOAD_FILES = 5;
+const MAX_ZIP_ENTRIES = 20000;
+const MAX_MANIFEST_BYTES = 1024 * 1024;
+const MAX_LISTED_DEPENDENCIES = 40;
+
+export class ProjectInputError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ProjectInputError';
+    this.status = status;
+  }
+}
+
+// Manifest file name -> package ecosystem
+const MANIFESTS = { 'package.json': 'npm', 'composer.json': 'composer', 'pubspec.yaml': 'pub' };
+const LOCKFILES = {
+  npm: ['package-lock.json', 'yarn.lock', 'pnpm-lock.yaml', 'bun.lockb'],
+  composer: ['composer.lock'],
+  pub: ['pubspec.lock']
+};
+
+// Dependencies, build output and tooling folders say nothing about the project's own structure
+const IGNORED_DIRS = new Set([
+  'node_modules', 'vendor', '.git', '.dart_tool', 'build', 'dist', '.next', '.nuxt', '.idea', '.vscode',
+  '__MACOSX', 'Pods', '.gradle', '.pub-cache', 'storage', 'coverage'
+]);
+
+// 🧩 Frameworks and notable services recognised from dependency names
+const FRAMEWORKS = {
+  npm: {
+    next: 'Next.js', react: 'React', 'react-native': 'React Native', vue: 'Vue', nuxt: 'Nuxt', '@angular/core': 'Angular',
+    svelte: 'Svelte', express: 'Express', '@nestjs/core': 'NestJS', fastify: 'Fastify', electron: 'Electron', vite: 'Vite',
+    typescript: 'TypeScript', tailwindcss: 'Tailwind CSS', '@supabase/supabase-js': 'Supabase', firebase: 'Firebase',
+    prisma: 'Prisma', mongoose: 'MongoDB (Mongoose)', 'socket.io': 'Socket.IO', stripe: 'Stripe'
+  },
+  composer: {
+    'laravel/framework': 'Laravel', 'symfony/framework-bundle': 'Symfony', 'livewire/livewire': 'Livewire',
+    'filament/filament': 'Filament', 'inertiajs/inertia-laravel': 'Inertia', 'laravel/sanctum': 'Laravel Sanctum',
+    'laravel/passport': 'Laravel Passport', 'stripe/stripe-php': 'Stripe', 'kreait/laravel-firebase': 'Firebase'
+  },
+  pub: {
+    flutter: 'Flutter', firebase_core: 'Firebase', flutter_bloc: 'BLoC', provider: 'Provider', flutter_riverpod: 'Riverpod',
+    get: 'GetX', dio: 'Dio', supabase_flutter: 'Supabase', onesignal_flutter: 'OneSignal'
+  }
+};
+
+const LANGUAGES = {
+  '.js': 'JavaScript', '.jsx': 'JavaScript', '.mjs': 'JavaScript', '.cjs': 'JavaScript', '.ts': 'TypeScript', '.tsx': 'TypeScript',
+  '.vue': 'Vue', '.svelte': 'Svelte', '.php': 'PHP', '.dart': 'Dart', '.kt': 'Kotlin', '.java': 'Java', '.swift': 'Swift',
+  '.py': 'Python', '.rb': 'Ruby', '.go': 'Go', '.cs': 'C#', '.html': 'HTML', '.css': 'CSS', '.scss': 'SCSS', '.sql': 'SQL'
+};
+
+// 📦 Dependency maps ({ name: version | { sdk, git, path, version } }) as a flat list
+const dependencyList = (map, dev) => Object.entries(map || {}).map(([name, spec]) => ({
+  name,
+  version: typeof spec === 'string' ? spec
+    : spec?.sdk ? `sdk:${spec.sdk}`
+      : spec?.git ? 'git'
+        : spec?.path ? 'path'
+          : spec?.version || spec?.hosted?.version || '*',
+  dev
+}));
+
+const parseFile = (content, filePath, parse) => {
+  try {
+    return parse(content);
+  } catch (error) {
+    throw new ProjectInputError(`Could not parse ${filePath}: ${error.message}`);
+  }
+};
+
+// File and package names come from uploads, so lookups must not reach Object.prototype ("constructor", "toString")
+const ownValue = (table, key) => (Object.hasOwn(table, key) ? table[key] : undefined);
+const ecosystemOf = (fileName) => ownValue(MANIFESTS, path.posix.basename(fileName));
+
+// 📄 One manifest as { path, ecosystem, name, version, platform, dependencies, scripts, frameworks }
+export function parseManifest(fileName, content, filePath = fileName) {
+  const ecosystem = ecosystemOf(fileName);
+  if (!ecosystem) throw new ProjectInputError(`${filePath} is not a supported manifest`);
+
+  const data = parseFile(content, filePath, ecosystem === 'pub' ? YAML.parse : JSON.parse);
+  if (!data || typeof data !== 'object') throw new ProjectInputError(`${filePath} is empty`);
+
+  let dependencies;
+  let platform = {};
+  if (ecosystem === 'npm') {
+    dependencies = [...dependencyList(data.dependencies, false), ...dependencyList(data.devDependencies, true)];
+    platform = data.engines || {};
+  } else if (ecosystem === 'composer') {
+    // php and ext-* entries are platform requirements, not packages
+    const isPlatform = (name) => name === 'php' || name.startsWith('ext-');
+    const all = [...dependencyList(data.require, false), ...dependencyList(data['require-dev'], true)];
+    dependencies = all.filter(dependency => !isPlatform(dependency.name));
+    platform = Object.fromEntries(all.filter(dependency => isPlatform(dependency.name)).map(dependency => [dependency.name, dependency.version]));
+  } else {
+    dependencies = [...dependencyList(data.dependencies, false), ...dependencyList(data.dev_dependencies, true)];
+    platform = data.environment || {};
+  }
+
+  const known = FRAMEWORKS[ecosystem];
+  return {
+    path: filePath,
+    ecosystem,
+    name: data.name || null,
+    version: data.version || null,
+    platform,
+    dependencies,
+    scripts: Object.keys(data.scripts || {}),
+    frameworks: dependencies
+      .filter(dependency => !dependency.dev && Object.hasOwn(known, dependency.name))
+      .map(dependency => known[dependency.name])
+  };
+}
+
+const isIgnored = (filePath) => filePath.split('/').some(segment => IGNORED_DIRS.has(segment));
+
+// GitHub-style archives wrap everything in one "repo-main/" folder
+const commonRoot = (names) => {
+  const roots = new Set(names.map(name => name.split('/')[0]));
+  const [root] = roots;
+  return roots.size === 1 && names.every(name => name.includes('/')) ? `${root}/` : '';
+};
+
+// 🗂️ File structure, notable files and every manifest inside a zipped source tree
+export function inspectZip(buffer, archiveName = 'project.zip') {
+  const names = [];
+  let files;
+  try {
+    files = unzipSync(new Uint8Array(buffer), {
+      // Only manifests are decompressed; everything else is listed by name
+      filter: (file) => {
+        if (names.length >= MAX_ZIP_ENTRIES) {
+          throw new ProjectInputError(`${archiveName} has more than ${MAX_ZIP_ENTRIES} entries`);
+        }
+        if (!file.name.endsWith('/')) names.push(file.name);
+        return Boolean(ecosystemOf(file.name)) && !isIgnored(file.name) && file.originalSize <= MAX_MANIFEST_BYTES;
+      }
+    });
+  } catch (error) {
+    if (error instanceof ProjectInputError) throw error;
+    throw new ProjectInputError(`${archiveName} is not a readable zip archive`);
+  }
+
+  const root = commonRoot(names);
+  const relative = (name) => name.slice(root.length);
+  const projectFiles = names.map(relative).filter(name => name && !isIgnored(name));
+  const manifests = Object.entries(files)
+    .map(([name, data]) => parseManifest(name, new TextDecoder().decode(data), relative(name)))
+    .sort((a, b) => a.path.split('/').length - b.path.split('/').length);
+
+  const languages = {};
+  const topLevel = {};
+  projectFiles.forEach(name => {
+    const language = ownValue(LANGUAGES, path.posix.extname(name).toLowerCase());
+    if (language) languages[language] = (languages[language] || 0) + 1;
+    const [first, ...rest] = name.split('/');
+    const entry = rest.length > 0 ? `${first}/` : first;
+    topLevel[entry] = (topLevel[entry] || 0) + 1;
+  });
+
+  const basenames = new Set(projectFiles.map(name => path.posix.basename(name)));
+  const testFiles = projectFiles.filter(name => /(^|\/)(tests?|__tests__|spec|integration_test)\//.test(name) || /\.(test|spec)\.[jt]sx?$|_test\.dart$|Test\.php$/.test(name));
+  const envFiles = projectFiles.filter(name => /(^|\/)\.env(\.[\w-]+)?$/.test(name) && !/\.(example|sample|dist|template)$/.test(name));
+
+  const notable = {
+    docker: basenames.has('Dockerfile') || basenames.has('docker-compose.yml') || basenames.has('docker-compose.yaml'),
+    ci: projectFiles.some(name => name.startsWith('.github/workflows/')) || basenames.has('.gitlab-ci.yml'),
+    deployment: ['vercel.json', 'netlify.toml', 'Procfile', 'firebase.json', 'app.yaml', 'fly.toml'].filter(name => basenames.has(name)),
+    tests: testFiles.length,
+    readme: [...basenames].some(name => /^readme(\.|$)/i.test(name)),
+    mobile: ['android/', 'ios/'].filter(dir => topLevel[dir])
+  };
+
+  const warnings = [
+    ...envFiles.map(name => `Environment file ${name} is included in the source (possible leaked secrets)`),
+    ...manifests
+      .filter(manifest => !LOCKFILES[manifest.ecosystem].some(lockfile => projectFiles.includes(path.posix.join(path.posix.dirname(manifest.path), lockfile))))
+      .map(manifest => `No lockfile next to ${manifest.path}; dependency versions are not pinned`),
+    ...(notable.tests === 0 ? ['No automated tests found'] : [])
+  ];
+
+  return {
+    source: archiveName,
+    files: {
+      total: projectFiles.length,
+      languages: Object.entries(languages).map(([language, count]) => ({ language, files: count })).sort((a, b) => b.files - a.files),
+      topLevel: Object.entries(topLevel).map(([name, count]) => ({ name, files: count })).sort((a, b) => b.files - a.files)
+    },
+    manifests,
+    notable,
+    warnings
+  };
+}
+
+// 📥 Uploaded files ({ originalname, buffer }) as one project summary
+export function inspectUploads(uploads = []) {
+  if (uploads.length === 0) {
+    throw new ProjectInputError(`Upload a ${Object.keys(MANIFESTS).join(', ')} or a .zip of the project source`);
+  }
+
+  const parts = uploads.map(upload => {
+    const name = path.posix.basename(upload.originalname.replace(/\\/g, '/'));
+    if (name.toLowerCase().endsWith('.zip')) return inspectZip(upload.buffer, name);
+    if (!ecosystemOf(name)) {
+      throw new ProjectInputError(`Unsupported file ${name}; upload ${Object.keys(MANIFESTS).join(', ')} or a .zip`);
+    }
+    return { source: name, manifests: [parseManifest(name, upload.buffer.toString('utf8'))], warnings: [] };
+  });
+
+  const manifests = parts.flatMap(part => part.manifests);
+  return {
+    sources: parts.map(part => part.source),
+    files: parts.find(part => part.files)?.files || null,
+    notable: parts.find(part => part.notable)?.notable || null,
+    manifests,
+    frameworks: [...new Set(manifests.flatMap(manifest => manifest.frameworks))],
+    warnings: parts.flatMap(part => part.warnings)
+  };
+}
+
+const listDependencies = (dependencies) => {
+  const shown = dependencies.slice(0, MAX_LISTED_DEPENDENCIES).map(dependency => `${dependency.name} ${dependency.version}`);
+  const more = dependencies.length - shown.length;
+  return `${shown.join(', ')}${more > 0 ? ` (+${more} more)` : ''}`;
+};
+
+// 📝 The summary as plain facts for the analysis prompt
+export function describeProject(summary) {
+  const lines = [`Uploaded: ${summary.sources.join(', ')}`];
+
+  if (summary.files) {
+    lines.push(`Files: ${summary.files.total}`);
+    if (summary.files.languages.length > 0) {
+      lines.push(`Languages: ${summary.files.languages.map(entry => `${entry.language} (${entry.files})`).join(', ')}`);
+    }
+    lines.push(`Top-level layout: ${summary.files.topLevel.slice(0, 25).map(entry => entry.name).join(', ')}`);
+  }
+  if (summary.frameworks.length > 0) lines.push(`Frameworks: ${summary.frameworks.join(', ')}`);
+
+  summary.manifests.forEach(manifest => {
+    const title = [manifest.name, manifest.version].filter(Boolean).join('@');
+    lines.push(`\n${manifest.path} (${manifest.ecosystem}${title ? `, ${title}` : ''})`);
+    const platform = Object.entries(manifest.platform).map(([name, version]) => `${name} ${version}`);
+    if (platform.length > 0) lines.push(`  Platform: ${platform.join(', ')}`);
+    const runtime = manifest.dependencies.filter(dependency => !dependency.dev);
+    const dev = manifest.dependencies.filter(dependency => dependency.dev);
+    if (runtime.length > 0) lines.push(`  Dependencies (${runtime.length}): ${listDependencies(runtime)}`);
+    if (dev.length > 0) lines.push(`  Dev dependencies (${dev.length}): ${listDependencies(dev)}`);
+    if (manifest.scripts.length > 0) lines.push(`  Scripts: ${manifest.scripts.join(', ')}`);
+  });
+
+  if (summary.notable) {
+    const { docker, ci, deployment, tests, readme, mobile } = summary.notable;
+    const found = [
+      docker && 'Docker',
+      ci && 'CI workflows',
+      ...deployment,
+      tests > 0 && `${tests} test file${tests === 1 ? '' : 's'}`,
+      readme && 'README',
+      mobile.length > 0 && `mobile targets (${mobile.join(', ')})`
+    ].filter(Boolean);
+    lines.push(`\nPresent: ${found.length > 0 ? found.join(', ') : 'none of Docker, CI, deployment config, tests or README'}`);
+  }
+  if (summary.warnings.length > 0) lines.push(`Warnings:\n${summary.warnings.map(warning => `- ${warning}`).join('\n')}`);
+
+  return lines.join('\n');
+}
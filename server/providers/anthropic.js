@@ -0,0 +1,55 @@
+// 🟠 Anthropic adapter - Messages API
+
+import { AIProvider, DEFAULT_MAX_TOKENS } from './base.js';
+
+const ANTHROPIC_URL = 'https://api.anthropic.com/v1';
+const ANTHROPIC_VERSION = '2023-06-01';
+const JSON_PREFILL = '{';
+
+export class AnthropicProvider extends AIProvider {
+  constructor(config) {
+    // The Messages API rejects requests without max_tokens
+    super({ maxTokens: DEFAULT_MAX_TOKENS, ...config });
+    this.baseUrl = (config.baseUrl || ANTHROPIC_URL).replace(/\/$/, '');
+  }
+
+  // There is no JSON mode, so structured answers are prefilled with "{" to start the object
+  buildRequest(messages, mode, { key, stream, json }) {
+    return {
+      url: `${this.baseUrl}/messages`,
+      headers: { 'x-api-key': key, 'anthropic-version': ANTHROPIC_VERSION },
+      body: {
+        model: this.model,
+        messages: json ? [...messages, { role: 'assistant', content: JSON_PREFILL }] : messages,
+        max_tokens: this.maxTokensFor(mode, json) || DEFAULT_MAX_TOKENS[mode],
+        temperature: this.temperature,
+        ...(stream && { stream: true })
+      }
+    };
+  }
+
+  parseResponse(data, { json } = {}) {
+    const text = data.content.filter(block => block.type === 'text').map(block => block.text).join('');
+    return {
+      text: json ? `${JSON_PREFILL}${text}` : text,
+      usage: { inputTokens: data.usage?.input_tokens, outputTokens: data.usage?.output_tokens }
+    };
+  }
+
+  // Input tokens arrive with message_start, output tokens with the closing message_delta
+  parseChunk(chunk) {
+    if (chunk.type === 'content_block_delta') {
+      return { text: chunk.delta?.text };
+    }
+    if (chunk.type === 'message_start') {
+      return { usage: { inputTokens: chunk.message?.usage?.input_tokens } };
+    }
+    if (chunk.type === 'message_delta') {
+      return { usage: { outputTokens: chunk.usage?.output_tokens } };
+    }
+    if (chunk.type === 'error') {
+      throw new Error(chunk.error?.message || 'Anthropic stream error');
+    }
+    return {};
+  }
+}
@@ -0,0 +1,117 @@
+// 🔌 AI Provider base - shared request, streaming and key rotation for every adapter
+
+import axios from 'axios';
+import { readEventStream } from '../sse.js';
+import { KeyPool } from './key-pool.js';
+
+// Key-level failures worth retrying on another key of the same provider
+const RETRY_ON = ['invalid', 'exhausted', 'rateLimited', 'transient'];
+
+export const DEFAULT_MAX_TOKENS = { quick: 150, detailed: 500 };
+
+export class AIProvider {
+  // config: { name, type, model, keys, baseUrl, timeout, maxTokens, temperature }
+  constructor(config) {
+    this.name = config.name;
+    this.type = config.type;
+    this.model = config.model;
+    this.keys = config.keys || [];
+    this.baseUrl = config.baseUrl;
+    this.timeout = config.timeout || 15000;
+    this.maxTokens = config.maxTokens;
+    this.temperature = config.temperature ?? 0.7;
+    this.requiresKey = true;
+    this.keyPool = new KeyPool(this.keys, { name: this.name });
+  }
+
+  isConfigured() {
+    return !this.requiresKey || this.keys.length > 0;
+  }
+
+  // 🔁 Run a call with a pooled key, moving on to another healthy key after key-level failures
+  async withKey(call, { signal, canRetry = () => true } = {}) {
+    if (!this.requiresKey) return call(null);
+    if (this.keys.length === 0) {
+      throw new Error(`No API keys configured for ${this.name}`);
+    }
+
+    const tried = [];
+    for (;;) {
+      const key = this.keyPool.acquire(tried);
+      tried.push(key);
+      const startedAt = Date.now();
+      try {
+        const result = await call(key);
+        this.keyPool.reportSuccess(key, Date.now() - startedAt);
+        return result;
+      } catch (error) {
+        if (signal?.aborted) throw error;
+        const kind = this.keyPool.reportFailure(key, error);
+        const another = tried.length < this.keys.length && this.keyPool.availableCount() > 0;
+        if (!RETRY_ON.includes(kind) || !another || !canRetry()) throw error;
+        console.warn(`${this.name} key failed (${kind}), retrying with another key:`, error.message);
+      }
+    }
+  }
+
+  status() {
+    return this.requiresKey ? this.keyPool.status() : { total: 0, available: 'keyless', keys: [] };
+  }
+
+  // Structured (JSON) answers get at least the tokens their schema needs, so objects are not cut off
+  maxTokensFor(mode, json = null) {
+    const configured = this.maxTokens?.[mode];
+    return json?.maxTokens ? Math.max(configured || 0, json.maxTokens) : configured;
+  }
+
+  // Adapters translate between the shared shapes and their API:
+  //   buildRequest(messages, mode, { key, stream, json }) -> { url, headers, body }
+  //   parseResponse(data, { json }) -> { text, usage }
+  //   parseChunk(chunk)   -> { text, usage } (either may be missing)
+  buildRequest() {
+    throw new Error(`${this.type} provider does not implement buildRequest`);
+  }
+
+  // 💬 messages: [{ role: 'user' | 'assistant', content }], the last one being the prompt;
+  // json: { name, schema, maxTokens } turns on the provider's JSON mode where it has one
+  async complete({ messages, mode = 'quick', signal, json = null } = {}) {
+    return this.withKey(async (key) => {
+      const { url, headers, body } = this.buildRequest(messages, mode, { key, stream: false, json });
+      const response = await axios.post(url, body, {
+        headers: { 'Content-Type': 'application/json', ...headers },
+        timeout: this.timeout,
+        signal
+      });
+
+      const { text, usage } = this.parseResponse(response.data, { json });
+      return { text, usage: usage || null };
+    }, { signal });
+  }
+
+  // 📡 Same as complete, relaying text through onToken as it arrives
+  async stream({ messages, mode = 'quick', signal, onToken } = {}) {
+    let text = '';
+    // Once tokens reached the caller a retry would repeat them
+    return this.withKey(async (key) => {
+      const { url, headers, body } = this.buildRequest(messages, mode, { key, stream: true });
+      const response = await axios.post(url, body, {
+        headers: { 'Content-Type': 'application/json', ...headers },
+        responseType: 'stream',
+        timeout: this.timeout,
+        signal
+      });
+
+      let usage = null;
+      await readEventStream(response.data, (chunk) => {
+        const parsed = this.parseChunk(chunk);
+        if (parsed.usage) usage = { ...usage, ...parsed.usage };
+        if (parsed.text) {
+          text += parsed.text;
+          onToken(parsed.text);
+        }
+      });
+
+      return { text, usage };
+    }, { signal, canRetry: () => text === '' });
+  }
+}
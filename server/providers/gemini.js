@@ -0,0 +1,52 @@
+// 🔷 Gemini adapter - Google Generative Language API
+
+import { AIProvider } from './base.js';
+
+const GEMINI_URL = 'https://generativelanguage.googleapis.com/v1beta';
+
+const toUsage = (metadata) => metadata && {
+  inputTokens: metadata.promptTokenCount,
+  outputTokens: metadata.candidatesTokenCount
+};
+
+export class GeminiProvider extends AIProvider {
+  constructor(config) {
+    super({ timeout: 10000, ...config });
+    this.baseUrl = (config.baseUrl || GEMINI_URL).replace(/\/$/, '');
+  }
+
+  buildRequest(messages, mode, { key, stream, json }) {
+    // Gemini takes prior turns as alternating user/model contents
+    const contents = messages.map(message => ({
+      role: message.role === 'assistant' ? 'model' : 'user',
+      parts: [{ text: message.content }]
+    }));
+    const maxOutputTokens = this.maxTokensFor(mode, json);
+    const generationConfig = {
+      ...(maxOutputTokens && { maxOutputTokens }),
+      temperature: this.temperature,
+      // JSON mode; the schema itself travels in the prompt (Gemini's responseSchema is an OpenAPI subset)
+      ...(json && { responseMimeType: 'application/json' })
+    };
+
+    return {
+      url: stream
+        ? `${this.baseUrl}/models/${this.model}:streamGenerateContent?alt=sse&key=${key}`
+        : `${this.baseUrl}/models/${this.model}:generateContent?key=${key}`,
+      headers: {},
+      body: {
+        contents,
+        ...(Object.keys(generationConfig).length > 0 && { generationConfig })
+      }
+    };
+  }
+
+  parseResponse(data) {
+    return { text: data.candidates[0].content.parts[0].text, usage: toUsage(data.usageMetadata) };
+  }
+
+  // Every streamed chunk carries the running usage totals; the last one wins
+  parseChunk(chunk) {
+    return { text: chunk.candidates?.[0]?.content?.parts?.[0]?.text, usage: toUsage(chunk.usageMetadata) };
+  }
+}
@@ -0,0 +1,202 @@
+// 🤖 AI Provider Registry - configured providers and per-mode routing
+
+import { promises as fs, readFileSync, existsSync } from 'fs';
+import { OpenAIProvider } from './openai.js';
+import { GeminiProvider } from './gemini.js';
+import { AnthropicProvider } from './anthropic.js';
+
+const PROVIDERS_FILE = process.env.AI_PROVIDERS_FILE || 'config/ai-providers.json';
+
+export const ROUTE_MODES = ['quick', 'detailed'];
+
+export class ProviderSettingsError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ProviderSettingsError';
+    this.status = status;
+  }
+}
+
+export const PROVIDER_TYPES = {
+  openai: OpenAIProvider,
+  'openai-compatible': OpenAIProvider,
+  gemini: GeminiProvider,
+  anthropic: AnthropicProvider
+};
+
+// 🔑 PREFIX, PREFIX_1, PREFIX_2, ... (GEMINI_API_KEY_1 etc. keep working)
+const envKeys = (prefix) => [
+  process.env[prefix],
+  ...Array.from({ length: 9 }, (_, i) => process.env[`${prefix}_${i + 1}`])
+].filter(Boolean);
+
+const envList = (value) => (value ? value.split(',').map(item => item.trim()).filter(Boolean) : null);
+
+// ⚙️ Built-in providers, configured entirely from the environment
+const envConfig = () => ({
+  providers: {
+    gemini: {
+      type: 'gemini',
+      model: process.env.GEMINI_MODEL || 'gemini-pro',
+      keyEnv: 'GEMINI_API_KEY'
+    },
+    gpt: {
+      type: 'openai',
+      model: process.env.OPENAI_MODEL || 'gpt-4o',
+      keyEnv: 'GPT_API_KEY'
+    },
+    anthropic: {
+      type: 'anthropic',
+      model: process.env.ANTHROPIC_MODEL || 'claude-sonnet-4-5',
+      keyEnv: 'ANTHROPIC_API_KEY'
+    },
+    ...(process.env.OLLAMA_BASE_URL && {
+      ollama: {
+        type: 'openai-compatible',
+        model: process.env.OLLAMA_MODEL || 'llama3.1',
+        baseUrl: process.env.OLLAMA_BASE_URL,
+        timeout: 60000
+      }
+    })
+  },
+  routes: {
+    quick: envList(process.env.AI_QUICK_PROVIDERS) || ['gemini', 'gpt', 'anthropic', 'ollama'],
+    detailed: envList(process.env.AI_DETAILED_PROVIDERS) || ['gpt', 'anthropic', 'gemini', 'ollama']
+  }
+});
+
+// 📄 Optional JSON file: providers are merged by name over the env defaults, routes replace them
+export const loadProviderConfig = (filePath = PROVIDERS_FILE) => {
+  const config = envConfig();
+  if (!existsSync(filePath)) return config;
+
+  const file = JSON.parse(readFileSync(filePath, 'utf8'));
+  Object.entries(file.providers || {}).forEach(([name, provider]) => {
+    config.providers[name] = { ...config.providers[name], ...provider };
+  });
+  config.routes = { ...config.routes, ...file.routes };
+  return config;
+};
+
+export class ProviderRegistry {
+  constructor(config = loadProviderConfig()) {
+    this.providers = new Map();
+    this.routes = config.routes;
+
+    Object.entries(config.providers).forEach(([name, settings]) => {
+      const Provider = PROVIDER_TYPES[settings.type];
+      if (!Provider) {
+        console.warn(`Skipping AI provider ${name}: unknown type ${settings.type}`);
+        return;
+      }
+      // Keys never live in the config file, only the name of the env variable holding them
+      const keys = settings.keyEnv ? envKeys(settings.keyEnv) : [];
+      this.providers.set(name, new Provider({ ...settings, name, keys }));
+    });
+  }
+
+  get(name) {
+    const provider = this.providers.get(name);
+    if (!provider) throw new Error(`Unknown AI provider: ${name}`);
+    return provider;
+  }
+
+  // 🧭 Configured providers for a mode, in routing order
+  route(mode) {
+    const names = this.routes[mode] || this.routes.quick || [];
+    const route = names.filter(name => this.providers.get(name)?.isConfigured());
+    if (route.length === 0) {
+      throw new Error(`No AI providers configured for ${mode} responses`);
+    }
+    return route.map(name => this.providers.get(name));
+  }
+
+  // ⚙️ Runtime-editable settings; keys stay in the environment and are never exposed here
+  settings() {
+    return {
+      providers: Object.fromEntries([...this.providers.values()].map(provider => [provider.name, {
+        type: provider.type,
+        model: provider.model,
+        maxTokens: { quick: provider.maxTokensFor('quick') ?? null, detailed: provider.maxTokensFor('detailed') ?? null },
+        temperature: provider.temperature,
+        configured: provider.isConfigured()
+      }])),
+      routes: this.routes
+    };
+  }
+
+  // ✅ { providers: { name: { model, maxTokens: { quick, detailed }, temperature } }, routes: { quick: [], detailed: [] } }
+  validateSettings(changes = {}) {
+    const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const positive = (value) => value === null || (Number.isInteger(value) && value > 0);
+
+    if (!isObject(changes)) throw new ProviderSettingsError('Settings must look like { providers: {}, routes: {} }');
+    const { providers = {}, routes = {} } = changes;
+    if (!isObject(providers) || !isObject(routes)) {
+      throw new ProviderSettingsError('providers and routes must be objects keyed by provider name and route');
+    }
+
+    Object.entries(providers).forEach(([name, settings]) => {
+      if (!this.providers.has(name)) throw new ProviderSettingsError(`Unknown AI provider: ${name}`);
+      if (!isObject(settings)) throw new ProviderSettingsError(`Settings for ${name} must be an object`);
+      if (settings.model !== undefined && (typeof settings.model !== 'string' || !settings.model.trim())) {
+        throw new ProviderSettingsError(`Model for ${name} must be a non-empty string`);
+      }
+      if (settings.maxTokens !== undefined && (!isObject(settings.maxTokens) ||
+        !ROUTE_MODES.every(mode => settings.maxTokens[mode] === undefined || positive(settings.maxTokens[mode])))) {
+        throw new ProviderSettingsError(`maxTokens for ${name} must be positive whole numbers (or null for the API default)`);
+      }
+      if (settings.temperature !== undefined &&
+        !(typeof settings.temperature === 'number' && settings.temperature >= 0 && settings.temperature <= 2)) {
+        throw new ProviderSettingsError(`Temperature for ${name} must be a number between 0 and 2`);
+      }
+    });
+
+    Object.entries(routes).forEach(([mode, names]) => {
+      if (!ROUTE_MODES.includes(mode)) throw new ProviderSettingsError(`Unknown route ${mode} (expected quick or detailed)`);
+      if (!Array.isArray(names) || names.length === 0) throw new ProviderSettingsError(`The ${mode} route needs at least one provider`);
+      const unknown = names.filter(name => !this.providers.has(name));
+      if (unknown.length > 0) throw new ProviderSettingsError(`Unknown AI providers in the ${mode} route: ${unknown.join(', ')}`);
+    });
+  }
+
+  // 🛠️ Apply model, token, temperature and routing changes in place (key health is kept) and persist them
+  async updateSettings(changes = {}, filePath = PROVIDERS_FILE) {
+    this.validateSettings(changes);
+    const { providers = {}, routes = {} } = changes;
+
+    Object.entries(providers).forEach(([name, settings]) => {
+      const provider = this.providers.get(name);
+      if (settings.model !== undefined) provider.model = settings.model.trim();
+      if (settings.maxTokens !== undefined) provider.maxTokens = { ...provider.maxTokens, ...settings.maxTokens };
+      if (settings.temperature !== undefined) provider.temperature = settings.temperature;
+    });
+    this.routes = { ...this.routes, ...routes };
+
+    // Only the edited fields are written, so env defaults keep applying to everything else
+    try {
+      const file = existsSync(filePath) ? JSON.parse(await fs.readFile(filePath, 'utf8')) : {};
+      file.providers = file.providers || {};
+      Object.entries(providers).forEach(([name, settings]) => {
+        const provider = this.providers.get(name);
+        file.providers[name] = {
+          ...file.providers[name],
+          ...(settings.model !== undefined && { model: provider.model }),
+          ...(settings.maxTokens !== undefined && { maxTokens: provider.maxTokens }),
+          ...(settings.temperature !== undefined && { temperature: provider.temperature })
+        };
+      });
+      file.routes = { ...file.routes, ...routes };
+      await fs.writeFile(filePath, `${JSON.stringify(file, null, 2)}\n`);
+    } catch (error) {
+      console.warn('Failed to persist AI provider settings:', error.message);
+    }
+
+    return this.settings();
+  }
+
+  // 📊 Per-provider key health - keys are masked
+  status() {
+    return Object.fromEntries([...this.providers.values()].map(provider => [provider.name, provider.status()]));
+  }
+}
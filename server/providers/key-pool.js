@@ -0,0 +1,151 @@
+// 🔑 Key Pool - health-aware API key rotation with failure tracking and cooldowns
+
+const BASE_COOLDOWN = 2000; // first cooldown after a transient failure
+const MAX_COOLDOWN = 10 * 60 * 1000;
+const DEAD_KEY_COOLDOWN = 60 * 60 * 1000; // revoked or out-of-quota keys are retried hourly
+const LATENCY_SMOOTHING = 0.3; // weight of the newest sample in the moving average
+
+export class KeyPoolError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'KeyPoolError';
+  }
+}
+
+// 🙈 Only enough of a key to tell them apart in /api/health
+export const maskKey = (key) => (key.length <= 8 ? '••••' : `${key.slice(0, 4)}…${key.slice(-4)}`);
+
+const retryAfterMs = (error) => {
+  const header = error.response?.headers?.['retry-after'];
+  const seconds = Number(header);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : null;
+};
+
+// Errors with no HTTP response that still mean the provider could not be reached (axios and Node codes)
+const NETWORK_ERRORS = [
+  'ECONNABORTED', 'ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENOTFOUND', 'EHOSTUNREACH',
+  'ENETUNREACH', 'ERR_NETWORK', 'ERR_SOCKET_CONNECTION_TIMEOUT', 'UND_ERR_SOCKET'
+];
+
+// 🩺 What a failed call says about the key (as opposed to the request)
+export const classifyFailure = (error) => {
+  const status = error.response?.status;
+  const code = error.response?.data?.error?.code || error.response?.data?.error?.type;
+
+  if (status === 401 || status === 403) return 'invalid';
+  if (status === 402 || code === 'insufficient_quota' || code === 'RESOURCE_EXHAUSTED') return 'exhausted';
+  if (status === 429) return 'rateLimited';
+  if (status >= 500 || status === 408) return 'transient';
+  if (status === undefined) {
+    // A TypeError while reading an answer (no candidates, say) is our bug, not the key's
+    return NETWORK_ERRORS.includes(error.code) ? 'transient' : 'local';
+  }
+  return 'request'; // 400/404/422: the payload was wrong, the key is fine
+};
+
+export class KeyPool {
+  constructor(keys, { name } = {}) {
+    this.name = name;
+    this.index = 0;
+    this.entries = keys.map(key => ({
+      key,
+      successes: 0,
+      failures: 0,
+      consecutiveFailures: 0,
+      state: 'healthy',
+      lastStatus: null,
+      lastError: null,
+      lastUsedAt: null,
+      cooldownUntil: 0,
+      avgLatencyMs: null
+    }));
+  }
+
+  get size() {
+    return this.entries.length;
+  }
+
+  isAvailable(entry, now = Date.now()) {
+    return entry.cooldownUntil <= now;
+  }
+
+  availableCount() {
+    const now = Date.now();
+    return this.entries.filter(entry => this.isAvailable(entry, now)).length;
+  }
+
+  // 🎯 Round-robin over keys that are not cooling down, skipping any already tried for this request
+  acquire(exclude = []) {
+    const now = Date.now();
+    for (let offset = 0; offset < this.entries.length; offset++) {
+      const entry = this.entries[(this.index + offset) % this.entries.length];
+      if (!exclude.includes(entry.key) && this.isAvailable(entry, now)) {
+        this.index = (this.index + offset + 1) % this.entries.length;
+        entry.lastUsedAt = now;
+        return entry.key;
+      }
+    }
+    throw new KeyPoolError(`No healthy ${this.name} keys available`);
+  }
+
+  find(key) {
+    return this.entries.find(entry => entry.key === key);
+  }
+
+  reportSuccess(key, latencyMs) {
+    const entry = this.find(key);
+    if (!entry) return;
+
+    entry.successes += 1;
+    entry.consecutiveFailures = 0;
+    entry.state = 'healthy';
+    entry.lastStatus = 200;
+    entry.cooldownUntil = 0;
+    entry.avgLatencyMs = entry.avgLatencyMs === null
+      ? latencyMs
+      : Math.round(entry.avgLatencyMs * (1 - LATENCY_SMOOTHING) + latencyMs * LATENCY_SMOOTHING);
+  }
+
+  // Returns the failure kind so callers can decide whether another key is worth trying
+  reportFailure(key, error) {
+    const entry = this.find(key);
+    const kind = classifyFailure(error);
+    if (!entry || kind === 'request' || kind === 'local') return kind;
+
+    entry.failures += 1;
+    entry.consecutiveFailures += 1;
+    entry.lastStatus = error.response?.status || null;
+    entry.lastError = error.message;
+
+    const now = Date.now();
+    if (kind === 'invalid' || kind === 'exhausted') {
+      entry.state = kind;
+      entry.cooldownUntil = now + DEAD_KEY_COOLDOWN;
+    } else {
+      // Exponential backoff, unless the provider told us how long to wait
+      const backoff = Math.min(BASE_COOLDOWN * 2 ** (entry.consecutiveFailures - 1), MAX_COOLDOWN);
+      entry.state = kind === 'rateLimited' ? 'rateLimited' : 'cooldown';
+      entry.cooldownUntil = now + (retryAfterMs(error) || backoff);
+    }
+    return kind;
+  }
+
+  // 📊 Per-key health with masked keys
+  status() {
+    const now = Date.now();
+    return {
+      total: this.entries.length,
+      available: this.availableCount(),
+      keys: this.entries.map(entry => ({
+        key: maskKey(entry.key),
+        state: this.isAvailable(entry, now) && entry.state !== 'healthy' ? 'recovering' : entry.state,
+        successes: entry.successes,
+        failures: entry.failures,
+        lastStatus: entry.lastStatus,
+        lastError: entry.lastError,
+        avgLatencyMs: entry.avgLatencyMs,
+        cooldownUntil: entry.cooldownUntil > now ? new Date(entry.cooldownUntil).toISOString() : null
+      }))
+    };
+  }
+}
@@ -0,0 +1,63 @@
+// 🟢 OpenAI adapter - also serves OpenAI-compatible endpoints such as Ollama or LM Studio
+
+import axios from 'axios';
+import { AIProvider, DEFAULT_MAX_TOKENS } from './base.js';
+
+const OPENAI_URL = 'https://api.openai.com/v1';
+
+const toUsage = (usage) => usage && {
+  inputTokens: usage.prompt_tokens,
+  outputTokens: usage.completion_tokens
+};
+
+export class OpenAIProvider extends AIProvider {
+  constructor(config) {
+    super({ maxTokens: DEFAULT_MAX_TOKENS, ...config });
+    this.baseUrl = (config.baseUrl || OPENAI_URL).replace(/\/$/, '');
+    // Local servers usually run without a key
+    this.requiresKey = config.type !== 'openai-compatible';
+  }
+
+  // OpenAI validates against the schema itself; compatible servers get plain JSON mode
+  responseFormat(json) {
+    return this.type === 'openai'
+      ? { type: 'json_schema', json_schema: { name: json.name, schema: json.schema } }
+      : { type: 'json_object' };
+  }
+
+  buildRequest(messages, mode, { key, stream, json }) {
+    return {
+      url: `${this.baseUrl}/chat/completions`,
+      headers: key ? { Authorization: `Bearer ${key}` } : {},
+      body: {
+        model: this.model,
+        messages,
+        max_tokens: this.maxTokensFor(mode, json),
+        temperature: this.temperature,
+        ...(json && { response_format: this.responseFormat(json) }),
+        ...(stream && { stream: true }),
+        // Only OpenAI itself is known to accept stream_options
+        ...(stream && this.type === 'openai' && { stream_options: { include_usage: true } })
+      }
+    };
+  }
+
+  parseResponse(data) {
+    return { text: data.choices[0].message.content, usage: toUsage(data.usage) };
+  }
+
+  parseChunk(chunk) {
+    return { text: chunk.choices?.[0]?.delta?.content, usage: toUsage(chunk.usage) };
+  }
+
+  // 🧭 Embeddings for the semantic response cache (OpenAI, Ollama and most compatible servers)
+  async embed(input, model) {
+    return this.withKey(async (key) => {
+      const response = await axios.post(`${this.baseUrl}/embeddings`, { model, input }, {
+        headers: { 'Content-Type': 'application/json', ...(key && { Authorization: `Bearer ${key}` }) },
+        timeout: this.timeout
+      });
+      return response.data.data[0].embedding;
+    });
+  }
+}
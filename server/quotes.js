@@ -0,0 +1,372 @@
+// 🧾 Quotation Engine - priced, versioned quotes built from catalog projects
+
+import { randomUUID } from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { getProjectByKey, PROJECTS_CATALOG, CATALOG_CURRENCY } from '../projects-data.js';
+import { normalizeCurrency, convert, getRate } from './currency.js';
+
+const QUOTE_VALIDITY_DAYS = 30;
+
+// 🏛️ Tax presets (Egyptian VAT per the amazCart deployment notes)
+export const TAX_PRESETS = {
+  EG_VAT: { name: 'Egyptian VAT', rate: 14 }
+};
+
+// 💳 Default payment plan: deposit, mid-project, delivery
+export const DEFAULT_MILESTONES = [
+  { name: 'Deposit', percent: 30, at: 'start' },
+  { name: 'Mid-project', percent: 40, at: 'middle' },
+  { name: 'Delivery', percent: 30, at: 'end' }
+];
+
+export class QuoteError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'QuoteError';
+    this.status = status;
+  }
+}
+
+// Money is computed in minor units (pence, piastres, cents) to avoid floating point drift
+const toPence = (amount) => Math.round(Number(amount) * 100);
+const fromPence = (pence) => pence / 100;
+
+const normalizeFeature = (feature) => (typeof feature === 'string' ? { name: feature } : feature || {});
+
+// Optional amounts: omitted means zero, anything else must be a non-negative number
+const nonNegative = (value, message) => {
+  if (value === undefined || value === null || value === '') return 0;
+  const number = Number(value);
+  if (!(number >= 0)) throw new QuoteError(message);
+  return number;
+};
+
+// Optional list inputs: omitted means the default, anything but an array is a client error
+const listOf = (value, name, fallback = []) => {
+  if (value === undefined) return fallback;
+  if (!Array.isArray(value)) throw new QuoteError(`${name} must be an array`);
+  return value;
+};
+
+const buildLineItem = (item, currency, catalog) => {
+  const project = getProjectByKey(item?.projectKey, catalog);
+  if (!project) {
+    throw new QuoteError(`Unknown catalog project: ${item?.projectKey}`);
+  }
+
+  const added = listOf(item.addFeatures, 'addFeatures').map(normalizeFeature).map(feature => {
+    if (!feature.name) throw new QuoteError('Added features need a name');
+    if (!(Number(feature.price) >= 0)) throw new QuoteError(`Feature "${feature.name}" needs a non-negative price`);
+    const weeks = nonNegative(feature.weeks, `Feature "${feature.name}" needs a non-negative number of weeks`);
+    return { name: feature.name, price: Number(feature.price), weeks };
+  });
+
+  const removed = listOf(item.removeFeatures, 'removeFeatures').map(normalizeFeature).map(feature => {
+    if (!project.features.includes(feature.name)) {
+      throw new QuoteError(`Project ${project.key} has no feature "${feature.name}"`);
+    }
+    return { name: feature.name, credit: nonNegative(feature.credit, `Credit for "${feature.name}" must be a non-negative number`) };
+  });
+
+  const removedNames = new Set(removed.map(feature => feature.name));
+  const basePence = toPence(convert(project.price.amount, project.price.currency, currency));
+  const linePence = basePence +
+    added.reduce((sum, feature) => sum + toPence(feature.price), 0) -
+    removed.reduce((sum, feature) => sum + toPence(feature.credit), 0);
+
+  if (linePence < 0) {
+    throw new QuoteError(`Feature credits exceed the price of ${project.key}`);
+  }
+
+  return {
+    projectKey: project.key,
+    category: project.category,
+    name: project.name,
+    tech: project.tech,
+    basePrice: fromPence(basePence),
+    duration: parseInt(project.duration, 10) || 0,
+    weeks: (parseInt(project.duration, 10) || 0) + added.reduce((sum, feature) => sum + feature.weeks, 0),
+    features: [...project.features.filter(name => !removedNames.has(name)), ...added.map(feature => feature.name)],
+    addedFeatures: added,
+    removedFeatures: removed,
+    lineTotal: fromPence(linePence),
+    linePence
+  };
+};
+
+const buildDiscount = (discount, subtotalPence) => {
+  if (!discount || !discount.value) return { type: 'none', value: 0, amount: 0, pence: 0 };
+
+  const value = Number(discount.value);
+  if (!(value >= 0)) throw new QuoteError('Discount value must be a non-negative number');
+
+  let pence;
+  if (discount.type === 'percent') {
+    if (value > 100) throw new QuoteError('Percentage discount cannot exceed 100');
+    pence = Math.round(subtotalPence * value / 100);
+  } else if (discount.type === 'fixed') {
+    pence = Math.min(toPence(value), subtotalPence);
+  } else {
+    throw new QuoteError('Discount type must be "percent" or "fixed"');
+  }
+
+  return { type: discount.type, value, amount: fromPence(pence), pence };
+};
+
+const buildTaxes = (taxes, taxablePence) => listOf(taxes, 'taxes').map(tax => {
+  const preset = typeof tax === 'string' ? TAX_PRESETS[tax] : null;
+  if (typeof tax === 'string' && !preset) throw new QuoteError(`Unknown tax preset: ${tax}`);
+
+  const { name, rate } = preset || tax || {};
+  if (!name || !(Number(rate) >= 0)) throw new QuoteError('Taxes need a name and a non-negative rate');
+
+  const pence = Math.round(taxablePence * Number(rate) / 100);
+  return { code: typeof tax === 'string' ? tax : null, name, rate: Number(rate), amount: fromPence(pence), pence };
+});
+
+const milestoneWeek = (milestone, weeks) => {
+  if (Number.isInteger(milestone.week)) return Math.min(milestone.week, weeks);
+  if (milestone.at === 'start') return 0;
+  if (milestone.at === 'middle') return Math.ceil(weeks / 2);
+  return weeks;
+};
+
+const buildMilestones = (input, totalPence, weeks) => {
+  const milestones = listOf(input, 'milestones', DEFAULT_MILESTONES);
+  milestones.forEach(milestone => {
+    if (!milestone || typeof milestone !== 'object' || typeof milestone.name !== 'string' || !milestone.name.trim()) {
+      throw new QuoteError('Milestones need a name and a percent');
+    }
+    const percent = Number(milestone.percent);
+    if (!(percent > 0 && percent <= 100)) {
+      throw new QuoteError(`Milestone "${milestone.name}" needs a percent between 0 and 100`);
+    }
+    if (milestone.week !== undefined && !(Number.isInteger(milestone.week) && milestone.week >= 0)) {
+      throw new QuoteError(`Milestone "${milestone.name}" needs a whole, non-negative week`);
+    }
+  });
+  const percentTotal = milestones.reduce((sum, milestone) => sum + Number(milestone.percent), 0);
+  if (Math.abs(percentTotal - 100) > 0.001) {
+    throw new QuoteError(`Milestone percentages must add up to 100 (got ${percentTotal})`);
+  }
+
+  // The last milestone absorbs rounding so the plan always sums to the total
+  let allocated = 0;
+  return milestones.map((milestone, index) => {
+    const pence = index === milestones.length - 1
+      ? totalPence - allocated
+      : Math.round(totalPence * Number(milestone.percent) / 100);
+    allocated += pence;
+    return {
+      name: milestone.name,
+      percent: Number(milestone.percent),
+      amount: fromPence(pence),
+      dueWeek: milestoneWeek(milestone, weeks)
+    };
+  });
+};
+
+const addDays = (date, days) => new Date(date.getTime() + days * 24 * 60 * 60 * 1000);
+
+// 🧮 Compute a full quote from its inputs (pure - no persistence)
+export const buildQuote = (input = {}, catalog = PROJECTS_CATALOG) => {
+  if (!Array.isArray(input.items) || input.items.length === 0) {
+    throw new QuoteError('A quote needs at least one catalog project');
+  }
+
+  // Catalog prices are converted once, at the rate in force when the quote is built
+  const currency = normalizeCurrency(input.currency);
+  const items = input.items.map(item => buildLineItem(item, currency, catalog));
+  const subtotalPence = items.reduce((sum, item) => sum + item.linePence, 0);
+  const discount = buildDiscount(input.discount, subtotalPence);
+  const taxablePence = subtotalPence - discount.pence;
+  const taxes = buildTaxes(input.taxes, taxablePence);
+  const totalPence = taxablePence + taxes.reduce((sum, tax) => sum + tax.pence, 0);
+
+  // Sequential delivery adds the durations; parallel teams finish with the longest project
+  const timelineMode = input.timeline === 'parallel' ? 'parallel' : 'sequential';
+  const weeks = timelineMode === 'parallel'
+    ? Math.max(...items.map(item => item.weeks))
+    : items.reduce((sum, item) => sum + item.weeks, 0);
+  const startDate = input.startDate ? new Date(input.startDate) : null;
+  if (startDate && Number.isNaN(startDate.getTime())) {
+    throw new QuoteError('startDate must be a valid date');
+  }
+
+  const now = new Date();
+  return {
+    client: input.client || null,
+    currency,
+    exchangeRate: { from: CATALOG_CURRENCY, to: currency, rate: getRate(CATALOG_CURRENCY, currency) },
+    items: items.map(({ linePence, ...item }) => item),
+    subtotal: fromPence(subtotalPence),
+    discount: { type: discount.type, value: discount.value, amount: discount.amount },
+    taxes: taxes.map(({ pence, ...tax }) => tax),
+    total: fromPence(totalPence),
+    timeline: {
+      mode: timelineMode,
+      weeks,
+      startDate: startDate ? startDate.toISOString().slice(0, 10) : null,
+      endDate: startDate ? addDays(startDate, weeks * 7).toISOString().slice(0, 10) : null
+    },
+    milestones: buildMilestones(input.milestones, totalPence, weeks),
+    notes: input.notes || '',
+    internalNotes: input.internalNotes || '',
+    validUntil: addDays(now, QUOTE_VALIDITY_DAYS).toISOString().slice(0, 10),
+    input
+  };
+};
+
+// 🔒 Clients request quotes at catalog prices; discounts, taxes, added-feature prices and credits are set by sales
+export const assertClientPricing = (input = {}) => {
+  const items = Array.isArray(input.items) ? input.items : [];
+  const overrides = [
+    input.discount && input.discount.value && 'discount',
+    Array.isArray(input.taxes) ? input.taxes.length > 0 && 'taxes' : input.taxes !== undefined && 'taxes',
+    items.some(item => item?.addFeatures !== undefined) && 'addFeatures',
+    items.some(item => Array.isArray(item?.removeFeatures) &&
+      item.removeFeatures.some(feature => feature && typeof feature === 'object' && Number(feature.credit))) && 'feature credits'
+  ].filter(Boolean);
+
+  if (overrides.length > 0) {
+    throw new QuoteError(`Only sales can set ${overrides.join(', ')} on a quote`, 403);
+  }
+};
+
+// 🙈 Quote as its client sees it: internal notes are for sales and admins only
+export const clientQuote = ({ internalNotes, input, ...quote }) => {
+  const { internalNotes: inputNotes, ...clientInput } = input || {};
+  return { ...quote, input: clientInput };
+};
+
+// Postgres unique_violation: another revision already took this (id, version)
+const UNIQUE_VIOLATION = '23505';
+
+// 🗄️ Versioned quote persistence - Supabase, or a local JSON file when no client is configured
+export class QuoteStore {
+  constructor({ supabase, catalogStore, table = 'quotes', filePath = process.env.QUOTES_FILE || 'data/quotes.json' } = {}) {
+    this.supabase = supabase;
+    this.backend = supabase ? 'supabase' : 'file';
+    this.catalogStore = catalogStore;
+    this.table = table;
+    this.filePath = filePath;
+  }
+
+  // ownerId is the client user the quote belongs to; createdBy is whoever built it
+  async create(input, { ownerId = null, createdBy = null } = {}) {
+    const catalog = await this.catalogStore.getCatalog();
+    const quote = {
+      id: randomUUID(),
+      version: 1,
+      ...buildQuote(input, catalog),
+      ownerId,
+      createdBy,
+      createdAt: new Date().toISOString()
+    };
+    await this.save(quote);
+    return quote;
+  }
+
+  // ✏️ Revisions never overwrite: each change is stored as the next version
+  async revise(id, changes, { ownerId, createdBy = null } = {}) {
+    const latest = await this.get(id);
+    if (!latest) throw new QuoteError(`Quote ${id} not found`, 404);
+
+    const input = { ...latest.input, ...changes };
+    const catalog = await this.catalogStore.getCatalog();
+    const quote = {
+      id,
+      version: latest.version + 1,
+      ...buildQuote(input, catalog),
+      ownerId: ownerId === undefined ? latest.ownerId ?? null : ownerId,
+      createdBy,
+      createdAt: new Date().toISOString()
+    };
+    await this.save(quote);
+    return quote;
+  }
+
+  // 📋 Latest version of each quote, newest first (only one client's when ownerId is given)
+  async list({ ownerId } = {}) {
+    let quotes;
+    try {
+      if (this.backend === 'file') throw new Error('Supabase is not configured');
+      let query = this.supabase.from(this.table).select('data').order('created_at', { ascending: false });
+      if (ownerId !== undefined) query = query.eq('owner_id', ownerId);
+      const { data, error } = await query;
+      if (error) throw error;
+      quotes = data.map(row => row.data);
+    } catch (error) {
+      if (this.backend === 'supabase') console.warn('Quote list failed, using local file:', error.message);
+      quotes = (await this.readFile())
+        .filter(quote => ownerId === undefined || quote.ownerId === ownerId)
+        .reverse();
+    }
+
+    const latest = new Map();
+    quotes.forEach(quote => {
+      if (!latest.has(quote.id) || latest.get(quote.id).version < quote.version) latest.set(quote.id, quote);
+    });
+    return [...latest.values()].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  async get(id, version = null) {
+    const versions = await this.versions(id);
+    if (versions.length === 0) return null;
+    if (version === null) return versions[versions.length - 1];
+    return versions.find(quote => quote.version === version) || null;
+  }
+
+  async versions(id) {
+    try {
+      if (this.backend === 'file') throw new Error('Supabase is not configured');
+      const { data, error } = await this.supabase
+        .from(this.table)
+        .select('data')
+        .eq('id', id)
+        .order('version', { ascending: true });
+      if (error) throw error;
+      if (data.length > 0) return data.map(row => row.data);
+    } catch (error) {
+      if (this.backend === 'supabase') console.warn('Quote lookup failed, using local file:', error.message);
+    }
+
+    const quotes = await this.readFile();
+    return quotes.filter(quote => quote.id === id).sort((a, b) => a.version - b.version);
+  }
+
+  // A failed insert fails the request: a quote saved only to the local file would vanish from list()
+  async save(quote) {
+    if (this.backend === 'supabase') {
+      const { error } = await this.supabase.from(this.table).insert({
+        id: quote.id,
+        version: quote.version,
+        total: quote.total,
+        currency: quote.currency,
+        owner_id: quote.ownerId,
+        data: quote,
+        created_at: quote.createdAt
+      });
+      if (error?.code === UNIQUE_VIOLATION) {
+        throw new QuoteError(`Quote ${quote.id} already has a version ${quote.version}; reload it and try again`, 409);
+      }
+      if (error) throw new QuoteError(`Failed to save quote: ${error.message}`, 503);
+      return;
+    }
+
+    const quotes = await this.readFile();
+    quotes.push(quote);
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.writeFile(this.filePath, JSON.stringify(quotes, null, 2));
+  }
+
+  async readFile() {
+    try {
+      return JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+}
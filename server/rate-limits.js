@@ -0,0 +1,172 @@
+// 🛡️ Rate Limits - per-route, per-tier request limits (in memory, or shared through Redis)
+
+import { promises as fs, readFileSync } from 'fs';
+import Redis from 'ioredis';
+import { RateLimiterMemory, RateLimiterRedis, RateLimiterRes } from 'rate-limiter-flexible';
+
+const RATE_LIMITS_FILE = process.env.RATE_LIMITS_FILE || 'config/rate-limits.json';
+
+// Every route that spends AI credits or renders documents has its own budget of requests
+export const RATE_LIMIT_ROUTES = ['ai-query', 'ai-analyze', 'ai-suggestions', 'ai-summary', 'export'];
+
+export class RateLimitError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'RateLimitError';
+    this.status = status;
+  }
+}
+
+// Without a config file every limited route gets the original 10 requests a minute
+const DEFAULT_ROUTES = Object.fromEntries(RATE_LIMIT_ROUTES.map(route => [route, { default: { points: 10, duration: 60 } }]));
+
+// A tier set to null is unlimited
+const validateLimit = (limit, name) => {
+  if (limit === null) return null;
+  const points = Number(limit?.points);
+  const duration = Number(limit?.duration);
+  if (!Number.isInteger(points) || points < 1 || !Number.isInteger(duration) || duration < 1) {
+    throw new RateLimitError(`Rate limit ${name} needs whole-number points and duration (seconds)`);
+  }
+  return { points, duration };
+};
+
+// 📥 Limits table: { routes: { route: { default: { points, duration }, tier: { points, duration } | null } } }
+export function validateRateLimits(table) {
+  if (!table || typeof table.routes !== 'object') {
+    throw new RateLimitError('Rate limits must look like { routes: { route: { default: { points, duration } } } }');
+  }
+
+  const routes = {};
+  for (const [route, tiers] of Object.entries({ ...DEFAULT_ROUTES, ...table.routes })) {
+    if (!RATE_LIMIT_ROUTES.includes(route)) {
+      throw new RateLimitError(`Unknown rate-limited route ${route} (expected one of ${RATE_LIMIT_ROUTES.join(', ')})`);
+    }
+    if (!tiers || typeof tiers !== 'object' || !('default' in tiers)) {
+      throw new RateLimitError(`Rate limits for ${route} need a default tier`);
+    }
+    routes[route] = Object.fromEntries(Object.entries(tiers)
+      .map(([tier, limit]) => [tier, validateLimit(limit, `${route}/${tier}`)]));
+  }
+
+  return { routes, updatedAt: table.updatedAt || new Date().toISOString() };
+}
+
+function loadRateLimitsFile() {
+  try {
+    return validateRateLimits(JSON.parse(readFileSync(RATE_LIMITS_FILE, 'utf8')));
+  } catch (error) {
+    console.warn(`Failed to load rate limits from ${RATE_LIMITS_FILE}:`, error.message);
+    return validateRateLimits({ routes: {} });
+  }
+}
+
+// 🎚️ A user's tier: app_metadata.tier when set (e.g. "pro"), else their role; signed-out callers are anonymous
+export const tierOf = (user) => user?.appMetadata?.tier || user?.role || 'anonymous';
+
+// ⏳ When a spent quota frees up again
+export const retryInfo = ({ result }) => ({
+  retryAfter: Math.ceil(result.msBeforeNext / 1000),
+  retryAt: new Date(Date.now() + result.msBeforeNext).toISOString()
+});
+
+// 📨 IETF RateLimit-* headers on every limited response, plus Retry-After once the quota is spent
+export const setRateLimitHeaders = (res, state) => {
+  const { retryAfter } = retryInfo(state);
+  res.set({
+    'RateLimit-Limit': String(state.limit.points),
+    'RateLimit-Remaining': String(Math.max(state.result.remainingPoints, 0)),
+    'RateLimit-Reset': String(retryAfter),
+    'RateLimit-Policy': `${state.limit.points};w=${state.limit.duration}`
+  });
+  if (state.limited) res.set('Retry-After', String(retryAfter));
+};
+
+export class RateLimits {
+  constructor({ redisUrl = process.env.RATE_LIMIT_REDIS_URL } = {}) {
+    this.table = loadRateLimitsFile();
+    this.limiters = new Map();
+    this.redis = redisUrl ? RateLimits.connect(redisUrl) : null;
+  }
+
+  // Redis keeps counters shared between instances; commands fail fast while it is unreachable
+  static connect(url) {
+    const redis = new Redis(url, { enableOfflineQueue: false, maxRetriesPerRequest: 1 });
+    let healthy = true;
+    redis.on('error', (error) => {
+      if (healthy) console.warn('Rate limit Redis unavailable, limiting per instance:', error.message);
+      healthy = false;
+    });
+    redis.on('ready', () => {
+      healthy = true;
+    });
+    return redis;
+  }
+
+  getRateLimits() {
+    return this.table;
+  }
+
+  // 🛠️ Replace the limits at runtime and persist them back to the JSON file
+  async updateRateLimits(table) {
+    this.table = validateRateLimits({ ...table, updatedAt: new Date().toISOString() });
+    this.limiters.clear();
+
+    try {
+      await fs.writeFile(RATE_LIMITS_FILE, `${JSON.stringify(this.table, null, 2)}\n`);
+    } catch (error) {
+      console.warn('Failed to persist rate limits:', error.message);
+    }
+    return this.table;
+  }
+
+  limitFor(route, tier) {
+    const tiers = this.table.routes[route];
+    return tier in tiers ? tiers[tier] : tiers.default;
+  }
+
+  limiterFor(route, tier, limit) {
+    const id = `${route}:${tier}`;
+    if (!this.limiters.has(id)) {
+      const options = { keyPrefix: `ratelimit:${id}`, points: limit.points, duration: limit.duration };
+      // The in-memory insurance limiter takes over while Redis is down
+      this.limiters.set(id, this.redis
+        ? new RateLimiterRedis({ ...options, storeClient: this.redis, insuranceLimiter: new RateLimiterMemory(options) })
+        : new RateLimiterMemory(options));
+    }
+    return this.limiters.get(id);
+  }
+
+  // 🚦 Spend one request for the caller; null when their tier is unlimited on this route
+  async consume(req, route) {
+    const tier = tierOf(req.user);
+    const limit = this.limitFor(route, tier);
+    if (!limit) return null;
+
+    try {
+      const result = await this.limiterFor(route, tier, limit).consume(req.user?.id || req.ip);
+      return { limited: false, limit, result };
+    } catch (rejection) {
+      // Rejects with a RateLimiterRes when the quota is spent, and with an Error when the store fails
+      if (rejection instanceof RateLimiterRes) return { limited: true, limit, result: rejection };
+      console.warn(`Rate limiter for ${route} failed, allowing the request:`, rejection.message);
+      return null;
+    }
+  }
+
+  // 🛡️ Express middleware for a rate-limited route
+  middleware(route) {
+    return async (req, res, next) => {
+      const state = await this.consume(req, route);
+      if (state) setRateLimitHeaders(res, state);
+      if (state?.limited) {
+        return res.status(429).json({ error: 'Too many requests', ...retryInfo(state) });
+      }
+      next();
+    };
+  }
+
+  async close() {
+    await this.redis?.quit().catch(() => {});
+  }
+}
@@ -0,0 +1,181 @@
+// 🧭 Project Recommender - deterministic fit scoring of catalog projects against client requirements
+
+import { getAllProjects, CATALOG_CURRENCY } from '../projects-data.js';
+import { convert, formatMoney, normalizeCurrency } from './currency.js';
+import { hasFeature } from './catalog-filters.js';
+import { SearchIndex, normalizeText } from './search-index.js';
+
+const DEFAULT_LIMIT = 5;
+const MAX_LIMIT = 20;
+
+// Relative weight of each requirement; only the requirements a client gives are scored
+const WEIGHTS = {
+  budget: 30,
+  deadline: 25,
+  platform: 20,
+  features: 25
+};
+
+// Over budget/deadline by this fraction or more scores zero for that requirement
+const OVERRUN_TOLERANCE = 0.5;
+
+// 📱 Platform words clients use, mapped onto catalog tech and feature vocabulary
+const PLATFORM_ALIASES = {
+  mobile: ['flutter', 'mobile', 'موبايل', 'تطبيق'],
+  web: ['laravel', 'react', 'saas', 'web', 'ويب', 'موقع'],
+  saas: ['saas'],
+  flutter: ['flutter'],
+  laravel: ['laravel'],
+  react: ['react']
+};
+
+export class RecommendationError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'RecommendationError';
+    this.status = status;
+  }
+}
+
+const toNumber = (value, name) => {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  if (!(number > 0)) throw new RecommendationError(`${name} must be a positive number`);
+  return number;
+};
+
+// 📥 Validate a requirements payload; the budget arrives in the client's currency
+export const parseRequirements = (input = {}) => {
+  const currency = normalizeCurrency(input.currency);
+  const budget = toNumber(input.budget, 'budget');
+  const features = [input.features || []].flat().map(feature => String(feature).trim()).filter(Boolean);
+
+  const requirements = {
+    currency,
+    budget: budget === null ? null : convert(budget, currency, CATALOG_CURRENCY),
+    maxWeeks: toNumber(input.maxWeeks, 'maxWeeks'),
+    platform: input.platform ? String(input.platform).trim() : null,
+    features,
+    category: input.category || null,
+    limit: Math.min(Math.max(parseInt(input.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT)
+  };
+
+  if (requirements.budget === null && requirements.maxWeeks === null && !requirements.platform && features.length === 0) {
+    throw new RecommendationError('Give at least one of budget, maxWeeks, platform or features');
+  }
+  return requirements;
+};
+
+// 1 within the limit, falling linearly to 0 at OVERRUN_TOLERANCE over it
+const overrunScore = (value, limit) => {
+  if (value <= limit) return 1;
+  return Math.max(0, 1 - (value - limit) / (limit * OVERRUN_TOLERANCE));
+};
+
+const checkBudget = (project, { budget, currency }) => {
+  const price = project.price.amount;
+  const shown = (amount) => formatMoney(convert(amount, CATALOG_CURRENCY, currency), currency);
+  return {
+    requirement: 'budget',
+    met: price <= budget,
+    score: overrunScore(price, budget),
+    detail: price <= budget
+      ? `${shown(price)} fits the ${shown(budget)} budget`
+      : `${shown(price)} is ${shown(price - budget)} over the ${shown(budget)} budget`
+  };
+};
+
+const checkDeadline = (project, { maxWeeks }) => {
+  const weeks = parseInt(project.duration, 10) || 0;
+  return {
+    requirement: 'deadline',
+    met: weeks <= maxWeeks,
+    score: overrunScore(weeks, maxWeeks),
+    detail: weeks <= maxWeeks
+      ? `Delivered in ${weeks} weeks (limit ${maxWeeks})`
+      : `Takes ${weeks} weeks, ${weeks - maxWeeks} over the ${maxWeeks}-week limit`
+  };
+};
+
+// The tech stack is a full match; a mention in the name, features or deployment is a partial one
+const checkPlatform = (project, { platform }) => {
+  const wanted = normalizeText(platform);
+  const terms = PLATFORM_ALIASES[wanted] || [wanted];
+  const mentions = (text) => terms.some(term => normalizeText(text).includes(term));
+
+  if (mentions(project.tech)) {
+    return { requirement: 'platform', met: true, score: 1, detail: `Built on ${project.tech}` };
+  }
+  const partial = mentions([project.name, ...project.features, project.deployment].join(' '));
+  return {
+    requirement: 'platform',
+    met: false,
+    score: partial ? 0.5 : 0,
+    detail: partial
+      ? `Built on ${project.tech}; ${platform} is only mentioned in its description`
+      : `Built on ${project.tech}, not ${platform}`
+  };
+};
+
+// Features are matched bilingually through the search index, with a plain substring fallback
+const checkFeatures = (project, { features }, featureHits) => {
+  const matched = features.filter(feature => hasFeature(project, feature) || featureHits.get(feature).has(project.key));
+  const missing = features.filter(feature => !matched.includes(feature));
+  return {
+    requirement: 'features',
+    met: missing.length === 0,
+    score: matched.length / features.length,
+    matched,
+    missing,
+    detail: missing.length === 0
+      ? `Has all ${features.length} must-have features`
+      : `Missing ${missing.join(', ')}`
+  };
+};
+
+// Which projects have each must-have feature: every word of it within one catalog feature
+const findFeatureHits = (features, index) => new Map(features.map(feature => [feature, index.findFeature(feature)]));
+
+// 🧮 Score one project: weighted average over the requirements the client gave, 0-100
+const scoreProject = (project, requirements, featureHits) => {
+  const checks = [
+    requirements.budget !== null && checkBudget(project, requirements),
+    requirements.maxWeeks !== null && checkDeadline(project, requirements),
+    requirements.platform && checkPlatform(project, requirements),
+    requirements.features.length > 0 && checkFeatures(project, requirements, featureHits)
+  ].filter(Boolean);
+
+  const weight = checks.reduce((sum, check) => sum + WEIGHTS[check.requirement], 0);
+  const score = checks.reduce((sum, check) => sum + WEIGHTS[check.requirement] * check.score, 0) / weight;
+
+  return {
+    fitScore: Math.round(score * 100),
+    meets: checks.filter(check => check.met).map(check => check.requirement),
+    misses: checks.filter(check => !check.met).map(check => check.requirement),
+    checks: checks.map(check => ({ ...check, score: Math.round(check.score * 100) / 100 })),
+    explanation: checks.map(check => `${check.met ? '✓' : '✗'} ${check.detail}`).join('; ')
+  };
+};
+
+// 🏆 Ranked shortlist; ties go to the cheaper, then the faster project
+export const recommendProjects = (requirements, { catalog, categories = {}, index = null } = {}) => {
+  const projects = getAllProjects(catalog)
+    .filter(project => !requirements.category || project.category === requirements.category);
+  const featureHits = findFeatureHits(requirements.features, index || new SearchIndex(catalog, categories));
+
+  return projects
+    .map(project => ({ ...project, ...scoreProject(project, requirements, featureHits) }))
+    .sort((a, b) => b.fitScore - a.fitScore ||
+      a.price.amount - b.price.amount ||
+      (parseInt(a.duration, 10) || 0) - (parseInt(b.duration, 10) || 0))
+    .slice(0, requirements.limit);
+};
+
+// 🤖 Prompt asking the AI to phrase an already ranked shortlist for the client
+export const buildRecommendationPrompt = (results) => {
+  const lines = results.map(result =>
+    `- [${result.key}] ${result.name}: fit ${result.fitScore}/100; ${result.explanation}`);
+
+  return `A client asked for a project recommendation. Explain this ranked shortlist in plain language, ` +
+    `keeping the order and scores as given and being honest about unmet requirements.\n${lines.join('\n')}`;
+};
@@ -0,0 +1,440 @@
+// 🧠 Response Cache - normalized and embedding-similarity lookup for AI answers, persisted across restarts
+
+import { promises as fs, readFileSync } from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+import { normalizeText, tokenize } from './search-index.js';
+
+const CACHE_CONFIG_FILE = process.env.RESPONSE_CACHE_CONFIG || 'config/response-cache.json';
+const LOCAL_MODEL = 'local-hash-v1';
+const LOCAL_DIMENSIONS = 512;
+// Hashed word features cannot tell "Laravel" from "Flutter" apart from spelling, so local matches must be near-identical
+const LOCAL_MIN_THRESHOLD = 0.95;
+const PERSIST_DELAY = 2000; // batch file writes
+const EMBEDDING_MEMO_SIZE = 200;
+
+// Cached answers are kept apart per endpoint, each with its own TTL
+export const CACHE_SCOPES = ['ai-query', 'ai-analyze', 'ai-suggestions', 'ai-summary'];
+export const CACHE_STORES = ['file', 'supabase', 'memory'];
+
+export class CacheError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'CacheError';
+    this.status = status;
+  }
+}
+
+const DEFAULT_CONFIG = {
+  store: 'file',
+  filePath: 'data/response-cache.json',
+  maxEntries: 2000,
+  ttl: { 'ai-query': 300, 'ai-analyze': 3600, 'ai-suggestions': 1800, 'ai-summary': 3600 },
+  // Matching by meaning is opt-in: list scopes here, ideally with provider embeddings (templated prompts
+  // differ in details that matter and should stay exact-only)
+  similarity: { scopes: [], threshold: 0.97, embeddings: 'local', model: null }
+};
+
+// 📥 Config: { store, filePath, maxEntries, ttl: { scope: seconds }, similarity: { scopes, threshold, embeddings, model } }
+export function validateCacheConfig(input = {}) {
+  const config = {
+    ...DEFAULT_CONFIG,
+    ...input,
+    ttl: { ...DEFAULT_CONFIG.ttl, ...input.ttl },
+    similarity: { ...DEFAULT_CONFIG.similarity, ...input.similarity }
+  };
+
+  if (!CACHE_STORES.includes(config.store)) {
+    throw new CacheError(`Cache store must be one of ${CACHE_STORES.join(', ')}`);
+  }
+  if (!(Number.isInteger(config.maxEntries) && config.maxEntries > 0)) {
+    throw new CacheError('maxEntries must be a positive whole number');
+  }
+  Object.entries(config.ttl).forEach(([scope, seconds]) => {
+    if (!CACHE_SCOPES.includes(scope)) throw new CacheError(`Unknown cache scope ${scope}`);
+    if (!(Number(seconds) > 0)) throw new CacheError(`TTL for ${scope} must be a positive number of seconds`);
+  });
+  const { threshold, scopes, embeddings } = config.similarity;
+  if (!(threshold > 0 && threshold <= 1)) {
+    throw new CacheError('similarity.threshold must be between 0 and 1');
+  }
+  if (!Array.isArray(scopes) || scopes.some(scope => !CACHE_SCOPES.includes(scope))) {
+    throw new CacheError(`similarity.scopes must list cache scopes (${CACHE_SCOPES.join(', ')})`);
+  }
+  if (embeddings !== 'local' && !config.similarity.model) {
+    throw new CacheError(`Embeddings from provider ${embeddings} need a similarity.model`);
+  }
+  if (embeddings === 'local' && threshold < LOCAL_MIN_THRESHOLD) {
+    throw new CacheError(`Local embeddings need a similarity.threshold of at least ${LOCAL_MIN_THRESHOLD}`);
+  }
+  return config;
+}
+
+function loadCacheConfig() {
+  try {
+    return validateCacheConfig(JSON.parse(readFileSync(CACHE_CONFIG_FILE, 'utf8')));
+  } catch (error) {
+    console.warn(`Failed to load response cache config from ${CACHE_CONFIG_FILE}:`, error.message);
+    return validateCacheConfig();
+  }
+}
+
+// 🔤 "List e-commerce projects?" and "list ecommerce projects" share one key; currency symbols and numbers survive
+export const normalizeQuery = (text) => normalizeText(text)
+  .normalize('NFKC')
+  .replace(/(?<!\p{L})(\p{L}{1,2})-(?=\p{L})/gu, '$1')
+  .replace(/[^\p{L}\p{M}\p{N}\p{Sc}]+/gu, ' ')
+  .trim();
+
+// Two questions that differ in a number ("under 20k" vs "under 30k") never share an answer
+const numbersOf = (normalized) => (normalized.match(/\p{Sc}|\d+/gu) || []).join(' ');
+
+// "with live tracking" and "with no live tracking" embed almost identically
+const NEGATIONS = new Set(['no', 'not', 'without', 'never', 'none', 'dont', 'don', 'doesn', 'isn', 'cannot', 'لا', 'بدون', 'غير', 'ليس']);
+
+// ...nor do two that name different catalog projects, tech or categories ("Laravel" vs "Flutter")
+const keyTermsOf = (normalized, vocabulary) => [...new Set(tokenize(normalized)
+  .filter(token => vocabulary.has(token) || NEGATIONS.has(token)))]
+  .sort()
+  .join(' ');
+
+const cacheId = (scope, normalized) => createHash('sha256').update(`${scope}\n${normalized}`).digest('hex').slice(0, 24);
+
+// FNV-1a: a fast, stable hash for feature hashing
+const hashFeature = (feature) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < feature.length; i++) {
+    hash ^= feature.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// 🧮 Offline embedding: hashed words, word pairs and character trigrams, L2-normalized
+export const localEmbedding = (text) => {
+  const vector = new Array(LOCAL_DIMENSIONS).fill(0);
+  const add = (feature, weight) => {
+    const hash = hashFeature(feature);
+    vector[hash % LOCAL_DIMENSIONS] += hash & 0x80000000 ? -weight : weight;
+  };
+
+  const tokens = tokenize(text);
+  tokens.forEach((token, index) => {
+    add(`w:${token}`, 1);
+    if (index > 0) add(`b:${tokens[index - 1]} ${token}`, 0.5);
+    // Trigrams tolerate typos and plural forms
+    const padded = ` ${token} `;
+    for (let i = 0; i + 3 <= padded.length; i++) add(`c:${padded.slice(i, i + 3)}`, 0.25);
+  });
+
+  const norm = Math.hypot(...vector) || 1;
+  return vector.map(value => value / norm);
+};
+
+const cosine = (a, b) => {
+  if (!a || !b || a.length !== b.length) return 0;
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+// Stored embeddings are rounded to keep the cache file small
+const compact = (vector) => vector?.map(value => Math.round(value * 1e4) / 1e4) || null;
+
+const entryFromRow = (row) => ({
+  id: row.id,
+  scope: row.scope,
+  query: row.query,
+  normalized: row.normalized,
+  numbers: numbersOf(row.normalized),
+  embedding: row.embedding,
+  embeddingModel: row.embedding_model,
+  response: row.response,
+  hits: row.hits || 0,
+  createdAt: row.created_at,
+  expiresAt: row.expires_at
+});
+
+const entryToRow = (entry) => ({
+  id: entry.id,
+  scope: entry.scope,
+  query: entry.query,
+  normalized: entry.normalized,
+  embedding: compact(entry.embedding),
+  embedding_model: entry.embeddingModel,
+  response: entry.response,
+  hits: entry.hits,
+  created_at: entry.createdAt,
+  expires_at: entry.expiresAt
+});
+
+export class ResponseCache {
+  // vocabulary: async () => Set of catalog terms a question can be specific to (see CatalogStore.getVocabulary)
+  constructor({ supabase, providers, vocabulary = async () => new Set(), table = 'ai_response_cache', config = loadCacheConfig() } = {}) {
+    this.supabase = supabase;
+    this.providers = providers;
+    this.vocabulary = vocabulary;
+    this.table = table;
+    this.config = config;
+    this.entries = new Map();
+    this.embeddingMemo = new Map();
+    this.counters = { hits: 0, semanticHits: 0, misses: 0 };
+    this.persistTimer = null;
+    this.ready = this.load();
+  }
+
+  getConfig() {
+    return this.config;
+  }
+
+  // 🛠️ TTLs, size and similarity can change at runtime; the store is fixed until restart
+  async updateConfig(changes = {}) {
+    if ((changes.store && changes.store !== this.config.store) || (changes.filePath && changes.filePath !== this.config.filePath)) {
+      throw new CacheError('Changing the cache store takes effect only after a restart; edit the config file instead');
+    }
+    this.config = validateCacheConfig({
+      ...this.config,
+      ...changes,
+      ttl: { ...this.config.ttl, ...changes.ttl },
+      similarity: { ...this.config.similarity, ...changes.similarity }
+    });
+    this.embeddingMemo.clear();
+    while (this.entries.size > this.config.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+
+    try {
+      await fs.writeFile(CACHE_CONFIG_FILE, `${JSON.stringify(this.config, null, 2)}\n`);
+    } catch (error) {
+      console.warn('Failed to persist response cache config:', error.message);
+    }
+    return this.config;
+  }
+
+  get embeddingModel() {
+    const { embeddings, model } = this.config.similarity;
+    return embeddings === 'local' ? LOCAL_MODEL : `${embeddings}:${model}`;
+  }
+
+  // 📥 Restore unexpired entries from the configured store
+  async load() {
+    let rows = [];
+    try {
+      if (this.config.store === 'file') {
+        rows = JSON.parse(await fs.readFile(this.config.filePath, 'utf8'));
+      } else if (this.config.store === 'supabase') {
+        const { data, error } = await this.supabase
+          .from(this.table)
+          .select('*')
+          .gt('expires_at', new Date().toISOString())
+          .order('created_at', { ascending: false })
+          .limit(this.config.maxEntries);
+        if (error) throw error;
+        rows = data;
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.warn('Failed to restore response cache, starting empty:', error.message);
+    }
+
+    const now = Date.now();
+    // Oldest first, so eviction keeps working in insertion order
+    rows.map(entryFromRow)
+      .filter(entry => Date.parse(entry.expiresAt) > now)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+      .forEach(entry => this.entries.set(entry.id, entry));
+  }
+
+  // 🧭 Embed with the local hasher or an OpenAI-compatible provider; null when the provider fails
+  async embed(normalized) {
+    if (this.embeddingMemo.has(normalized)) return this.embeddingMemo.get(normalized);
+
+    let embedding;
+    const { embeddings, model } = this.config.similarity;
+    if (embeddings === 'local') {
+      embedding = localEmbedding(normalized);
+    } else {
+      try {
+        embedding = await this.providers.get(embeddings).embed(normalized, model);
+      } catch (error) {
+        console.warn(`Embedding with ${embeddings} failed, falling back to exact matches:`, error.message);
+        return null;
+      }
+    }
+
+    this.embeddingMemo.set(normalized, embedding);
+    if (this.embeddingMemo.size > EMBEDDING_MEMO_SIZE) {
+      this.embeddingMemo.delete(this.embeddingMemo.keys().next().value);
+    }
+    return embedding;
+  }
+
+  isLive(entry) {
+    return Boolean(entry) && Date.parse(entry.expiresAt) > Date.now();
+  }
+
+  // 🔍 Exact normalized match first, then the most similar question above the threshold
+  async get(scope, query) {
+    await this.ready;
+    const normalized = normalizeQuery(query);
+    let entry = this.entries.get(cacheId(scope, normalized));
+    let match = 'exact';
+    let similarity = 1;
+
+    if (!this.isLive(entry)) {
+      entry = null;
+      if (this.config.similarity.scopes.includes(scope)) {
+        const embedding = await this.embed(normalized);
+        const numbers = numbersOf(normalized);
+        const vocabulary = await this.vocabulary();
+        const terms = keyTermsOf(normalized, vocabulary);
+        const model = this.embeddingModel;
+        let best = null;
+        let bestScore = 0;
+        this.entries.forEach(candidate => {
+          if (candidate.scope !== scope || candidate.numbers !== numbers || candidate.embeddingModel !== model) return;
+          if (!this.isLive(candidate) || keyTermsOf(candidate.normalized, vocabulary) !== terms) return;
+          const score = cosine(embedding, candidate.embedding);
+          if (score > bestScore) {
+            best = candidate;
+            bestScore = score;
+          }
+        });
+        if (best && bestScore >= this.config.similarity.threshold) {
+          entry = best;
+          match = 'semantic';
+          similarity = Math.round(bestScore * 1000) / 1000;
+        }
+      }
+    }
+
+    if (!entry) {
+      this.counters.misses += 1;
+      return null;
+    }
+
+    entry.hits += 1;
+    this.counters.hits += 1;
+    if (match === 'semantic') this.counters.semanticHits += 1;
+    return { response: entry.response, match, similarity, cachedQuery: entry.query };
+  }
+
+  async set(scope, query, response) {
+    await this.ready;
+    const normalized = normalizeQuery(query);
+    const similar = this.config.similarity.scopes.includes(scope);
+    const embedding = similar ? await this.embed(normalized) : null;
+    const now = new Date();
+    const entry = {
+      id: cacheId(scope, normalized),
+      scope,
+      query,
+      normalized,
+      numbers: numbersOf(normalized),
+      embedding,
+      embeddingModel: embedding ? this.embeddingModel : null,
+      response,
+      hits: 0,
+      createdAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + this.config.ttl[scope] * 1000).toISOString()
+    };
+
+    this.entries.delete(entry.id);
+    this.entries.set(entry.id, entry);
+    // Map order is insertion order, so the oldest entries go first
+    while (this.entries.size > this.config.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+
+    if (this.config.store === 'supabase') {
+      try {
+        const { error } = await this.supabase.from(this.table).upsert(entryToRow(entry));
+        if (error) throw error;
+      } catch (error) {
+        console.warn('Failed to persist cached response:', error.message);
+      }
+    } else {
+      this.schedulePersist();
+    }
+    return entry;
+  }
+
+  // 📋 Cached entries without their embeddings, newest first
+  async list({ scope, query, limit = 50 } = {}) {
+    await this.ready;
+    return this.matching({ scope, query })
+      .reverse()
+      .slice(0, limit)
+      .map(({ embedding, numbers, response, ...entry }) => ({
+        ...entry,
+        provider: response.provider,
+        preview: String(response.response || '').slice(0, 160)
+      }));
+  }
+
+  matching({ id, scope, query } = {}) {
+    const needle = query ? normalizeQuery(query) : null;
+    return [...this.entries.values()].filter(entry =>
+      this.isLive(entry) &&
+      (!id || entry.id === id) &&
+      (!scope || entry.scope === scope) &&
+      (!needle || entry.normalized.includes(needle)));
+  }
+
+  // 🧹 Drop entries by id, scope or query text (everything when no filter is given)
+  async invalidate(filter = {}) {
+    await this.ready;
+    const removed = this.matching(filter).map(entry => entry.id);
+    removed.forEach(id => this.entries.delete(id));
+
+    if (this.config.store === 'supabase' && removed.length > 0) {
+      try {
+        const { error } = await this.supabase.from(this.table).delete().in('id', removed);
+        if (error) throw error;
+      } catch (error) {
+        console.warn('Failed to remove cached responses:', error.message);
+      }
+    } else {
+      this.schedulePersist();
+    }
+    return removed.length;
+  }
+
+  schedulePersist() {
+    if (this.config.store !== 'file' || this.persistTimer) return;
+    this.persistTimer = setTimeout(() => this.flush(), PERSIST_DELAY);
+    this.persistTimer.unref?.();
+  }
+
+  async flush() {
+    clearTimeout(this.persistTimer);
+    this.persistTimer = null;
+    if (this.config.store !== 'file') return;
+
+    try {
+      const rows = [...this.entries.values()].filter(entry => this.isLive(entry)).map(entryToRow);
+      await fs.mkdir(path.dirname(this.config.filePath), { recursive: true });
+      await fs.writeFile(this.config.filePath, JSON.stringify(rows));
+    } catch (error) {
+      console.warn('Failed to persist response cache:', error.message);
+    }
+  }
+
+  stats() {
+    const lookups = this.counters.hits + this.counters.misses;
+    return {
+      entries: this.entries.size,
+      ...this.counters,
+      hitRate: lookups > 0 ? Math.round((this.counters.hits / lookups) * 1000) / 10 : 0,
+      store: this.config.store,
+      embeddings: this.embeddingModel,
+      threshold: this.config.similarity.threshold,
+      ttl: this.config.ttl
+    };
+  }
+}
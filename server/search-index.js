@@ -0,0 +1,244 @@
+// 🔍 Search Index - bilingual full-text + fuzzy search over catalog projects
+
+// Field weights: a hit in the name counts more than one in the deployment notes
+const FIELD_WEIGHTS = {
+  key: 3,
+  name: 3,
+  tech: 2,
+  features: 2,
+  category: 1,
+  deployment: 1
+};
+
+const SNIPPET_RADIUS = 60;
+const WORD_PATTERN = /[\p{L}\p{M}\p{N}]+/gu;
+
+// 🔤 Arabic normalization: unify letter forms, drop diacritics/tatweel, map Arabic-Indic digits
+export const normalizeText = (text) => String(text ?? '')
+  .toLowerCase()
+  .replace(/[\u064B-\u0652\u0670\u0640]/g, '')
+  .replace(/[أإآٱ]/g, 'ا')
+  .replace(/ة/g, 'ه')
+  .replace(/ى/g, 'ي')
+  .replace(/ؤ/g, 'و')
+  .replace(/ئ/g, 'ي')
+  .replace(/[٠-٩]/g, digit => String(digit.charCodeAt(0) - 0x0660));
+
+// Light stemming: strip the Arabic definite article and its common prefixed forms
+const stem = (token) => {
+  const match = token.match(/^(?:وال|بال|كال|فال|لل|ال)(.{3,})$/);
+  return match ? match[1] : token;
+};
+
+// 🌐 Small English <-> Arabic glossary for the vocabulary used across the catalog
+const GLOSSARY = [
+  ['wallet', 'محفظة'],
+  ['school', 'مدرسة', 'مدارس'],
+  ['delivery', 'توصيل'],
+  ['store', 'متجر'],
+  ['shipping', 'شحن'],
+  ['vendor', 'بائع', 'بائعين'],
+  ['reports', 'تقارير'],
+  ['payment', 'دفع'],
+  ['coupons', 'كوبونات'],
+  ['inventory', 'مخزون'],
+  ['commission', 'عمولات'],
+  ['notifications', 'إشعارات'],
+  ['hosting', 'استضافة'],
+  ['bank', 'بنك', 'مصرفية']
+];
+
+export const tokenize = (text) => (normalizeText(text).match(WORD_PATTERN) || [])
+  .map(stem)
+  .filter(token => token.length > 1);
+
+// 📏 Levenshtein distance with an early exit once the limit is exceeded
+const editDistance = (a, b, limit) => {
+  if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > limit) return limit + 1;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+const SYNONYMS = new Map();
+GLOSSARY.forEach(group => {
+  const terms = group.flatMap(tokenize);
+  terms.forEach(term => SYNONYMS.set(term, terms.filter(other => other !== term)));
+});
+
+const fuzzyLimit = (token) => (token.length >= 8 ? 2 : token.length >= 4 ? 1 : 0);
+
+// ✂️ Cut a long field down to a window around its first match
+const buildSnippet = (field, value, matchedTerms) => {
+  const segments = [];
+  let first = -1;
+  let cursor = 0;
+
+  for (const match of String(value).matchAll(WORD_PATTERN)) {
+    const term = stem(normalizeText(match[0]));
+    if (!matchedTerms.has(term)) continue;
+
+    if (first === -1) first = match.index;
+    if (match.index > cursor) segments.push({ text: value.slice(cursor, match.index), match: false });
+    segments.push({ text: match[0], match: true });
+    cursor = match.index + match[0].length;
+  }
+  if (first === -1) return null;
+  if (cursor < value.length) segments.push({ text: value.slice(cursor), match: false });
+
+  // Trim the leading/trailing plain text of long fields
+  if (value.length > SNIPPET_RADIUS * 2) {
+    const head = segments[0];
+    if (!head.match && head.text.length > SNIPPET_RADIUS) {
+      head.text = `…${head.text.slice(-SNIPPET_RADIUS)}`;
+    }
+    const tail = segments[segments.length - 1];
+    if (!tail.match && tail.text.length > SNIPPET_RADIUS) {
+      tail.text = `${tail.text.slice(0, SNIPPET_RADIUS)}…`;
+    }
+  }
+
+  return { field, segments };
+};
+
+export class SearchIndex {
+  // catalog: nested { category: { key: project } }, categories: { key: label }
+  constructor(catalog, categories = {}) {
+    this.documents = [];
+    this.postings = new Map(); // term -> Map(docIndex -> { field -> count })
+
+    Object.entries(catalog).forEach(([category, entries]) => {
+      Object.entries(entries).forEach(([key, project]) => {
+        this.addDocument({ ...project, key, category }, categories[category] || category);
+      });
+    });
+  }
+
+  addDocument(project, categoryLabel) {
+    const docIndex = this.documents.length;
+    const fields = {
+      key: project.key,
+      name: project.name,
+      tech: project.tech,
+      features: (project.features || []).join(' | '),
+      category: categoryLabel,
+      deployment: project.deployment
+    };
+    this.documents.push({ project, fields });
+
+    Object.entries(fields).forEach(([field, value]) => {
+      tokenize(value).forEach(term => {
+        if (!this.postings.has(term)) this.postings.set(term, new Map());
+        const docs = this.postings.get(term);
+        if (!docs.has(docIndex)) docs.set(docIndex, {});
+        const counts = docs.get(docIndex);
+        counts[field] = (counts[field] || 0) + 1;
+      });
+    });
+  }
+
+  // 🎯 Vocabulary terms matching one query token: exact, translation, prefix or within edit distance
+  expandToken(token) {
+    const matches = [];
+    const limit = fuzzyLimit(token);
+    const synonyms = SYNONYMS.get(token) || [];
+
+    for (const term of this.postings.keys()) {
+      if (term === token) {
+        matches.push({ term, quality: 1 });
+      } else if (synonyms.includes(term)) {
+        matches.push({ term, quality: 0.9 });
+      } else if (token.length >= 3 && term.startsWith(token)) {
+        matches.push({ term, quality: 0.8 });
+      } else if (limit > 0 && editDistance(token, term, limit) <= limit) {
+        matches.push({ term, quality: 0.6 });
+      }
+    }
+
+    return matches;
+  }
+
+  // 🧩 Keys of projects with a single feature covering every query word (exactly, translated, by prefix or fuzzily)
+  findFeature(query) {
+    const wanted = [...new Set(tokenize(query))].map(token => this.expandToken(token).map(({ term }) => term));
+    if (wanted.length === 0) return new Set();
+
+    return new Set(this.documents
+      .filter(({ project }) => (project.features || []).some(feature => {
+        const terms = new Set(tokenize(feature));
+        return wanted.every(matches => matches.some(term => terms.has(term)));
+      }))
+      .map(({ project }) => project.key));
+  }
+
+  idf(term) {
+    const docCount = this.postings.get(term).size;
+    return Math.log(1 + this.documents.length / docCount);
+  }
+
+  search(query, { category = null, limit = 50 } = {}) {
+    const tokens = [...new Set(tokenize(query))];
+    if (tokens.length === 0) return [];
+
+    const scores = new Map(); // docIndex -> { score, tokensMatched, terms }
+
+    tokens.forEach(token => {
+      const best = new Map(); // best contribution of this token per document
+
+      this.expandToken(token).forEach(({ term, quality }) => {
+        const idf = this.idf(term);
+        this.postings.get(term).forEach((fieldCounts, docIndex) => {
+          const weight = Object.entries(fieldCounts)
+            .reduce((sum, [field, count]) => sum + FIELD_WEIGHTS[field] * (1 + Math.log(count)), 0);
+          const contribution = weight * quality * idf;
+
+          const current = best.get(docIndex) || { contribution: 0, terms: [] };
+          current.contribution = Math.max(current.contribution, contribution);
+          current.terms.push(term);
+          best.set(docIndex, current);
+        });
+      });
+
+      best.forEach(({ contribution, terms }, docIndex) => {
+        const entry = scores.get(docIndex) || { score: 0, tokensMatched: 0, terms: new Set() };
+        entry.score += contribution;
+        entry.tokensMatched += 1;
+        terms.forEach(term => entry.terms.add(term));
+        scores.set(docIndex, entry);
+      });
+    });
+
+    return [...scores.entries()]
+      .filter(([docIndex]) => !category || this.documents[docIndex].project.category === category)
+      // Documents matching every query word rank above partial matches
+      .map(([docIndex, { score, tokensMatched, terms }]) => ({
+        docIndex,
+        terms,
+        score: score * (tokensMatched / tokens.length) ** 2
+      }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ docIndex, terms, score }) => {
+        const { project, fields } = this.documents[docIndex];
+        const snippets = Object.entries(fields)
+          .filter(([field]) => field !== 'key')
+          .flatMap(([field, value]) => {
+            const values = field === 'features' ? project.features || [] : [value];
+            return values.map(text => buildSnippet(field, text, terms)).filter(Boolean);
+          });
+
+        return { ...project, type: 'project', score: Math.round(score * 100) / 100, snippets };
+      });
+  }
+}
@@ -0,0 +1,105 @@
+// 📜 Settings Audit - who changed which runtime setting, from what to what
+
+import { randomUUID } from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+
+const MAX_FILE_ENTRIES = 1000;
+
+// 🔍 Leaf-level differences between two settings objects, as dotted paths
+export const diffSettings = (before, after, prefix = '') => {
+  const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+  if (!isObject(before) || !isObject(after)) {
+    return JSON.stringify(before) === JSON.stringify(after) ? [] : [{ path: prefix || '.', from: before ?? null, to: after ?? null }];
+  }
+
+  return [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter(key => key !== 'updatedAt')
+    .flatMap(key => diffSettings(before[key], after[key], prefix ? `${prefix}.${key}` : key));
+};
+
+// 🪪 How an actor is recorded: the signed-in user, or the admin key used by scripts
+export const actorOf = (user) => (user?.service
+  ? { id: null, email: null, label: 'admin key' }
+  : { id: user?.id || null, email: user?.email || null, label: user?.email || user?.id || 'unknown' });
+
+// 🗄️ Supabase first, local JSON file as fallback
+export class SettingsAudit {
+  constructor({ supabase, table = 'settings_audit', filePath = process.env.SETTINGS_AUDIT_FILE || 'data/settings-audit.json' } = {}) {
+    this.supabase = supabase;
+    this.table = table;
+    this.filePath = filePath;
+  }
+
+  // Unchanged saves are not recorded
+  async record({ section, user, before, after }) {
+    const changes = diffSettings(before, after);
+    if (changes.length === 0) return null;
+
+    const entry = {
+      id: randomUUID(),
+      section,
+      actor: actorOf(user),
+      changes,
+      createdAt: new Date().toISOString()
+    };
+
+    try {
+      const { error } = await this.supabase.from(this.table).insert({
+        id: entry.id,
+        section,
+        actor_id: entry.actor.id,
+        actor_label: entry.actor.label,
+        changes,
+        created_at: entry.createdAt
+      });
+      if (error) throw error;
+      return entry;
+    } catch (error) {
+      console.warn('Failed to write settings audit to Supabase, using local file:', error.message);
+    }
+
+    try {
+      const entries = await this.readFile();
+      entries.push(entry);
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.writeFile(this.filePath, JSON.stringify(entries.slice(-MAX_FILE_ENTRIES), null, 2));
+    } catch (error) {
+      console.warn('Failed to write settings audit:', error.message);
+    }
+    return entry;
+  }
+
+  // 📋 Newest changes first
+  async list({ section, limit = 50 } = {}) {
+    try {
+      let query = this.supabase.from(this.table).select('*').order('created_at', { ascending: false }).limit(limit);
+      if (section) query = query.eq('section', section);
+      const { data, error } = await query;
+      if (error) throw error;
+      return data.map(row => ({
+        id: row.id,
+        section: row.section,
+        actor: { id: row.actor_id, label: row.actor_label },
+        changes: row.changes,
+        createdAt: row.created_at
+      }));
+    } catch (error) {
+      console.warn('Settings audit lookup failed, using local file:', error.message);
+    }
+
+    return (await this.readFile())
+      .filter(entry => !section || entry.section === section)
+      .reverse()
+      .slice(0, limit);
+  }
+
+  async readFile() {
+    try {
+      return JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+}
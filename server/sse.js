@@ -0,0 +1,43 @@
+// 📡 Server-Sent Events helpers - relay provider streams to the browser
+
+import { StringDecoder } from 'string_decoder';
+
+// 🚿 Open an SSE response on an Express res
+export const openEventStream = (res) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders?.();
+};
+
+export const sendEvent = (res, event, data) => {
+  if (res.writableEnded) return;
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// 📥 Read an upstream SSE body (Node stream) and call onData for every `data:` payload
+export const readEventStream = async (stream, onData) => {
+  // StringDecoder keeps multi-byte (Arabic) characters intact across chunk boundaries
+  const decoder = new StringDecoder('utf8');
+  let buffer = '';
+
+  for await (const chunk of stream) {
+    buffer += decoder.write(chunk);
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, boundary).replace(/\r$/, '');
+      buffer = buffer.slice(boundary + 1);
+
+      if (!line.startsWith('data:')) continue;
+      const payload = line.slice(5).trim();
+      if (!payload) continue;
+      if (payload === '[DONE]') return;
+
+      onData(JSON.parse(payload));
+    }
+  }
+};
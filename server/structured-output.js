@@ -0,0 +1,224 @@
+// 🧱 Structured Output - JSON schemas for AI answers, validation, light repair and a free-text fallback
+
+export const PRIORITIES = ['high', 'medium', 'low'];
+export const EFFORTS = ['small', 'medium', 'large'];
+
+// How many times the model is asked to fix output that fails validation
+export const MAX_REPAIRS = 2;
+
+const ITEM = {
+  type: 'object',
+  required: ['title', 'detail', 'priority', 'effort'],
+  properties: {
+    title: { type: 'string', minLength: 1, description: 'Short recommendation title' },
+    detail: { type: 'string', minLength: 1, description: 'One or two sentences explaining what to do and why' },
+    priority: { type: 'string', enum: PRIORITIES },
+    effort: { type: 'string', enum: EFFORTS }
+  }
+};
+
+const ANALYSIS_SECTIONS = [
+  { id: 'tech-stack', title: 'Technical stack analysis' },
+  { id: 'architecture', title: 'Architecture recommendations' },
+  { id: 'performance', title: 'Performance optimizations' },
+  { id: 'security', title: 'Security considerations' },
+  { id: 'deployment', title: 'Deployment strategy' }
+];
+
+// How a free-text heading names each section (used when the model ignored the JSON format)
+const SECTION_HEADINGS = {
+  'tech-stack': /stack|technolog/i,
+  architecture: /architect/i,
+  performance: /perform|optimi/i,
+  security: /secur/i,
+  deployment: /deploy/i
+};
+
+// 📐 Each output: its JSON schema, the token budget a complete answer needs, and how to salvage plain text
+export const OUTPUTS = {
+  'project-analysis': {
+    name: 'project_analysis',
+    maxTokens: 2000,
+    schema: {
+      type: 'object',
+      required: ['summary', 'sections'],
+      properties: {
+        summary: { type: 'string', minLength: 1, description: 'Two or three sentence overview of the project' },
+        sections: {
+          type: 'array',
+          minItems: ANALYSIS_SECTIONS.length,
+          maxItems: ANALYSIS_SECTIONS.length,
+          description: `Exactly these sections in order: ${ANALYSIS_SECTIONS.map(section => section.id).join(', ')}`,
+          prefixItems: ANALYSIS_SECTIONS.map(section => ({ type: 'object', properties: { id: { const: section.id } } })),
+          items: {
+            type: 'object',
+            required: ['id', 'title', 'items'],
+            properties: {
+              id: { type: 'string', enum: ANALYSIS_SECTIONS.map(section => section.id) },
+              title: { type: 'string', minLength: 1 },
+              items: { type: 'array', minItems: 1, maxItems: 6, items: ITEM }
+            }
+          }
+        }
+      }
+    },
+    fallback: (text) => {
+      const { intro, blocks } = splitNumbered(text);
+      // Headings that name the sections are matched by name; otherwise the sections are taken in order
+      const named = blocks.some(block => Object.values(SECTION_HEADINGS).some(pattern => pattern.test(block.title)));
+      const bodyOf = (section, index) => (named
+        ? blocks.filter(block => SECTION_HEADINGS[section.id].test(block.title)).map(block => block.body).join('\n')
+        : blocks[index]?.body || '');
+      return {
+        summary: intro || firstSentence(text),
+        sections: ANALYSIS_SECTIONS.map((section, index) => ({ ...section, items: itemsOf(bodyOf(section, index)) }))
+      };
+    }
+  },
+  suggestions: {
+    name: 'suggestions',
+    maxTokens: 1000,
+    schema: {
+      type: 'object',
+      required: ['suggestions'],
+      properties: {
+        suggestions: { type: 'array', minItems: 5, maxItems: 5, items: ITEM }
+      }
+    },
+    fallback: (text) => {
+      const { blocks } = splitNumbered(text);
+      const entries = blocks.length > 0 ? blocks.map(block => `${block.title}\n${block.body}`) : bulletsOf(text);
+      return { suggestions: entries.slice(0, 5).map(entry => toItem(entry)) };
+    }
+  }
+};
+
+// ✅ Validate against the schema subset used above; returns readable errors with JSON paths
+export function validateSchema(value, schema, at = '$') {
+  const errors = [];
+  const typeOk = {
+    object: () => value !== null && typeof value === 'object' && !Array.isArray(value),
+    array: () => Array.isArray(value),
+    string: () => typeof value === 'string',
+    number: () => typeof value === 'number' && Number.isFinite(value),
+    integer: () => Number.isInteger(value),
+    boolean: () => typeof value === 'boolean'
+  }[schema.type];
+
+  if (typeOk && !typeOk()) return [`${at} must be ${schema.type === 'array' || schema.type === 'object' ? 'an' : 'a'} ${schema.type}`];
+  if (schema.enum && !schema.enum.includes(value)) errors.push(`${at} must be one of ${schema.enum.join(', ')}`);
+  if (schema.const !== undefined && value !== schema.const) errors.push(`${at} must be ${JSON.stringify(schema.const)}`);
+  if (schema.minLength !== undefined && value.trim().length < schema.minLength) errors.push(`${at} must not be empty`);
+
+  if (schema.type === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined || value[key] === null) errors.push(`${at}.${key} is required`);
+    });
+    Object.entries(schema.properties || {}).forEach(([key, property]) => {
+      if (value[key] !== undefined && value[key] !== null) errors.push(...validateSchema(value[key], property, `${at}.${key}`));
+    });
+  }
+  if (schema.type === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${at} needs at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${at} allows at most ${schema.maxItems} items`);
+    if (schema.items) value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, `${at}[${index}]`)));
+    // prefixItems pin the entry at each position (the analysis sections come in a fixed order)
+    (schema.prefixItems || []).slice(0, value.length).forEach((item, index) => {
+      errors.push(...validateSchema(value[index], item, `${at}[${index}]`));
+    });
+  }
+  return errors;
+}
+
+// 🧹 The JSON object inside a reply: code fences and surrounding prose are dropped, trailing commas removed
+export function extractJson(text) {
+  const source = String(text || '').replace(/```(?:json)?/gi, '');
+  const start = source.indexOf('{');
+  const end = source.lastIndexOf('}');
+  if (start === -1 || end <= start) throw new SyntaxError('No JSON object found');
+  return JSON.parse(source.slice(start, end + 1).replace(/,\s*([}\]])/g, '$1'));
+}
+
+// 🔧 Harmless fixes before validation: trimmed strings, enum case ("High" -> "high"), numeric strings
+export function normalizeToSchema(value, schema) {
+  if (schema.type === 'string' && typeof value === 'string') {
+    const trimmed = value.trim();
+    return schema.enum?.find(option => option.toLowerCase() === trimmed.toLowerCase()) || trimmed;
+  }
+  if ((schema.type === 'number' || schema.type === 'integer') && typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value))) {
+    return Number(value);
+  }
+  if (schema.type === 'array' && Array.isArray(value) && schema.items) {
+    return value.map(item => normalizeToSchema(item, schema.items));
+  }
+  if (schema.type === 'object' && value && typeof value === 'object' && !Array.isArray(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [
+      key,
+      schema.properties?.[key] ? normalizeToSchema(entry, schema.properties[key]) : entry
+    ]));
+  }
+  return value;
+}
+
+// 📥 Parse, repair and validate one reply: { valid, data, errors }
+export function parseStructured(text, output) {
+  let data;
+  try {
+    data = normalizeToSchema(extractJson(text), output.schema);
+  } catch (error) {
+    return { valid: false, data: null, errors: [`Reply is not valid JSON: ${error.message}`] };
+  }
+  const errors = validateSchema(data, output.schema);
+  return { valid: errors.length === 0, data, errors };
+}
+
+// 📝 Prompt instructions that pin the reply to the schema
+export const structuredInstructions = (output) => `Respond with a single JSON object and nothing else (no prose, no code fences). ` +
+  `It must match this JSON schema:\n${JSON.stringify(output.schema)}`;
+
+export const repairInstructions = (errors) => `Your previous reply did not match the required JSON schema:\n` +
+  `${errors.slice(0, 10).map(error => `- ${error}`).join('\n')}\nReturn the corrected JSON object only.`;
+
+// 🪂 Best-effort reading of a plain-text answer, so clients still receive the typed shape
+export const fallbackStructured = (text, output) => normalizeToSchema(output.fallback(String(text || '')), output.schema);
+
+// "1. Title" / "## 2) Title" / "**3. Title**" headings and the text under each; indented numbers are sub-items
+function splitNumbered(text) {
+  const blocks = [];
+  const intro = [];
+  text.split('\n').forEach(line => {
+    const heading = line.match(/^(?:#+\s*)?(?:\*\*\s*)?\d+[.)]\s*(.+?)(?:\*\*)?\s*:?\s*$/);
+    if (heading) {
+      blocks.push({ title: heading[1].replace(/\*\*/g, '').trim(), body: '' });
+    } else if (blocks.length > 0) {
+      blocks[blocks.length - 1].body += `${line}\n`;
+    } else {
+      intro.push(line);
+    }
+  });
+  return { intro: intro.join(' ').replace(/\s+/g, ' ').trim(), blocks };
+}
+
+const bulletsOf = (text) => text.split('\n')
+  .map(line => line.match(/^\s*(?:[-*•]|\d+[.)])\s+(.+)$/)?.[1])
+  .filter(Boolean);
+
+const firstSentence = (text) => (text.replace(/\s+/g, ' ').trim().match(/^.{1,200}?[.!?](\s|$)/)?.[0] || text.trim().slice(0, 200)).trim();
+
+// A bullet ("**Title**: detail" or just a sentence) as an item with neutral priority and effort
+function toItem(entry) {
+  const clean = entry.replace(/\*\*/g, '').replace(/\s+/g, ' ').trim();
+  const [, title, detail] = clean.match(/^(.{1,80}?)\s*[:–—-]\s+(.+)$/) || [];
+  return {
+    title: title || firstSentence(clean).slice(0, 80),
+    detail: detail || clean,
+    priority: 'medium',
+    effort: 'medium'
+  };
+}
+
+function itemsOf(body) {
+  const bullets = bulletsOf(body);
+  if (bullets.length > 0) return bullets.slice(0, 6).map(toItem);
+  return body.trim() ? [toItem(body)] : [];
+}
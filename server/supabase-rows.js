@@ -0,0 +1,15 @@
+// 📚 Supabase Rows - read results longer than one PostgREST response
+
+// PostgREST returns at most db-max-rows (1000 by default) per request; keep this at or below it
+export const PAGE_SIZE = 1000;
+
+// page(from, to) builds a fresh, ordered query limited with .range(from, to); pages are read until one comes back short
+export async function fetchAllRows(page, pageSize = PAGE_SIZE) {
+  const rows = [];
+  for (let from = 0; ; from += pageSize) {
+    const { data, error } = await page(from, from + pageSize - 1);
+    if (error) throw error;
+    rows.push(...(data || []));
+    if (!data || data.length < pageSize) return rows;
+  }
+}
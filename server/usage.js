@@ -0,0 +1,148 @@
+// 💸 Usage - token counts, per-model pricing and cost summaries
+
+import { promises as fs, readFileSync } from 'fs';
+
+const PRICES_FILE = process.env.MODEL_PRICES_FILE || 'config/model-prices.json';
+const PER_TOKENS = 1000000; // prices are quoted per 1M tokens
+
+export class UsageError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'UsageError';
+    this.status = status;
+  }
+}
+
+// 📥 Price table: { currency, models: { model: { input, output } } }
+let pricesTable = loadPricesFile();
+const warnedModels = new Set();
+
+function loadPricesFile() {
+  try {
+    return validatePrices(JSON.parse(readFileSync(PRICES_FILE, 'utf8')));
+  } catch (error) {
+    console.warn(`Failed to load model prices from ${PRICES_FILE}:`, error.message);
+    return { currency: 'USD', updatedAt: null, models: {} };
+  }
+}
+
+export function validatePrices(table) {
+  if (!table || typeof table.models !== 'object') {
+    throw new UsageError('Prices must look like { currency, models: { model: { input, output } } }');
+  }
+
+  const models = {};
+  for (const [model, price] of Object.entries(table.models)) {
+    if (!(Number(price?.input) >= 0) || !(Number(price?.output) >= 0)) {
+      throw new UsageError(`Invalid price for ${model}`);
+    }
+    models[model] = { input: Number(price.input), output: Number(price.output) };
+  }
+
+  return {
+    currency: table.currency || 'USD',
+    unit: 'per 1M tokens',
+    updatedAt: table.updatedAt || new Date().toISOString(),
+    models
+  };
+}
+
+export const getPrices = () => pricesTable;
+
+// 🛠️ Replace the price table at runtime and persist it back to the JSON file
+export const updatePrices = async (table) => {
+  const validated = validatePrices({ ...table, updatedAt: new Date().toISOString() });
+  pricesTable = validated;
+  warnedModels.clear();
+
+  try {
+    await fs.writeFile(PRICES_FILE, `${JSON.stringify(validated, null, 2)}\n`);
+  } catch (error) {
+    console.warn('Failed to persist model prices:', error.message);
+  }
+
+  return validated;
+};
+
+// Exact model name first, then the longest configured prefix ("gpt-4o-2024-08-06" -> "gpt-4o")
+const priceFor = (model) => {
+  const { models } = pricesTable;
+  if (models[model]) return models[model];
+  const prefix = Object.keys(models)
+    .filter(name => model?.startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? models[prefix] : null;
+};
+
+// 🧮 Cost of one call in the price table currency; null when the model has no price
+export const costOf = (model, usage) => {
+  if (!usage) return null;
+  const price = priceFor(model);
+  if (!price) {
+    if (!warnedModels.has(model)) {
+      console.warn(`No price configured for model ${model}; its cost is not tracked`);
+      warnedModels.add(model);
+    }
+    return null;
+  }
+
+  const cost = ((usage.inputTokens || 0) * price.input + (usage.outputTokens || 0) * price.output) / PER_TOKENS;
+  return Math.round(cost * 1e6) / 1e6;
+};
+
+// 📊 Daily/monthly totals and breakdowns from ai_queries rows, or pre-aggregated rows carrying a queries count
+const emptyTotals = () => ({ queries: 0, input_tokens: 0, output_tokens: 0, cost_usd: 0 });
+
+const addRow = (totals, row) => {
+  totals.queries += row.queries ?? 1;
+  totals.input_tokens += row.input_tokens || 0;
+  totals.output_tokens += row.output_tokens || 0;
+  totals.cost_usd += Number(row.cost_usd) || 0;
+  return totals;
+};
+
+const roundCost = (totals) => ({ ...totals, cost_usd: Math.round(totals.cost_usd * 1e6) / 1e6 });
+
+const groupBy = (rows, field, keyOf) => {
+  const groups = new Map();
+  rows.forEach(row => {
+    const key = keyOf(row);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  });
+  return [...groups.entries()].map(([key, group]) => ({ [field]: key, rows: group }));
+};
+
+// Cost per provider/model/endpoint inside one day or month
+const costSplit = (rows, field) => Object.fromEntries(
+  groupBy(rows, field, row => row[field] || 'unknown')
+    .map(group => [group[field], roundCost(group.rows.reduce(addRow, emptyTotals())).cost_usd])
+);
+
+const totalsOf = (groups, field, { split = false } = {}) => groups.map(group => ({
+  [field]: group[field],
+  ...roundCost(group.rows.reduce(addRow, emptyTotals())),
+  ...(split && {
+    by_provider: costSplit(group.rows, 'provider'),
+    by_model: costSplit(group.rows, 'model'),
+    by_endpoint: costSplit(group.rows, 'endpoint')
+  })
+}));
+
+export const summarizeCosts = (rows, now = new Date()) => {
+  const today = now.toISOString().slice(0, 10);
+  const month = today.slice(0, 7);
+  const byCost = (a, b) => b.cost_usd - a.cost_usd;
+  const byKey = (field) => (a, b) => a[field].localeCompare(b[field]);
+
+  return {
+    currency: pricesTable.currency,
+    today: roundCost(rows.filter(row => row.created_at?.startsWith(today)).reduce(addRow, emptyTotals())),
+    this_month: roundCost(rows.filter(row => row.created_at?.startsWith(month)).reduce(addRow, emptyTotals())),
+    daily: totalsOf(groupBy(rows, 'date', row => row.created_at.slice(0, 10)), 'date', { split: true }).sort(byKey('date')),
+    monthly: totalsOf(groupBy(rows, 'month', row => row.created_at.slice(0, 7)), 'month', { split: true }).sort(byKey('month')),
+    by_provider: totalsOf(groupBy(rows, 'provider', row => row.provider || 'unknown'), 'provider').sort(byCost),
+    by_model: totalsOf(groupBy(rows, 'model', row => row.model || 'unknown'), 'model').sort(byCost),
+    by_endpoint: totalsOf(groupBy(rows, 'endpoint', row => row.endpoint || 'unknown'), 'endpoint').sort(byCost)
+  };
+};
@@ -1,31 +1,214 @@
 // 🚀 AI Project Manager WebApp - Frontend
-import React, { useState, useEffect } from 'react';
-import { createClient } from '@supabase/supabase-js';
-import { Bot, MessageSquare, BarChart3, Zap, Shield, Settings, Send, Loader2, CheckCircle, AlertCircle } from 'lucide-react';
+import React, { useState, useEffect, useRef, lazy, Suspense } from 'react';
+import { Bot, MessageSquare, BarChart3, Shield, Settings, Send, Loader2, Search, Plus, Square, LogOut, X, FileText } from 'lucide-react';
+import { supabase, apiFetch } from './api';
+import AuthPanel from './components/AuthPanel';
+import QuoteList from './components/QuoteList';
+import CatalogFacets, { EMPTY_FILTERS } from './components/CatalogFacets';
+import ProjectComparison from './components/ProjectComparison';
+import SettingsPanel from './components/SettingsPanel';
 
-// 🗄️ Supabase Client
-const supabase = createClient(
-  import.meta.env.VITE_SUPABASE_URL,
-  import.meta.env.VITE_SUPABASE_ANON_KEY
-);
+// Charts are only loaded for users who open the analytics tab
+const AnalyticsDashboard = lazy(() => import('./components/AnalyticsDashboard'));
+const PriceAnalysis = lazy(() => import('./components/PriceAnalysis'));
+
+// 📡 Parse an SSE response body and hand each event to onEvent(event, data)
+const readEventStream = async (body, onEvent) => {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const block = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      const event = block.match(/^event: (.*)$/m)?.[1] || 'message';
+      const data = block.match(/^data: (.*)$/m)?.[1];
+      if (data) onEvent(event, JSON.parse(data));
+    }
+  }
+};
+
+// 🖍️ Render a search snippet with its matched words highlighted
+const Highlight = ({ snippet, fallback = '' }) => {
+  if (!snippet) return fallback;
+  return snippet.segments.map((segment, index) => (
+    segment.match
+      ? <mark key={index} className="bg-yellow-400/30 text-yellow-100 rounded px-0.5">{segment.text}</mark>
+      : <React.Fragment key={index}>{segment.text}</React.Fragment>
+  ));
+};
+
+// 👥 Tabs gated by a server permission (or just a signed-in user) are hidden from everyone else
+const TABS = [
+  { id: 'chat', label: 'AI Chat', icon: MessageSquare },
+  { id: 'projects', label: 'Projects', icon: Search },
+  { id: 'quotes', label: 'Quotes', icon: FileText, requires: 'user' },
+  { id: 'analytics', label: 'Analytics', icon: BarChart3, requires: 'analytics:read' },
+  { id: 'settings', label: 'Settings', icon: Settings, requires: 'settings:manage' }
+];
 
 function App() {
+  const [activeTab, setActiveTab] = useState('chat');
+  const [session, setSession] = useState(null);
+  const [me, setMe] = useState(null);
+  const [history, setHistory] = useState([]);
   const [messages, setMessages] = useState([]);
+  const [conversationId, setConversationId] = useState(null);
   const [inputValue, setInputValue] = useState('');
   const [isLoading, setIsLoading] = useState(false);
+  const abortRef = useRef(null);
   const [analytics, setAnalytics] = useState(null);
   const [searchQuery, setSearchQuery] = useState('');
   const [searchResults, setSearchResults] = useState([]);
+  const [searchTotal, setSearchTotal] = useState(0);
+  const [facets, setFacets] = useState(null);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [sort, setSort] = useState('');
+  const [compareKeys, setCompareKeys] = useState([]);
+  const [isComparing, setIsComparing] = useState(false);
   const [selectedCategory, setSelectedCategory] = useState('');
+  const [categories, setCategories] = useState({});
+  const [currency, setCurrency] = useState(() => localStorage.getItem('currency') || 'GBP');
+  const [currencies, setCurrencies] = useState(['GBP']);
+  const [priceAnalysis, setPriceAnalysis] = useState(null);
+
+  const permissions = me?.permissions || [];
+  const visibleTabs = TABS.filter(tab => !tab.requires ||
+    (tab.requires === 'user' ? Boolean(session) : permissions.includes(tab.requires)));
 
-  // 📊 Load analytics on mount
+  // 🗂️ Load the catalog lookups on mount
   useEffect(() => {
-    fetchAnalytics();
+    fetchCurrencies();
+    fetchCategories();
   }, []);
 
+  // 🔐 Track the Supabase Auth session
+  useEffect(() => {
+    supabase.auth.getSession().then(({ data }) => setSession(data.session));
+    const { data: { subscription } } = supabase.auth.onAuthStateChange((event, nextSession) => {
+      setSession(nextSession);
+    });
+    return () => subscription.unsubscribe();
+  }, []);
+
+  // 💬 Each user sees only their own conversations; the role decides the rest
+  useEffect(() => {
+    setConversationId(null);
+    setMessages([]);
+    if (session) {
+      fetchHistory();
+      fetchMe();
+    } else {
+      setHistory([]);
+      setMe(null);
+    }
+  }, [session?.user?.id]);
+
+  // 📊 Analytics are for admins only
+  useEffect(() => {
+    if (permissions.includes('analytics:read')) fetchAnalytics();
+    else setAnalytics(null);
+  }, [permissions.join(',')]);
+
+  // 🚪 Leave a tab the current role can no longer see
+  useEffect(() => {
+    if (!visibleTabs.some(tab => tab.id === activeTab)) setActiveTab('chat');
+  }, [visibleTabs.length]);
+
+  // 💱 Re-price price analytics whenever the currency changes
+  useEffect(() => {
+    localStorage.setItem('currency', currency);
+    fetchPriceAnalysis();
+  }, [currency]);
+
+  // 🎛️ Re-run the catalog search whenever a facet, the sort order or the currency changes
+  useEffect(() => {
+    if (activeTab === 'projects') handleSearch();
+  }, [activeTab, filters, sort, selectedCategory, currency]);
+
+  const fetchCurrencies = async () => {
+    try {
+      const response = await fetch('/api/exchange-rates');
+      const data = await response.json();
+      setCurrencies(Object.keys(data.data.rates));
+    } catch (error) {
+      console.error('Failed to fetch exchange rates:', error);
+    }
+  };
+
+  const fetchCategories = async () => {
+    try {
+      const response = await fetch('/api/categories');
+      const data = await response.json();
+      setCategories(Object.fromEntries(data.data.map(({ key, label }) => [key, label])));
+    } catch (error) {
+      console.error('Failed to fetch categories:', error);
+    }
+  };
+
+  const fetchPriceAnalysis = async () => {
+    try {
+      const response = await fetch(`/api/projects/price-analysis?currency=${currency}`);
+      const data = await response.json();
+      setPriceAnalysis(data.data);
+    } catch (error) {
+      console.error('Failed to fetch price analysis:', error);
+    }
+  };
+
+  const fetchMe = async () => {
+    try {
+      const response = await apiFetch('/api/me');
+      const data = await response.json();
+      setMe(data.data || null);
+    } catch (error) {
+      console.error('Failed to fetch account:', error);
+    }
+  };
+
+  const fetchHistory = async () => {
+    try {
+      const response = await apiFetch('/api/conversations');
+      const data = await response.json();
+      setHistory(data.data || []);
+    } catch (error) {
+      console.error('Failed to fetch conversations:', error);
+    }
+  };
+
+  const openConversation = async (id) => {
+    abortRef.current?.abort();
+    try {
+      const response = await apiFetch(`/api/conversations/${id}`);
+      const data = await response.json();
+      setConversationId(id);
+      setMessages(data.data.messages);
+    } catch (error) {
+      console.error('Failed to open conversation:', error);
+    }
+  };
+
+  const deleteConversation = async (id) => {
+    await apiFetch(`/api/conversations/${id}`, { method: 'DELETE' }).catch(() => {});
+    if (id === conversationId) handleNewChat();
+    setHistory(prev => prev.filter(entry => entry.id !== id));
+  };
+
+  const handleSignOut = async () => {
+    abortRef.current?.abort();
+    await supabase.auth.signOut();
+  };
+
   const fetchAnalytics = async () => {
     try {
-      const response = await fetch('/api/analytics');
+      const response = await apiFetch('/api/analytics');
       const data = await response.json();
       setAnalytics(data);
     } catch (error) {
@@ -33,69 +216,266 @@ function App() {
     }
   };
 
-  // 🤖 Handle AI Query
+  // 🤖 Handle AI Query (streamed token by token over SSE)
   const handleQuery = async () => {
     if (!inputValue.trim()) return;
 
-    const userMessage = { role: 'user', content: inputValue };
-    setMessages(prev => [...prev, userMessage]);
+    const query = inputValue;
+    const controller = new AbortController();
+    abortRef.current = controller;
+
+    setMessages(prev => [...prev, { role: 'user', content: query }, { role: 'assistant', content: '', streaming: true }]);
+    setInputValue('');
     setIsLoading(true);
 
+    // Patch the trailing assistant message while tokens arrive
+    const updateReply = (patch) => setMessages(prev => {
+      const next = [...prev];
+      const last = next[next.length - 1];
+      next[next.length - 1] = { ...last, ...(typeof patch === 'function' ? patch(last) : patch) };
+      return next;
+    });
+
     try {
-      const response = await fetch('/api/ai/query', {
+      const response = await apiFetch('/api/ai/query/stream', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ query: inputValue })
+        body: JSON.stringify({ query, conversationId }),
+        signal: controller.signal
       });
 
-      const data = await response.json();
-      
-      const aiMessage = { role: 'assistant', content: data.data.response };
-      setMessages(prev => [...prev, aiMessage]);
+      if (response.status === 429) {
+        const data = await response.json();
+        const retryAt = new Date(data.retryAt || Date.now() + Number(response.headers.get('Retry-After')) * 1000);
+        updateReply({
+          content: `⏳ تجاوزت الحد المسموح من الطلبات. يمكنك المحاولة مرة أخرى الساعة ${retryAt.toLocaleTimeString()}.`,
+          streaming: false
+        });
+        return;
+      }
+      if (!response.ok || !response.body) {
+        throw new Error(`Request failed with status ${response.status}`);
+      }
+
+      await readEventStream(response.body, (event, data) => {
+        if (event === 'meta') setConversationId(data.conversationId);
+        if (event === 'token') updateReply(last => ({ content: last.content + data.text }));
+        if (event === 'done') updateReply({ content: data.response, citations: data.citations, streaming: false });
+        if (event === 'error') throw new Error(data.message);
+      });
     } catch (error) {
-      console.error('Query failed:', error);
-      setMessages(prev => [...prev, { 
-        role: 'assistant', 
-        content: '❌ عذراً، حدث خطأ. يرجى المحاولة مرة أخرى.' 
-      }]);
+      if (error.name === 'AbortError') {
+        updateReply(last => ({ content: `${last.content}\n\n⏹️ تم إيقاف الرد.`, streaming: false }));
+      } else {
+        console.error('Query failed:', error);
+        updateReply({ content: '❌ عذراً، حدث خطأ. يرجى المحاولة مرة أخرى.', streaming: false });
+      }
     } finally {
+      abortRef.current = null;
       setIsLoading(false);
-      setInputValue('');
+      fetchHistory();
+    }
+  };
+
+  // ⏹️ Cancel the in-flight streamed reply
+  const handleCancel = () => {
+    abortRef.current?.abort();
+  };
+
+  // 🆕 Start a fresh conversation (the previous one stays in the history list)
+  const handleNewChat = () => {
+    abortRef.current?.abort();
+    setConversationId(null);
+    setMessages([]);
+  };
+
+  // ⚖️ Pick up to four projects to compare side by side
+  const toggleCompare = (key) => {
+    setCompareKeys(keys => (keys.includes(key)
+      ? keys.filter(entry => entry !== key)
+      : keys.length < 4 ? [...keys, key] : keys));
+  };
+
+  // Exports need the auth header, so fetch the document and open it locally
+  const openExport = async (path) => {
+    try {
+      const response = await apiFetch(path);
+      if (!response.ok) throw new Error((await response.json()).error);
+      window.open(URL.createObjectURL(await response.blob()), '_blank');
+    } catch (error) {
+      console.error('Export failed:', error);
     }
   };
 
   // 🔍 Handle Project Search
-  const handleSearch = () => {
-    if (!searchQuery.trim()) return;
-    
-    const results = searchProjects(searchQuery, selectedCategory || null);
-    setSearchResults(results);
+  const handleSearch = async () => {
+    try {
+      const params = new URLSearchParams({ q: searchQuery, currency });
+      if (selectedCategory) params.set('category', selectedCategory);
+      if (sort) params.set('sort', sort);
+      Object.entries(filters).forEach(([name, value]) => {
+        [value].flat().filter(item => item !== '').forEach(item => params.append(name, item));
+      });
+
+      const response = await fetch(`/api/projects/search?${params}`);
+      const data = await response.json();
+      setSearchResults(data.data?.results || []);
+      setSearchTotal(data.data?.total || 0);
+      setFacets(data.data?.facets || null);
+    } catch (error) {
+      console.error('Search failed:', error);
+    }
   };
 
-  // 📊 Render Analytics Dashboard
-  const renderAnalytics = () => (
-    <div className="space-y-6">
-      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
-        <div className="bg-white rounded-lg shadow p-6 border border-gray-200">
-          <div className="flex items-center">
-            <Brain className="h-8 w-8 text-blue-600 ml-3" />
-            <h3 className="text-lg font-semibold text-gray-900">إجمالي الاستفسارات</h3>
+  return (
+    <div className="min-h-screen bg-slate-900 text-slate-100">
+      <header className="border-b border-slate-800 bg-slate-900/80">
+        <div className="max-w-7xl mx-auto px-6 py-4 flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <Bot className="w-8 h-8 text-blue-400" />
+            <h1 className="text-xl font-bold gradient-text">AI Project Manager</h1>
           </div>
-          <p className="text-2xl font-bold text-blue-600 mt-2">{analytics?.totalQueries || 0}</p>
-        </div>
-
-        <div className="bg-white rounded-lg shadow p-6 border border-gray-200">
-          <div className="flex items-center">
-            <TrendingUp className="h-8 w-8 text-green-600 ml-3" />
-            <h3 className="text-lg font-semibold text-gray-900">نسبة التخزين المؤقت</h3>
+          <div className="flex items-center gap-4 text-sm text-slate-400">
+            <div className="flex items-center gap-2">
+              <Shield className="w-4 h-4 text-green-400" />
+              <span>Smart caching & key rotation</span>
+            </div>
+            <select
+              value={currency}
+              onChange={(e) => setCurrency(e.target.value)}
+              title="Display currency"
+              className="bg-slate-800 border border-slate-700 rounded-lg px-3 py-1 text-slate-100"
+            >
+              {currencies.map(code => (
+                <option key={code} value={code}>{code}</option>
+              ))}
+            </select>
+            {session && (
+              <div className="flex items-center gap-2">
+                <span className="text-slate-300">{session.user.email}</span>
+                {me && <span className="text-xs rounded bg-slate-700 px-2 py-0.5 capitalize">{me.role}</span>}
+                <button onClick={handleSignOut} title="Sign out" className="hover:text-slate-200">
+                  <LogOut className="w-4 h-4" />
+                </button>
+              </div>
+            )}
           </div>
-          <p className="text-2xl font-bold text-green-600 mt-2">{analytics?.cacheHitRate || 0}%</p>
         </div>
+        <nav className="max-w-7xl mx-auto px-6 flex gap-2">
+          {visibleTabs.map(({ id, label, icon: Icon }) => (
+            <button
+              key={id}
+              onClick={() => setActiveTab(id)}
+              className={`flex items-center gap-2 px-4 py-2 rounded-t-lg text-sm ${
+                activeTab === id ? 'bg-slate-800 text-slate-100' : 'text-slate-400 hover:text-slate-200'
+              }`}
+            >
+              <Icon className="w-4 h-4" />
+              {label}
+            </button>
+          ))}
+        </nav>
+      </header>
 
-        <div className="bg-white rounded-lg shadow p-6 border border-gray-200">
-          <div className="flex items-center">
-            <Zap className="h-8 w-8 text-yellow-600 ml-3" />
-            <h3 className="text-lg font-semibold text-gray-900">استخدام GPT</h3>
+      <main className="max-w-7xl mx-auto px-6 py-8">
+        {activeTab === 'chat' && !session && <AuthPanel />}
+
+        {activeTab === 'chat' && session && (
+          <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+            <div className="lg:col-span-3 bg-slate-800/50 rounded-xl border border-slate-700 flex flex-col h-[70vh]">
+              <div className="flex-1 overflow-y-auto p-6 space-y-4">
+                {messages.length === 0 && (
+                  <div className="text-center text-slate-400 py-12">
+                    <Bot className="w-16 h-16 mx-auto mb-4 text-slate-600" />
+                    <p>Ask about projects, prices, timelines or your next release.</p>
+                  </div>
+                )}
+                {messages.map((message, index) => (
+                  <div
+                    key={index}
+                    className={`fade-in flex ${message.role === 'user' ? 'justify-end' : 'justify-start'}`}
+                  >
+                    <div
+                      dir="auto"
+                      className={`max-w-[80%] rounded-lg px-4 py-3 whitespace-pre-wrap ${
+                        message.role === 'user' ? 'bg-blue-600 text-white' : 'bg-slate-700 text-slate-100'
+                      }`}
+                    >
+                      {message.content}
+                      {message.streaming && <span className="pulse">▍</span>}
+                    </div>
+                  </div>
+                ))}
+                {isLoading && !messages[messages.length - 1]?.content && (
+                  <div className="flex items-center gap-2 text-slate-400">
+                    <Loader2 className="w-4 h-4 animate-spin" />
+                    <span>Thinking...</span>
+                  </div>
+                )}
+              </div>
+              <div className="border-t border-slate-700 p-4 flex gap-2">
+                <input
+                  dir="auto"
+                  value={inputValue}
+                  onChange={(e) => setInputValue(e.target.value)}
+                  onKeyDown={(e) => e.key === 'Enter' && !isLoading && handleQuery()}
+                  placeholder="Type your question..."
+                  className="flex-1 bg-slate-900 border border-slate-700 rounded-lg px-4 py-2 text-slate-100 focus:outline-none focus:border-blue-500"
+                />
+                {isLoading ? (
+                  <button
+                    onClick={handleCancel}
+                    title="Stop generating"
+                    className="bg-red-600 hover:bg-red-700 rounded-lg px-4 py-2"
+                  >
+                    <Square className="w-5 h-5" />
+                  </button>
+                ) : (
+                  <button
+                    onClick={handleQuery}
+                    className="bg-blue-600 hover:bg-blue-700 rounded-lg px-4 py-2"
+                  >
+                    <Send className="w-5 h-5" />
+                  </button>
+                )}
+              </div>
+            </div>
+
+            <div className="bg-slate-800/50 rounded-xl border border-slate-700 p-6">
+              <div>
+                <h3 className="text-lg font-semibold mb-4 text-slate-200">Conversation</h3>
+                <button
+                  onClick={handleNewChat}
+                  className="w-full flex items-center justify-center gap-2 bg-slate-700 hover:bg-slate-600 rounded-lg px-4 py-2 text-sm"
+                >
+                  <Plus className="w-4 h-4" />
+                  New chat
+                </button>
+                <p className="text-slate-500 text-xs mt-3">
+                  {messages.length} messages in this session
+                </p>
+
+                {history.length > 0 && (
+                  <ul className="mt-4 space-y-1 max-h-64 overflow-y-auto">
+                    {history.map(entry => (
+                      <li
+                        key={entry.id}
+                        className={`flex items-center gap-2 rounded px-2 py-1 text-sm ${
+                          entry.id === conversationId ? 'bg-slate-700 text-slate-100' : 'text-slate-400 hover:bg-slate-700/50'
+                        }`}
+                      >
+                        <button onClick={() => openConversation(entry.id)} dir="auto" className="flex-1 text-left truncate">
+                          {entry.title || 'Untitled'}
+                        </button>
+                        <button onClick={() => deleteConversation(entry.id)} title="Delete conversation" className="hover:text-red-400">
+                          <X className="w-3 h-3" />
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+
+                {analytics && (
                   <div className="mt-6 pt-6 border-t border-slate-700">
                     <h4 className="text-sm font-semibold mb-3 text-slate-300">Session Stats</h4>
                     <div className="space-y-2 text-sm">
@@ -115,92 +495,147 @@ function App() {
           </div>
         )}
 
-        {activeTab === 'analytics' && (
+        {activeTab === 'projects' && (
           <div className="bg-slate-800/50 rounded-xl border border-slate-700 p-6">
-            <h2 className="text-xl font-semibold mb-6 text-slate-200">Analytics Dashboard</h2>
-            
-            {analytics ? (
-              <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
-                <div className="bg-slate-700 rounded-lg p-4">
-                  <div className="flex items-center justify-between">
-                    <div>
-                      <p className="text-slate-400 text-sm">Total Queries</p>
-                      <p className="text-2xl font-bold text-slate-200">{analytics.total_queries}</p>
-                    </div>
-                    <MessageSquare className="w-8 h-8 text-blue-400" />
-                  </div>
-                </div>
+            <h2 className="text-xl font-semibold mb-6 text-slate-200">Project Catalog</h2>
+            <div className="flex flex-col md:flex-row gap-2 mb-6">
+              <input
+                dir="auto"
+                value={searchQuery}
+                onChange={(e) => setSearchQuery(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && handleSearch()}
+                placeholder="Search projects..."
+                className="flex-1 bg-slate-900 border border-slate-700 rounded-lg px-4 py-2 text-slate-100 focus:outline-none focus:border-blue-500"
+              />
+              <select
+                value={selectedCategory}
+                onChange={(e) => setSelectedCategory(e.target.value)}
+                className="bg-slate-900 border border-slate-700 rounded-lg px-4 py-2 text-slate-100"
+              >
+                <option value="">All categories</option>
+                {Object.entries(categories).map(([key, label]) => (
+                  <option key={key} value={key}>{label}</option>
+                ))}
+              </select>
+              <select
+                value={sort}
+                onChange={(e) => setSort(e.target.value)}
+                className="bg-slate-900 border border-slate-700 rounded-lg px-4 py-2 text-slate-100"
+              >
+                <option value="">Best match</option>
+                <option value="price">Price: low to high</option>
+                <option value="-price">Price: high to low</option>
+                <option value="duration">Shortest delivery</option>
+                <option value="-duration">Longest delivery</option>
+                <option value="name">Name</option>
+              </select>
+              <button
+                onClick={handleSearch}
+                className="bg-blue-600 hover:bg-blue-700 rounded-lg px-4 py-2"
+              >
+                <Search className="w-5 h-5" />
+              </button>
+            </div>
 
-                <div className="bg-slate-700 rounded-lg p-4">
-                  <div className="flex items-center justify-between">
-                    <div>
-                      <p className="text-slate-400 text-sm">Cache Hit Rate</p>
-                      <p className="text-2xl font-bold text-green-400">
-                        {analytics.cache_hit_rate?.toFixed(1)}%
-                      </p>
-                    </div>
-                    <Zap className="w-8 h-8 text-green-400" />
-                  </div>
-                </div>
+            {isComparing ? (
+              <ProjectComparison
+                keys={compareKeys}
+                currency={currency}
+                onRemove={toggleCompare}
+                onClose={() => setIsComparing(false)}
+              />
+            ) : (
+              <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+                <CatalogFacets facets={facets} filters={filters} currency={currency} onChange={setFilters} />
 
-                <div className="bg-slate-700 rounded-lg p-4">
-                  <div className="flex items-center justify-between">
-                    <div>
-                      <p className="text-slate-400 text-sm">GPT Usage</p>
-                      <p className="text-2xl font-bold text-slate-200">
-                        {analytics.providers?.gpt || 0}
-                      </p>
-                    </div>
-                    <CheckCircle className="w-8 h-8 text-purple-400" />
+                <div className="lg:col-span-3">
+                  <div className="flex items-center justify-between mb-3">
+                    <p className="text-sm text-slate-400">{searchTotal} projects</p>
+                    {compareKeys.length > 0 && (
+                      <div className="flex items-center gap-3 text-sm">
+                        <button onClick={() => setCompareKeys([])} className="text-slate-400 hover:underline">Clear</button>
+                        <button
+                          onClick={() => setIsComparing(true)}
+                          disabled={compareKeys.length < 2}
+                          className="bg-blue-600 hover:bg-blue-700 disabled:opacity-50 rounded-lg px-3 py-1.5"
+                        >
+                          Compare ({compareKeys.length}/4)
+                        </button>
+                      </div>
+                    )}
                   </div>
-                </div>
-
-                <div className="bg-slate-700 rounded-lg p-4">
-                  <div className="flex items-center justify-between">
-                    <div>
-                      <p className="text-slate-400 text-sm">Gemini Usage</p>
-                      <p className="text-2xl font-bold text-slate-200">
-                        {analytics.providers?.gemini || 0}
-                      </p>
-                    </div>
-                    <AlertCircle className="w-8 h-8 text-orange-400" />
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    {searchResults.map((project) => (
+                      <div key={project.key} dir="rtl" className="bg-slate-700 rounded-lg p-4">
+                        <h3 className="font-semibold text-slate-100">
+                          <Highlight snippet={project.snippets?.find(snippet => snippet.field === 'name')} fallback={project.name} />
+                        </h3>
+                        <p className="text-sm text-slate-400 mt-1">{categories[project.category]}</p>
+                        <div className="flex gap-4 mt-3 text-sm">
+                          <span className="text-green-400">{project.price.formatted}</span>
+                          <span className="text-slate-300">{project.duration} أسبوع</span>
+                          <span className="text-slate-300">{project.tech}</span>
+                        </div>
+                        {project.snippets?.filter(snippet => snippet.field !== 'name').slice(0, 3).map((snippet, index) => (
+                          <p key={index} className="text-xs text-slate-400 mt-2">
+                            <Highlight snippet={snippet} />
+                          </p>
+                        ))}
+                        <div className="flex gap-3 mt-3 text-xs">
+                          {session && (
+                            <>
+                              <button onClick={() => openExport(`/api/export/projects/${project.key}`)} className="text-blue-400 hover:underline">
+                                طباعة
+                              </button>
+                              <button onClick={() => openExport(`/api/export/projects/${project.key}?format=pdf`)} className="text-blue-400 hover:underline">
+                                PDF
+                              </button>
+                            </>
+                          )}
+                          <label className="flex items-center gap-1 text-slate-300 cursor-pointer">
+                            <input
+                              type="checkbox"
+                              checked={compareKeys.includes(project.key)}
+                              disabled={!compareKeys.includes(project.key) && compareKeys.length >= 4}
+                              onChange={() => toggleCompare(project.key)}
+                              className="accent-blue-500"
+                            />
+                            مقارنة
+                          </label>
+                        </div>
+                      </div>
+                    ))}
                   </div>
                 </div>
               </div>
-            ) : (
-              <div className="text-center text-slate-400 py-12">
-                <BarChart3 className="w-16 h-16 mx-auto mb-4 text-slate-600" />
-                <p>Loading analytics...</p>
-              </div>
             )}
           </div>
         )}
 
-        {activeTab === 'settings' && (
+        {activeTab === 'quotes' && session && (
+          <QuoteList key={session.user.id} isStaff={permissions.includes('notes:read')} />
+        )}
+
+        {activeTab === 'analytics' && (
           <div className="bg-slate-800/50 rounded-xl border border-slate-700 p-6">
-            <h2 className="text-xl font-semibold mb-6 text-slate-200">Settings</h2>
-            <div className="space-y-6">
-              <div>
-                <h3 className="text-lg font-medium mb-3 text-slate-300">API Configuration</h3>
-                <p className="text-slate-400 text-sm">
-                  Configure your API keys in the .env file for optimal performance.
-                </p>
-              </div>
-              
-              <div>
-                <h3 className="text-lg font-medium mb-3 text-slate-300">Cache Settings</h3>
-                <p className="text-slate-400 text-sm">
-                  Responses are cached for 5 minutes to improve performance and reduce API usage.
-                </p>
-              </div>
+            <h2 className="text-xl font-semibold mb-6 text-slate-200">Analytics Dashboard</h2>
+            
+            <Suspense fallback={<Loader2 className="w-6 h-6 animate-spin text-slate-400" />}>
+              <AnalyticsDashboard />
+            </Suspense>
 
-              <div>
-                <h3 className="text-lg font-medium mb-3 text-slate-300">Rate Limiting</h3>
-                <p className="text-slate-400 text-sm">
-                  10 requests per minute per IP to ensure fair usage.
-                </p>
-              </div>
-            </div>
+            {priceAnalysis && (
+              <Suspense fallback={null}>
+                <PriceAnalysis analysis={priceAnalysis} />
+              </Suspense>
+            )}
+          </div>
+        )}
+
+        {activeTab === 'settings' && (
+          <div>
+            <h2 className="text-xl font-semibold mb-6 text-slate-200">Settings</h2>
+            <SettingsPanel />
           </div>
         )}
       </main>
@@ -0,0 +1,15 @@
+// 🗄️ Supabase Client & authenticated API calls
+import { createClient } from '@supabase/supabase-js';
+
+export const supabase = createClient(
+  import.meta.env.VITE_SUPABASE_URL,
+  import.meta.env.VITE_SUPABASE_ANON_KEY
+);
+
+// 🔑 fetch() that sends the signed-in user's access token to the API
+export const apiFetch = async (url, options = {}) => {
+  const { data: { session } } = await supabase.auth.getSession();
+  const headers = { ...options.headers };
+  if (session) headers.Authorization = `Bearer ${session.access_token}`;
+  return fetch(url, { ...options, headers });
+};
@@ -0,0 +1,316 @@
+// 📊 Analytics Dashboard - query volume, cache, providers, latency and cost over a chosen date range
+import React, { useState, useEffect } from 'react';
+import {
+  ResponsiveContainer, BarChart, Bar, LineChart, Line, AreaChart, Area, PieChart, Pie, Cell,
+  XAxis, YAxis, CartesianGrid, Tooltip, Legend
+} from 'recharts';
+import { MessageSquare, Zap, AlertCircle, Timer, DollarSign, Download, Loader2 } from 'lucide-react';
+import { apiFetch } from '../api';
+import CostBreakdown from './CostBreakdown';
+
+const PRESETS = [
+  { id: '1', label: '24h' },
+  { id: '7', label: '7 days' },
+  { id: '30', label: '30 days' },
+  { id: '90', label: '90 days' },
+  { id: 'custom', label: 'Custom' }
+];
+
+const REPORTS = [
+  { id: 'series', label: 'Time series' },
+  { id: 'providers', label: 'Providers' },
+  { id: 'endpoints', label: 'Endpoints' },
+  { id: 'models', label: 'Models' },
+  { id: 'top-queries', label: 'Top questions' },
+  { id: 'top-projects', label: 'Top projects' }
+];
+
+const COLORS = ['#60a5fa', '#c084fc', '#4ade80', '#fb923c', '#f87171', '#facc15'];
+const GRID = '#334155';
+const AXIS = { stroke: '#94a3b8', fontSize: 12 };
+const TOOLTIP = { contentStyle: { background: '#1e293b', border: '1px solid #334155', borderRadius: 8 }, labelStyle: { color: '#e2e8f0' } };
+const INPUT = 'bg-slate-900 border border-slate-700 rounded px-2 py-1 text-sm text-slate-100 focus:outline-none focus:border-blue-500';
+
+const formatNumber = (value) => new Intl.NumberFormat('en-US', { notation: 'compact' }).format(value || 0);
+const formatMs = (value) => (value === null || value === undefined ? '—' : value >= 1000 ? `${(value / 1000).toFixed(1)}s` : `${value}ms`);
+const formatUsd = (value) => new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD', maximumFractionDigits: 4 }).format(value || 0);
+
+// Hourly buckets show the time, longer ones the date
+const formatBucket = (bucket, size) => (size === 'hour' ? bucket.slice(11, 16) : bucket.slice(5, 10));
+
+// Date pickers are inclusive; the API's "to" is exclusive, so it moves to the next day
+const nextDay = (date) => new Date(new Date(`${date}T00:00:00Z`).getTime() + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+const rangeParams = ({ preset, from, to, bucket }) => {
+  const params = new URLSearchParams();
+  if (preset === 'custom') {
+    if (from) params.set('from', from);
+    if (to) params.set('to', nextDay(to));
+  } else {
+    params.set('days', preset);
+  }
+  if (bucket !== 'auto') params.set('bucket', bucket);
+  return params;
+};
+
+function StatCard({ label, value, detail, icon: Icon, color }) {
+  return (
+    <div className="bg-slate-700 rounded-lg p-4">
+      <div className="flex items-center justify-between">
+        <div>
+          <p className="text-slate-400 text-sm">{label}</p>
+          <p className={`text-2xl font-bold ${color}`}>{value}</p>
+          {detail && <p className="text-xs text-slate-500 mt-1">{detail}</p>}
+        </div>
+        <Icon className={`w-8 h-8 ${color}`} />
+      </div>
+    </div>
+  );
+}
+
+function ChartCard({ title, children }) {
+  return (
+    <div className="bg-slate-700/50 rounded-lg p-4">
+      <h3 className="text-sm font-semibold mb-3 text-slate-300">{title}</h3>
+      <div className="h-64">
+        <ResponsiveContainer width="100%" height="100%">{children}</ResponsiveContainer>
+      </div>
+    </div>
+  );
+}
+
+function TopTable({ title, rows, labelHeader }) {
+  return (
+    <div className="bg-slate-700/50 rounded-lg p-4">
+      <h3 className="text-sm font-semibold mb-3 text-slate-300">{title}</h3>
+      {rows.length === 0 ? (
+        <p className="text-slate-400 text-sm">Nothing in this range yet.</p>
+      ) : (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-slate-400 border-b border-slate-600">
+              <th className="text-left py-2">{labelHeader}</th>
+              <th className="text-right py-2">Asked</th>
+              <th className="text-right py-2">Users</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => (
+              <tr key={row.key} className="border-b border-slate-700 text-slate-300">
+                <td className="py-2 pr-4 max-w-xs truncate" title={row.label}><bdi>{row.label}</bdi></td>
+                <td className="text-right">{row.queries}</td>
+                <td className="text-right">{row.users}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+function AnalyticsDashboard() {
+  const [range, setRange] = useState({ preset: '30', from: '', to: '', bucket: 'auto' });
+  const [analytics, setAnalytics] = useState(null);
+  const [error, setError] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [report, setReport] = useState('series');
+
+  const updateRange = (patch) => setRange(prev => ({ ...prev, ...patch }));
+
+  useEffect(() => {
+    // A custom range waits until both dates are picked
+    if (range.preset === 'custom' && (!range.from || !range.to)) return;
+    let cancelled = false;
+    setIsLoading(true);
+    apiFetch(`/api/analytics?${rangeParams(range)}`)
+      .then(async response => {
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error);
+        if (!cancelled) {
+          setAnalytics(data);
+          setError(null);
+        }
+      })
+      .catch(err => !cancelled && setError(err.message))
+      .finally(() => !cancelled && setIsLoading(false));
+    return () => {
+      cancelled = true;
+    };
+  }, [range]);
+
+  // Exports need the auth header, so fetch the CSV and save it locally
+  const downloadCsv = async () => {
+    const params = rangeParams(range);
+    params.set('report', report);
+    const response = await apiFetch(`/api/export/analytics?${params}`);
+    if (!response.ok) {
+      setError((await response.json()).error);
+      return;
+    }
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(await response.blob());
+    link.download = response.headers.get('Content-Disposition')?.match(/filename="(.+)"/)?.[1] || `analytics-${report}.csv`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  };
+
+  const size = analytics?.range.bucket;
+  const series = (analytics?.series || []).map(point => ({
+    ...point,
+    label: formatBucket(point.bucket, size),
+    p50: point.latency_ms.p50,
+    p90: point.latency_ms.p90,
+    p99: point.latency_ms.p99
+  }));
+  const providerSplit = (analytics?.by_provider || []).filter(row => row.cache_misses > 0);
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-end gap-3 mb-6">
+        <div className="flex rounded-lg overflow-hidden border border-slate-700">
+          {PRESETS.map(preset => (
+            <button
+              key={preset.id}
+              onClick={() => updateRange({ preset: preset.id })}
+              className={`px-3 py-1 text-sm ${range.preset === preset.id ? 'bg-blue-600 text-white' : 'bg-slate-800 text-slate-300 hover:bg-slate-700'}`}
+            >
+              {preset.label}
+            </button>
+          ))}
+        </div>
+        {range.preset === 'custom' && (
+          <>
+            <input type="date" value={range.from} max={range.to || undefined} onChange={(e) => updateRange({ from: e.target.value })} className={INPUT} />
+            <span className="text-slate-500">to</span>
+            <input type="date" value={range.to} min={range.from || undefined} onChange={(e) => updateRange({ to: e.target.value })} className={INPUT} />
+          </>
+        )}
+        <select value={range.bucket} onChange={(e) => updateRange({ bucket: e.target.value })} className={INPUT}>
+          <option value="auto">Auto buckets</option>
+          <option value="hour">Hourly</option>
+          <option value="day">Daily</option>
+          <option value="week">Weekly</option>
+        </select>
+        {isLoading && <Loader2 className="w-5 h-5 animate-spin text-slate-400" />}
+
+        <div className="ml-auto flex items-center gap-2">
+          <select value={report} onChange={(e) => setReport(e.target.value)} className={INPUT}>
+            {REPORTS.map(entry => <option key={entry.id} value={entry.id}>{entry.label}</option>)}
+          </select>
+          <button onClick={downloadCsv} className="flex items-center gap-2 bg-slate-700 hover:bg-slate-600 rounded-lg px-3 py-1 text-sm">
+            <Download className="w-4 h-4" />
+            CSV
+          </button>
+        </div>
+      </div>
+
+      {error && <p className="text-red-400 text-sm mb-4">{error}</p>}
+
+      {analytics ? (
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-3 lg:grid-cols-5 gap-4 mb-6">
+            <StatCard label="Total Queries" value={formatNumber(analytics.totals.queries)} icon={MessageSquare} color="text-slate-200" />
+            <StatCard
+              label="Cache Hit Rate"
+              value={`${analytics.totals.cache_hit_rate.toFixed(1)}%`}
+              detail={`${formatNumber(analytics.totals.cache_hits)} hits`}
+              icon={Zap}
+              color="text-green-400"
+            />
+            <StatCard
+              label="Error Rate"
+              value={`${analytics.totals.error_rate.toFixed(1)}%`}
+              detail={`${formatNumber(analytics.totals.errors)} failed`}
+              icon={AlertCircle}
+              color="text-red-400"
+            />
+            <StatCard
+              label="Latency p50 / p90"
+              value={formatMs(analytics.totals.latency_ms.p50)}
+              detail={`p90 ${formatMs(analytics.totals.latency_ms.p90)} · p99 ${formatMs(analytics.totals.latency_ms.p99)}`}
+              icon={Timer}
+              color="text-purple-400"
+            />
+            <StatCard
+              label="AI Cost"
+              value={formatUsd(analytics.totals.cost_usd)}
+              detail={`${formatNumber(analytics.totals.input_tokens + analytics.totals.output_tokens)} tokens`}
+              icon={DollarSign}
+              color="text-emerald-400"
+            />
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6">
+            <ChartCard title="Query volume">
+              <BarChart data={series}>
+                <CartesianGrid stroke={GRID} strokeDasharray="3 3" />
+                <XAxis dataKey="label" {...AXIS} />
+                <YAxis allowDecimals={false} {...AXIS} />
+                <Tooltip {...TOOLTIP} />
+                <Legend />
+                <Bar dataKey="cache_misses" name="Answered" stackId="queries" fill="#60a5fa" />
+                <Bar dataKey="cache_hits" name="From cache" stackId="queries" fill="#4ade80" />
+                <Bar dataKey="errors" name="Failed" stackId="queries" fill="#f87171" />
+              </BarChart>
+            </ChartCard>
+
+            <ChartCard title="Cache hit rate (%)">
+              <LineChart data={series}>
+                <CartesianGrid stroke={GRID} strokeDasharray="3 3" />
+                <XAxis dataKey="label" {...AXIS} />
+                <YAxis domain={[0, 100]} {...AXIS} />
+                <Tooltip {...TOOLTIP} />
+                <Line type="monotone" dataKey="cache_hit_rate" name="Hit rate" stroke="#4ade80" dot={false} />
+                <Line type="monotone" dataKey="error_rate" name="Error rate" stroke="#f87171" dot={false} />
+              </LineChart>
+            </ChartCard>
+
+            <ChartCard title="Provider split (answered calls)">
+              <PieChart>
+                <Pie data={providerSplit} dataKey="cache_misses" nameKey="provider" innerRadius={50} outerRadius={90} label>
+                  {providerSplit.map((row, index) => <Cell key={row.provider} fill={COLORS[index % COLORS.length]} />)}
+                </Pie>
+                <Tooltip {...TOOLTIP} />
+                <Legend />
+              </PieChart>
+            </ChartCard>
+
+            <ChartCard title="Latency (uncached answers)">
+              <LineChart data={series}>
+                <CartesianGrid stroke={GRID} strokeDasharray="3 3" />
+                <XAxis dataKey="label" {...AXIS} />
+                <YAxis tickFormatter={formatMs} {...AXIS} />
+                <Tooltip {...TOOLTIP} formatter={formatMs} />
+                <Legend />
+                <Line type="monotone" dataKey="p50" name="p50" stroke="#60a5fa" dot={false} connectNulls />
+                <Line type="monotone" dataKey="p90" name="p90" stroke="#c084fc" dot={false} connectNulls />
+                <Line type="monotone" dataKey="p99" name="p99" stroke="#fb923c" dot={false} connectNulls />
+              </LineChart>
+            </ChartCard>
+
+            <ChartCard title="Cost (USD)">
+              <AreaChart data={series}>
+                <CartesianGrid stroke={GRID} strokeDasharray="3 3" />
+                <XAxis dataKey="label" {...AXIS} />
+                <YAxis tickFormatter={formatUsd} width={70} {...AXIS} />
+                <Tooltip {...TOOLTIP} formatter={formatUsd} />
+                <Area type="monotone" dataKey="cost_usd" name="Cost" stroke="#34d399" fill="#34d399" fillOpacity={0.2} />
+              </AreaChart>
+            </ChartCard>
+
+            <TopTable title="Top questions" rows={analytics.top_queries} labelHeader="Question" />
+          </div>
+
+          <TopTable title="Most requested catalog projects" rows={analytics.top_projects} labelHeader="Project" />
+
+          <CostBreakdown costs={analytics.costs} />
+        </>
+      ) : (
+        !error && <Loader2 className="w-6 h-6 animate-spin text-slate-400" />
+      )}
+    </div>
+  );
+}
+
+export default AnalyticsDashboard;
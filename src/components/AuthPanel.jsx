@@ -0,0 +1,80 @@
+// 🔐 Auth Panel - email/password sign-in and sign-up through Supabase Auth
+import React, { useState } from 'react';
+import { LogIn, Loader2 } from 'lucide-react';
+import { supabase } from '../api';
+
+function AuthPanel() {
+  const [mode, setMode] = useState('signIn');
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [message, setMessage] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setMessage(null);
+
+    const { data, error } = mode === 'signIn'
+      ? await supabase.auth.signInWithPassword({ email, password })
+      : await supabase.auth.signUp({ email, password });
+
+    if (error) {
+      setMessage({ type: 'error', text: error.message });
+    } else if (mode === 'signUp' && !data.session) {
+      setMessage({ type: 'info', text: 'Check your inbox to confirm your email, then sign in.' });
+      setMode('signIn');
+    }
+    setIsSubmitting(false);
+  };
+
+  return (
+    <div className="max-w-sm mx-auto bg-slate-800/50 rounded-xl border border-slate-700 p-6">
+      <div className="flex items-center gap-2 mb-4">
+        <LogIn className="w-5 h-5 text-blue-400" />
+        <h2 className="text-lg font-medium">{mode === 'signIn' ? 'Sign in' : 'Create an account'}</h2>
+      </div>
+      <p className="text-sm text-slate-400 mb-4">Sign in to chat with the assistant and keep your conversation history.</p>
+
+      <form onSubmit={handleSubmit} className="space-y-3">
+        <input
+          type="email"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          placeholder="Email"
+          required
+          className="w-full bg-slate-900 border border-slate-700 rounded-lg px-4 py-2 text-slate-100 focus:outline-none focus:border-blue-500"
+        />
+        <input
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          placeholder="Password"
+          minLength={6}
+          required
+          className="w-full bg-slate-900 border border-slate-700 rounded-lg px-4 py-2 text-slate-100 focus:outline-none focus:border-blue-500"
+        />
+        {message && (
+          <p className={`text-sm ${message.type === 'error' ? 'text-red-400' : 'text-slate-300'}`}>{message.text}</p>
+        )}
+        <button
+          type="submit"
+          disabled={isSubmitting}
+          className="w-full flex items-center justify-center gap-2 bg-blue-600 hover:bg-blue-500 disabled:opacity-50 rounded-lg px-4 py-2"
+        >
+          {isSubmitting && <Loader2 className="w-4 h-4 animate-spin" />}
+          {mode === 'signIn' ? 'Sign in' : 'Sign up'}
+        </button>
+      </form>
+
+      <button
+        onClick={() => setMode(mode === 'signIn' ? 'signUp' : 'signIn')}
+        className="mt-4 text-sm text-blue-400 hover:text-blue-300"
+      >
+        {mode === 'signIn' ? 'New here? Create an account' : 'Already have an account? Sign in'}
+      </button>
+    </div>
+  );
+}
+
+export default AuthPanel;
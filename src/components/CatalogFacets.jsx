@@ -0,0 +1,173 @@
+// 🎛️ Catalog Facets - budget, deadline, tech, readiness and feature filters
+import React from 'react';
+import { X } from 'lucide-react';
+
+export const EMPTY_FILTERS = {
+  minPrice: '',
+  maxPrice: '',
+  minWeeks: '',
+  maxWeeks: '',
+  tech: [],
+  readiness: [],
+  features: []
+};
+
+const toggle = (list, value) => (list.includes(value) ? list.filter(item => item !== value) : [...list, value]);
+
+function FacetGroup({ title, children }) {
+  return (
+    <div className="pb-4 mb-4 border-b border-slate-700 last:border-0">
+      <h4 className="text-sm font-semibold mb-2 text-slate-300">{title}</h4>
+      {children}
+    </div>
+  );
+}
+
+function CheckList({ options = [], selected, onToggle }) {
+  return (
+    <div className="space-y-1">
+      {options.map(({ value, count }) => (
+        <label key={value} dir="auto" className="flex items-center justify-between gap-2 text-sm text-slate-300 cursor-pointer">
+          <span className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={selected.includes(value)}
+              onChange={() => onToggle(value)}
+              className="accent-blue-500"
+            />
+            {value}
+          </span>
+          <span className="text-xs text-slate-500">{count}</span>
+        </label>
+      ))}
+    </div>
+  );
+}
+
+function RangeInputs({ min, max, onChange, placeholder }) {
+  const inputClass = 'w-full bg-slate-900 border border-slate-700 rounded px-2 py-1 text-sm text-slate-100';
+  return (
+    <div className="flex items-center gap-2">
+      <input type="number" min="0" value={min} placeholder={`${placeholder} min`} onChange={(e) => onChange(e.target.value, max)} className={inputClass} />
+      <span className="text-slate-500">–</span>
+      <input type="number" min="0" value={max} placeholder={`${placeholder} max`} onChange={(e) => onChange(min, e.target.value)} className={inputClass} />
+    </div>
+  );
+}
+
+function CatalogFacets({ facets, filters, currency, onChange }) {
+  const update = (patch) => onChange({ ...filters, ...patch });
+  const hasFilters = JSON.stringify(filters) !== JSON.stringify(EMPTY_FILTERS);
+
+  return (
+    <aside className="bg-slate-900/60 rounded-lg p-4 border border-slate-700">
+      {hasFilters && (
+        <button
+          onClick={() => onChange(EMPTY_FILTERS)}
+          className="flex items-center gap-1 text-xs text-blue-400 hover:underline mb-4"
+        >
+          <X className="w-3 h-3" />
+          Clear filters
+        </button>
+      )}
+
+      <FacetGroup title={`Budget (${currency})`}>
+        <RangeInputs
+          min={filters.minPrice}
+          max={filters.maxPrice}
+          placeholder={currency}
+          onChange={(minPrice, maxPrice) => update({ minPrice, maxPrice })}
+        />
+        <div className="flex flex-wrap gap-1 mt-2">
+          {facets?.price.filter(bucket => bucket.count > 0).map(bucket => (
+            <button
+              key={bucket.label}
+              onClick={() => update({ minPrice: String(bucket.min), maxPrice: bucket.max === null ? '' : String(Math.round(bucket.max * 100 - 1) / 100) })}
+              className="text-xs bg-slate-700 hover:bg-slate-600 rounded px-2 py-0.5 text-slate-300"
+            >
+              {bucket.label} <span className="text-slate-500">({bucket.count})</span>
+            </button>
+          ))}
+        </div>
+      </FacetGroup>
+
+      <FacetGroup title="Duration (weeks)">
+        <RangeInputs
+          min={filters.minWeeks}
+          max={filters.maxWeeks}
+          placeholder="weeks"
+          onChange={(minWeeks, maxWeeks) => update({ minWeeks, maxWeeks })}
+        />
+        <div className="flex flex-wrap gap-1 mt-2">
+          {facets?.duration.filter(bucket => bucket.count > 0).map(bucket => (
+            <button
+              key={bucket.label}
+              onClick={() => update({ minWeeks: String(bucket.min), maxWeeks: bucket.max === null ? '' : String(bucket.max - 1) })}
+              className="text-xs bg-slate-700 hover:bg-slate-600 rounded px-2 py-0.5 text-slate-300"
+            >
+              {bucket.label} <span className="text-slate-500">({bucket.count})</span>
+            </button>
+          ))}
+        </div>
+      </FacetGroup>
+
+      <FacetGroup title="Tech">
+        <CheckList
+          options={facets?.tech}
+          selected={filters.tech}
+          onToggle={(value) => update({ tech: toggle(filters.tech, value) })}
+        />
+      </FacetGroup>
+
+      <FacetGroup title="Readiness">
+        <CheckList
+          options={facets?.readiness}
+          selected={filters.readiness}
+          onToggle={(value) => update({ readiness: toggle(filters.readiness, value) })}
+        />
+      </FacetGroup>
+
+      <FacetGroup title="Required features">
+        <div className="flex flex-wrap gap-1 mb-2">
+          {filters.features.map(feature => (
+            <button
+              key={feature}
+              dir="auto"
+              onClick={() => update({ features: toggle(filters.features, feature) })}
+              className="flex items-center gap-1 text-xs bg-blue-600 rounded px-2 py-0.5"
+            >
+              {feature}
+              <X className="w-3 h-3" />
+            </button>
+          ))}
+        </div>
+        <input
+          dir="auto"
+          placeholder="Add a feature and press Enter"
+          onKeyDown={(e) => {
+            const value = e.target.value.trim();
+            if (e.key === 'Enter' && value && !filters.features.includes(value)) {
+              update({ features: [...filters.features, value] });
+              e.target.value = '';
+            }
+          }}
+          className="w-full bg-slate-900 border border-slate-700 rounded px-2 py-1 text-sm text-slate-100"
+        />
+        <div className="flex flex-wrap gap-1 mt-2">
+          {facets?.features.filter(({ value }) => !filters.features.includes(value)).map(({ value, count }) => (
+            <button
+              key={value}
+              dir="auto"
+              onClick={() => update({ features: [...filters.features, value] })}
+              className="text-xs bg-slate-700 hover:bg-slate-600 rounded px-2 py-0.5 text-slate-300"
+            >
+              {value} <span className="text-slate-500">({count})</span>
+            </button>
+          ))}
+        </div>
+      </FacetGroup>
+    </aside>
+  );
+}
+
+export default CatalogFacets;
@@ -0,0 +1,122 @@
+// 💸 Cost Breakdown - AI spend by day, month, provider, model and endpoint
+import React, { useState } from 'react';
+import { DollarSign } from 'lucide-react';
+
+const formatCost = (amount, currency) => new Intl.NumberFormat('en-US', {
+  style: 'currency',
+  currency,
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 4
+}).format(amount || 0);
+
+const formatTokens = (count) => new Intl.NumberFormat('en-US', { notation: 'compact' }).format(count || 0);
+
+const BREAKDOWNS = [
+  { id: 'by_provider', label: 'Provider', field: 'provider' },
+  { id: 'by_model', label: 'Model', field: 'model' },
+  { id: 'by_endpoint', label: 'Endpoint', field: 'endpoint' }
+];
+
+function CostTable({ rows, field, label, currency }) {
+  return (
+    <table className="w-full text-sm">
+      <thead>
+        <tr className="text-slate-400 border-b border-slate-600">
+          <th className="text-left py-2">{label}</th>
+          <th className="text-right py-2">Calls</th>
+          <th className="text-right py-2">Tokens in / out</th>
+          <th className="text-right py-2">Cost</th>
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map(row => (
+          <tr key={row[field]} className="border-b border-slate-700 text-slate-300">
+            <td className="py-2">{row[field]}</td>
+            <td className="text-right">{row.queries}</td>
+            <td className="text-right">{formatTokens(row.input_tokens)} / {formatTokens(row.output_tokens)}</td>
+            <td className="text-right text-slate-100">{formatCost(row.cost_usd, currency)}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+function CostBreakdown({ costs }) {
+  const [breakdown, setBreakdown] = useState('by_provider');
+  const [period, setPeriod] = useState('daily');
+  const active = BREAKDOWNS.find(entry => entry.id === breakdown);
+  const periods = costs[period].slice(-14).reverse();
+
+  return (
+    <div className="mt-8">
+      <h3 className="text-lg font-medium mb-4 text-slate-300">AI Costs ({costs.currency})</h3>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-6">
+        {[
+          ['Today', costs.today],
+          ['This month', costs.this_month]
+        ].map(([label, totals]) => (
+          <div key={label} className="bg-slate-700 rounded-lg p-4">
+            <div className="flex items-center justify-between">
+              <div>
+                <p className="text-slate-400 text-sm">{label}</p>
+                <p className="text-2xl font-bold text-slate-200">{formatCost(totals.cost_usd, costs.currency)}</p>
+                <p className="text-xs text-slate-500 mt-1">
+                  {totals.queries} calls · {formatTokens(totals.input_tokens + totals.output_tokens)} tokens
+                </p>
+              </div>
+              <DollarSign className="w-8 h-8 text-emerald-400" />
+            </div>
+          </div>
+        ))}
+        <div className="bg-slate-700 rounded-lg p-4">
+          <p className="text-slate-400 text-sm">Top model this period</p>
+          <p className="text-xl font-bold text-slate-200 mt-1">{costs.by_model[0]?.model || '—'}</p>
+          <p className="text-xs text-slate-500 mt-1">
+            {costs.by_model[0] ? formatCost(costs.by_model[0].cost_usd, costs.currency) : ''}
+          </p>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <div className="bg-slate-700 rounded-lg p-4">
+          <div className="flex gap-2 mb-3">
+            {BREAKDOWNS.map(entry => (
+              <button
+                key={entry.id}
+                onClick={() => setBreakdown(entry.id)}
+                className={`text-xs rounded px-2 py-1 ${breakdown === entry.id ? 'bg-blue-600' : 'bg-slate-600 hover:bg-slate-500'}`}
+              >
+                {entry.label}
+              </button>
+            ))}
+          </div>
+          <CostTable rows={costs[breakdown]} field={active.field} label={active.label} currency={costs.currency} />
+        </div>
+
+        <div className="bg-slate-700 rounded-lg p-4">
+          <div className="flex gap-2 mb-3">
+            {['daily', 'monthly'].map(entry => (
+              <button
+                key={entry}
+                onClick={() => setPeriod(entry)}
+                className={`text-xs rounded px-2 py-1 capitalize ${period === entry ? 'bg-blue-600' : 'bg-slate-600 hover:bg-slate-500'}`}
+              >
+                {entry}
+              </button>
+            ))}
+          </div>
+          <CostTable
+            rows={periods}
+            field={period === 'daily' ? 'date' : 'month'}
+            label={period === 'daily' ? 'Day' : 'Month'}
+            currency={costs.currency}
+          />
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default CostBreakdown;
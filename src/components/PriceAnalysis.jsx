@@ -0,0 +1,138 @@
+// 💰 Price Analysis - catalog price distribution, breakdowns by category and tech, and outliers
+import React, { useState } from 'react';
+import { ResponsiveContainer, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip } from 'recharts';
+import { AlertTriangle } from 'lucide-react';
+
+const formatCompact = (amount) => new Intl.NumberFormat('en-US', { notation: 'compact', maximumFractionDigits: 1 }).format(amount);
+const money = (price) => price?.formatted ?? '—';
+
+const BREAKDOWNS = [
+  { id: 'by_category', label: 'Category', field: 'label' },
+  { id: 'by_tech', label: 'Tech', field: 'tech' }
+];
+
+function StatsTable({ rows, field, label }) {
+  return (
+    <table className="w-full text-sm">
+      <thead>
+        <tr className="text-slate-400 border-b border-slate-600">
+          <th className="text-left py-2">{label}</th>
+          <th className="text-right py-2">Projects</th>
+          <th className="text-right py-2">Min</th>
+          <th className="text-right py-2">Q1</th>
+          <th className="text-right py-2">Median</th>
+          <th className="text-right py-2">Q3</th>
+          <th className="text-right py-2">Max</th>
+          <th className="text-right py-2">Average</th>
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map(row => (
+          <tr key={row[field]} className="border-b border-slate-700 text-slate-300">
+            <td className="py-2"><bdi>{row[field]}</bdi></td>
+            <td className="text-right">{row.count}</td>
+            <td className="text-right">{money(row.min)}</td>
+            <td className="text-right">{money(row.q1)}</td>
+            <td className="text-right text-slate-100">{money(row.median)}</td>
+            <td className="text-right">{money(row.q3)}</td>
+            <td className="text-right">{money(row.max)}</td>
+            <td className="text-right">{money(row.average)}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+function PriceAnalysis({ analysis }) {
+  const [breakdown, setBreakdown] = useState('by_category');
+  const active = BREAKDOWNS.find(entry => entry.id === breakdown);
+  const bins = analysis.histogram.map(bin => ({
+    label: `${formatCompact(bin.from.amount)}–${formatCompact(bin.to.amount)}`,
+    range: `${bin.from.formatted} – ${bin.to.formatted}`,
+    count: bin.count
+  }));
+
+  const cards = [
+    ['Median', money(analysis.median), `Average ${money(analysis.average)}`],
+    ['Middle 50% (Q1–Q3)', `${money(analysis.q1)} – ${money(analysis.q3)}`, `Range ${money(analysis.min)} – ${money(analysis.max)}`],
+    ['Per week (median)', money(analysis.per_week.median), `${analysis.per_week.count} projects with a duration`],
+    ['Per feature (median)', money(analysis.per_feature.median), `${analysis.per_feature.count} projects with features`]
+  ];
+
+  return (
+    <div className="mt-8">
+      <h3 className="text-lg font-medium mb-4 text-slate-300">
+        Catalog Prices ({analysis.total} projects, {analysis.currency})
+      </h3>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-6">
+        {cards.map(([label, value, detail]) => (
+          <div key={label} className="bg-slate-700 rounded-lg p-4">
+            <p className="text-slate-400 text-sm">{label}</p>
+            <p className="text-xl font-bold text-slate-200">{value}</p>
+            <p className="text-xs text-slate-500 mt-1">{detail}</p>
+          </div>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 mb-6">
+        <div className="lg:col-span-2 bg-slate-700/50 rounded-lg p-4">
+          <h4 className="text-sm font-semibold mb-3 text-slate-300">Price distribution</h4>
+          <div className="h-64">
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={bins}>
+                <CartesianGrid stroke="#334155" strokeDasharray="3 3" />
+                <XAxis dataKey="label" stroke="#94a3b8" fontSize={12} />
+                <YAxis allowDecimals={false} stroke="#94a3b8" fontSize={12} />
+                <Tooltip
+                  contentStyle={{ background: '#1e293b', border: '1px solid #334155', borderRadius: 8 }}
+                  labelFormatter={(label, payload) => payload?.[0]?.payload.range || label}
+                />
+                <Bar dataKey="count" name="Projects" fill="#60a5fa" />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+
+        <div className="bg-slate-700/50 rounded-lg p-4">
+          <h4 className="flex items-center gap-2 text-sm font-semibold mb-3 text-slate-300">
+            <AlertTriangle className="w-4 h-4 text-amber-400" />
+            Outliers
+          </h4>
+          {analysis.outliers.length === 0 ? (
+            <p className="text-slate-400 text-sm">No prices outside 1.5 × IQR of the quartiles.</p>
+          ) : (
+            <ul className="space-y-2 text-sm">
+              {analysis.outliers.map(outlier => (
+                <li key={outlier.key} className="text-slate-300">
+                  <bdi>{outlier.name || outlier.key}</bdi>
+                  <span className={`block text-xs ${outlier.direction === 'high' ? 'text-red-400' : 'text-amber-400'}`}>
+                    {outlier.price.formatted} ({outlier.direction === 'high' ? 'above' : 'below'} {outlier.fence.formatted})
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+
+      <div className="bg-slate-700/50 rounded-lg p-4">
+        <div className="flex gap-2 mb-3">
+          {BREAKDOWNS.map(entry => (
+            <button
+              key={entry.id}
+              onClick={() => setBreakdown(entry.id)}
+              className={`px-3 py-1 rounded text-sm ${breakdown === entry.id ? 'bg-blue-600 text-white' : 'bg-slate-700 text-slate-300 hover:bg-slate-600'}`}
+            >
+              By {entry.label.toLowerCase()}
+            </button>
+          ))}
+        </div>
+        <StatsTable rows={analysis[breakdown]} field={active.field} label={active.label} />
+      </div>
+    </div>
+  );
+}
+
+export default PriceAnalysis;
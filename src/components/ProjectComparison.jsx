@@ -0,0 +1,130 @@
+// ⚖️ Project Comparison - side-by-side matrix for 2-4 catalog projects
+import React, { useState, useEffect } from 'react';
+import { ArrowLeft, Check, Minus, Sparkles, Loader2, X } from 'lucide-react';
+import { apiFetch } from '../api';
+
+function ProjectComparison({ keys, currency, onRemove, onClose }) {
+  const [comparison, setComparison] = useState(null);
+  const [error, setError] = useState(null);
+  const [summary, setSummary] = useState(null);
+  const [isSummarizing, setIsSummarizing] = useState(false);
+
+  const fetchComparison = async (withSummary = false) => {
+    const params = new URLSearchParams({ keys: keys.join(','), currency });
+    if (withSummary) params.set('summary', 'true');
+    const response = await apiFetch(`/api/projects/compare?${params}`);
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error);
+    return data.data;
+  };
+
+  useEffect(() => {
+    setSummary(null);
+    fetchComparison()
+      .then(data => {
+        setComparison(data);
+        setError(null);
+      })
+      .catch(err => setError(err.message));
+  }, [keys.join(','), currency]);
+
+  // 🤖 The AI only explains the matrix; the table above never waits for it
+  const handleSummarize = async () => {
+    setIsSummarizing(true);
+    try {
+      const data = await fetchComparison(true);
+      setSummary(data.summary || data.summaryError);
+    } catch (err) {
+      setSummary(err.message);
+    } finally {
+      setIsSummarizing(false);
+    }
+  };
+
+  const cellClass = (row, key) => (row.best?.includes(key) ? 'text-green-400 font-semibold' : 'text-slate-300');
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-4">
+        <button onClick={onClose} className="flex items-center gap-1 text-sm text-blue-400 hover:underline">
+          <ArrowLeft className="w-4 h-4" />
+          Back to results
+        </button>
+        <button
+          onClick={handleSummarize}
+          disabled={!comparison || isSummarizing}
+          className="flex items-center gap-2 bg-purple-600 hover:bg-purple-700 disabled:opacity-50 rounded-lg px-3 py-1.5 text-sm"
+        >
+          {isSummarizing ? <Loader2 className="w-4 h-4 animate-spin" /> : <Sparkles className="w-4 h-4" />}
+          Summarize trade-offs
+        </button>
+      </div>
+
+      {error && <p className="text-red-400 text-sm mb-4">{error}</p>}
+
+      {comparison && (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm border-collapse" dir="rtl">
+            <thead>
+              <tr className="border-b border-slate-600">
+                <th className="p-2" />
+                {comparison.projects.map(project => (
+                  <th key={project.key} className="p-2 text-right align-top">
+                    <div className="flex items-start justify-between gap-2">
+                      <div>
+                        <p className="font-semibold text-slate-100">{project.name}</p>
+                        <p className="text-xs text-slate-400 font-normal">{project.categoryLabel}</p>
+                      </div>
+                      {keys.length > 2 && (
+                        <button onClick={() => onRemove(project.key)} className="text-slate-500 hover:text-slate-300">
+                          <X className="w-4 h-4" />
+                        </button>
+                      )}
+                    </div>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {comparison.rows.map(row => (
+                <tr key={row.field} className="border-b border-slate-700 align-top">
+                  <td className="p-2 text-slate-400 whitespace-nowrap" dir="ltr">{row.label}</td>
+                  {row.values.map((value, index) => (
+                    <td key={index} className={`p-2 ${cellClass(row, comparison.projects[index].key)}`}>
+                      {row.field === 'price' ? value.formatted : value}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+              <tr>
+                <td colSpan={comparison.projects.length + 1} className="pt-4 pb-2 font-semibold text-slate-200">
+                  Features
+                </td>
+              </tr>
+              {comparison.features.map(feature => (
+                <tr key={feature.name} className="border-b border-slate-800">
+                  <td className="p-2 text-slate-300">{feature.name}</td>
+                  {feature.values.map((has, index) => (
+                    <td key={index} className="p-2">
+                      {has
+                        ? <Check className="w-4 h-4 text-green-400" />
+                        : <Minus className="w-4 h-4 text-slate-600" />}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {summary && (
+        <div dir="auto" className="mt-6 bg-slate-700 rounded-lg p-4 text-sm text-slate-200 whitespace-pre-wrap">
+          {summary}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ProjectComparison;
@@ -0,0 +1,72 @@
+// 🧾 Quote List - clients see their own quotes; sales and admins see every quote and its internal notes
+import React, { useState, useEffect } from 'react';
+import { FileText, Loader2 } from 'lucide-react';
+import { apiFetch } from '../api';
+
+const formatAmount = (amount, currency) => new Intl.NumberFormat('en-US', {
+  style: 'currency',
+  currency
+}).format(amount || 0);
+
+function QuoteList({ isStaff }) {
+  const [quotes, setQuotes] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    apiFetch('/api/quotes')
+      .then(async response => {
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error);
+        setQuotes(data.data);
+      })
+      .catch(err => setError(err.message));
+  }, []);
+
+  // Exports need the auth header, so fetch the document and open it locally
+  const openQuote = async (quote) => {
+    const response = await apiFetch(`/api/export/quotes/${quote.id}?version=${quote.version}`);
+    const url = URL.createObjectURL(await response.blob());
+    window.open(url, '_blank');
+  };
+
+  if (error) return <p className="text-red-400">{error}</p>;
+  if (!quotes) return <Loader2 className="w-6 h-6 animate-spin text-slate-400" />;
+
+  return (
+    <div className="bg-slate-800/50 rounded-xl border border-slate-700 p-6">
+      <h2 className="text-xl font-semibold mb-6 text-slate-200">{isStaff ? 'All quotes' : 'My quotes'}</h2>
+      {quotes.length === 0 && <p className="text-slate-400 text-sm">No quotes yet.</p>}
+      <div className="space-y-3">
+        {quotes.map(quote => (
+          <div key={quote.id} className="bg-slate-700 rounded-lg p-4">
+            <div className="flex items-start justify-between gap-4">
+              <div>
+                <p className="text-slate-200" dir="auto">{quote.items.map(item => item.name).join(' + ')}</p>
+                <p className="text-xs text-slate-400 mt-1">
+                  {quote.client?.name || 'No client'} · v{quote.version} · valid until {quote.validUntil}
+                </p>
+              </div>
+              <div className="text-right">
+                <p className="text-green-400 font-semibold">{formatAmount(quote.total, quote.currency)}</p>
+                <button
+                  onClick={() => openQuote(quote)}
+                  className="mt-1 inline-flex items-center gap-1 text-xs text-blue-400 hover:text-blue-300"
+                >
+                  <FileText className="w-3 h-3" />
+                  View
+                </button>
+              </div>
+            </div>
+            {isStaff && quote.internalNotes && (
+              <p className="mt-3 text-xs text-amber-300 border-t border-slate-600 pt-2" dir="auto">
+                Internal: {quote.internalNotes}
+              </p>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default QuoteList;
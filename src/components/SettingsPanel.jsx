@@ -0,0 +1,424 @@
+// ⚙️ Settings Panel - AI providers and routing, rate limits and cache, applied live with an audit trail
+import React, { useState, useEffect } from 'react';
+import { ArrowUp, ArrowDown, Save, Loader2, Trash2, History } from 'lucide-react';
+import { apiFetch } from '../api';
+
+const CARD = 'bg-slate-800/50 rounded-xl border border-slate-700 p-6';
+const INPUT = 'bg-slate-900 border border-slate-700 rounded px-2 py-1 text-sm text-slate-100 focus:outline-none focus:border-blue-500';
+
+const toNumber = (value) => (value === '' || value === null ? null : Number(value));
+
+const putSettings = async (section, body) => {
+  const response = await apiFetch(`/api/admin/settings/${section}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.error);
+  return data.data;
+};
+
+function SectionHeader({ title, onSave, isSaving, status }) {
+  return (
+    <div className="flex items-center justify-between mb-4">
+      <h3 className="text-lg font-medium text-slate-300">{title}</h3>
+      <div className="flex items-center gap-3">
+        {status && (
+          <span className={`text-xs ${status.error ? 'text-red-400' : 'text-green-400'}`}>{status.error || 'Saved'}</span>
+        )}
+        <button
+          onClick={onSave}
+          disabled={isSaving}
+          className="flex items-center gap-2 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 rounded-lg px-3 py-1 text-sm"
+        >
+          {isSaving ? <Loader2 className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
+          Save
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// 💾 Shared save state for each section
+function useSave(section, onSaved) {
+  const [isSaving, setIsSaving] = useState(false);
+  const [status, setStatus] = useState(null);
+
+  const save = async (body) => {
+    setIsSaving(true);
+    try {
+      onSaved(await putSettings(section, body));
+      setStatus({ error: null });
+    } catch (error) {
+      setStatus({ error: error.message });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+  return { save, isSaving, status };
+}
+
+function ProviderSettings({ initial, onSaved }) {
+  const [saved, setSaved] = useState(initial);
+  const [draft, setDraft] = useState(initial);
+  const { save, isSaving, status } = useSave('providers', (data) => {
+    setSaved(data);
+    setDraft(data);
+    onSaved();
+  });
+  const names = Object.keys(draft.providers);
+
+  const setProvider = (name, patch) => setDraft(prev => ({
+    ...prev,
+    providers: { ...prev.providers, [name]: { ...prev.providers[name], ...patch } }
+  }));
+
+  const setRoute = (mode, route) => setDraft(prev => ({ ...prev, routes: { ...prev.routes, [mode]: route } }));
+
+  const move = (mode, index, offset) => {
+    const route = [...draft.routes[mode]];
+    [route[index], route[index + offset]] = [route[index + offset], route[index]];
+    setRoute(mode, route);
+  };
+
+  // Only edited providers are sent, so untouched ones keep following their env defaults
+  const handleSave = () => save({
+    providers: Object.fromEntries(names.filter(name => JSON.stringify(draft.providers[name]) !== JSON.stringify(saved.providers[name])).map(name => {
+      const { model, maxTokens, temperature } = draft.providers[name];
+      return [name, {
+        model,
+        maxTokens: { quick: toNumber(maxTokens.quick), detailed: toNumber(maxTokens.detailed) },
+        temperature: Number(temperature)
+      }];
+    })),
+    routes: draft.routes
+  });
+
+  return (
+    <div className={CARD}>
+      <SectionHeader title="AI Providers & Routing" onSave={handleSave} isSaving={isSaving} status={status} />
+      <table className="w-full text-sm mb-6">
+        <thead>
+          <tr className="text-slate-400 border-b border-slate-600">
+            <th className="text-left py-2">Provider</th>
+            <th className="text-left py-2">Model</th>
+            <th className="text-left py-2">Max tokens (quick / detailed)</th>
+            <th className="text-left py-2">Temperature</th>
+          </tr>
+        </thead>
+        <tbody>
+          {names.map(name => {
+            const provider = draft.providers[name];
+            return (
+              <tr key={name} className="border-b border-slate-700 text-slate-300">
+                <td className="py-2">
+                  {name}
+                  {!provider.configured && <span className="ml-2 text-xs text-amber-400">no key</span>}
+                </td>
+                <td>
+                  <input value={provider.model} onChange={(e) => setProvider(name, { model: e.target.value })} className={`${INPUT} w-48`} />
+                </td>
+                <td className="space-x-2">
+                  {['quick', 'detailed'].map(mode => (
+                    <input
+                      key={mode}
+                      type="number"
+                      min="1"
+                      placeholder="default"
+                      value={provider.maxTokens[mode] ?? ''}
+                      onChange={(e) => setProvider(name, { maxTokens: { ...provider.maxTokens, [mode]: e.target.value } })}
+                      className={`${INPUT} w-24`}
+                    />
+                  ))}
+                </td>
+                <td>
+                  <input
+                    type="number"
+                    min="0"
+                    max="2"
+                    step="0.1"
+                    value={provider.temperature}
+                    onChange={(e) => setProvider(name, { temperature: e.target.value })}
+                    className={`${INPUT} w-20`}
+                  />
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        {['quick', 'detailed'].map(mode => (
+          <div key={mode}>
+            <h4 className="text-sm font-semibold mb-2 text-slate-300 capitalize">{mode} route</h4>
+            <ol className="space-y-1">
+              {draft.routes[mode].map((name, index) => (
+                <li key={name} className="flex items-center gap-2 bg-slate-700 rounded px-3 py-1 text-sm">
+                  <span className="text-slate-500 w-4">{index + 1}</span>
+                  <span className="flex-1">{name}</span>
+                  <button disabled={index === 0} onClick={() => move(mode, index, -1)} className="disabled:opacity-30">
+                    <ArrowUp className="w-4 h-4" />
+                  </button>
+                  <button disabled={index === draft.routes[mode].length - 1} onClick={() => move(mode, index, 1)} className="disabled:opacity-30">
+                    <ArrowDown className="w-4 h-4" />
+                  </button>
+                  <button
+                    disabled={draft.routes[mode].length === 1}
+                    onClick={() => setRoute(mode, draft.routes[mode].filter(entry => entry !== name))}
+                    title="Remove from route"
+                    className="hover:text-red-400 disabled:opacity-30"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </li>
+              ))}
+            </ol>
+            <select
+              value=""
+              onChange={(e) => e.target.value && setRoute(mode, [...draft.routes[mode], e.target.value])}
+              className={`${INPUT} mt-2`}
+            >
+              <option value="">Add provider…</option>
+              {names.filter(name => !draft.routes[mode].includes(name)).map(name => (
+                <option key={name} value={name}>{name}</option>
+              ))}
+            </select>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function RateLimitSettings({ initial, onSaved }) {
+  const [routes, setRoutes] = useState(initial.routes);
+  const [newTiers, setNewTiers] = useState({});
+  const { save, isSaving, status } = useSave('rate-limits', (data) => {
+    setRoutes(data.routes);
+    onSaved();
+  });
+
+  const setTier = (route, tier, limit) => setRoutes(prev => ({ ...prev, [route]: { ...prev[route], [tier]: limit } }));
+
+  const addTier = (route) => {
+    const tier = newTiers[route]?.trim();
+    if (!tier || tier in routes[route]) return;
+    setTier(route, tier, { ...(routes[route].default || { points: 10, duration: 60 }) });
+    setNewTiers(prev => ({ ...prev, [route]: '' }));
+  };
+
+  const handleSave = () => save({
+    routes: Object.fromEntries(Object.entries(routes).map(([route, tiers]) => [route, Object.fromEntries(
+      Object.entries(tiers).map(([tier, limit]) => [tier, limit && { points: Number(limit.points), duration: Number(limit.duration) }])
+    )]))
+  });
+
+  return (
+    <div className={CARD}>
+      <SectionHeader title="Rate Limits" onSave={handleSave} isSaving={isSaving} status={status} />
+      <p className="text-slate-400 text-sm mb-4">
+        Requests allowed per window for each route and account tier. Tiers come from the user&apos;s app_metadata.tier, else their role.
+      </p>
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {Object.entries(routes).map(([route, tiers]) => (
+          <div key={route} className="bg-slate-700 rounded-lg p-4">
+            <h4 className="text-sm font-semibold mb-2 text-slate-200">{route}</h4>
+            {Object.entries(tiers).map(([tier, limit]) => (
+              <div key={tier} className="flex items-center gap-2 text-sm text-slate-300 mb-1">
+                <span className="w-20">{tier}</span>
+                {limit ? (
+                  <>
+                    <input
+                      type="number"
+                      min="1"
+                      value={limit.points}
+                      onChange={(e) => setTier(route, tier, { ...limit, points: e.target.value })}
+                      className={`${INPUT} w-20`}
+                    />
+                    <span className="text-slate-500">per</span>
+                    <input
+                      type="number"
+                      min="1"
+                      value={limit.duration}
+                      onChange={(e) => setTier(route, tier, { ...limit, duration: e.target.value })}
+                      className={`${INPUT} w-20`}
+                    />
+                    <span className="text-slate-500">s</span>
+                  </>
+                ) : (
+                  <span className="text-slate-500">unlimited</span>
+                )}
+                {tier !== 'default' && (
+                  <label className="ml-auto flex items-center gap-1 text-xs text-slate-400">
+                    <input
+                      type="checkbox"
+                      checked={!limit}
+                      onChange={(e) => setTier(route, tier, e.target.checked ? null : { ...tiers.default })}
+                      className="accent-blue-500"
+                    />
+                    unlimited
+                  </label>
+                )}
+              </div>
+            ))}
+            <div className="flex gap-2 mt-2">
+              <input
+                value={newTiers[route] || ''}
+                onChange={(e) => setNewTiers(prev => ({ ...prev, [route]: e.target.value }))}
+                placeholder="New tier, e.g. pro"
+                className={`${INPUT} flex-1`}
+              />
+              <button onClick={() => addTier(route)} className="bg-slate-600 hover:bg-slate-500 rounded px-2 text-sm">Add</button>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function CacheSettings({ initial, stats, onSaved }) {
+  const [draft, setDraft] = useState(initial);
+  const [cleared, setCleared] = useState(null);
+  const { save, isSaving, status } = useSave('cache', (data) => {
+    setDraft(data);
+    onSaved();
+  });
+
+  const handleSave = () => save({
+    maxEntries: Number(draft.maxEntries),
+    ttl: Object.fromEntries(Object.entries(draft.ttl).map(([scope, seconds]) => [scope, Number(seconds)])),
+    similarity: { threshold: Number(draft.similarity.threshold) }
+  });
+
+  const handleClear = async () => {
+    const response = await apiFetch('/api/admin/cache', { method: 'DELETE' });
+    const data = await response.json();
+    setCleared(data.data?.removed ?? 0);
+    onSaved();
+  };
+
+  return (
+    <div className={CARD}>
+      <SectionHeader title="Response Cache" onSave={handleSave} isSaving={isSaving} status={status} />
+      <p className="text-slate-400 text-sm mb-4">
+        {stats.entries} entries · {stats.hitRate}% hit rate ({stats.semanticHits} similar-question hits) · stored in {stats.store} · embeddings: {stats.embeddings}
+      </p>
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
+        {Object.entries(draft.ttl).map(([scope, seconds]) => (
+          <label key={scope} className="text-sm text-slate-300">
+            <span className="block mb-1">{scope} TTL (s)</span>
+            <input
+              type="number"
+              min="1"
+              value={seconds}
+              onChange={(e) => setDraft(prev => ({ ...prev, ttl: { ...prev.ttl, [scope]: e.target.value } }))}
+              className={`${INPUT} w-full`}
+            />
+          </label>
+        ))}
+      </div>
+      <div className="flex flex-wrap items-end gap-4">
+        <label className="text-sm text-slate-300">
+          <span className="block mb-1">Similarity threshold</span>
+          <input
+            type="number"
+            min="0.5"
+            max="1"
+            step="0.01"
+            value={draft.similarity.threshold}
+            onChange={(e) => setDraft(prev => ({ ...prev, similarity: { ...prev.similarity, threshold: e.target.value } }))}
+            className={`${INPUT} w-28`}
+          />
+        </label>
+        <label className="text-sm text-slate-300">
+          <span className="block mb-1">Max entries</span>
+          <input
+            type="number"
+            min="1"
+            value={draft.maxEntries}
+            onChange={(e) => setDraft(prev => ({ ...prev, maxEntries: e.target.value }))}
+            className={`${INPUT} w-28`}
+          />
+        </label>
+        <button onClick={handleClear} className="flex items-center gap-2 bg-slate-700 hover:bg-slate-600 rounded-lg px-3 py-1 text-sm">
+          <Trash2 className="w-4 h-4" />
+          Clear cache
+        </button>
+        {cleared !== null && <span className="text-xs text-slate-400">{cleared} entries removed</span>}
+      </div>
+    </div>
+  );
+}
+
+const formatValue = (value) => (value === null || value === undefined ? '—' : typeof value === 'object' ? JSON.stringify(value) : String(value));
+
+function AuditLog({ entries }) {
+  return (
+    <div className={CARD}>
+      <h3 className="flex items-center gap-2 text-lg font-medium mb-4 text-slate-300">
+        <History className="w-5 h-5" />
+        Change History
+      </h3>
+      {entries.length === 0 && <p className="text-slate-400 text-sm">No settings changes recorded yet.</p>}
+      <div className="space-y-3">
+        {entries.map(entry => (
+          <div key={entry.id} className="border-b border-slate-700 pb-3 text-sm">
+            <p className="text-slate-300">
+              <span className="text-slate-100">{entry.actor.label}</span> changed <span className="text-blue-400">{entry.section}</span>
+              <span className="text-slate-500"> · {new Date(entry.createdAt).toLocaleString()}</span>
+            </p>
+            <ul className="mt-1 text-xs text-slate-400 font-mono">
+              {entry.changes.map(change => (
+                <li key={change.path}>
+                  {change.path}: {formatValue(change.from)} → {formatValue(change.to)}
+                </li>
+              ))}
+            </ul>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function SettingsPanel() {
+  const [settings, setSettings] = useState(null);
+  const [audit, setAudit] = useState([]);
+  const [error, setError] = useState(null);
+
+  const refresh = async () => {
+    try {
+      const [settingsResponse, auditResponse] = await Promise.all([
+        apiFetch('/api/admin/settings'),
+        apiFetch('/api/admin/settings/audit')
+      ]);
+      const settingsData = await settingsResponse.json();
+      if (!settingsResponse.ok) throw new Error(settingsData.error);
+      setSettings(settingsData.data);
+      setAudit((await auditResponse.json()).data || []);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  useEffect(() => {
+    refresh();
+  }, []);
+
+  if (error) return <p className="text-red-400">{error}</p>;
+  if (!settings) return <Loader2 className="w-6 h-6 animate-spin text-slate-400" />;
+
+  return (
+    <div className="space-y-6">
+      <ProviderSettings initial={settings.providers} onSaved={refresh} />
+      <RateLimitSettings initial={settings['rate-limits']} onSaved={refresh} />
+      <CacheSettings initial={settings.cache} stats={settings.cacheStats} onSaved={refresh} />
+      <AuditLog entries={audit} />
+    </div>
+  );
+}
+
+export default SettingsPanel;
@@ -0,0 +1,9 @@
+-- 💬 Multi-turn chat sessions for /api/ai/query
+create table if not exists ai_conversations (
+  id uuid primary key,
+  messages jsonb not null default '[]'::jsonb,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists ai_conversations_updated_at_idx on ai_conversations (updated_at desc);
@@ -0,0 +1,10 @@
+-- 🧾 Versioned quotes: every revision is a new row
+create table if not exists quotes (
+  id uuid not null,
+  version integer not null,
+  total numeric(12, 2) not null,
+  currency text not null default 'GBP',
+  data jsonb not null,
+  created_at timestamptz not null default now(),
+  primary key (id, version)
+);
@@ -0,0 +1,23 @@
+-- 🗂️ Managed project catalog (seed with: npm run catalog:seed)
+create table if not exists catalog_categories (
+  key text primary key,
+  label text not null,
+  archived boolean not null default false
+);
+
+create table if not exists catalog_projects (
+  key text primary key,
+  category text not null references catalog_categories (key),
+  name text not null,
+  price_amount numeric(12, 2) not null,
+  price_currency text not null default 'GBP',
+  duration integer not null,
+  readiness text not null default '',
+  features jsonb not null default '[]'::jsonb,
+  tech text not null default '',
+  deployment text not null default '',
+  archived boolean not null default false,
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists catalog_projects_category_idx on catalog_projects (category) where not archived;
@@ -0,0 +1,20 @@
+-- 💸 Token usage and cost per AI call
+create table if not exists ai_queries (
+  id bigint generated by default as identity primary key,
+  query text not null,
+  response text,
+  provider text,
+  from_cache boolean not null default false,
+  ip_address text,
+  user_agent text,
+  created_at timestamptz not null default now()
+);
+
+alter table ai_queries add column if not exists model text;
+alter table ai_queries add column if not exists endpoint text;
+alter table ai_queries add column if not exists input_tokens integer not null default 0;
+alter table ai_queries add column if not exists output_tokens integer not null default 0;
+alter table ai_queries add column if not exists tokens_estimated boolean not null default false;
+alter table ai_queries add column if not exists cost_usd numeric(12, 6);
+
+create index if not exists ai_queries_created_at_idx on ai_queries (created_at desc);
@@ -0,0 +1,4 @@
+-- 🚦 Bill each AI call to an API client so per-client budgets can be enforced
+alter table ai_queries add column if not exists client_id text;
+
+create index if not exists ai_queries_client_month_idx on ai_queries (client_id, created_at desc);
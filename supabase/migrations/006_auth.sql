@@ -0,0 +1,8 @@
+-- 🔐 Tie AI calls and conversations to Supabase Auth users instead of raw IPs
+alter table ai_queries add column if not exists user_id uuid references auth.users (id) on delete set null;
+alter table ai_queries drop column if exists ip_address;
+
+alter table ai_conversations add column if not exists user_id uuid references auth.users (id) on delete cascade;
+
+create index if not exists ai_queries_user_idx on ai_queries (user_id, created_at desc);
+create index if not exists ai_conversations_user_idx on ai_conversations (user_id, updated_at desc);
@@ -0,0 +1,6 @@
+-- 👥 Role-based access: quotes belong to a client user, catalog projects carry staff-only notes
+-- Roles are set per user in auth.users.raw_app_meta_data ->> 'role' ('admin', 'sales' or 'client')
+alter table quotes add column if not exists owner_id uuid references auth.users (id) on delete set null;
+alter table catalog_projects add column if not exists internal_notes text not null default '';
+
+create index if not exists quotes_owner_idx on quotes (owner_id, created_at desc);
@@ -0,0 +1,15 @@
+-- 🧠 Persistent AI response cache (used when config/response-cache.json sets "store": "supabase")
+create table if not exists ai_response_cache (
+  id text primary key,
+  scope text not null,
+  query text not null,
+  normalized text not null,
+  embedding jsonb,
+  embedding_model text,
+  response jsonb not null,
+  hits integer not null default 0,
+  created_at timestamptz not null default now(),
+  expires_at timestamptz not null
+);
+
+create index if not exists ai_response_cache_expires_idx on ai_response_cache (expires_at);
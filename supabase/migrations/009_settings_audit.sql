@@ -0,0 +1,11 @@
+-- 📜 Who changed which runtime setting (providers, rate limits, cache, budgets, prices, exchange rates)
+create table if not exists settings_audit (
+  id uuid primary key,
+  section text not null,
+  actor_id uuid references auth.users (id) on delete set null,
+  actor_label text not null,
+  changes jsonb not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists settings_audit_created_at_idx on settings_audit (created_at desc);
@@ -0,0 +1,100 @@
+-- 📊 Aggregated analytics over the full ai_queries history (latency, failures, time buckets)
+alter table ai_queries add column if not exists latency_ms integer;
+alter table ai_queries add column if not exists status text not null default 'ok' check (status in ('ok', 'error'));
+alter table ai_queries add column if not exists error text;
+
+create index if not exists ai_queries_endpoint_idx on ai_queries (endpoint, created_at desc);
+
+-- Totals plus one row per time bucket, provider, endpoint and model in a single scan.
+-- Latency percentiles cover answered calls that reached a provider (cache hits would flatten them).
+create or replace function ai_query_analytics(p_from timestamptz, p_to timestamptz, p_bucket text default 'day')
+returns table (
+  dimension text,
+  key text,
+  queries bigint,
+  cache_hits bigint,
+  errors bigint,
+  input_tokens bigint,
+  output_tokens bigint,
+  cost_usd numeric,
+  latency_avg_ms numeric,
+  latency_p50_ms double precision,
+  latency_p90_ms double precision,
+  latency_p99_ms double precision
+)
+language plpgsql
+stable
+as $$
+begin
+  if p_bucket not in ('hour', 'day', 'week') then
+    raise exception 'Unknown analytics bucket %', p_bucket;
+  end if;
+
+  return query
+  select
+    case
+      when grouping(q.bucket) = 0 then 'series'
+      when grouping(q.provider) = 0 then 'provider'
+      when grouping(q.endpoint) = 0 then 'endpoint'
+      when grouping(q.model) = 0 then 'model'
+      else 'total'
+    end,
+    coalesce(q.bucket, q.provider, q.endpoint, q.model),
+    count(*),
+    count(*) filter (where q.from_cache),
+    count(*) filter (where q.status = 'error'),
+    coalesce(sum(q.input_tokens), 0)::bigint,
+    coalesce(sum(q.output_tokens), 0)::bigint,
+    coalesce(sum(q.cost_usd), 0),
+    round(avg(q.latency_ms) filter (where q.answered)),
+    percentile_cont(0.5) within group (order by q.latency_ms) filter (where q.answered),
+    percentile_cont(0.9) within group (order by q.latency_ms) filter (where q.answered),
+    percentile_cont(0.99) within group (order by q.latency_ms) filter (where q.answered)
+  from (
+    select
+      to_char(date_trunc(p_bucket, a.created_at at time zone 'UTC'), 'YYYY-MM-DD"T"HH24:MI:SS"Z"') as bucket,
+      coalesce(a.provider, 'unknown') as provider,
+      coalesce(a.endpoint, 'unknown') as endpoint,
+      coalesce(a.model, 'unknown') as model,
+      a.from_cache,
+      a.status,
+      a.input_tokens,
+      a.output_tokens,
+      a.cost_usd,
+      a.latency_ms,
+      (a.status = 'ok' and not a.from_cache and a.latency_ms is not null) as answered
+    from ai_queries a
+    where a.created_at >= p_from and a.created_at < p_to
+  ) q
+  group by grouping sets ((), (q.bucket), (q.provider), (q.endpoint), (q.model));
+end;
+$$;
+
+-- Token and cost totals per day, provider, model and endpoint for the cost breakdown
+create or replace function ai_query_costs(p_from timestamptz, p_to timestamptz)
+returns table (
+  day text,
+  provider text,
+  model text,
+  endpoint text,
+  queries bigint,
+  input_tokens bigint,
+  output_tokens bigint,
+  cost_usd numeric
+)
+language sql
+stable
+as $$
+  select
+    to_char(a.created_at at time zone 'UTC', 'YYYY-MM-DD'),
+    a.provider,
+    a.model,
+    a.endpoint,
+    count(*),
+    coalesce(sum(a.input_tokens), 0)::bigint,
+    coalesce(sum(a.output_tokens), 0)::bigint,
+    coalesce(sum(a.cost_usd), 0)
+  from ai_queries a
+  where a.created_at >= p_from and a.created_at < p_to and a.status = 'ok'
+  group by 1, 2, 3, 4;
+$$;
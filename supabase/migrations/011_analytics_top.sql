@@ -0,0 +1,52 @@
+-- 🏆 Most asked questions and most requested catalog projects for the analytics dashboard
+alter table ai_queries add column if not exists sources text[];
+
+-- Questions are grouped case- and whitespace-insensitively; only chat questions count
+-- (other endpoints send generated prompts). Projects are the catalog entries retrieved to answer them.
+create or replace function ai_query_top(p_from timestamptz, p_to timestamptz, p_limit integer default 10)
+returns table (
+  kind text,
+  key text,
+  label text,
+  queries bigint,
+  users bigint,
+  cache_hits bigint,
+  last_at timestamptz
+)
+language sql
+stable
+as $$
+  (
+    select
+      'query',
+      lower(regexp_replace(btrim(a.query), '\s+', ' ', 'g')),
+      max(a.query),
+      count(*),
+      count(distinct a.user_id),
+      count(*) filter (where a.from_cache),
+      max(a.created_at)
+    from ai_queries a
+    where a.created_at >= p_from and a.created_at < p_to
+      and a.endpoint in ('/api/ai/query', '/api/ai/query/stream')
+    group by 2
+    order by 4 desc, 7 desc
+    limit p_limit
+  )
+  union all
+  (
+    select
+      'project',
+      s.project_key,
+      s.project_key,
+      count(*),
+      count(distinct a.user_id),
+      count(*) filter (where a.from_cache),
+      max(a.created_at)
+    from ai_queries a
+    cross join lateral unnest(a.sources) as s(project_key)
+    where a.created_at >= p_from and a.created_at < p_to and a.status = 'ok'
+    group by 2
+    order by 4 desc, 7 desc
+    limit p_limit
+  );
+$$;
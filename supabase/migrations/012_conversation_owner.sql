@@ -0,0 +1,16 @@
+-- 🔒 A conversation keeps the user who started it; the server never moves a session to another user
+create or replace function ai_conversations_keep_owner() returns trigger
+language plpgsql
+as $$
+begin
+  if old.user_id is not null and new.user_id is distinct from old.user_id then
+    raise exception 'ai_conversations.user_id cannot be changed';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists ai_conversations_keep_owner on ai_conversations;
+create trigger ai_conversations_keep_owner
+  before update of user_id on ai_conversations
+  for each row execute function ai_conversations_keep_owner();
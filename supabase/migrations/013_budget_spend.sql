@@ -0,0 +1,18 @@
+-- 🚦 Month-to-date spend per provider and per client, summed in SQL for the budget guard
+create or replace function ai_query_spend(p_from timestamptz)
+returns table (
+  dimension text,
+  key text,
+  cost_usd numeric
+)
+language sql
+stable
+as $$
+  select
+    case when grouping(a.provider) = 0 then 'provider' else 'client' end,
+    case when grouping(a.provider) = 0 then a.provider else a.client_id end,
+    sum(a.cost_usd)
+  from ai_queries a
+  where a.created_at >= p_from and a.cost_usd > 0
+  group by grouping sets ((a.provider), (a.client_id));
+$$;
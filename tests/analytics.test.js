@@ -0,0 +1,61 @@
+import { describe, expect, it } from 'vitest';
+import { AnalyticsError, analyticsReport, parseAnalyticsRange, queryAnalytics } from '../server/analytics.js';
+import { createFakeSupabase } from './helpers/fake-supabase.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// One call per hour across the range, as the ai_query_* functions would aggregate it
+const hourlyCalls = ({ from, to }) => {
+  const hours = [];
+  for (let time = Date.parse(from); time < Date.parse(to); time += HOUR_MS) {
+    hours.push(new Date(time).toISOString().replace('.000Z', 'Z'));
+  }
+  return hours;
+};
+
+const aggregate = (key, queries, dimension) => ({
+  dimension, key, queries, cache_hits: 0, errors: 0, input_tokens: 10 * queries, output_tokens: 20 * queries, cost_usd: 0.01 * queries
+});
+
+const fakeAnalytics = (range) => {
+  const hours = hourlyCalls(range);
+  return createFakeSupabase({}, {
+    functions: {
+      // The total row comes last, as grouping-set output order may put it
+      ai_query_analytics: () => [
+        ...hours.map(hour => aggregate(hour, 1, 'series')),
+        aggregate('gemini', hours.length, 'provider'),
+        aggregate('ai-query', hours.length, 'endpoint'),
+        aggregate('gemini-2.0-flash', hours.length, 'model'),
+        aggregate(null, hours.length, 'total')
+      ],
+      ai_query_costs: () => hours.map(hour => ({
+        day: hour.slice(0, 10), provider: 'gemini', model: `model-${hour}`, endpoint: 'ai-query',
+        queries: 1, input_tokens: 10, output_tokens: 20, cost_usd: 0.01
+      })),
+      ai_query_top: () => []
+    }
+  });
+};
+
+describe('queryAnalytics', () => {
+  it('reads every aggregate and cost row past the PostgREST row cap', async () => {
+    const range = parseAnalyticsRange({ from: '2026-08-01T00:00:00Z', to: '2026-10-01T00:00:00Z', bucket: 'hour' });
+    const hours = hourlyCalls(range).length;
+    expect(hours).toBeGreaterThan(1000);
+
+    const analytics = await queryAnalytics(fakeAnalytics(range), range);
+    expect(analytics.totals.queries).toBe(hours);
+    expect(analytics.series).toHaveLength(hours);
+    expect(analytics.series.every(bucket => bucket.queries === 1)).toBe(true);
+    expect(analytics.costs.by_model).toHaveLength(hours);
+    expect(analytics.costs.daily.reduce((sum, day) => sum + day.queries, 0)).toBe(hours);
+  });
+});
+
+describe('analyticsReport', () => {
+  it('accepts only the named reports', () => {
+    expect(analyticsReport('top-queries').columns).toContain('queries');
+    ['constructor', 'toString', '__proto__', 'nope'].forEach(name => expect(() => analyticsReport(name)).toThrow(AnalyticsError));
+  });
+});
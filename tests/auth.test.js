@@ -0,0 +1,232 @@
+import http from 'http';
+import { afterAll, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+import { SignJWT, exportJWK, generateKeyPair } from 'jose';
+
+// Tokens are signed locally: an HS256 project secret, or an RS256 key published from a local JWKS
+const ISSUER = 'http://127.0.0.1:54321/auth/v1';
+const SECRET = 'test-jwt-secret-with-enough-length';
+const USER_ID = '11111111-1111-4111-8111-111111111111';
+
+const AUTH_ENV = ['SUPABASE_JWT_SECRET', 'SUPABASE_JWKS_URL', 'SUPABASE_JWT_ISSUER', 'SUPABASE_JWT_AUDIENCE', 'SUPABASE_URL', 'ADMIN_API_KEY'];
+
+const signHs256 = ({ sub = USER_ID, issuer = ISSUER, audience = 'authenticated', expiresIn = '1h', claims = {} } = {}) => {
+  const jwt = new SignJWT({ email: 'client@example.com', ...claims })
+    .setProtectedHeader({ alg: 'HS256' })
+    .setIssuer(issuer)
+    .setAudience(audience)
+    .setIssuedAt()
+    .setExpirationTime(expiresIn);
+  if (sub) jwt.setSubject(sub);
+  return jwt.sign(new TextEncoder().encode(SECRET));
+};
+
+// Auth config is read once per module instance, so each test imports a fresh copy
+const loadAuth = async (env) => {
+  AUTH_ENV.forEach(name => delete process.env[name]);
+  Object.assign(process.env, { SUPABASE_JWT_ISSUER: ISSUER, ...env });
+  vi.resetModules();
+  return import('../server/auth.js');
+};
+
+const mockResponse = () => {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+};
+
+const mockRequest = (headers = {}) => ({
+  headers,
+  get: (name) => headers[name.toLowerCase()]
+});
+
+describe('verifyAccessToken with an HS256 secret', () => {
+  let auth;
+  beforeEach(async () => {
+    auth = await loadAuth({ SUPABASE_JWT_SECRET: SECRET });
+  });
+
+  it('returns the user with the role from app_metadata', async () => {
+    const token = await signHs256({ claims: { app_metadata: { role: 'sales' } } });
+    await expect(auth.verifyAccessToken(token)).resolves.toMatchObject({
+      id: USER_ID,
+      email: 'client@example.com',
+      role: 'sales'
+    });
+  });
+
+  it('treats unknown or missing roles as client', async () => {
+    const token = await signHs256({ claims: { app_metadata: { role: 'superuser' } } });
+    expect((await auth.verifyAccessToken(token)).role).toBe('client');
+  });
+
+  it('rejects a token from another issuer', async () => {
+    const token = await signHs256({ issuer: 'https://other.supabase.co/auth/v1' });
+    await expect(auth.verifyAccessToken(token)).rejects.toThrow(/iss/);
+  });
+
+  it('rejects a token for another audience', async () => {
+    const token = await signHs256({ audience: 'anon' });
+    await expect(auth.verifyAccessToken(token)).rejects.toThrow(/aud/);
+  });
+
+  it('rejects an expired token', async () => {
+    const token = await signHs256({ expiresIn: Math.floor(Date.now() / 1000) - 60 });
+    await expect(auth.verifyAccessToken(token)).rejects.toThrow(/exp/);
+  });
+
+  it('rejects a token without a subject', async () => {
+    const token = await signHs256({ sub: null });
+    await expect(auth.verifyAccessToken(token)).rejects.toThrow('Token has no subject');
+  });
+
+  it('rejects a token signed with another secret', async () => {
+    const token = await new SignJWT({})
+      .setProtectedHeader({ alg: 'HS256' })
+      .setSubject(USER_ID)
+      .setIssuer(ISSUER)
+      .setAudience('authenticated')
+      .setExpirationTime('1h')
+      .sign(new TextEncoder().encode('a-different-secret'));
+    await expect(auth.verifyAccessToken(token)).rejects.toThrow(/signature/);
+  });
+
+  it('refuses to verify when auth is not configured', async () => {
+    auth = await loadAuth({ SUPABASE_JWT_ISSUER: '' });
+    await expect(auth.verifyAccessToken('token')).rejects.toThrow(/Auth is not configured/);
+  });
+});
+
+describe('verifyAccessToken with a JWKS', () => {
+  let server;
+  let jwksUrl;
+  let privateKey;
+  let otherKey;
+
+  beforeAll(async () => {
+    const pair = await generateKeyPair('RS256');
+    privateKey = pair.privateKey;
+    ({ privateKey: otherKey } = await generateKeyPair('RS256'));
+    const jwk = { ...(await exportJWK(pair.publicKey)), kid: 'local-key', alg: 'RS256', use: 'sig' };
+
+    server = http.createServer((req, res) => {
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ keys: [jwk] }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    jwksUrl = `http://127.0.0.1:${server.address().port}/auth/v1/.well-known/jwks.json`;
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  const signRs256 = (key, { issuer = ISSUER, audience = 'authenticated' } = {}) => new SignJWT({})
+    .setProtectedHeader({ alg: 'RS256', kid: 'local-key' })
+    .setSubject(USER_ID)
+    .setIssuer(issuer)
+    .setAudience(audience)
+    .setExpirationTime('1h')
+    .sign(key);
+
+  it('accepts a token signed with a published key', async () => {
+    const auth = await loadAuth({ SUPABASE_JWKS_URL: jwksUrl });
+    await expect(auth.verifyAccessToken(await signRs256(privateKey))).resolves.toMatchObject({ id: USER_ID, role: 'client' });
+  });
+
+  it('rejects a token signed with an unpublished key', async () => {
+    const auth = await loadAuth({ SUPABASE_JWKS_URL: jwksUrl });
+    await expect(auth.verifyAccessToken(await signRs256(otherKey))).rejects.toThrow(/signature/);
+  });
+
+  it('rejects a JWKS-signed token from another issuer or audience', async () => {
+    const auth = await loadAuth({ SUPABASE_JWKS_URL: jwksUrl });
+    await expect(auth.verifyAccessToken(await signRs256(privateKey, { issuer: 'https://evil.example/auth/v1' }))).rejects.toThrow(/iss/);
+    await expect(auth.verifyAccessToken(await signRs256(privateKey, { audience: 'anon' }))).rejects.toThrow(/aud/);
+  });
+});
+
+describe('authenticate', () => {
+  let auth;
+  beforeEach(async () => {
+    auth = await loadAuth({ SUPABASE_JWT_SECRET: SECRET, ADMIN_API_KEY: 'ops-key' });
+  });
+
+  const run = async (headers) => {
+    const req = mockRequest(headers);
+    const res = mockResponse();
+    const next = vi.fn();
+    await auth.authenticate(req, res, next);
+    return { req, res, next };
+  };
+
+  it('attaches the verified user for a valid Bearer token', async () => {
+    const { req, next } = await run({ authorization: `Bearer ${await signHs256()}` });
+    expect(next).toHaveBeenCalledOnce();
+    expect(req.user).toMatchObject({ id: USER_ID, role: 'client' });
+  });
+
+  it('lets anonymous requests through without a user', async () => {
+    const { req, next } = await run({});
+    expect(next).toHaveBeenCalledOnce();
+    expect(req.user).toBeUndefined();
+  });
+
+  it('rejects an invalid token with 401 instead of treating it as anonymous', async () => {
+    const { res, next } = await run({ authorization: `Bearer ${await signHs256({ audience: 'anon' })}` });
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(401);
+    expect(res.body.error).toBe('Invalid or expired session');
+  });
+
+  it('treats a valid admin key as an admin service account', async () => {
+    const { req, next } = await run({ 'x-admin-key': 'ops-key' });
+    expect(next).toHaveBeenCalledOnce();
+    expect(req.user).toMatchObject({ id: null, role: 'admin', service: true });
+  });
+
+  it('rejects a wrong admin key', async () => {
+    const { res, next } = await run({ 'x-admin-key': 'guess' });
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(401);
+  });
+
+  it('reports the admin API as disabled when no key is configured', async () => {
+    auth = await loadAuth({ SUPABASE_JWT_SECRET: SECRET });
+    const { res } = await run({ 'x-admin-key': 'ops-key' });
+    expect(res.statusCode).toBe(503);
+  });
+});
+
+describe('requireUser and requirePermission', () => {
+  let auth;
+  beforeAll(async () => {
+    auth = await loadAuth({ SUPABASE_JWT_SECRET: SECRET });
+  });
+
+  const guard = (middleware, user) => {
+    const res = mockResponse();
+    const next = vi.fn();
+    middleware({ user }, res, next);
+    return { res, next };
+  };
+
+  it('requireUser needs a signed-in user', () => {
+    expect(guard(auth.requireUser, undefined).res.statusCode).toBe(401);
+    expect(guard(auth.requireUser, { id: USER_ID, role: 'client' }).next).toHaveBeenCalledOnce();
+  });
+
+  it('requirePermission answers 401 without a user and 403 for a role lacking the permission', () => {
+    const manageQuotes = auth.requirePermission('quotes:manage');
+    expect(guard(manageQuotes, undefined).res.statusCode).toBe(401);
+
+    const { res, next } = guard(manageQuotes, { id: USER_ID, role: 'client' });
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(403);
+    expect(res.body.error).toBe('The client role cannot access this resource');
+  });
+
+  it('requirePermission lets roles holding the permission through', () => {
+    expect(guard(auth.requirePermission('quotes:manage'), { role: 'sales' }).next).toHaveBeenCalledOnce();
+    expect(guard(auth.requirePermission('settings:manage'), { role: 'admin' }).next).toHaveBeenCalledOnce();
+    expect(guard(auth.requirePermission('settings:manage'), { role: 'sales' }).res.statusCode).toBe(403);
+  });
+});
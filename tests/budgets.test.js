@@ -0,0 +1,79 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { BudgetGuard } from '../server/budgets.js';
+import { createFakeSupabase } from './helpers/fake-supabase.js';
+
+// ai_query_spend as Postgres would compute it from a list of billed calls
+const spendOf = (calls) => () => {
+  const totals = new Map();
+  calls.forEach(({ provider, clientId, cost }) => {
+    [['provider', provider], ['client', clientId]].forEach(([dimension, key]) => {
+      const id = `${dimension}:${key}`;
+      totals.set(id, { dimension, key, cost_usd: (totals.get(id)?.cost_usd || 0) + cost });
+    });
+  });
+  return [...totals.values()];
+};
+
+describe('BudgetGuard month-to-date spend', () => {
+  let calls;
+  let supabase;
+
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date('2026-10-15T12:00:00Z'));
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    calls = [];
+    supabase = createFakeSupabase({}, { functions: { ai_query_spend: spendOf(calls) } });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('counts every client even past one PostgREST page', async () => {
+    for (let i = 0; i < 2500; i++) calls.push({ provider: 'gemini', clientId: `client-${i}`, cost: 0.01 });
+    const guard = new BudgetGuard({ supabase });
+
+    const status = await guard.status();
+    expect(Object.keys(status.clients)).toHaveLength(2500);
+    expect(status.providers.gemini.spent).toBeCloseTo(25, 4);
+  });
+
+  it('reloads periodically to include spend billed by other instances', async () => {
+    calls.push({ provider: 'openai', clientId: 'a', cost: 1 });
+    const guard = new BudgetGuard({ supabase });
+    expect((await guard.status()).providers.openai.spent).toBe(1);
+
+    calls.push({ provider: 'openai', clientId: 'b', cost: 2 });
+    expect((await guard.status()).providers.openai.spent).toBe(1);
+
+    vi.setSystemTime(new Date('2026-10-15T12:01:01Z'));
+    expect((await guard.status()).providers.openai.spent).toBe(3);
+  });
+
+  it('keeps the running totals when a reload fails', async () => {
+    calls.push({ provider: 'openai', clientId: 'a', cost: 1 });
+    const guard = new BudgetGuard({ supabase });
+    await guard.status();
+    guard.record('a', 'openai', 0.5);
+
+    supabase.failures.rpc = 'offline';
+    vi.setSystemTime(new Date('2026-10-15T12:05:00Z'));
+    const status = await guard.status();
+    expect(status.providers.openai.spent).toBe(1.5);
+    expect(status.clients.a.spent).toBe(1.5);
+  });
+
+  it('starts a new month from the database totals', async () => {
+    calls.push({ provider: 'openai', clientId: 'a', cost: 4 });
+    const guard = new BudgetGuard({ supabase });
+    await guard.status();
+
+    calls.length = 0;
+    vi.setSystemTime(new Date('2026-11-01T00:00:05Z'));
+    const status = await guard.status();
+    expect(status.month).toBe('2026-11');
+    expect(status.providers.openai?.spent ?? 0).toBe(0);
+  });
+});
@@ -0,0 +1,35 @@
+import { describe, expect, it } from 'vitest';
+import { findRelevantProjects } from '../server/catalog-context.js';
+
+const project = (name, features, tech = 'Laravel') => ({
+  name, features, tech, deployment: 'VPS', duration: '8', readiness: 'ready', price: { amount: 10000, currency: 'GBP' }
+});
+
+const catalog = {
+  erp: { workforce: project('Workforce suite', ['Payroll', 'Attendance']) },
+  services: { rideShare: project('Ride sharing app', ['Driver tracking', 'Fare estimates'], 'Flutter') },
+  tools: { helpdesk: project('Helpdesk', ['Providers directory', 'Ticket routing']) }
+};
+const categories = { erp: 'ERP', services: 'Services', tools: 'Tools' };
+const keysFor = (query) => findRelevantProjects(query, { catalog, categories }).map(({ key }) => key);
+
+describe('findRelevantProjects', () => {
+  it('matches category hints on whole words only', () => {
+    expect(keysFor('Walk me through the payroll timeline')).toEqual(['workforce']);
+    expect(keysFor('Walk me through the timeline')).toEqual([]);
+    expect(keysFor('Do you have an HR system?')).toEqual(['workforce']);
+  });
+
+  it('matches query words against whole catalog words', () => {
+    expect(keysFor('Which one can provide fare estimates?')).toEqual(['rideShare']);
+    expect(keysFor('A directory of providers')).toEqual(['helpdesk']);
+    expect(keysFor('Something to provide')).toEqual([]);
+  });
+
+  it('matches multi-word hints as a phrase', () => {
+    const withHealth = { ...catalog, health: { clinic: project('Clinic', ['Bookings']) } };
+    const keys = (query) => findRelevantProjects(query, { catalog: withHealth, categories }).map(({ key }) => key);
+    expect(keys('A real estate listing portal')).toEqual(['clinic']);
+    expect(keys('Real value in the estate')).toEqual([]);
+  });
+});
@@ -0,0 +1,37 @@
+import { describe, expect, it } from 'vitest';
+import { buildFacets, filterProjects, parseFilters } from '../server/catalog-filters.js';
+
+const project = (key, amount) => ({
+  key, category: 'ecommerce', name: key, price: { amount, currency: 'GBP' }, duration: '10', tech: 'Flutter', readiness: 'ready', features: []
+});
+const projects = [project('a', 38000), project('b', 48000), project('c', 50000), project('d', 62000)];
+
+// Apply a price bucket the way CatalogFacets does: its lower bound and one minor unit below its upper bound
+const applyBucket = (bucket, currency) => parseFilters({
+  currency,
+  minPrice: String(bucket.min),
+  maxPrice: bucket.max === null ? '' : String(Math.round(bucket.max * 100 - 1) / 100)
+});
+
+describe('price buckets', () => {
+  it.each(['GBP', 'USD', 'EGP'])('count exactly the projects a bucket filter returns (%s)', (currency) => {
+    const facets = buildFacets(projects, parseFilters({ currency }));
+    facets.price.forEach(bucket => {
+      const results = filterProjects(projects, applyBucket(bucket, currency));
+      expect(results).toHaveLength(bucket.count);
+    });
+    expect(facets.price.reduce((sum, bucket) => sum + bucket.count, 0)).toBe(projects.length);
+  });
+
+  it('puts a price on a bucket edge in the upper bucket only', () => {
+    const facets = buildFacets(projects, parseFilters({}));
+    const forty = facets.price.find(bucket => bucket.min === 40000);
+    expect(forty.count).toBe(1);
+    expect(filterProjects(projects, applyBucket(forty, 'GBP')).map(entry => entry.key)).toEqual(['b']);
+  });
+
+  it('keeps typed price bounds inclusive in the display currency', () => {
+    const results = filterProjects(projects, parseFilters({ currency: 'GBP', minPrice: '48000', maxPrice: '50000' }));
+    expect(results.map(entry => entry.key)).toEqual(['b', 'c']);
+  });
+});
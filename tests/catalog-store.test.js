@@ -0,0 +1,88 @@
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { CatalogStore, seedRecords } from '../server/catalog-store.js';
+import { createFakeSupabase } from './helpers/fake-supabase.js';
+
+const project = {
+  key: 'clinicBooking', category: 'health', name: 'Clinic booking', price: { amount: 9000, currency: 'GBP' },
+  duration: '6', features: ['Appointments'], tech: 'Laravel'
+};
+
+const seededSupabase = () => {
+  const { categories, projects } = seedRecords();
+  return createFakeSupabase({
+    catalog_categories: categories.map(category => ({ ...category })),
+    catalog_projects: projects.map(({ price, ...entry }) => ({ ...entry, price_amount: price.amount, price_currency: price.currency }))
+  }, { keys: { catalog_categories: ['key'], catalog_projects: ['key'] } });
+};
+
+describe('CatalogStore writes', () => {
+  let dir;
+  let filePath;
+
+  beforeEach(async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'catalog-'));
+    filePath = path.join(dir, 'catalog.json');
+  });
+
+  afterEach(async () => {
+    vi.restoreAllMocks();
+    vi.unstubAllEnvs();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('fails writes instead of moving them to the local file while Supabase is down', async () => {
+    const supabase = seededSupabase();
+    supabase.failures.select = 'connection refused';
+    const store = new CatalogStore({ supabase, filePath });
+    await store.load();
+    expect(await store.getProject('activeEcommerce')).toBeTruthy();
+
+    await expect(store.createProject(project)).rejects.toMatchObject({ status: 503 });
+    await expect(store.createCategory({ key: 'iot', label: 'IoT' })).rejects.toMatchObject({ status: 503 });
+    await expect(fs.access(filePath)).rejects.toThrow();
+  });
+
+  it('writes to Supabase again once it is reachable', async () => {
+    const supabase = seededSupabase();
+    supabase.failures.select = 'connection refused';
+    const store = new CatalogStore({ supabase, filePath });
+    await store.load();
+
+    delete supabase.failures.select;
+    await store.createProject(project);
+    expect(supabase.tables.catalog_projects.find(row => row.key === 'clinicBooking')).toMatchObject({ price_amount: 9000 });
+    await expect(fs.access(filePath)).rejects.toThrow();
+  });
+
+  it('refuses writes while the Supabase tables are unseeded', async () => {
+    const store = new CatalogStore({ supabase: createFakeSupabase(), filePath });
+    await expect(store.createProject(project)).rejects.toThrow(/catalog:seed/);
+  });
+
+  it('uses the local file when no Supabase client is configured', async () => {
+    const store = new CatalogStore({ supabase: null, filePath });
+    await store.createProject(project);
+    const saved = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    expect(saved.projects.some(entry => entry.key === 'clinicBooking')).toBe(true);
+  });
+
+  it('saves to the local file when CATALOG_BACKEND=file, even with a Supabase client', async () => {
+    vi.stubEnv('CATALOG_BACKEND', 'file');
+    const supabase = seededSupabase();
+    supabase.failures.select = 'connection refused';
+    const store = new CatalogStore({ supabase, filePath });
+
+    await store.createProject(project);
+    const saved = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    expect(saved.projects.some(entry => entry.key === 'clinicBooking')).toBe(true);
+    expect(supabase.tables.catalog_projects.some(row => row.key === 'clinicBooking')).toBe(false);
+  });
+
+  it('rejects an unknown backend', () => {
+    expect(() => new CatalogStore({ supabase: null, filePath, backend: 'redis' })).toThrow(/CATALOG_BACKEND/);
+  });
+});
@@ -0,0 +1,63 @@
+import { describe, expect, it } from 'vitest';
+import { ComparisonError, buildComparisonPrompt, compareProjects, parseKeys } from '../server/comparison.js';
+
+const project = (key, amount, duration, features, extra = {}) => ({
+  key, name: `${key} app`, category: 'ecommerce', price: { amount, currency: 'GBP' }, duration: String(duration),
+  tech: 'Laravel', readiness: 'ready', deployment: 'VPS', features, ...extra
+});
+
+const shop = project('shop', 20000, 10, ['Wallet System', 'Coupons']);
+const market = project('market', 30000, 8, ['wallet system', 'Vendors', 'Coupons'], { tech: 'Flutter' });
+const budget = project('budget', 20000, 12, ['Coupons']);
+
+describe('parseKeys', () => {
+  it('accepts comma lists and repeated params and drops duplicates', () => {
+    expect(parseKeys('shop, market')).toEqual(['shop', 'market']);
+    expect(parseKeys(['shop', 'market,shop'])).toEqual(['shop', 'market']);
+  });
+
+  it('needs two to four distinct projects', () => {
+    expect(() => parseKeys('shop')).toThrow(ComparisonError);
+    expect(() => parseKeys('shop,shop')).toThrow(ComparisonError);
+    expect(() => parseKeys('a,b,c,d,e')).toThrow('Compare between 2 and 4 distinct projects');
+    expect(() => parseKeys(undefined)).toThrow(ComparisonError);
+  });
+});
+
+describe('compareProjects', () => {
+  const comparison = compareProjects([shop, market, budget], { ecommerce: 'Stores' });
+  const row = (field) => comparison.rows.find(entry => entry.field === field);
+
+  it('aligns every row with the project order', () => {
+    expect(comparison.projects.map(entry => entry.key)).toEqual(['shop', 'market', 'budget']);
+    expect(comparison.projects[0].categoryLabel).toBe('Stores');
+    expect(row('duration').values).toEqual([10, 8, 12]);
+    expect(row('tech').values).toEqual(['Laravel', 'Flutter', 'Laravel']);
+  });
+
+  it('highlights the best value and lets ties share it', () => {
+    expect(row('price').best).toEqual(['shop', 'budget']);
+    expect(row('duration').best).toEqual(['market']);
+    expect(row('featureCount').best).toEqual(['market']);
+  });
+
+  it('merges spelling variants and lists shared features first', () => {
+    expect(comparison.features[0]).toEqual({ name: 'Coupons', shared: true, values: [true, true, true] });
+    const wallet = comparison.features.find(feature => feature.name === 'Wallet System');
+    expect(wallet).toEqual({ name: 'Wallet System', shared: false, values: [true, true, false] });
+    expect(comparison.features).toHaveLength(3);
+  });
+
+  it('converts prices into the requested currency', () => {
+    const inUsd = compareProjects([shop, market], {}, { currency: 'USD' });
+    expect(inUsd.currency).toBe('USD');
+    expect(inUsd.rows[0].values[0].amount).toBeCloseTo(20000 * 1.27, 2);
+  });
+
+  it('describes each project and what only it offers in the AI prompt', () => {
+    const prompt = buildComparisonPrompt(compareProjects([shop, market]));
+    expect(prompt).toContain('[market] market app');
+    expect(prompt).toMatch(/\[market\][^\n]*only this one: Vendors/);
+    expect(prompt).toMatch(/\[shop\][^\n]*only this one: none/);
+  });
+});
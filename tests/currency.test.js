@@ -0,0 +1,27 @@
+import { describe, expect, it } from 'vitest';
+import { CurrencyError, formatMoney, normalizeLocale, validateRates } from '../server/currency.js';
+
+describe('formatMoney locales', () => {
+  it('formats with a supported locale or the currency default', () => {
+    expect(formatMoney(1234.5, 'USD', 'en-US')).toBe('$1,234.50');
+    expect(formatMoney(1234.5, 'GBP')).toBe('£1,234.50');
+  });
+
+  it('rejects malformed or unsupported locales with a CurrencyError', () => {
+    expect(() => formatMoney(10, 'USD', 'en_US')).toThrow(CurrencyError);
+    expect(() => normalizeLocale('not a locale')).toThrow(/Unsupported locale/);
+    expect(() => normalizeLocale(['en-US', 'ar-EG'])).toThrow(CurrencyError);
+  });
+
+  it('treats a missing locale as no preference', () => {
+    expect(normalizeLocale(undefined)).toBeNull();
+    expect(normalizeLocale('')).toBeNull();
+  });
+});
+
+describe('validateRates', () => {
+  it('requires the catalog currency', () => {
+    expect(() => validateRates({ base: 'USD', rates: { USD: 1, EUR: 0.92 } })).toThrow(/catalog currency GBP/);
+    expect(validateRates({ base: 'USD', rates: { USD: 1, GBP: 0.79 } }).rates.GBP).toBe(0.79);
+  });
+});
@@ -0,0 +1,74 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { renderPdf, closePdfBrowser, ExportError } from '../server/exporter.js';
+
+// A stand-in Chromium whose pages finish printing only when the test says so
+const launches = vi.fn();
+let openPages = 0;
+let maxOpenPages = 0;
+const pending = [];
+
+vi.mock('puppeteer-core', () => ({
+  default: {
+    launch: async (options) => {
+      launches(options);
+      return {
+        on: () => {},
+        close: async () => {},
+        newPage: async () => {
+          openPages += 1;
+          maxOpenPages = Math.max(maxOpenPages, openPages);
+          return {
+            setContent: async () => {},
+            pdf: () => new Promise(resolve => pending.push(() => resolve(Buffer.from('%PDF')))),
+            close: async () => {
+              openPages -= 1;
+            }
+          };
+        }
+      };
+    }
+  }
+}));
+
+// Finish the open renders one by one, letting each waiting request take the freed slot
+const drain = async (count) => {
+  for (let done = 0; done < count; done++) {
+    await vi.waitFor(() => expect(pending.length).toBeGreaterThan(0));
+    pending.shift()();
+  }
+};
+
+describe('renderPdf', () => {
+  beforeEach(() => {
+    process.env.PDF_CHROME_PATH = '/usr/bin/chromium';
+    launches.mockClear();
+    maxOpenPages = 0;
+  });
+
+  afterEach(async () => {
+    await closePdfBrowser();
+  });
+
+  it('reuses one browser and caps concurrent renders', async () => {
+    const renders = Array.from({ length: 5 }, () => renderPdf('<p>sheet</p>'));
+    await vi.waitFor(() => expect(pending).toHaveLength(2));
+
+    await drain(5);
+    await expect(Promise.all(renders)).resolves.toHaveLength(5);
+    expect(launches).toHaveBeenCalledOnce();
+    expect(maxOpenPages).toBe(2);
+  });
+
+  it('turns requests away once the wait queue is full', async () => {
+    const renders = Array.from({ length: 12 }, () => renderPdf('<p>sheet</p>'));
+    await expect(renderPdf('<p>one too many</p>')).rejects.toMatchObject({ status: 503 });
+    await drain(12);
+    await expect(Promise.all(renders)).resolves.toHaveLength(12);
+  });
+
+  it('needs a configured Chrome binary', async () => {
+    delete process.env.PDF_CHROME_PATH;
+    delete process.env.CHROME_PATH;
+    await expect(renderPdf('<p>sheet</p>')).rejects.toBeInstanceOf(ExportError);
+  });
+});
@@ -0,0 +1,138 @@
+// 🧪 In-memory stand-in for the Supabase query builder (the subset the stores use)
+
+class Query {
+  constructor(client, table) {
+    this.client = client;
+    this.table = table;
+    this.filters = [];
+    this.action = 'select';
+    this.payload = null;
+    this.single = false;
+    this.returning = false;
+    this.sorts = [];
+    this.window = null;
+  }
+
+  select() {
+    if (this.action !== 'select') this.returning = true;
+    return this;
+  }
+
+  insert(payload) {
+    this.action = 'insert';
+    this.payload = payload;
+    return this;
+  }
+
+  upsert(payload) {
+    this.action = 'upsert';
+    this.payload = payload;
+    return this;
+  }
+
+  update(payload) {
+    this.action = 'update';
+    this.payload = payload;
+    return this;
+  }
+
+  delete() {
+    this.action = 'delete';
+    return this;
+  }
+
+  eq(column, value) {
+    this.filters.push(row => row[column] === value);
+    return this;
+  }
+
+  order(column, { ascending = true } = {}) {
+    this.sorts.push({ column, direction: ascending ? 1 : -1 });
+    return this;
+  }
+
+  range(from, to) {
+    this.window = [from, to + 1];
+    return this;
+  }
+
+  limit() {
+    return this;
+  }
+
+  maybeSingle() {
+    this.single = true;
+    return this;
+  }
+
+  run() {
+    const failure = this.client.failures[this.action];
+    if (failure) return { data: null, error: { message: failure } };
+
+    const rows = this.action === 'rpc' ? this.client.functions[this.table](this.payload) : this.client.rows(this.table);
+    const matches = rows.filter(row => this.filters.every(filter => filter(row)));
+
+    const key = this.client.keys[this.table] || ['id'];
+    const sameKey = (a, b) => key.every(column => a[column] === b[column]);
+    if (this.action === 'upsert') {
+      [].concat(this.payload).forEach(record => {
+        const existing = rows.find(row => sameKey(row, record));
+        if (existing) Object.assign(existing, record);
+        else rows.push({ ...record });
+      });
+      return { data: null, error: null };
+    }
+    if (this.action === 'insert') {
+      const records = [].concat(this.payload);
+      if (records.some(record => rows.some(row => sameKey(row, record)))) {
+        return { data: null, error: { code: '23505', message: 'duplicate key value violates unique constraint' } };
+      }
+      rows.push(...records.map(record => ({ ...record })));
+      return { data: null, error: null };
+    }
+    if (this.action === 'update') {
+      matches.forEach(row => Object.assign(row, this.payload));
+      return { data: this.returning ? matches.map(row => ({ ...row })) : null, error: null };
+    }
+    if (this.action === 'delete') {
+      this.client.tables[this.table] = rows.filter(row => !matches.includes(row));
+      return { data: null, error: null };
+    }
+    if (this.single) return { data: matches[0] ? { ...matches[0] } : null, error: null };
+
+    // Like PostgREST: sorted, then cut to the requested range and to at most maxRows rows
+    const sorted = [...matches].sort((a, b) => {
+      for (const { column, direction } of this.sorts) {
+        if (a[column] !== b[column]) return String(a[column]).localeCompare(String(b[column])) * direction;
+      }
+      return 0;
+    });
+    const [start, end] = this.window || [0, sorted.length];
+    return { data: sorted.slice(start, Math.min(end, start + this.client.maxRows)).map(row => ({ ...row })), error: null };
+  }
+
+  then(resolve, reject) {
+    return Promise.resolve().then(() => this.run()).then(resolve, reject);
+  }
+}
+
+// keys: primary key columns per table (default ['id']); functions: rpc name -> (args) => rows.
+// Set client.failures.select = 'message' (or insert, upsert, update, delete, rpc) to make every call of that kind fail.
+export const createFakeSupabase = (tables = {}, { keys = {}, functions = {}, maxRows = 1000 } = {}) => {
+  const client = {
+    tables,
+    keys,
+    functions,
+    maxRows,
+    failures: {},
+    rows: (table) => (client.tables[table] ||= []),
+    from: (table) => new Query(client, table),
+    rpc: (name, args) => {
+      const query = new Query(client, name);
+      query.action = 'rpc';
+      query.payload = args;
+      return query;
+    }
+  };
+  return client;
+};
@@ -0,0 +1,52 @@
+import { describe, expect, it } from 'vitest';
+import { KeyPool, classifyFailure } from '../server/providers/key-pool.js';
+import { AIProvider } from '../server/providers/base.js';
+
+const networkError = (code) => Object.assign(new Error(`connect ${code}`), { code });
+const httpError = (status) => Object.assign(new Error(`Request failed with status code ${status}`), { response: { status, data: {} } });
+
+describe('classifyFailure', () => {
+  it('treats network errors without a response as transient', () => {
+    expect(classifyFailure(networkError('ECONNRESET'))).toBe('transient');
+    expect(classifyFailure(networkError('ECONNABORTED'))).toBe('transient');
+    expect(classifyFailure(httpError(503))).toBe('transient');
+  });
+
+  it('treats errors raised while handling an answer as local', () => {
+    expect(classifyFailure(new TypeError("Cannot read properties of undefined (reading '0')"))).toBe('local');
+  });
+
+  it('leaves the key healthy after a local error', () => {
+    const pool = new KeyPool(['key-one-1234', 'key-two-5678'], { name: 'gemini' });
+    expect(pool.reportFailure('key-one-1234', new TypeError('no candidates'))).toBe('local');
+    expect(pool.status().keys[0]).toMatchObject({ state: 'healthy', failures: 0 });
+    expect(pool.availableCount()).toBe(2);
+  });
+});
+
+describe('AIProvider.withKey', () => {
+  const provider = () => new AIProvider({ name: 'gemini', type: 'gemini', keys: ['key-one-1234', 'key-two-5678'] });
+
+  it('rethrows a local error without trying another key', async () => {
+    const gemini = provider();
+    const used = [];
+    await expect(gemini.withKey(async (key) => {
+      used.push(key);
+      throw new TypeError('no candidates');
+    })).rejects.toThrow('no candidates');
+    expect(used).toHaveLength(1);
+    expect(gemini.keyPool.availableCount()).toBe(2);
+  });
+
+  it('moves on to another key after a network error', async () => {
+    const gemini = provider();
+    const used = [];
+    const result = await gemini.withKey(async (key) => {
+      used.push(key);
+      if (used.length === 1) throw networkError('ECONNRESET');
+      return 'answer';
+    });
+    expect(result).toBe('answer');
+    expect(used).toHaveLength(2);
+  });
+});
@@ -0,0 +1,140 @@
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { ConversationStore } from '../server/conversation-store.js';
+import { QuoteStore } from '../server/quotes.js';
+import { canSeeQuote } from '../server/auth.js';
+import { createFakeSupabase } from './helpers/fake-supabase.js';
+
+const ALICE = 'aaaaaaaa-aaaa-4aaa-8aaa-aaaaaaaaaaaa';
+const BOB = 'bbbbbbbb-bbbb-4bbb-8bbb-bbbbbbbbbbbb';
+const CONVERSATION = 'cccccccc-cccc-4ccc-8ccc-cccccccccccc';
+
+const exchange = (question) => [
+  { role: 'user', content: question },
+  { role: 'assistant', content: `About ${question}` }
+];
+
+beforeEach(() => {
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('conversation ownership', () => {
+  let supabase;
+  let store;
+
+  beforeEach(() => {
+    supabase = createFakeSupabase({
+      ai_conversations: [{ id: CONVERSATION, user_id: ALICE, messages: exchange('pricing') }]
+    });
+    store = new ConversationStore({ supabase });
+  });
+
+  it('returns history only to the owner', async () => {
+    await expect(store.getHistory(CONVERSATION, ALICE)).resolves.toHaveLength(2);
+    await expect(store.getHistory(CONVERSATION, BOB)).resolves.toEqual([]);
+  });
+
+  it('refuses to append to another user\'s conversation', async () => {
+    await expect(store.append(CONVERSATION, exchange('hijack'), BOB)).rejects.toThrow('Conversation belongs to another user');
+    expect(supabase.tables.ai_conversations[0]).toMatchObject({ user_id: ALICE });
+    expect(supabase.tables.ai_conversations[0].messages).toHaveLength(2);
+  });
+
+  it('appends to the owner\'s conversation in place', async () => {
+    const messages = await store.append(CONVERSATION, exchange('timeline'), ALICE);
+    expect(messages).toHaveLength(4);
+    expect(supabase.tables.ai_conversations).toHaveLength(1);
+    expect(supabase.tables.ai_conversations[0]).toMatchObject({ user_id: ALICE });
+  });
+
+  it('fails closed when the ownership lookup errors', async () => {
+    supabase.failures.select = 'connection refused';
+    await expect(store.isOwnedByAnother(CONVERSATION, BOB)).rejects.toThrow(/ownership check failed/);
+    await expect(store.append(CONVERSATION, exchange('hijack'), BOB)).rejects.toThrow(/ownership check failed/);
+    expect(supabase.tables.ai_conversations[0]).toMatchObject({ user_id: ALICE });
+  });
+
+  it('never moves an existing row to another user when persisting', async () => {
+    await expect(store.persist(CONVERSATION, BOB, exchange('hijack'))).rejects.toMatchObject({ message: /duplicate key/ });
+    expect(supabase.tables.ai_conversations[0]).toMatchObject({ user_id: ALICE });
+  });
+
+  it('gives server-started sessions to the user they were created for', async () => {
+    supabase.failures.select = 'connection refused';
+    const id = store.start(BOB);
+    await expect(store.isOwnedByAnother(id, BOB)).resolves.toBe(false);
+    await expect(store.isOwnedByAnother(id, ALICE)).resolves.toBe(true);
+  });
+
+  it('lists only the user\'s own conversations', async () => {
+    await store.append(ConversationStore.newId(), exchange('deployment'), BOB);
+    const sessions = await store.list(BOB);
+    expect(sessions).toHaveLength(1);
+    expect(sessions[0].title).toBe('deployment');
+  });
+});
+
+describe('quote ownership', () => {
+  const catalogStore = { getCatalog: async () => undefined };
+  const input = { items: [{ projectKey: 'activeEcommerce' }] };
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'quotes-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('lets staff see every quote and clients only their own', () => {
+    const quote = { id: 'q1', ownerId: ALICE };
+    expect(canSeeQuote({ id: ALICE, role: 'client' }, quote)).toBe(true);
+    expect(canSeeQuote({ id: BOB, role: 'client' }, quote)).toBe(false);
+    expect(canSeeQuote({ id: BOB, role: 'sales' }, quote)).toBe(true);
+    expect(canSeeQuote({ id: null, role: 'admin', service: true }, quote)).toBe(true);
+  });
+
+  it('hides unassigned quotes from clients', () => {
+    expect(canSeeQuote({ id: ALICE, role: 'client' }, { id: 'q1', ownerId: null })).toBe(false);
+    expect(canSeeQuote(undefined, { id: 'q1', ownerId: null })).toBe(false);
+  });
+
+  it('lists only the owner\'s quotes from Supabase', async () => {
+    const supabase = createFakeSupabase({}, { keys: { quotes: ['id', 'version'] } });
+    const quotes = new QuoteStore({ supabase, catalogStore, filePath: path.join(dir, 'quotes.json') });
+    const mine = await quotes.create(input, { ownerId: ALICE });
+    await quotes.create(input, { ownerId: BOB });
+
+    const listed = await quotes.list({ ownerId: ALICE });
+    expect(listed.map(quote => quote.id)).toEqual([mine.id]);
+    await expect(quotes.list()).resolves.toHaveLength(2);
+  });
+
+  it('keeps the owner across revisions unless it is reassigned', async () => {
+    const supabase = createFakeSupabase({}, { keys: { quotes: ['id', 'version'] } });
+    const quotes = new QuoteStore({ supabase, catalogStore, filePath: path.join(dir, 'quotes.json') });
+    const quote = await quotes.create(input, { ownerId: ALICE });
+
+    const revised = await quotes.revise(quote.id, { notes: 'Second draft' }, { createdBy: BOB });
+    expect(revised).toMatchObject({ version: 2, ownerId: ALICE });
+    const reassigned = await quotes.revise(quote.id, {}, { ownerId: BOB });
+    expect(reassigned.ownerId).toBe(BOB);
+  });
+
+  it('filters by owner in the local file store too', async () => {
+    const quotes = new QuoteStore({ supabase: null, catalogStore, filePath: path.join(dir, 'quotes.json') });
+    await quotes.create(input, { ownerId: ALICE });
+    await quotes.create(input, { ownerId: BOB });
+
+    const listed = await quotes.list({ ownerId: BOB });
+    expect(listed).toHaveLength(1);
+    expect(listed[0].ownerId).toBe(BOB);
+  });
+});
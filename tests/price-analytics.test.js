@@ -0,0 +1,60 @@
+import { describe, expect, it } from 'vitest';
+import { analyzePrices, histogram, priceStats, quantile } from '../server/price-analytics.js';
+
+const project = (key, amount, { category = 'ecommerce', duration = '10', features = ['Cart', 'Checkout'], tech = 'Laravel' } = {}) => ({
+  key, name: key, category, duration, features, tech, price: amount === undefined ? undefined : { amount, currency: 'GBP' }
+});
+
+const hasNaN = (value) => JSON.stringify(value, (key, entry) => (Number.isNaN(entry) ? 'NaN' : entry)).includes('"NaN"');
+
+describe('analyzePrices', () => {
+  it('lists an empty category with a zero count and null figures', () => {
+    const analysis = analyzePrices([project('shop', 20000)], { ecommerce: 'Stores', health: 'Health' });
+    const health = analysis.by_category.find(entry => entry.category === 'health');
+    expect(health).toMatchObject({ label: 'Health', count: 0, min: null, median: null, average: null, iqr: null });
+  });
+
+  it('skips missing, non-numeric and zero prices and reports them as unpriced', () => {
+    const analysis = analyzePrices([
+      project('shop', 20000),
+      project('school', 30000, { category: 'education' }),
+      project('draft', undefined),
+      { ...project('typo', 0), price: { amount: 'TBD', currency: 'GBP' } },
+      { ...project('nan', 0), price: { amount: NaN, currency: 'GBP' } },
+      project('free', 0)
+    ]);
+    expect(analysis).toMatchObject({ count: 2, total: 2, unpriced: 4, min: 20000, max: 30000, average: 25000, median: 25000 });
+    expect(hasNaN(analysis)).toBe(false);
+  });
+
+  it('gives null figures, not NaN, for a catalog with no prices at all', () => {
+    const analysis = analyzePrices([project('draft', undefined)], { ecommerce: 'Stores' });
+    expect(analysis).toMatchObject({ count: 0, average: null, median: null, unpriced: 1, histogram: [], outliers: [] });
+    expect(analysis.per_week.count).toBe(0);
+    expect(hasNaN(analysis)).toBe(false);
+  });
+
+  it('leaves projects without weeks or features out of the unit prices instead of dividing by zero', () => {
+    const analysis = analyzePrices([
+      project('shop', 20000, { duration: '10', features: ['Cart', 'Checkout'] }),
+      project('rush', 12000, { duration: '0', features: [] }),
+      project('vague', 9000, { duration: 'soon', features: null })
+    ]);
+    expect(analysis.per_week).toMatchObject({ count: 1, average: 2000 });
+    expect(analysis.per_feature).toMatchObject({ count: 1, average: 10000 });
+    expect(hasNaN(analysis)).toBe(false);
+  });
+});
+
+describe('price statistics helpers', () => {
+  it('interpolates quartiles and handles one value', () => {
+    expect(quantile([10, 20, 30, 40], 0.25)).toBe(17.5);
+    expect(priceStats([5000])).toMatchObject({ count: 1, q1: 5000, median: 5000, q3: 5000, iqr: 0 });
+    expect(priceStats([])).toMatchObject({ count: 0, min: null, q1: null, max: null });
+  });
+
+  it('puts equal prices into a single histogram bin', () => {
+    expect(histogram([7000, 7000, 7000])).toEqual([{ from: 7000, to: 7000, count: 3 }]);
+    expect(histogram([]).length).toBe(0);
+  });
+});
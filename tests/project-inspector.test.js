@@ -0,0 +1,22 @@
+import { describe, expect, it } from 'vitest';
+import { zipSync, strToU8 } from 'fflate';
+import { ProjectInputError, describeProject, inspectUploads, inspectZip, parseManifest } from '../server/project-inspector.js';
+
+const packageJson = (dependencies) => JSON.stringify({ name: 'shop', dependencies });
+
+describe('project inspector', () => {
+  it('ignores dependencies named after Object.prototype members', () => {
+    const manifest = parseManifest('package.json', packageJson({ react: '^18.2.0', toString: '1.0.0', constructor: '1.0.0' }));
+    expect(manifest.frameworks).toEqual(['React']);
+    expect(describeProject(inspectUploads([{ originalname: 'package.json', buffer: Buffer.from(packageJson({ toString: '1.0.0' })) }])))
+      .not.toMatch(/function|native code/);
+  });
+
+  it('does not take files named like prototype members for manifests', () => {
+    expect(() => parseManifest('constructor', '{}')).toThrow(ProjectInputError);
+    expect(() => inspectUploads([{ originalname: 'toString', buffer: Buffer.from('{}') }])).toThrow(/Unsupported file toString/);
+
+    const zip = zipSync({ 'repo/constructor': strToU8('{}'), 'repo/src/app.constructor': strToU8(''), 'repo/package.json': strToU8(packageJson({})) });
+    expect(inspectZip(Buffer.from(zip)).manifests.map(manifest => manifest.path)).toEqual(['package.json']);
+  });
+});
@@ -0,0 +1,42 @@
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { describe, expect, it } from 'vitest';
+import { ProviderRegistry, ProviderSettingsError } from '../server/providers/index.js';
+
+const registry = () => new ProviderRegistry({
+  providers: {
+    openai: { type: 'openai', model: 'gpt-4o-mini', baseUrl: 'https://api.openai.com/v1' },
+    gemini: { type: 'gemini', model: 'gemini-2.0-flash' }
+  },
+  routes: { quick: ['gemini', 'openai'], detailed: ['openai', 'gemini'] }
+});
+
+describe('ProviderRegistry.validateSettings', () => {
+  it('rejects settings that are not objects', () => {
+    const providers = registry();
+    [null, [], 'openai'].forEach(changes => expect(() => providers.validateSettings(changes)).toThrow(ProviderSettingsError));
+    expect(() => providers.validateSettings({ providers: { openai: null } })).toThrow('Settings for openai must be an object');
+    expect(() => providers.validateSettings({ providers: [] })).toThrow(ProviderSettingsError);
+    expect(() => providers.validateSettings({ providers: { openai: { maxTokens: 500 } } })).toThrow(/maxTokens for openai/);
+  });
+
+  it('accepts only numeric temperatures between 0 and 2', () => {
+    const providers = registry();
+    expect(() => providers.validateSettings({ providers: { openai: { temperature: '1' } } })).toThrow(/must be a number between 0 and 2/);
+    expect(() => providers.validateSettings({ providers: { openai: { temperature: 2.5 } } })).toThrow(ProviderSettingsError);
+    expect(() => providers.validateSettings({ providers: { openai: { temperature: 0.2, maxTokens: { quick: 200 } } } })).not.toThrow();
+  });
+});
+
+describe('ProviderRegistry.updateSettings', () => {
+  it('sends the configured temperature to Gemini', async () => {
+    const providers = registry();
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'providers-'));
+    await providers.updateSettings({ providers: { gemini: { temperature: 0.2 } } }, path.join(dir, 'providers.json'));
+    await fs.rm(dir, { recursive: true, force: true });
+
+    const request = providers.get('gemini').buildRequest([{ role: 'user', content: 'Hi' }], 'quick', { key: 'k' });
+    expect(request.body.generationConfig.temperature).toBe(0.2);
+  });
+});
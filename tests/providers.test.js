@@ -0,0 +1,142 @@
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { ProviderRegistry, loadProviderConfig } from '../server/providers/index.js';
+import { AnthropicProvider } from '../server/providers/anthropic.js';
+import { GeminiProvider } from '../server/providers/gemini.js';
+import { OpenAIProvider } from '../server/providers/openai.js';
+
+const messages = [
+  { role: 'user', content: 'Which stack?' },
+  { role: 'assistant', content: 'Laravel.' },
+  { role: 'user', content: 'And mobile?' }
+];
+
+beforeEach(() => {
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+  vi.unstubAllEnvs();
+});
+
+describe('loadProviderConfig', () => {
+  let dir;
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'providers-'));
+  });
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('merges file providers over the env defaults and lets file routes replace them', async () => {
+    vi.stubEnv('OPENAI_MODEL', 'gpt-4o-mini');
+    const file = path.join(dir, 'ai-providers.json');
+    await fs.writeFile(file, JSON.stringify({
+      providers: { gpt: { temperature: 0.1 }, lmstudio: { type: 'openai-compatible', model: 'qwen', baseUrl: 'http://localhost:1234/v1' } },
+      routes: { quick: ['lmstudio', 'gpt'] }
+    }));
+
+    const config = loadProviderConfig(file);
+    expect(config.providers.gpt).toMatchObject({ type: 'openai', model: 'gpt-4o-mini', keyEnv: 'GPT_API_KEY', temperature: 0.1 });
+    expect(config.providers.lmstudio.type).toBe('openai-compatible');
+    expect(config.routes.quick).toEqual(['lmstudio', 'gpt']);
+    expect(config.routes.detailed).toEqual(['gpt', 'anthropic', 'gemini', 'ollama']);
+  });
+
+  it('uses the env defaults when there is no file', () => {
+    expect(Object.keys(loadProviderConfig(path.join(dir, 'missing.json')).providers)).toEqual(['gemini', 'gpt', 'anthropic']);
+  });
+});
+
+describe('ProviderRegistry', () => {
+  it('reads numbered keys from the env and routes only configured providers, in order', () => {
+    vi.stubEnv('GEMINI_API_KEY_1', 'g1');
+    vi.stubEnv('GEMINI_API_KEY_2', 'g2');
+    const registry = new ProviderRegistry({
+      providers: {
+        gemini: { type: 'gemini', model: 'gemini-2.0-flash', keyEnv: 'GEMINI_API_KEY' },
+        gpt: { type: 'openai', model: 'gpt-4o', keyEnv: 'NO_SUCH_KEY' },
+        local: { type: 'openai-compatible', model: 'llama3.1', baseUrl: 'http://localhost:11434/v1' },
+        mystery: { type: 'cohere', model: 'command' }
+      },
+      routes: { quick: ['gpt', 'local', 'gemini'] }
+    });
+
+    expect(registry.get('gemini').keys).toEqual(['g1', 'g2']);
+    expect(registry.route('quick').map(provider => provider.name)).toEqual(['local', 'gemini']);
+    // Modes without a route of their own fall back to the quick one
+    expect(registry.route('detailed').map(provider => provider.name)).toEqual(['local', 'gemini']);
+    expect(() => registry.get('mystery')).toThrow('Unknown AI provider: mystery');
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('cohere'));
+  });
+
+  it('refuses to route when no provider in the route has keys', () => {
+    const registry = new ProviderRegistry({
+      providers: { gpt: { type: 'openai', model: 'gpt-4o', keyEnv: 'NO_SUCH_KEY' } },
+      routes: { quick: ['gpt'], detailed: ['gpt'] }
+    });
+    expect(() => registry.route('detailed')).toThrow('No AI providers configured for detailed responses');
+  });
+});
+
+describe('provider adapters', () => {
+  it('OpenAI sends chat messages with a JSON schema and asks for stream usage', () => {
+    const openai = new OpenAIProvider({ name: 'gpt', type: 'openai', model: 'gpt-4o', keys: ['k'] });
+    const json = { name: 'analysis', schema: { type: 'object' } };
+    const { url, headers, body } = openai.buildRequest(messages, 'detailed', { key: 'k', stream: true, json });
+
+    expect(url).toBe('https://api.openai.com/v1/chat/completions');
+    expect(headers).toEqual({ Authorization: 'Bearer k' });
+    expect(body).toMatchObject({ model: 'gpt-4o', messages, max_tokens: 500, stream: true, stream_options: { include_usage: true } });
+    expect(body.response_format).toEqual({ type: 'json_schema', json_schema: json });
+  });
+
+  it('OpenAI-compatible servers need no key and get plain JSON mode', () => {
+    const local = new OpenAIProvider({ name: 'local', type: 'openai-compatible', model: 'llama3.1', baseUrl: 'http://localhost:11434/v1/' });
+    const { url, headers, body } = local.buildRequest(messages, 'quick', { key: null, stream: true, json: { name: 'x', schema: {} } });
+
+    expect(local.isConfigured()).toBe(true);
+    expect(url).toBe('http://localhost:11434/v1/chat/completions');
+    expect(headers).toEqual({});
+    expect(body.response_format).toEqual({ type: 'json_object' });
+    expect(body.stream_options).toBeUndefined();
+  });
+
+  it('Gemini maps assistant turns to the model role', () => {
+    const gemini = new GeminiProvider({ name: 'gemini', type: 'gemini', model: 'gemini-2.0-flash', keys: ['k'] });
+    const { url, body } = gemini.buildRequest(messages, 'quick', { key: 'k', stream: true });
+
+    expect(url).toContain('/models/gemini-2.0-flash:streamGenerateContent?alt=sse&key=k');
+    expect(body.contents.map(content => content.role)).toEqual(['user', 'model', 'user']);
+  });
+
+  it('Anthropic prefills JSON answers and always sends max_tokens', () => {
+    const anthropic = new AnthropicProvider({ name: 'anthropic', type: 'anthropic', model: 'claude-sonnet-4-5', keys: ['k'] });
+    const { headers, body } = anthropic.buildRequest(messages, 'quick', { key: 'k', stream: false, json: { name: 'x', schema: {} } });
+
+    expect(headers['x-api-key']).toBe('k');
+    expect(body.max_tokens).toBe(150);
+    expect(body.messages.at(-1)).toEqual({ role: 'assistant', content: '{' });
+    expect(anthropic.parseResponse({ content: [{ type: 'text', text: '"ok":true}' }], usage: { input_tokens: 9, output_tokens: 4 } }, { json: {} }))
+      .toEqual({ text: '{"ok":true}', usage: { inputTokens: 9, outputTokens: 4 } });
+  });
+
+  it('raises the token limit for JSON answers that need more room', () => {
+    const openai = new OpenAIProvider({ name: 'gpt', type: 'openai', model: 'gpt-4o', keys: ['k'], maxTokens: { quick: 150 } });
+    expect(openai.maxTokensFor('quick')).toBe(150);
+    expect(openai.maxTokensFor('quick', { maxTokens: 800 })).toBe(800);
+    expect(openai.maxTokensFor('detailed', { maxTokens: 800 })).toBe(800);
+    expect(openai.maxTokensFor('detailed')).toBeUndefined();
+  });
+
+  it('Anthropic collects streamed text and usage and surfaces stream errors', () => {
+    const anthropic = new AnthropicProvider({ name: 'anthropic', type: 'anthropic', model: 'claude-sonnet-4-5', keys: ['k'] });
+    expect(anthropic.parseChunk({ type: 'content_block_delta', delta: { text: 'Hi' } })).toEqual({ text: 'Hi' });
+    expect(anthropic.parseChunk({ type: 'message_start', message: { usage: { input_tokens: 5 } } })).toEqual({ usage: { inputTokens: 5 } });
+    expect(anthropic.parseChunk({ type: 'message_delta', usage: { output_tokens: 7 } })).toEqual({ usage: { outputTokens: 7 } });
+    expect(() => anthropic.parseChunk({ type: 'error', error: { message: 'overloaded' } })).toThrow('overloaded');
+  });
+});
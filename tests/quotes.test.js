@@ -0,0 +1,130 @@
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { assertClientPricing, buildQuote, QuoteError, QuoteStore } from '../server/quotes.js';
+import { createFakeSupabase } from './helpers/fake-supabase.js';
+
+const item = { projectKey: 'activeEcommerce' };
+
+const rejects = (input, message) => {
+  let error;
+  try {
+    buildQuote(input);
+  } catch (caught) {
+    error = caught;
+  }
+  expect(error).toBeInstanceOf(QuoteError);
+  expect(error.status).toBe(400);
+  expect(error.message).toMatch(message);
+};
+
+describe('buildQuote input checks', () => {
+  it('rejects list fields that are not arrays as client errors', () => {
+    rejects({ items: [{ ...item, addFeatures: 'x' }] }, 'addFeatures must be an array');
+    rejects({ items: [{ ...item, removeFeatures: { name: 'Wallet System' } }] }, 'removeFeatures must be an array');
+    rejects({ items: [item], taxes: 'EG_VAT' }, 'taxes must be an array');
+    rejects({ items: [item], milestones: null }, 'milestones must be an array');
+  });
+
+  it('rejects empty entries inside the lists', () => {
+    rejects({ items: [item], taxes: [null] }, 'Taxes need a name');
+    rejects({ items: [item], milestones: [null] }, 'Milestones need a name and a percent');
+  });
+
+  it('rejects milestones without a name or with a percent outside 0-100', () => {
+    rejects({ items: [item], milestones: [{ percent: 100 }] }, 'Milestones need a name');
+    rejects({ items: [item], milestones: [{ name: '  ', percent: 100 }] }, 'Milestones need a name');
+    rejects({ items: [item], milestones: [{ name: 'Deposit', percent: 150 }, { name: 'Refund', percent: -50 }] }, 'percent between 0 and 100');
+    rejects({ items: [item], milestones: [{ name: 'Deposit', percent: 'all' }] }, 'percent between 0 and 100');
+    rejects({ items: [item], milestones: [{ name: 'Deposit', percent: 100, week: -2 }] }, 'non-negative week');
+  });
+
+  it('rejects negative feature credits and weeks', () => {
+    rejects({ items: [{ ...item, removeFeatures: [{ name: 'Wallet System', credit: -500 }] }] }, 'Credit for "Wallet System"');
+    rejects({ items: [{ ...item, addFeatures: [{ name: 'Kiosk mode', price: 100, weeks: -4 }] }] }, 'non-negative number of weeks');
+  });
+
+  it('keeps valid custom payment plans within the total', () => {
+    const quote = buildQuote({ items: [item], milestones: [{ name: 'Deposit', percent: 50, week: 0 }, { name: 'Delivery', percent: 50 }] });
+    expect(quote.milestones.every(milestone => milestone.amount >= 0)).toBe(true);
+    expect(quote.milestones.reduce((sum, milestone) => sum + milestone.amount, 0)).toBeCloseTo(quote.total, 2);
+  });
+
+  it('uses the default taxes and payment plan when they are omitted', () => {
+    const quote = buildQuote({ items: [item], taxes: ['EG_VAT'] });
+    expect(quote.taxes).toHaveLength(1);
+    expect(quote.milestones.map(milestone => milestone.percent)).toEqual([30, 40, 30]);
+    expect(buildQuote({ items: [item] }).taxes).toEqual([]);
+  });
+});
+
+describe('assertClientPricing', () => {
+  const forbidden = (input, field) => {
+    let error;
+    try {
+      assertClientPricing(input);
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error).toBeInstanceOf(QuoteError);
+    expect(error).toMatchObject({ status: 403, message: expect.stringContaining(`Only sales can set ${field}`) });
+  };
+
+  it('rejects pricing overrides on client quote requests', () => {
+    forbidden({ items: [item], discount: { type: 'percent', value: 90 } }, 'discount');
+    forbidden({ items: [item], taxes: [{ name: 'None', rate: 0 }] }, 'taxes');
+    forbidden({ items: [item], taxes: 'EG_VAT' }, 'taxes');
+    forbidden({ items: [{ ...item, addFeatures: [{ name: 'Kiosk', price: 0 }] }] }, 'addFeatures');
+    forbidden({ items: [{ ...item, removeFeatures: [{ name: 'Wallet System', credit: 30000 }] }] }, 'feature credits');
+  });
+
+  it('lets clients pick projects, currency, timeline and features to drop', () => {
+    expect(() => assertClientPricing({
+      items: [{ ...item, removeFeatures: ['Wallet System'] }],
+      currency: 'EGP',
+      timeline: 'parallel',
+      discount: { type: 'none' },
+      taxes: []
+    })).not.toThrow();
+  });
+});
+
+describe('QuoteStore.save', () => {
+  const catalogStore = { getCatalog: async () => undefined };
+  let dir;
+
+  beforeEach(async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'quotes-'));
+  });
+
+  afterEach(async () => {
+    vi.restoreAllMocks();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('fails with 503 instead of writing a file-only quote when Supabase rejects the insert', async () => {
+    const supabase = createFakeSupabase({}, { keys: { quotes: ['id', 'version'] } });
+    supabase.failures.insert = 'connection refused';
+    const quotes = new QuoteStore({ supabase, catalogStore, filePath: path.join(dir, 'quotes.json') });
+
+    await expect(quotes.create({ items: [item] })).rejects.toMatchObject({ name: 'QuoteError', status: 503 });
+    await expect(fs.access(path.join(dir, 'quotes.json'))).rejects.toThrow();
+  });
+
+  it('answers 409 when a concurrent revision already took the version', async () => {
+    const supabase = createFakeSupabase({}, { keys: { quotes: ['id', 'version'] } });
+    const quotes = new QuoteStore({ supabase, catalogStore, filePath: path.join(dir, 'quotes.json') });
+    const quote = await quotes.create({ items: [item] });
+
+    // Both revisions read version 1 before either is saved
+    const [first, second] = await Promise.allSettled([
+      quotes.revise(quote.id, { notes: 'a' }),
+      quotes.revise(quote.id, { notes: 'b' })
+    ]);
+    expect(first.status).toBe('fulfilled');
+    expect(second.reason).toMatchObject({ status: 409 });
+    expect(supabase.tables.quotes).toHaveLength(2);
+  });
+});
@@ -0,0 +1,115 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { RateLimits, RateLimitError, validateRateLimits } from '../server/rate-limits.js';
+
+const mockResponse = () => {
+  const res = { statusCode: 200, body: null, headers: {} };
+  res.set = (name, value) => {
+    Object.assign(res.headers, typeof name === 'object' ? name : { [name]: value });
+    return res;
+  };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+};
+
+const limitsWith = (routes) => {
+  const limits = new RateLimits({ redisUrl: null });
+  limits.table = validateRateLimits({ routes });
+  return limits;
+};
+
+// Send `count` requests through the middleware and keep the last response
+const hit = async (middleware, user, count = 1) => {
+  let last;
+  for (let i = 0; i < count; i++) {
+    const res = mockResponse();
+    const next = vi.fn();
+    await middleware({ user, ip: '203.0.113.7' }, res, next);
+    last = { res, next };
+  }
+  return last;
+};
+
+const client = { id: 'client-1', role: 'client' };
+
+describe('RateLimits middleware', () => {
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date('2026-10-15T12:00:00Z'));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('lets requests through with RateLimit headers until the quota is spent', async () => {
+    const middleware = limitsWith({ 'ai-query': { default: { points: 3, duration: 60 } } }).middleware('ai-query');
+
+    const { res, next } = await hit(middleware, client);
+    expect(next).toHaveBeenCalledOnce();
+    expect(res.headers).toMatchObject({
+      'RateLimit-Limit': '3',
+      'RateLimit-Remaining': '2',
+      'RateLimit-Reset': '60',
+      'RateLimit-Policy': '3;w=60'
+    });
+    expect(res.headers['Retry-After']).toBeUndefined();
+  });
+
+  it('answers 429 with Retry-After once the quota is spent', async () => {
+    const middleware = limitsWith({ 'ai-query': { default: { points: 2, duration: 60 } } }).middleware('ai-query');
+
+    const { res, next } = await hit(middleware, client, 3);
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(429);
+    expect(res.body).toMatchObject({ error: 'Too many requests', retryAfter: 60 });
+    expect(res.headers).toMatchObject({ 'Retry-After': '60', 'RateLimit-Remaining': '0' });
+  });
+
+  it('applies each tier its own limit and counts users separately', async () => {
+    const middleware = limitsWith({
+      'ai-query': { default: { points: 1, duration: 60 }, sales: { points: 5, duration: 60 } }
+    }).middleware('ai-query');
+
+    expect((await hit(middleware, client, 2)).res.statusCode).toBe(429);
+    expect((await hit(middleware, { id: 'client-2', role: 'client' })).next).toHaveBeenCalledOnce();
+
+    const sales = await hit(middleware, { id: 'sales-1', role: 'sales' }, 5);
+    expect(sales.next).toHaveBeenCalledOnce();
+    expect(sales.res.headers['RateLimit-Limit']).toBe('5');
+
+    // app_metadata.tier outranks the role
+    const pro = await hit(middleware, { id: 'client-3', role: 'client', appMetadata: { tier: 'sales' } }, 2);
+    expect(pro.next).toHaveBeenCalledOnce();
+  });
+
+  it('treats a null tier as unlimited and sends no headers', async () => {
+    const middleware = limitsWith({ 'ai-query': { default: { points: 1, duration: 60 }, admin: null } }).middleware('ai-query');
+
+    const { res, next } = await hit(middleware, { id: 'admin-1', role: 'admin' }, 20);
+    expect(next).toHaveBeenCalledOnce();
+    expect(res.headers).toEqual({});
+  });
+
+  it('frees the quota once the window has passed', async () => {
+    const middleware = limitsWith({ 'ai-query': { default: { points: 1, duration: 60 } } }).middleware('ai-query');
+    expect((await hit(middleware, client, 2)).res.statusCode).toBe(429);
+
+    vi.setSystemTime(new Date('2026-10-15T12:01:01Z'));
+    expect((await hit(middleware, client)).next).toHaveBeenCalledOnce();
+  });
+});
+
+describe('validateRateLimits', () => {
+  it('rejects unknown routes, missing defaults and fractional limits', () => {
+    expect(() => validateRateLimits({ routes: { 'ai-chat': { default: null } } })).toThrow(RateLimitError);
+    expect(() => validateRateLimits({ routes: { 'ai-query': { pro: null } } })).toThrow(/default tier/);
+    expect(() => validateRateLimits({ routes: { 'ai-query': { default: { points: 1.5, duration: 60 } } } })).toThrow(/whole-number/);
+  });
+});
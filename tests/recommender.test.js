@@ -0,0 +1,42 @@
+import { describe, expect, it } from 'vitest';
+import { parseRequirements, recommendProjects, RecommendationError } from '../server/recommender.js';
+import { PROJECTS_CATALOG, PROJECT_CATEGORIES } from '../projects-data.js';
+
+const withFeatures = (features) => recommendProjects(parseRequirements({ features, limit: 20 }), {
+  catalog: PROJECTS_CATALOG,
+  categories: PROJECT_CATEGORIES
+}).filter(project => project.meets.includes('features')).map(project => project.key);
+
+describe('recommendProjects feature matching', () => {
+  it('needs every word of a feature within one catalog feature', () => {
+    const live = withFeatures(['Live Tracking']);
+    expect(live).toContain('stackFood');
+    expect(live).not.toContain('deskzai');
+    expect(live).not.toContain('martfury');
+  });
+
+  it('does not count a shared "System" as having the feature', () => {
+    expect(withFeatures(['Wallet System'])).not.toContain('martfury');
+    expect(withFeatures(['Inventory System'])).not.toContain('martfury');
+    expect(withFeatures(['Wallet System'])).toContain('activeEcommerce');
+  });
+
+  it('still matches features across English and Arabic', () => {
+    expect(withFeatures(['inventory']).length).toBeGreaterThan(0);
+    expect(withFeatures(['inventory'])).not.toContain('martfury');
+  });
+});
+
+describe('parseRequirements', () => {
+  it('clamps the limit to at least one and at most twenty results', () => {
+    expect(parseRequirements({ budget: 20000, limit: -3 }).limit).toBe(1);
+    expect(parseRequirements({ budget: 20000, limit: 0 }).limit).toBe(5);
+    expect(parseRequirements({ budget: 20000, limit: 500 }).limit).toBe(20);
+    const results = recommendProjects(parseRequirements({ budget: 20000, limit: -3 }), { catalog: PROJECTS_CATALOG });
+    expect(results).toHaveLength(1);
+  });
+
+  it('rejects an empty requirements payload', () => {
+    expect(() => parseRequirements({})).toThrow(RecommendationError);
+  });
+});
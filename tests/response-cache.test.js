@@ -0,0 +1,73 @@
+import { beforeAll, describe, expect, it, vi } from 'vitest';
+import { ResponseCache, validateCacheConfig, CacheError } from '../server/response-cache.js';
+import { CatalogStore } from '../server/catalog-store.js';
+import { createFakeSupabase } from './helpers/fake-supabase.js';
+
+const answer = (text) => ({ response: text, provider: 'test' });
+
+// The bundled catalog (Supabase is unreachable and there is no local file), as the server would see it
+let vocabulary;
+beforeAll(async () => {
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+  const supabase = createFakeSupabase();
+  supabase.failures.select = 'offline';
+  const catalogStore = new CatalogStore({ supabase, filePath: 'tests/no-such-catalog.json' });
+  vocabulary = await catalogStore.getVocabulary();
+});
+
+const semanticCache = (threshold = 0.95) => new ResponseCache({
+  vocabulary: async () => vocabulary,
+  config: validateCacheConfig({ store: 'memory', similarity: { scopes: ['ai-query'], threshold } })
+});
+
+describe('response cache similarity', () => {
+  it('matches by meaning only when a scope opts in', async () => {
+    expect(validateCacheConfig().similarity.scopes).toEqual([]);
+
+    const cache = new ResponseCache({ config: validateCacheConfig({ store: 'memory' }) });
+    await cache.set('ai-query', 'Which Laravel projects support coupons?', answer('coupons'));
+    await expect(cache.get('ai-query', 'which laravel projects support coupons')).resolves.toMatchObject({ match: 'exact' });
+    await expect(cache.get('ai-query', 'Which Laravel project supports coupons?')).resolves.toBeNull();
+  });
+
+  it('rejects loose thresholds for the local hasher', () => {
+    expect(() => validateCacheConfig({ similarity: { threshold: 0.88 } })).toThrow(CacheError);
+    expect(() => validateCacheConfig({ similarity: { threshold: 0.88, embeddings: 'openai', model: 'text-embedding-3-small' } })).not.toThrow();
+  });
+
+  it('never shares answers between questions about different tech', async () => {
+    const cache = semanticCache();
+    await cache.set('ai-query', 'What are the security risks of the Laravel ecommerce project?', answer('laravel'));
+    await expect(cache.get('ai-query', 'What are the security risks of the Flutter ecommerce project?')).resolves.toBeNull();
+  });
+
+  it('never shares answers between different products', async () => {
+    const cache = semanticCache();
+    await cache.set('ai-query', 'How much would an online pharmacy with prescription uploads cost?', answer('pharmacy'));
+    await expect(cache.get('ai-query', 'How much would an online bookstore with prescription uploads cost?')).resolves.toBeNull();
+  });
+
+  it('never shares answers between a question and its negation', async () => {
+    const cache = semanticCache();
+    await cache.set('ai-query', 'Can you build a delivery service with a driver app and live tracking?', answer('tracking'));
+    await expect(cache.get('ai-query', 'Can you build a delivery service with a driver app and no live tracking?')).resolves.toBeNull();
+  });
+
+  it('gates provider embeddings on the same catalog terms', async () => {
+    // An embedding model that scores every pair as identical leaves the decision to the term check
+    const providers = { get: () => ({ embed: async () => [1, 0, 0] }) };
+    const cache = new ResponseCache({
+      providers,
+      vocabulary: async () => vocabulary,
+      config: validateCacheConfig({
+        store: 'memory',
+        similarity: { scopes: ['ai-query'], threshold: 0.85, embeddings: 'openai', model: 'text-embedding-3-small' }
+      })
+    });
+    await cache.set('ai-query', 'What are the security risks of the Laravel ecommerce project?', answer('laravel'));
+
+    await expect(cache.get('ai-query', 'Is the Laravel ecommerce project secure?')).resolves.toMatchObject({ match: 'semantic' });
+    await expect(cache.get('ai-query', 'Is the Flutter ecommerce project secure?')).resolves.toBeNull();
+    await expect(cache.get('ai-query', 'Is the Laravel ecommerce project not secure?')).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,50 @@
+import { describe, expect, it } from 'vitest';
+import { SearchIndex, normalizeText, tokenize } from '../server/search-index.js';
+
+const catalog = {
+  ecommerce: {
+    walletShop: { name: 'متجر إلكتروني مع محفظة', tech: 'Laravel', features: ['Wallet System', 'نظام كوبونات'], deployment: 'VPS' },
+    bookStore: { name: 'Online bookstore', tech: 'React', features: ['Inventory reports'], deployment: 'Vercel' }
+  },
+  services: {
+    courier: { name: 'Courier delivery app', tech: 'Flutter', features: ['Live Tracking', 'Driver wallet'], deployment: 'Firebase' }
+  }
+};
+const categories = { ecommerce: 'مواقع تجارة إلكترونية', services: 'Delivery services' };
+const index = new SearchIndex(catalog, categories);
+const keysFor = (query, options) => index.search(query, options).map(result => result.key);
+
+describe('normalizeText and tokenize', () => {
+  it('unifies Arabic letter forms, drops diacritics and maps Arabic-Indic digits', () => {
+    expect(normalizeText('إدارةُ المدرسة ٢٠')).toBe('اداره المدرسه 20');
+    expect(tokenize('والمحفظة بالمتجر')).toEqual(['محفظه', 'متجر']);
+  });
+});
+
+describe('SearchIndex.search', () => {
+  it('finds projects across English and Arabic through the glossary', () => {
+    expect(keysFor('wallet')).toEqual(expect.arrayContaining(['walletShop', 'courier']));
+    expect(keysFor('محفظة')[0]).toBe('walletShop');
+    expect(keysFor('coupons')).toEqual(['walletShop']);
+  });
+
+  it('tolerates typos and matches word prefixes', () => {
+    expect(keysFor('invantory')).toEqual(['bookStore']);
+    expect(keysFor('deliv')).toEqual(['courier']);
+  });
+
+  it('ranks projects matching every word above partial matches', () => {
+    expect(keysFor('wallet tracking')[0]).toBe('courier');
+  });
+
+  it('filters by category and returns nothing for stop-only input', () => {
+    expect(keysFor('wallet', { category: 'services' })).toEqual(['courier']);
+    expect(index.search('   ')).toEqual([]);
+  });
+
+  it('highlights the matched words in field snippets', () => {
+    const [result] = index.search('tracking');
+    const snippet = result.snippets.find(entry => entry.field === 'features');
+    expect(snippet.segments).toContainEqual({ text: 'Tracking', match: true });
+  });
+});
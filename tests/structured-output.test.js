@@ -0,0 +1,66 @@
+import { describe, expect, it } from 'vitest';
+import { OUTPUTS, fallbackStructured, parseStructured, validateSchema } from '../server/structured-output.js';
+
+const analysis = OUTPUTS['project-analysis'];
+const IDS = ['tech-stack', 'architecture', 'performance', 'security', 'deployment'];
+const item = { title: 'Add caching', detail: 'Cache catalog reads.', priority: 'high', effort: 'small' };
+const section = (id) => ({ id, title: id, items: [item] });
+
+describe('project analysis schema', () => {
+  it('accepts the five sections in order', () => {
+    expect(validateSchema({ summary: 'Fine.', sections: IDS.map(section) }, analysis.schema)).toEqual([]);
+  });
+
+  it('rejects sections that repeat or come out of order', () => {
+    const repeated = validateSchema({ summary: 'Fine.', sections: IDS.map(() => section('security')) }, analysis.schema);
+    expect(repeated).toContain('$.sections[0].id must be "tech-stack"');
+
+    const swapped = parseStructured(JSON.stringify({ summary: 'Fine.', sections: [IDS[1], IDS[0], ...IDS.slice(2)].map(section) }), analysis);
+    expect(swapped.valid).toBe(false);
+  });
+});
+
+describe('free-text fallback', () => {
+  it('keeps indented numbered sub-items inside their section', () => {
+    const text = [
+      'The project is a Laravel and React storefront.',
+      '',
+      '1. Technical Stack Analysis',
+      '   1. React 18 is current',
+      '   2. Laravel 10 needs PHP 8.1',
+      '2. Architecture Recommendations',
+      '   1. Split the server into modules',
+      '3. Performance Optimizations',
+      '   1. Cache catalog queries',
+      '4. Security Considerations',
+      '   1. Remove the committed .env file',
+      '5. Deployment Strategy',
+      '   1. Build Docker images'
+    ].join('\n');
+
+    const { sections } = fallbackStructured(text, analysis);
+    expect(sections.map(entry => entry.id)).toEqual(IDS);
+    expect(sections.map(entry => entry.items.map(entry => entry.title))).toEqual([
+      ['React 18 is current', 'Laravel 10 needs PHP 8.1'],
+      ['Split the server into modules'],
+      ['Cache catalog queries'],
+      ['Remove the committed .env file'],
+      ['Build Docker images']
+    ]);
+  });
+
+  it('places sections by their heading when the model reorders them', () => {
+    const text = '## 1. Security\n- Rotate keys\n## 2. Deployment\n- Use CI\n## 3. Tech stack\n- Vue 3';
+    const { sections } = fallbackStructured(text, analysis);
+    expect(sections.find(entry => entry.id === 'security').items[0].title).toBe('Rotate keys');
+    expect(sections.find(entry => entry.id === 'tech-stack').items[0].title).toBe('Vue 3');
+    expect(sections.find(entry => entry.id === 'architecture').items).toEqual([]);
+  });
+
+  it('reads numbered suggestions', () => {
+    const text = [1, 2, 3, 4, 5].map(n => `${n}. Tip ${n}: do thing ${n}`).join('\n');
+    const { suggestions } = fallbackStructured(text, OUTPUTS.suggestions);
+    expect(suggestions).toHaveLength(5);
+    expect(suggestions[0]).toMatchObject({ title: 'Tip 1', detail: 'do thing 1' });
+  });
+});
@@ -0,0 +1,95 @@
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+import { OpenAIProvider } from '../server/providers/openai.js';
+import { GeminiProvider } from '../server/providers/gemini.js';
+
+// The price table is read when the module loads, so each test imports a fresh copy over a temp file
+let dir;
+let usage;
+
+beforeAll(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'prices-'));
+});
+
+afterAll(async () => {
+  vi.unstubAllEnvs();
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+beforeEach(async () => {
+  const file = path.join(dir, 'model-prices.json');
+  await fs.writeFile(file, JSON.stringify({
+    currency: 'USD',
+    models: { 'gpt-4o': { input: 2.5, output: 10 }, 'gpt-4o-mini': { input: 0.15, output: 0.6 } }
+  }));
+  vi.stubEnv('MODEL_PRICES_FILE', file);
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+  vi.resetModules();
+  usage = await import('../server/usage.js');
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('costOf', () => {
+  it('prices input and output tokens per million', () => {
+    expect(usage.costOf('gpt-4o', { inputTokens: 1000, outputTokens: 500 })).toBe(0.0075);
+  });
+
+  it('falls back to the longest configured prefix of a dated model name', () => {
+    expect(usage.costOf('gpt-4o-mini-2024-07-18', { inputTokens: 1000000, outputTokens: 0 })).toBe(0.15);
+    expect(usage.costOf('gpt-4o-2024-08-06', { inputTokens: 1000000, outputTokens: 0 })).toBe(2.5);
+  });
+
+  it('returns null for unpriced models and calls without usage', () => {
+    expect(usage.costOf('mystery-model', { inputTokens: 10, outputTokens: 10 })).toBeNull();
+    expect(usage.costOf('gpt-4o', null)).toBeNull();
+  });
+});
+
+describe('summarizeCosts', () => {
+  const now = new Date('2026-10-15T12:00:00Z');
+  const rows = [
+    { created_at: '2026-10-15T09:00:00Z', provider: 'openai', model: 'gpt-4o', endpoint: 'ai-query', input_tokens: 100, output_tokens: 50, cost_usd: 0.5 },
+    { created_at: '2026-10-15T10:00:00Z', provider: 'gemini', model: 'gemini-2.0-flash', endpoint: 'ai-analyze', input_tokens: 10, output_tokens: 5, cost_usd: 0.25 },
+    { created_at: '2026-10-02T10:00:00Z', provider: 'openai', model: 'gpt-4o', endpoint: 'ai-query', input_tokens: 1, output_tokens: 1, cost_usd: 1 },
+    { created_at: '2026-09-30T10:00:00Z', provider: 'openai', model: 'gpt-4o', endpoint: 'ai-query', queries: 3, cost_usd: 2 }
+  ];
+
+  it('totals today, this month and each provider', () => {
+    const summary = usage.summarizeCosts(rows, now);
+    expect(summary.currency).toBe('USD');
+    expect(summary.today).toEqual({ queries: 2, input_tokens: 110, output_tokens: 55, cost_usd: 0.75 });
+    expect(summary.this_month).toMatchObject({ queries: 3, cost_usd: 1.75 });
+    expect(summary.by_provider[0]).toMatchObject({ provider: 'openai', queries: 5, cost_usd: 3.5 });
+  });
+
+  it('splits each day by provider, model and endpoint in date order', () => {
+    const { daily, monthly } = usage.summarizeCosts(rows, now);
+    expect(daily.map(day => day.date)).toEqual(['2026-09-30', '2026-10-02', '2026-10-15']);
+    expect(daily[2]).toMatchObject({ by_provider: { openai: 0.5, gemini: 0.25 }, by_endpoint: { 'ai-query': 0.5, 'ai-analyze': 0.25 } });
+    expect(monthly.map(month => month.month)).toEqual(['2026-09', '2026-10']);
+  });
+});
+
+describe('validatePrices', () => {
+  it('rejects negative or missing prices', () => {
+    expect(() => usage.validatePrices({ models: { 'gpt-4o': { input: -1, output: 2 } } })).toThrow(usage.UsageError);
+    expect(() => usage.validatePrices({ models: { 'gpt-4o': { input: 1 } } })).toThrow('Invalid price for gpt-4o');
+  });
+});
+
+describe('provider token usage', () => {
+  it('reads OpenAI and Gemini token counts from responses and stream chunks', () => {
+    const openai = new OpenAIProvider({ name: 'openai', type: 'openai', model: 'gpt-4o', keys: ['k'] });
+    expect(openai.parseResponse({ choices: [{ message: { content: 'Hi' } }], usage: { prompt_tokens: 12, completion_tokens: 3 } }))
+      .toEqual({ text: 'Hi', usage: { inputTokens: 12, outputTokens: 3 } });
+
+    const gemini = new GeminiProvider({ name: 'gemini', type: 'gemini', model: 'gemini-2.0-flash', keys: ['k'] });
+    expect(gemini.parseChunk({ candidates: [{ content: { parts: [{ text: 'Hi' }] } }], usageMetadata: { promptTokenCount: 7, candidatesTokenCount: 2 } }))
+      .toEqual({ text: 'Hi', usage: { inputTokens: 7, outputTokens: 2 } });
+  });
+});